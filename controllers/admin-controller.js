@@ -1,9 +1,29 @@
 const User = require('../models/user');
 const mongoose = require('mongoose');
 const schedulerService = require('../services/scheduler-service');
+const eventCancellationService = require('../services/event-cancellation-service');
+const emailVerificationService = require('../services/email-verification-service');
+const sessionService = require('../services/session-service');
+const organizerApplicationService = require('../services/organizer-application-service');
+const auditService = require('../services/audit-service');
+const loginProtectionService = require('../services/login-protection-service');
+const twoFactorService = require('../services/two-factor-service');
+const webhookService = require('../services/webhook-service');
+const ledgerService = require('../services/ledger-service');
+const reconciliationService = require('../services/reconciliation-service');
+const disputeService = require('../services/dispute-service');
+const settlementService = require('../services/settlement-service');
+const feeService = require('../services/fee-service');
+const RefundJob = require('../models/refund-job');
 const emailService = require('../utils/email');
 const { adminNotifications: adminNotificationsTemplate } = require('../utils/email-templates');
 
+// User fields tracked in the audit log
+const AUDITED_USER_FIELDS = ['email', 'firstName', 'lastName', 'role', 'isActive', 'isEmailVerified'];
+
+// Fee plan fields tracked in the audit log
+const AUDITED_FEE_PLAN_FIELDS = ['name', 'ticketFee', 'passThrough', 'listingFees', 'listingFeeCurrency', 'isDefault', 'isActive'];
+
 /**
  * @desc    Get admin dashboard stats
  * @route   GET /api/admin/stats
@@ -158,9 +178,14 @@ const getUserById = async (req, res) => {
       });
     }
     
+    const loginStatus = await loginProtectionService.getAccountStatus(user.email);
+    
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user.toObject(),
+        loginStatus
+      }
     });
   } catch (error) {
     console.error('Get user by ID error:', error);
@@ -179,7 +204,7 @@ const getUserById = async (req, res) => {
  */
 const createUser = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role } = req.body;
+    const { email, password, firstName, lastName, role, isEmailVerified } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -196,9 +221,28 @@ const createUser = async (req, res) => {
       password,
       firstName,
       lastName,
-      role: role || 'user'
+      role: role || 'user',
+      isEmailVerified: isEmailVerified === true,
+      emailVerifiedAt: isEmailVerified === true ? new Date() : null
+    });
+    
+    await auditService.record(req, {
+      action: 'CREATE_USER',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: `Created ${user.role} account ${user.email}`,
+      before: null,
+      after: auditService.snapshot(user, AUDITED_USER_FIELDS)
     });
     
+    // Accounts not marked as verified by the admin verify their email themselves
+    if (!user.isEmailVerified) {
+      try {
+        await emailVerificationService.sendVerificationEmail(user);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+      }
+    }
+    
     res.status(201).json({
       success: true,
       data: user,
@@ -221,7 +265,7 @@ const createUser = async (req, res) => {
  */
 const updateUser = async (req, res) => {
   try {
-    const { email, firstName, lastName, role, isActive } = req.body;
+    const { email, firstName, lastName, role, isActive, isEmailVerified } = req.body;
     
     // Find and update user
     const user = await User.findById(req.params.id);
@@ -233,6 +277,8 @@ const updateUser = async (req, res) => {
       });
     }
     
+    const before = auditService.snapshot(user, AUDITED_USER_FIELDS);
+    
     // Check if email is already taken by another user
     if (email && email !== user.email) {
       const existingUser = await User.findOne({ email });
@@ -243,6 +289,9 @@ const updateUser = async (req, res) => {
         });
       }
       user.email = email;
+      // A new email address has to be verified again
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = null;
     }
     
     // Update user fields if provided
@@ -250,9 +299,26 @@ const updateUser = async (req, res) => {
     if (lastName) user.lastName = lastName;
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
+    if (isEmailVerified !== undefined) {
+      user.isEmailVerified = isEmailVerified === true;
+      user.emailVerifiedAt = user.isEmailVerified ? (user.emailVerifiedAt || new Date()) : null;
+    }
     
     await user.save();
     
+    // Deactivated users are logged out everywhere
+    if (user.isActive === false) {
+      await sessionService.revokeAll(user._id, 'account_deactivated');
+    }
+    
+    await auditService.record(req, {
+      action: 'UPDATE_USER',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: `Updated user ${user.email}`,
+      before,
+      after: auditService.snapshot(user, AUDITED_USER_FIELDS)
+    });
+    
     res.status(200).json({
       success: true,
       data: user,
@@ -316,7 +382,17 @@ const deleteUser = async (req, res) => {
       // Don't fail deletion if email fails
     }
 
-    await user.remove();
+    await user.deleteOne();
+    await sessionService.revokeAll(user._id, 'account_deactivated');
+    
+    await auditService.record(req, {
+      action: 'DELETE_USER',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: `Deleted user ${user.email}`,
+      before: auditService.snapshot(user, AUDITED_USER_FIELDS),
+      after: null,
+      metadata: { reason: req.body.reason || null }
+    });
     
     res.status(200).json({
       success: true,
@@ -360,6 +436,15 @@ const changeUserPassword = async (req, res) => {
     user.password = password;
     await user.save();
     
+    // Existing sessions must log in with the new password
+    await sessionService.revokeAll(user._id, 'password_changed');
+    
+    await auditService.record(req, {
+      action: 'CHANGE_USER_PASSWORD',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: `Changed the password of ${user.email}, all sessions were revoked`
+    });
+    
     // Send password change notification email
     try {
       const passwordChangeEmailHtml = adminNotificationsTemplate.generatePasswordChangeEmail({
@@ -398,6 +483,161 @@ const changeUserPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Unlock a user account locked after failed logins
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const wasLocked = await loginProtectionService.unlockAccount(user.email);
+    
+    await auditService.record(req, {
+      action: 'UNLOCK_USER',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: wasLocked
+        ? `Unlocked the account of ${user.email}`
+        : `Reset the failed login attempts of ${user.email}`
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked, failed attempts were reset',
+      data: await loginProtectionService.getAccountStatus(user.email)
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reset two-factor authentication of a user who lost their device
+ * @route   POST /api/admin/users/:id/2fa/reset
+ * @access  Private (Admin only)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+    
+    await twoFactorService.reset(user, req.user);
+    
+    // Sessions started with the lost device end as well
+    const revokedCount = await sessionService.revokeAll(user._id, 'two_factor_reset');
+    
+    await auditService.record(req, {
+      action: 'RESET_TWO_FACTOR',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: `Reset two-factor authentication of ${user.email}`,
+      metadata: { revokedSessions: revokedCount }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully. The user has to log in again.'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the two-factor authentication policy
+ * @route   GET /api/admin/security/two-factor
+ * @access  Private (Admin only)
+ */
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const policy = await twoFactorService.getPolicy();
+    
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Set the roles that must use two-factor authentication
+ * @route   PUT /api/admin/security/two-factor
+ * @access  Private (Admin only)
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const before = await twoFactorService.getRequiredRoles();
+    const requiredRoles = await twoFactorService.setRequiredRoles(req.body.requiredRoles, req.user);
+    
+    await auditService.record(req, {
+      action: 'UPDATE_SECURITY_POLICY',
+      entity: { type: 'setting', label: 'Two-factor authentication policy' },
+      details: requiredRoles.length > 0
+        ? `Two-factor authentication required for: ${requiredRoles.join(', ')}`
+        : 'Two-factor authentication optional for all roles',
+      before: { requiredRoles: before },
+      after: { requiredRoles }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: await twoFactorService.getPolicy()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Get activities/audit logs
  * @route   GET /api/admin/activities
@@ -405,44 +645,22 @@ const changeUserPassword = async (req, res) => {
  */
 const getActivities = async (req, res) => {
   try {
-    // In a real app, you would have an Activity model
-    // This is a placeholder that returns mock data
-    
-    const activities = [
-      {
-        _id: '1',
-        userId: req.user._id,
-        user: {
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-        },
-        action: 'LOGIN',
-        details: 'User logged in',
-        ip: '127.0.0.1',
-        createdAt: new Date()
-      },
-      {
-        _id: '2',
-        userId: req.user._id,
-        user: {
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-        },
-        action: 'UPDATE_USER',
-        details: 'User profile updated',
-        ip: '127.0.0.1',
-        createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000)
-      }
-    ];
+    const { actor, action, entityType, entityId, from, to, page = 1, limit = 50 } = req.query;
+    
+    const result = await auditService.list({ actor, action, entityType, entityId, from, to, page, limit });
     
     res.status(200).json({
       success: true,
-      data: {
-        activities,
-        total: activities.length
-      }
+      data: result
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Get activities error:', error);
     res.status(500).json({
       success: false,
@@ -452,6 +670,37 @@ const getActivities = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Export activities/audit logs as CSV
+ * @route   GET /api/admin/activities/export
+ * @access  Private (Admin only)
+ */
+const exportActivities = async (req, res) => {
+  try {
+    const { actor, action, entityType, entityId, from, to } = req.query;
+    
+    const csv = await auditService.exportCsv({ actor, action, entityType, entityId, from, to });
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Export activities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export activities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Get scheduler status
  * @route   GET /api/admin/scheduler/status
@@ -483,7 +732,19 @@ const getSchedulerStatus = async (req, res) => {
 const runTransferNow = async (req, res) => {
   try {
     // Admin manual transfer - include published and completed events
-    const results = await schedulerService.runTransferNow(true);
+    const results = await schedulerService.runTransferNow(true, req.user);
+    
+    const transfers = Array.isArray(results) ? results : [];
+    const completed = transfers.filter(result => result.status === 'completed');
+    await auditService.record(req, {
+      action: 'MANUAL_TRANSFER',
+      details: `Ran the organizer transfer for all organizers: ${completed.length} completed, ${transfers.length - completed.length} failed`,
+      metadata: {
+        successCount: completed.length,
+        failureCount: transfers.length - completed.length,
+        totalAmount: completed.reduce((sum, result) => sum + (result.amount || 0), 0)
+      }
+    });
     
     res.status(200).json({
       success: true,
@@ -491,6 +752,13 @@ const runTransferNow = async (req, res) => {
       message: 'Manual transfer completed successfully'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Run transfer error:', error);
     res.status(500).json({
       success: false,
@@ -500,6 +768,136 @@ const runTransferNow = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the scheduled jobs with their schedule, lock and last run
+ * @route   GET /api/admin/scheduler/jobs
+ * @access  Private (Admin only)
+ */
+const getScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await schedulerService.listJobs();
+    
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Get scheduled jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scheduled jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the past runs of a scheduled job
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @access  Private (Admin only)
+ */
+const getScheduledJobRuns = async (req, res) => {
+  try {
+    const data = await schedulerService.getJobRuns(req.params.name, req.query);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get scheduled job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Change the cron expression of a scheduled job or enable/disable it
+ * @route   PUT /api/admin/scheduler/jobs/:name
+ * @access  Private (Admin only)
+ */
+const updateScheduledJob = async (req, res) => {
+  try {
+    const { before, job } = await schedulerService.updateJob(req.params.name, req.body, req.user);
+    
+    await auditService.record(req, {
+      action: 'UPDATE_SCHEDULED_JOB',
+      entity: { type: 'scheduled_job', label: job.name },
+      details: `Job ${job.name} ${job.enabled ? `scheduled at "${job.cronExpression}"` : 'disabled'}`,
+      before: { cronExpression: before.cronExpression, enabled: before.enabled },
+      after: { cronExpression: job.cronExpression, enabled: job.enabled }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Job updated successfully',
+      data: job
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Update scheduled job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Run a scheduled job immediately
+ * @route   POST /api/admin/scheduler/jobs/:name/run
+ * @access  Private (Admin only)
+ */
+const runScheduledJob = async (req, res) => {
+  try {
+    const run = await schedulerService.runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user });
+    
+    await auditService.record(req, {
+      action: 'RUN_SCHEDULED_JOB',
+      entity: { type: 'scheduled_job', label: run.jobName },
+      details: `Ran job ${run.jobName}: ${run.status}${run.summary || run.error ? ` (${run.summary || run.error})` : ''}`,
+      metadata: { runId: run._id, status: run.status }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: run.status === 'succeeded' ? 'Job completed successfully' : 'Job failed',
+      data: run
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Run scheduled job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Start scheduler
  * @route   POST /api/admin/scheduler/start
@@ -583,6 +981,7 @@ const getOrganizers = async (req, res) => {
     
     // Execute query with pagination
     const organizers = await User.find(filter)
+      .populate('feePlan', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -607,14 +1006,21 @@ const getOrganizers = async (req, res) => {
           pendingTransfers: 0,
           completedTransfers: 0,
           failedTransfers: 0,
+          heldTransfers: 0,
           totalSent: 0,
           totalRemaining: 0,
+          totalHeld: 0, // Organizer payments on hold while a payment dispute is open
+          freeTickets: 0, // Free registrations (RSVPs), no payment involved
           hasStripeAccount: !!organizer.stripeCustomerId,
           transferStatus: 'none' // none, available, blocked, no_stripe
         };
         
         // Calculate stats from tickets
         tickets.forEach(ticket => {
+          if (ticket.paymentStatus === 'free') {
+            stats.freeTickets += ticket.quantity;
+          }
+          
           // Include paid tickets and partially refunded tickets
           if (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded') {
             // For partially refunded tickets, calculate based on active attendee tickets
@@ -649,6 +1055,9 @@ const getOrganizers = async (req, res) => {
                 } else if (ticket.organizerTransferStatus === 'failed') {
                   stats.failedTransfers++;
                   stats.totalRemaining += activeOrganizerPayment;
+                } else if (ticket.organizerTransferStatus === 'on_hold') {
+                  stats.heldTransfers++;
+                  stats.totalHeld += activeOrganizerPayment;
                 }
               }
             } else {
@@ -668,6 +1077,9 @@ const getOrganizers = async (req, res) => {
               } else if (ticket.organizerTransferStatus === 'failed') {
                 stats.failedTransfers++;
                 stats.totalRemaining += ticket.organizerPayment;
+              } else if (ticket.organizerTransferStatus === 'on_hold') {
+                stats.heldTransfers++;
+                stats.totalHeld += ticket.organizerPayment;
               }
             }
           }
@@ -736,12 +1148,19 @@ const getOrganizerStats = async (req, res) => {
       pendingTransfers: 0,
       completedTransfers: 0,
       failedTransfers: 0,
+      heldTransfers: 0,
       totalSent: 0,
       totalRemaining: 0,
+      totalHeld: 0, // Organizer payments on hold while a payment dispute is open
+      freeTickets: 0, // Free registrations (RSVPs), no payment involved
       recentTickets: []
     };
     
     tickets.forEach(ticket => {
+      if (ticket.paymentStatus === 'free') {
+        stats.freeTickets += ticket.quantity;
+      }
+      
       // Include paid tickets and partially refunded tickets
       if (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded') {
         // For partially refunded tickets, calculate based on active attendee tickets
@@ -774,6 +1193,9 @@ const getOrganizerStats = async (req, res) => {
             } else if (ticket.organizerTransferStatus === 'failed') {
               stats.failedTransfers++;
               stats.totalRemaining += activeOrganizerPayment;
+            } else if (ticket.organizerTransferStatus === 'on_hold') {
+              stats.heldTransfers++;
+              stats.totalHeld += activeOrganizerPayment;
             }
           }
         } else {
@@ -792,6 +1214,9 @@ const getOrganizerStats = async (req, res) => {
           } else if (ticket.organizerTransferStatus === 'failed') {
             stats.failedTransfers++;
             stats.totalRemaining += ticket.organizerPayment;
+          } else if (ticket.organizerTransferStatus === 'on_hold') {
+            stats.heldTransfers++;
+            stats.totalHeld += ticket.organizerPayment;
           }
         }
       }
@@ -827,6 +1252,7 @@ const getOrganizerStats = async (req, res) => {
           organizerPayment: organizerPayment,
           quantity: quantity,
           transferStatus: ticket.organizerTransferStatus,
+          settlementMode: ticket.settlementMode,
           purchasedAt: ticket.purchasedAt,
           paymentStatus: ticket.paymentStatus
         };
@@ -867,12 +1293,25 @@ const toggleOrganizerPaymentBlock = async (req, res) => {
       });
     }
     
+    const blockFields = ['isPaymentBlocked', 'paymentBlockReason'];
+    const before = auditService.snapshot(organizer, blockFields);
+    
     organizer.isPaymentBlocked = isBlocked;
     organizer.paymentBlockReason = isBlocked ? reason : null;
     organizer.paymentBlockedAt = isBlocked ? new Date() : null;
     
     await organizer.save();
     
+    await auditService.record(req, {
+      action: isBlocked ? 'BLOCK_PAYMENTS' : 'UNBLOCK_PAYMENTS',
+      entity: { type: 'organizer', id: organizer._id, label: organizer.email },
+      details: isBlocked
+        ? `Blocked payments of ${organizer.email}${reason ? `: ${reason}` : ''}`
+        : `Unblocked payments of ${organizer.email}`,
+      before,
+      after: auditService.snapshot(organizer, blockFields)
+    });
+    
     res.status(200).json({
       success: true,
       message: `Organizer payments ${isBlocked ? 'blocked' : 'unblocked'} successfully`,
@@ -889,27 +1328,240 @@ const toggleOrganizerPaymentBlock = async (req, res) => {
 };
 
 /**
- * @desc    Manually transfer payment to organizer
- * @route   POST /api/admin/organizers/:id/transfer
+ * @desc    Change how the ticket payments of an organizer are settled
+ * @route   PUT /api/admin/organizers/:id/settlement-mode
  * @access  Private (Admin only)
  */
-const transferToOrganizer = async (req, res) => {
+const updateOrganizerSettlementMode = async (req, res) => {
   try {
+    const { settlementMode } = req.body;
+    
     const organizer = await User.findById(req.params.id);
     
-    if (!organizer) {
+    if (!organizer || organizer.role !== 'organizer') {
       return res.status(404).json({
         success: false,
         message: 'Organizer not found'
       });
     }
     
-    // Check if organizer has Stripe account
-    if (!organizer.stripeCustomerId) {
-      return res.status(400).json({
+    const before = auditService.snapshot(organizer, ['settlementMode']);
+    
+    await settlementService.setSettlementMode(organizer, settlementMode);
+    
+    await auditService.record(req, {
+      action: 'CHANGE_SETTLEMENT_MODE',
+      entity: { type: 'organizer', id: organizer._id, label: organizer.email },
+      details: `Changed the settlement mode of ${organizer.email} to ${settlementMode}`,
+      before,
+      after: auditService.snapshot(organizer, ['settlementMode'])
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Organizer settlement mode updated successfully',
+      data: organizer
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Organizer does not have a Stripe account set up. They need to complete Stripe Connect onboarding first.',
-        code: 'NO_STRIPE_ACCOUNT'
+        message: error.message
+      });
+    }
+    
+    console.error('Update organizer settlement mode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update organizer settlement mode',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Assign a fee plan to an organizer (null for the default plan)
+ * @route   PUT /api/admin/organizers/:id/fee-plan
+ * @access  Private (Admin only)
+ */
+const updateOrganizerFeePlan = async (req, res) => {
+  try {
+    const { feePlanId = null } = req.body;
+    
+    const organizer = await User.findById(req.params.id);
+    
+    if (!organizer || organizer.role !== 'organizer') {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizer not found'
+      });
+    }
+    
+    const before = auditService.snapshot(organizer, ['feePlan']);
+    
+    const plan = await feeService.assignPlan(organizer, feePlanId);
+    
+    await auditService.record(req, {
+      action: 'ASSIGN_FEE_PLAN',
+      entity: { type: 'organizer', id: organizer._id, label: organizer.email },
+      details: `Assigned the ${plan ? `"${plan.name}"` : 'default'} fee plan to ${organizer.email}`,
+      before,
+      after: auditService.snapshot(organizer, ['feePlan'])
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Organizer fee plan updated successfully',
+      data: {
+        organizerId: organizer._id,
+        feePlan: plan
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Update organizer fee plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update organizer fee plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get fee plans with the number of organizers on each
+ * @route   GET /api/admin/fee-plans
+ * @access  Private (Admin only)
+ */
+const getFeePlans = async (req, res) => {
+  try {
+    const plans = await feeService.listPlans();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plans,
+        builtInPlan: feeService.getBuiltInPlan()
+      }
+    });
+  } catch (error) {
+    console.error('Get fee plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get fee plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Create a fee plan
+ * @route   POST /api/admin/fee-plans
+ * @access  Private (Admin only)
+ */
+const createFeePlan = async (req, res) => {
+  try {
+    const plan = await feeService.createPlan(req.body, req.user);
+    
+    await auditService.record(req, {
+      action: 'CREATE_FEE_PLAN',
+      entity: { type: 'fee_plan', id: plan._id, label: plan.name },
+      details: `Created the fee plan "${plan.name}"`,
+      after: auditService.snapshot(plan, AUDITED_FEE_PLAN_FIELDS)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Fee plan created successfully',
+      data: plan
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Create fee plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create fee plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Update a fee plan (events and purchases keep the fees they were made with)
+ * @route   PUT /api/admin/fee-plans/:id
+ * @access  Private (Admin only)
+ */
+const updateFeePlan = async (req, res) => {
+  try {
+    const existing = await feeService.getPlan(req.params.id);
+    const before = auditService.snapshot(existing, AUDITED_FEE_PLAN_FIELDS);
+    
+    const plan = await feeService.updatePlan(req.params.id, req.body);
+    
+    await auditService.record(req, {
+      action: 'UPDATE_FEE_PLAN',
+      entity: { type: 'fee_plan', id: plan._id, label: plan.name },
+      details: `Updated the fee plan "${plan.name}"`,
+      before,
+      after: auditService.snapshot(plan, AUDITED_FEE_PLAN_FIELDS)
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Fee plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Update fee plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update fee plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Manually transfer payment to organizer
+ * @route   POST /api/admin/organizers/:id/transfer
+ * @access  Private (Admin only)
+ */
+const transferToOrganizer = async (req, res) => {
+  try {
+    const organizer = await User.findById(req.params.id);
+    
+    if (!organizer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizer not found'
+      });
+    }
+    
+    // Check if organizer has Stripe account
+    if (!organizer.stripeCustomerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organizer does not have a Stripe account set up. They need to complete Stripe Connect onboarding first.',
+        code: 'NO_STRIPE_ACCOUNT'
       });
     }
     
@@ -929,7 +1581,8 @@ const transferToOrganizer = async (req, res) => {
     const pendingTickets = await Ticket.find({
       organizer: organizer._id,
       paymentStatus: { $in: ['paid', 'partially_refunded'] },
-      organizerTransferStatus: 'pending'
+      organizerTransferStatus: 'pending',
+      settlementMode: { $ne: 'destination' } // Paid out with the payment
     }).populate('eventId');
     
     // Filter for events that are published or completed (admin manual transfer)
@@ -995,6 +1648,13 @@ const transferToOrganizer = async (req, res) => {
         ticket.organizerTransferDate = new Date();
         await ticket.save();
         
+        // Record the payout in the ledger, the transfer is made so a ledger error must not fail it
+        try {
+          await ledgerService.recordTransfer(ticket, { transferId: transfer.id, amount: transferAmount });
+        } catch (ledgerError) {
+          console.error(`Failed to record transfer ${transfer.id} in the ledger:`, ledgerError);
+        }
+        
         transferResults.push({
           ticketId: ticket._id,
           status: 'completed',
@@ -1055,6 +1715,24 @@ const transferToOrganizer = async (req, res) => {
       overallMessage = `All transfers failed. Please check the error details below.`;
     }
     
+    await auditService.record(req, {
+      action: 'MANUAL_TRANSFER',
+      entity: { type: 'organizer', id: organizer._id, label: organizer.email },
+      details: `Manual transfer to ${organizer.email}: ${successCount} completed, ${failureCount} failed, CHF ${totalAmount.toFixed(2)} sent`,
+      metadata: {
+        successCount,
+        failureCount,
+        totalAmount,
+        transfers: transferResults.map(result => ({
+          ticketId: result.ticketId,
+          status: result.status,
+          transferId: result.transferId || null,
+          amount: result.amount,
+          code: result.code || null
+        }))
+      }
+    });
+    
     // Send transfer notification email to organizer
     if (successCount > 0 || failureCount > 0) {
       try {
@@ -1109,6 +1787,681 @@ const transferToOrganizer = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get refund jobs of canceled events with their progress
+ * @route   GET /api/admin/refund-jobs
+ * @access  Private (Admin only)
+ */
+const getRefundJobs = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const jobs = await RefundJob.find(filter)
+      .populate('eventId', 'title slug startDate status')
+      .populate('organizer', 'firstName lastName email')
+      .populate('initiatedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await RefundJob.countDocuments(filter);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ({
+          _id: job._id,
+          event: job.eventId,
+          organizer: job.organizer,
+          initiatedBy: job.initiatedBy,
+          reason: job.reason,
+          status: job.status,
+          attempts: job.attempts,
+          startedAt: job.startedAt,
+          completedAt: job.completedAt,
+          createdAt: job.createdAt,
+          progress: job.getProgress()
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get refund jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get refund jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a refund job with the status of every purchase
+ * @route   GET /api/admin/refund-jobs/:id
+ * @access  Private (Admin only)
+ */
+const getRefundJobById = async (req, res) => {
+  try {
+    const job = await RefundJob.findById(req.params.id)
+      .populate('eventId', 'title slug startDate status')
+      .populate('organizer', 'firstName lastName email')
+      .populate('initiatedBy', 'firstName lastName email')
+      .populate('items.attendee', 'firstName lastName email');
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund job not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        job,
+        progress: job.getProgress()
+      }
+    });
+  } catch (error) {
+    console.error('Get refund job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get refund job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Retry the failed refunds of a refund job
+ * @route   POST /api/admin/refund-jobs/:id/retry
+ * @access  Private (Admin only)
+ */
+const retryRefundJob = async (req, res) => {
+  try {
+    const job = await eventCancellationService.retryJob(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Refund job restarted',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        progress: job.getProgress()
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Retry refund job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry refund job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get received Stripe webhook events with their processing status
+ * @route   GET /api/admin/webhook-events
+ * @access  Private (Admin only)
+ */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const data = await webhookService.listEvents(req.query);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a Stripe webhook event with its payload
+ * @route   GET /api/admin/webhook-events/:id
+ * @access  Private (Admin only)
+ */
+const getWebhookEventById = async (req, res) => {
+  try {
+    const webhookEvent = await webhookService.getEvent(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: webhookEvent
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Process a Stripe webhook event again
+ * @route   POST /api/admin/webhook-events/:id/replay
+ * @access  Private (Admin only)
+ */
+const replayWebhookEvent = async (req, res) => {
+  try {
+    const webhookEvent = await webhookService.replay(req.params.id, req.user);
+    
+    await auditService.record(req, {
+      action: 'REPLAY_WEBHOOK_EVENT',
+      entity: { type: 'webhook_event', id: webhookEvent._id, label: webhookEvent.stripeEventId },
+      details: `Replayed ${webhookEvent.type} event ${webhookEvent.stripeEventId}: ${webhookEvent.status}`,
+      metadata: { status: webhookEvent.status, error: webhookEvent.lastError }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: webhookEvent.status === 'failed' ? 'Webhook event failed again' : 'Webhook event replayed successfully',
+      data: webhookEvent
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get ledger transactions
+ * @route   GET /api/admin/ledger/transactions
+ * @access  Private (Admin only)
+ */
+const getLedgerTransactions = async (req, res) => {
+  try {
+    const data = await ledgerService.listTransactions(req.query);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get ledger transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ledger transactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the balance of every ledger account
+ * @route   GET /api/admin/ledger/balances
+ * @access  Private (Admin only)
+ */
+const getLedgerBalances = async (req, res) => {
+  try {
+    const accounts = await ledgerService.getAccountTotals();
+    
+    res.status(200).json({
+      success: true,
+      data: { accounts }
+    });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ledger balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the ledger balances of an organizer
+ * @route   GET /api/admin/ledger/organizers/:organizerId
+ * @access  Private (Admin only)
+ */
+const getOrganizerLedgerBalances = async (req, res) => {
+  try {
+    const balances = await ledgerService.getOrganizerBalances(req.params.organizerId);
+    
+    res.status(200).json({
+      success: true,
+      data: { organizerId: req.params.organizerId, ...balances }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get organizer ledger balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get organizer ledger balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Check the tickets against the ledger and report the differences
+ * @route   GET /api/admin/ledger/consistency
+ * @access  Private (Admin only)
+ */
+const checkLedgerConsistency = async (req, res) => {
+  try {
+    const report = await ledgerService.checkConsistency({ organizerId: req.query.organizerId });
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Check ledger consistency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check ledger consistency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Compare Stripe with the database for a date range
+ * @route   POST /api/admin/reconciliation/run
+ * @access  Private (Admin only)
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const { from, to } = reconciliationService.getRange(req.body);
+    const run = await schedulerService.runJob('stripeReconciliation', {
+      trigger: 'manual',
+      triggeredBy: req.user,
+      params: { from, to }
+    });
+    
+    await auditService.record(req, {
+      action: 'RUN_RECONCILIATION',
+      entity: { type: 'reconciliation_report', id: run.result ? run.result.reportId : null },
+      details: `Ran the Stripe reconciliation from ${from.toISOString()} to ${to.toISOString()}: ${run.summary || run.error}`,
+      metadata: { runId: run._id, status: run.status }
+    });
+    
+    if (run.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `Reconciliation failed: ${run.error}`
+      });
+    }
+    
+    const report = await reconciliationService.getReport(run.result.reportId);
+    
+    res.status(200).json({
+      success: true,
+      message: `Reconciliation completed, ${report.discrepancyCount} discrepancies found`,
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run reconciliation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get reconciliation reports
+ * @route   GET /api/admin/reconciliation/reports
+ * @access  Private (Admin only)
+ */
+const getReconciliationReports = async (req, res) => {
+  try {
+    const data = await reconciliationService.listReports(req.query);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a reconciliation report with its discrepancies
+ * @route   GET /api/admin/reconciliation/reports/:id
+ * @access  Private (Admin only)
+ */
+const getReconciliationReportById = async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Apply the suggested fix of a discrepancy
+ * @route   POST /api/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/fix
+ * @access  Private (Admin only)
+ */
+const applyReconciliationFix = async (req, res) => {
+  try {
+    const { report, discrepancy, outcome } = await reconciliationService.applyFix(
+      req.params.id,
+      req.params.discrepancyId,
+      req.user
+    );
+    
+    await auditService.record(req, {
+      action: 'APPLY_RECONCILIATION_FIX',
+      entity: { type: 'reconciliation_report', id: report._id },
+      details: `Applied fix ${discrepancy.fix.action} for ${discrepancy.type} on ${discrepancy.stripeObjectId || discrepancy.event}: ${outcome}`,
+      metadata: {
+        discrepancyId: discrepancy._id,
+        ticket: discrepancy.ticket,
+        event: discrepancy.event,
+        stripeObjectId: discrepancy.stripeObjectId
+      }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: outcome,
+      data: discrepancy
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Apply reconciliation fix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply fix',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get payment disputes
+ * @route   GET /api/admin/disputes
+ * @access  Private (Admin only)
+ */
+const getDisputes = async (req, res) => {
+  try {
+    const data = await disputeService.listDisputes(req.query);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a payment dispute with the evidence for responding to it
+ * @route   GET /api/admin/disputes/:id
+ * @access  Private (Admin only)
+ */
+const getDisputeById = async (req, res) => {
+  try {
+    const data = await disputeService.getDispute(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Get dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get organizer applications (review queue)
+ * @route   GET /api/admin/organizer-applications
+ * @access  Private (Admin only)
+ */
+const getOrganizerApplications = async (req, res) => {
+  try {
+    const { status = 'pending', search, page = 1, limit = 20 } = req.query;
+
+    const result = await organizerApplicationService.list({ status, search, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get organizer applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get organizer applications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get an organizer application with its documents and history
+ * @route   GET /api/admin/organizer-applications/:id
+ * @access  Private (Admin only)
+ */
+const getOrganizerApplicationById = async (req, res) => {
+  try {
+    const application = await organizerApplicationService.getById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get organizer application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get organizer application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Approve an organizer application and promote the applicant
+ * @route   POST /api/admin/organizer-applications/:id/approve
+ * @access  Private (Admin only)
+ */
+const approveOrganizerApplication = async (req, res) => {
+  try {
+    const application = await organizerApplicationService.approve(req.params.id, req.user, req.body.note);
+    
+    await auditService.record(req, {
+      action: 'APPROVE_ORGANIZER_APPLICATION',
+      entity: { type: 'organizer_application', id: application._id, label: application.organization.name },
+      details: `Approved the organizer application of ${application.organization.name}`,
+      before: { status: 'pending' },
+      after: { status: application.status },
+      metadata: { applicant: application.applicant, note: req.body.note || null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Application approved, the applicant is now an organizer',
+      data: application
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Approve organizer application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve organizer application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reject an organizer application with a reason
+ * @route   POST /api/admin/organizer-applications/:id/reject
+ * @access  Private (Admin only)
+ */
+const rejectOrganizerApplication = async (req, res) => {
+  try {
+    const application = await organizerApplicationService.reject(req.params.id, req.user, req.body.reason);
+    
+    await auditService.record(req, {
+      action: 'REJECT_ORGANIZER_APPLICATION',
+      entity: { type: 'organizer_application', id: application._id, label: application.organization.name },
+      details: `Rejected the organizer application of ${application.organization.name}: ${application.rejectionReason}`,
+      before: { status: 'pending' },
+      after: { status: application.status },
+      metadata: { applicant: application.applicant }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Application rejected',
+      data: application
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reject organizer application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject organizer application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getStats,
   getSystemStatus,
@@ -1118,13 +2471,47 @@ module.exports = {
   updateUser,
   deleteUser,
   changeUserPassword,
+  unlockUser,
+  resetUserTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
   getActivities,
+  exportActivities,
   getSchedulerStatus,
   runTransferNow,
+  getScheduledJobs,
+  getScheduledJobRuns,
+  updateScheduledJob,
+  runScheduledJob,
   startScheduler,
   stopScheduler,
   getOrganizers,
   getOrganizerStats,
   toggleOrganizerPaymentBlock,
-  transferToOrganizer
+  updateOrganizerSettlementMode,
+  updateOrganizerFeePlan,
+  getFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  transferToOrganizer,
+  getRefundJobs,
+  getRefundJobById,
+  retryRefundJob,
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+  getLedgerTransactions,
+  getLedgerBalances,
+  getOrganizerLedgerBalances,
+  checkLedgerConsistency,
+  runReconciliation,
+  getReconciliationReports,
+  getReconciliationReportById,
+  applyReconciliationFix,
+  getDisputes,
+  getDisputeById,
+  getOrganizerApplications,
+  getOrganizerApplicationById,
+  approveOrganizerApplication,
+  rejectOrganizerApplication
 }; 
\ No newline at end of file
@@ -1,9 +1,116 @@
 const User = require('../models/user');
-const { generateToken } = require('../utils/token');
+const { setRefreshTokenCookie, clearRefreshTokenCookie, getRefreshTokenFromRequest } = require('../utils/token');
 const crypto = require('crypto');
 const emailService = require('../utils/email');
+const emailVerificationService = require('../services/email-verification-service');
+const sessionService = require('../services/session-service');
+const auditService = require('../services/audit-service');
+const loginProtectionService = require('../services/login-protection-service');
+const twoFactorService = require('../services/two-factor-service');
 const { forgotPassword: forgotPasswordTemplate, welcome: welcomeTemplate } = require('../utils/email-templates');
 
+/**
+ * Start a session for a user and set its refresh token cookie
+ * @param {Object} user - User document
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<string>} Access token
+ */
+const startSession = async (user, req, res) => {
+  const { accessToken, refreshToken, expiresAt } = await sessionService.createSession(user, req);
+  setRefreshTokenCookie(res, refreshToken, expiresAt);
+  return accessToken;
+};
+
+/**
+ * Count a failed login against the account and IP address and record it in the audit log
+ * @param {Object} req - Request object
+ * @param {string} email - Email the login was attempted for
+ * @param {Object} user - User document (null for unknown emails)
+ * @param {string} details - Reason of the failure
+ */
+const recordFailedLogin = async (req, email, user, details) => {
+  const entity = user
+    ? { type: 'user', id: user._id, label: user.email }
+    : { type: 'user', label: email };
+
+  const { accountLocked, lockedUntil } = await loginProtectionService.recordFailure('login', email, req.ip);
+
+  await auditService.record(req, { action: 'LOGIN_FAILED', actor: user || null, entity, details });
+  if (accountLocked) {
+    await auditService.record(req, {
+      action: 'ACCOUNT_LOCKED',
+      actor: null,
+      entity,
+      details: `Account locked until ${lockedUntil.toISOString()} after too many failed logins`,
+      metadata: { lockedUntil }
+    });
+  }
+};
+
+/**
+ * Send the response of a request stopped by the login protection
+ * @param {Object} res - Response object
+ * @param {Error} error - Error thrown by the login protection service
+ */
+const sendProtectionError = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
+/**
+ * Start the session of a user who passed every login step and send the login response
+ * @param {Object} user - User document
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} options - Second factor method used and extra response fields
+ */
+const completeLogin = async (user, req, res, { twoFactorMethod = null, extra = {} } = {}) => {
+  // Compare with the devices of earlier sessions before this one is added
+  const device = sessionService.getDeviceInfo(req);
+  const isUnfamiliarDevice = await sessionService.isUnfamiliarDevice(user._id, device);
+
+  // Start a session (access token in the response, refresh token in a cookie)
+  const token = await startSession(user, req, res);
+
+  await auditService.record(req, {
+    action: 'LOGIN',
+    actor: user,
+    entity: { type: 'user', id: user._id, label: user.email },
+    details: isUnfamiliarDevice ? 'User logged in from an unfamiliar device' : 'User logged in',
+    metadata: { browser: device.browser, os: device.os, deviceType: device.deviceType, twoFactorMethod }
+  });
+
+  if (isUnfamiliarDevice) {
+    await loginProtectionService.sendNewDeviceAlert(user, device);
+  }
+
+  // User data to return (omit password)
+  const userToReturn = {
+    _id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phone: user.phone,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: user.twoFactor.enabled
+  };
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    user: userToReturn,
+    ...extra
+  });
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -11,7 +118,7 @@ const { forgotPassword: forgotPasswordTemplate, welcome: welcomeTemplate } = req
  */
 const register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role } = req.body;
+    const { email, password, firstName, lastName } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -22,16 +129,14 @@ const register = async (req, res) => {
       });
     }
 
-    // Create new user (role will be 'user' by default unless specified)
+    // Create new user, self-registered accounts always get the 'user' role
+    // (organizer access is requested with an organizer application)
     const userData = { email, password, firstName, lastName };
-    if (role && ['admin', 'organizer', 'user'].includes(role)) {
-      userData.role = role;
-    }
     
     const user = await User.create(userData);
 
-    // Generate JWT token
-    const token = generateToken({ id: user._id });
+    // Start a session (access token in the response, refresh token in a cookie)
+    const token = await startSession(user, req, res);
 
     // Send welcome email
     try {
@@ -56,6 +161,14 @@ const register = async (req, res) => {
       // Don't fail registration if email fails
     }
 
+    // Send email verification link
+    try {
+      await emailVerificationService.sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+      // Don't fail registration if email fails, the user can request a new link
+    }
+
     // User data to return (omit password)
     const userToReturn = {
       _id: user._id,
@@ -63,7 +176,8 @@ const register = async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       phone: user.phone,
-      role: user.role
+      role: user.role,
+      isEmailVerified: user.isEmailVerified
     };
 
     res.status(201).json({
@@ -99,9 +213,20 @@ const login = async (req, res) => {
       });
     }
 
+    // Stop repeated failures before the password is checked
+    try {
+      await loginProtectionService.check('login', email, req.ip);
+    } catch (protectionError) {
+      if (protectionError.statusCode) {
+        return sendProtectionError(res, protectionError);
+      }
+      throw protectionError;
+    }
+
     // Find user by email (include password for comparison)
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailedLogin(req, email, null, 'Login with an unknown email address');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -110,6 +235,7 @@ const login = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await recordFailedLogin(req, email, user, 'Login to an inactive account');
       return res.status(401).json({
         success: false,
         message: 'Your account is inactive. Please contact support.'
@@ -119,31 +245,36 @@ const login = async (req, res) => {
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await recordFailedLogin(req, email, user, 'Login with a wrong password');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({ id: user._id });
+    await loginProtectionService.recordSuccess(email, 'login', req.ip);
 
-    // User data to return (omit password)
-    const userToReturn = {
-      _id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      phone: user.phone,
-      role: user.role
-    };
+    // With two-factor authentication the session is only started after the second factor
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to continue',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'login')
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: userToReturn
-    });
+    // Roles with mandatory two-factor authentication set it up before their first session
+    if (await twoFactorService.isRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallenge(user, 'setup')
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -173,6 +304,8 @@ const getCurrentUser = async (req, res) => {
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -224,7 +357,8 @@ const updateProfile = async (req, res) => {
         firstName: updatedUser.firstName,
         lastName: updatedUser.lastName,
         phone: updatedUser.phone,
-        role: updatedUser.role
+        role: updatedUser.role,
+        isEmailVerified: updatedUser.isEmailVerified
       }
     });
   } catch (error) {
@@ -283,9 +417,20 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out everywhere and start a new session on this device
+    await sessionService.revokeAll(user._id, 'password_changed');
+    const token = await startSession(user, req, res);
+
+    await auditService.record(req, {
+      action: 'CHANGE_PASSWORD',
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: 'User changed their password, other sessions were revoked'
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -331,6 +476,8 @@ const deleteAccount = async (req, res) => {
 
     // Delete user
     await User.findByIdAndDelete(userId);
+    await sessionService.revokeAll(userId, 'account_deactivated');
+    clearRefreshTokenCookie(res);
 
     res.status(200).json({
       success: true,
@@ -362,12 +509,23 @@ const forgotPassword = async (req, res) => {
       });
     }
 
-    // Find user by email
+    // Limit reset requests per account and IP address, every request counts
+    try {
+      await loginProtectionService.check('forgot_password', email, req.ip);
+    } catch (protectionError) {
+      if (protectionError.statusCode) {
+        return sendProtectionError(res, protectionError);
+      }
+      throw protectionError;
+    }
+    await loginProtectionService.recordFailure('forgot_password', email, req.ip);
+
+    // Find user by email, unknown addresses get the same answer so accounts cannot be discovered
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No user found with this email address'
+      return res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset email has been sent'
       });
     }
 
@@ -405,7 +563,7 @@ const forgotPassword = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Password reset email sent successfully'
+      message: 'If an account exists for this email, a password reset email has been sent'
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -459,6 +617,16 @@ const resetPassword = async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Log out everywhere, the old password may have been compromised
+    await sessionService.revokeAll(user._id, 'password_reset');
+
+    await auditService.record(req, {
+      action: 'RESET_PASSWORD',
+      actor: user,
+      entity: { type: 'user', id: user._id, label: user.email },
+      details: 'Password reset with an emailed reset link, all sessions were revoked'
+    });
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -473,6 +641,499 @@ const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Verify email address with token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await emailVerificationService.verify(token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: {
+        _id: user._id,
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    await emailVerificationService.resendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get a new access token with the refresh token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token cookie)
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const currentRefreshToken = getRefreshTokenFromRequest(req);
+    if (!currentRefreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { session, accessToken, refreshToken: newRefreshToken, expiresAt } = await sessionService.refresh(currentRefreshToken, req);
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await sessionService.revoke(session, 'account_deactivated');
+      clearRefreshTokenCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive. Please contact support.'
+      });
+    }
+
+    setRefreshTokenCookie(res, newRefreshToken, expiresAt);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      clearRefreshTokenCookie(res);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Logout user (revokes the current session)
+ * @route   POST /api/auth/logout
+ * @access  Public (uses refresh token cookie)
+ */
+const logout = async (req, res) => {
+  try {
+    const session = await sessionService.revokeByRefreshToken(getRefreshTokenFromRequest(req));
+    clearRefreshTokenCookie(res);
+
+    if (session) {
+      await auditService.record(req, {
+        action: 'LOGOUT',
+        actor: { _id: session.user },
+        entity: { type: 'user', id: session.user },
+        details: 'User logged out',
+        metadata: { sessionId: session._id }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => sessionService.format(session, req.authSession._id))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a session of the current user
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await sessionService.revokeSession(req.user._id, req.params.id);
+
+    if (session._id.toString() === req.authSession._id.toString()) {
+      clearRefreshTokenCookie(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all other sessions of the current user (all sessions with ?includeCurrent=true)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeAllSessions = async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revokedCount = await sessionService.revokeAll(
+      req.user._id,
+      'user_revoked',
+      includeCurrent ? null : req.authSession._id
+    );
+
+    if (includeCurrent) {
+      clearRefreshTokenCookie(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${revokedCount} session(s) revoked successfully`,
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Finish a login with the second factor
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (challenge token from the login)
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await twoFactorService.resolveChallenge(challengeToken, 'login');
+
+    try {
+      await loginProtectionService.check('two_factor', user.email, req.ip);
+    } catch (error) {
+      if (error.statusCode === 429) {
+        return sendProtectionError(res, error);
+      }
+      throw error;
+    }
+
+    let result;
+    try {
+      result = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      if (error.statusCode === 401) {
+        const { accountLocked, lockedUntil } = await loginProtectionService.recordFailure('two_factor', user.email, req.ip);
+        const entity = { type: 'user', id: user._id, label: user.email };
+        await auditService.record(req, {
+          action: 'LOGIN_FAILED',
+          actor: user,
+          entity,
+          details: 'Login with a wrong two-factor code'
+        });
+        if (accountLocked) {
+          await auditService.record(req, {
+            action: 'ACCOUNT_LOCKED',
+            actor: null,
+            entity,
+            details: `Two-factor login locked until ${lockedUntil.toISOString()} after too many wrong codes`,
+            metadata: { lockedUntil }
+          });
+        }
+      }
+      throw error;
+    }
+
+    await loginProtectionService.recordSuccess(user.email, 'two_factor', req.ip);
+
+    await completeLogin(user, req, res, {
+      twoFactorMethod: result.method,
+      extra: result.method === 'recovery_code'
+        ? { remainingRecoveryCodes: result.remainingRecoveryCodes }
+        : {}
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the two-factor authentication status of the current user
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Start the setup of an authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (or setup challenge token from the login)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Confirm the authenticator app and enable two-factor authentication
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (or setup challenge token from the login)
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user, req.body.code);
+
+    await auditService.record(req, {
+      action: 'ENABLE_TWO_FACTOR',
+      actor: req.user,
+      entity: { type: 'user', id: req.user._id, label: req.user.email },
+      details: 'Two-factor authentication enabled'
+    });
+
+    // Setup during a login that required it, the login continues here
+    if (req.twoFactorChallenge) {
+      const user = await User.findById(req.user._id);
+      return completeLogin(user, req, res, {
+        twoFactorMethod: 'totp',
+        extra: { recoveryCodes }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(req.user, { password, code, recoveryCode });
+
+    await auditService.record(req, {
+      action: 'DISABLE_TWO_FACTOR',
+      entity: { type: 'user', id: req.user._id, label: req.user.email },
+      details: 'Two-factor authentication disabled'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Replace the recovery codes of the current user
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+    await auditService.record(req, {
+      action: 'REGENERATE_RECOVERY_CODES',
+      entity: { type: 'user', id: req.user._id, label: req.user.email },
+      details: 'Two-factor recovery codes regenerated'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -481,5 +1142,18 @@ module.exports = {
   changePassword,
   deleteAccount,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
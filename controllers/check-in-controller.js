@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event');
+const CheckIn = require('../models/check-in');
+const checkInService = require('../services/check-in-service');
+const teamService = require('../services/team-service');
+
+// Maximum number of scans accepted in one sync request
+const MAX_SYNC_SCANS = 500;
+
+/**
+ * Find an event the current user can check in attendees for
+ * Sends the error response and returns null if the event is not found or not allowed
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Promise<Object|null>} Event document
+ */
+const findCheckInEvent = async (req, res) => {
+  const { eventId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid event ID'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(eventId);
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!(await checkInService.canCheckIn(event, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not allowed to check in attendees for this event'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Check-In Controller
+ * Handles ticket scanning at the door for organizers and event staff
+ */
+const checkInController = {
+  /**
+   * Get the events the current user can check in attendees for
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getCheckInEvents: async (req, res) => {
+    try {
+      const filter = req.user.role === 'admin'
+        ? { status: 'published' }
+        : { ...(await teamService.getAccessFilter(req.user, 'check_in')), status: 'published' };
+
+      const events = await Event.find(filter)
+        .select('title slug startDate endDate location capacity status')
+        .sort({ startDate: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Check-in events retrieved successfully',
+        data: events
+      });
+    } catch (error) {
+      console.error('Get check-in events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve check-in events',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Scan a ticket at the door
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  scanTicket: async (req, res) => {
+    try {
+      const { payload, ticketNumber, gate } = req.body;
+
+      if (!payload && !ticketNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scanned payload or ticket number is required'
+        });
+      }
+
+      const event = await findCheckInEvent(req, res);
+      if (!event) return;
+
+      const scan = await checkInService.scan(event, { payload, ticketNumber, gate }, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: scan.message,
+        data: scan
+      });
+    } catch (error) {
+      console.error('Scan ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to scan ticket',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sync scans collected while the device was offline
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  syncOfflineScans: async (req, res) => {
+    try {
+      const { deviceId, scans } = req.body;
+
+      if (!deviceId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Device ID is required'
+        });
+      }
+
+      if (!Array.isArray(scans) || scans.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scans must be a non-empty array'
+        });
+      }
+
+      if (scans.length > MAX_SYNC_SCANS) {
+        return res.status(400).json({
+          success: false,
+          message: `A maximum of ${MAX_SYNC_SCANS} scans can be synced at once`
+        });
+      }
+
+      const { results, attendance } = await checkInService.sync(req.user, deviceId.toString(), scans);
+
+      res.status(200).json({
+        success: true,
+        message: 'Offline scans synced successfully',
+        data: {
+          results,
+          summary: {
+            total: results.length,
+            admitted: results.filter(result => result.admitted).length,
+            rejected: results.filter(result => result.result !== 'error' && !result.admitted).length,
+            conflicts: results.filter(result => result.conflict).length,
+            errors: results.filter(result => result.result === 'error').length
+          },
+          attendance
+        }
+      });
+    } catch (error) {
+      console.error('Sync offline scans error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync offline scans',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get live attendance counts of an event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getAttendance: async (req, res) => {
+    try {
+      const event = await findCheckInEvent(req, res);
+      if (!event) return;
+
+      const attendance = await checkInService.getAttendance(event._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attendance retrieved successfully',
+        data: attendance
+      });
+    } catch (error) {
+      console.error('Get attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve attendance',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the scan log of an event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getScans: async (req, res) => {
+    try {
+      const { result, gate, page = 1, limit = 50 } = req.query;
+
+      const event = await findCheckInEvent(req, res);
+      if (!event) return;
+
+      const filter = { eventId: event._id };
+      if (result) filter.result = result;
+      if (gate) filter.gate = gate;
+
+      const skip = (page - 1) * limit;
+
+      const scans = await CheckIn.find(filter)
+        .populate('scannedBy', 'firstName lastName email')
+        .sort({ scannedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await CheckIn.countDocuments(filter);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scans retrieved successfully',
+        data: {
+          scans,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get scans error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scans',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = checkInController;
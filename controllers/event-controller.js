@@ -2,6 +2,13 @@ const Event = require('../models/event');
 const mongoose = require('mongoose');
 const User = require('../models/user');
 const emailService = require('../utils/email');
+const pricingService = require('../services/pricing-service');
+const feeService = require('../services/fee-service');
+const subscriptionService = require('../services/subscription-service');
+const eventCancellationService = require('../services/event-cancellation-service');
+const auditService = require('../services/audit-service');
+const teamService = require('../services/team-service');
+const eventReminderService = require('../services/event-reminder-service');
 const { userNotifications: userNotificationsTemplate } = require('../utils/email-templates');
 
 /**
@@ -37,6 +44,27 @@ const eventController = {
       // Add organizer (current user) to event data
       eventData.organizer = req.user._id;
       
+      // Events per month and capacity are limited by the subscription plan of the organizer
+      try {
+        await subscriptionService.checkEventLimits(req.user, eventData);
+      } catch (limitError) {
+        if (!limitError.statusCode) {
+          throw limitError;
+        }
+        return res.status(limitError.statusCode).json({
+          success: false,
+          message: limitError.message
+        });
+      }
+      
+      // Fees are computed from the fee plan of the organizer, not taken from the client
+      const feePlan = feeService.snapshot(await feeService.getPlanForOrganizer(req.user));
+      eventData.feePlan = feePlan;
+      eventData.price = {
+        ...(eventData.price || {}),
+        platformFee: feeService.calculateListingFee(feePlan, eventData.startDate, eventData.endDate).amount
+      };
+      
       console.log('Creating event with organizer:', req.user._id);
       console.log('User details:', {
         _id: req.user._id,
@@ -273,7 +301,7 @@ const eventController = {
   },
   
   /**
-   * Get events created by the current organizer
+   * Get events of the current organizer and events the user is a team member of
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -287,9 +315,7 @@ const eventController = {
       } = req.query;
       
       // Build filter object
-      const filter = {
-        organizer: req.user._id
-      };
+      const filter = await teamService.getAccessFilter(req.user, 'event.view');
       
       // Filter by status if provided
       if (status) {
@@ -368,10 +394,7 @@ const eventController = {
       }
       
       // Check if user has permission to view non-public events
-      if (!event.isPublic && 
-          (!req.user || 
-           (req.user.role !== 'admin' && 
-            req.user._id.toString() !== event.organizer._id.toString()))) {
+      if (!event.isPublic && !(await teamService.can(req.user, event, 'event.view'))) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to view this event'
@@ -414,15 +437,63 @@ const eventController = {
         });
       }
       
-      // Check if user has permission (admin or organizer of this event)
-      if (req.user.role !== 'admin' && 
-          req.user._id.toString() !== event.organizer.toString()) {
+      // Check if user has permission (admin, organizer or editor of this event)
+      const permissions = await teamService.getEventPermissions(req.user, event);
+      if (!permissions.includes('event.edit')) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to update this event'
         });
       }
       
+      // Status changes go through PATCH /api/events/:id/status, which checks the transition
+      // and refunds the tickets of a canceled event
+      if (updates.status && updates.status !== event.status) {
+        return res.status(400).json({
+          success: false,
+          message: 'The status of an event cannot be changed here, use the event status endpoint'
+        });
+      }
+      delete updates.status;
+      
+      // The organizer of an event cannot be changed
+      delete updates.organizer;
+      
+      // A larger capacity has to stay within the subscription plan of the organizer
+      if (updates.capacity && Number(updates.capacity) > event.capacity) {
+        const organizer = await User.findById(event.organizer);
+        try {
+          subscriptionService.checkCapacity(await subscriptionService.getPlanForOrganizer(organizer), updates.capacity);
+        } catch (limitError) {
+          if (!limitError.statusCode) {
+            throw limitError;
+          }
+          return res.status(limitError.statusCode).json({
+            success: false,
+            message: limitError.message
+          });
+        }
+      }
+      
+      // Fees are computed on the server, the listing fee follows the event duration until it is paid
+      delete updates.feePlan;
+      if (updates.price) {
+        updates.price.platformFee = event.price.platformFee;
+      }
+      if (!event.isPaid && (updates.startDate || updates.endDate)) {
+        const feePlan = await feeService.getEventFeePlan(event);
+        const listingFee = feeService.calculateListingFee(
+          feePlan,
+          updates.startDate || event.startDate,
+          updates.endDate || event.endDate
+        );
+        if (updates.price) {
+          updates.price.platformFee = listingFee.amount;
+        } else {
+          updates['price.platformFee'] = listingFee.amount;
+        }
+      }
+      
       // Validate the required fields are present
       if (updates.title && updates.title === '') {
         return res.status(400).json({
@@ -459,10 +530,24 @@ const eventController = {
         };
       }
       
-      // Preserve payment status and prevent reverting to pending_payment
-      if (event.isPaid && updates.status === 'pending_payment') {
-        updates.status = event.status; // Keep the current status
-        updates.isPaid = true; // Ensure isPaid remains true
+      // Keep the listing price in sync with the ticket types
+      if (updates.ticketTypes) {
+        const derivedPrice = Event.derivePriceFromTicketTypes(updates.ticketTypes);
+        if (derivedPrice && updates.price) {
+          updates.price.amount = derivedPrice.amount;
+          updates.price.isFree = derivedPrice.isFree;
+        } else if (derivedPrice) {
+          updates['price.amount'] = derivedPrice.amount;
+          updates['price.isFree'] = derivedPrice.isFree;
+        }
+        
+        const totalTierCapacity = updates.ticketTypes.reduce((sum, type) => sum + (type.capacity || 0), 0);
+        if (totalTierCapacity > (updates.capacity || event.capacity)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Total ticket type capacity cannot exceed event capacity'
+          });
+        }
       }
       
       // If the event is already paid, ensure it stays paid
@@ -526,8 +611,7 @@ const eventController = {
       }
       
       // Check if user has permission (admin or organizer of this event)
-      if (req.user.role !== 'admin' && 
-          req.user._id.toString() !== event.organizer.toString()) {
+      if (!(await teamService.can(req.user, event, 'event.delete'))) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to delete this event'
@@ -536,6 +620,7 @@ const eventController = {
       
       // Delete event
       await Event.findByIdAndDelete(id);
+      await teamService.removeEventMembers(event._id);
       
       res.status(200).json({
         success: true,
@@ -581,23 +666,62 @@ const eventController = {
         });
       }
       
-      // Check if user has permission (admin or organizer of this event)
-      if (req.user.role !== 'admin' && 
-          req.user._id.toString() !== event.organizer.toString()) {
+      // Check if user has permission (admin, organizer or editor of this event)
+      if (!(await teamService.can(req.user, event, 'event.status'))) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to update this event'
         });
       }
       
+      // Canceling refunds every ticket, only the organizer and admins can do it
+      if (status === 'canceled' && event.status !== 'canceled' && !(await teamService.can(req.user, event, 'event.cancel'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer can cancel this event'
+        });
+      }
+      
+      if (event.status === 'canceled' && status !== 'canceled') {
+        return res.status(400).json({
+          success: false,
+          message: 'A canceled event cannot be reopened'
+        });
+      }
+      
+      const previousStatus = event.status;
+      
       // Update event status
       event.status = status;
       await event.save();
       
+      // Canceling a published event refunds every ticket in full
+      let refundJob = null;
+      if (status === 'canceled' && previousStatus === 'published') {
+        refundJob = await eventCancellationService.startCancellationRefunds(event, req.user, req.body.reason || 'Event canceled by the organizer');
+      }
+      
+      if (previousStatus !== status) {
+        await auditService.record(req, {
+          action: 'CHANGE_EVENT_STATUS',
+          entity: { type: 'event', id: event._id, label: event.title },
+          details: `Changed the status of "${event.title}" from ${previousStatus} to ${status}`,
+          before: { status: previousStatus },
+          after: { status },
+          metadata: {
+            reason: req.body.reason || null,
+            refundJobId: refundJob ? refundJob._id : null
+          }
+        });
+      }
+      
       res.status(200).json({
         success: true,
-        message: `Event status changed to ${status}`,
-        data: event
+        message: refundJob
+          ? `Event status changed to ${status}. Refunds for ${refundJob.items.length} purchase(s) have been started`
+          : `Event status changed to ${status}`,
+        data: event,
+        refundJob: refundJob ? { jobId: refundJob._id, status: refundJob.status, progress: refundJob.getProgress() } : undefined
       });
     } catch (error) {
       console.error('Change event status error:', error);
@@ -610,7 +734,7 @@ const eventController = {
   },
 
   /**
-   * Get event statistics (sold tickets, remaining capacity)
+   * Get event statistics (sold and held tickets, remaining capacity)
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -636,13 +760,13 @@ const eventController = {
         });
       }
       
-      // Get sold tickets count (excluding refunded tickets)
+      // Get sold tickets and free registrations count (excluding refunded tickets)
       const Ticket = require('../models/ticket');
       const soldTickets = await Ticket.aggregate([
         {
           $match: {
             eventId: event._id,
-            paymentStatus: { $in: ['paid', 'partially_refunded'] }
+            paymentStatus: { $in: Ticket.ATTENDING_STATUSES }
           }
         },
         {
@@ -671,9 +795,19 @@ const eventController = {
       ]);
       
       const soldCount = soldTickets.length > 0 ? soldTickets[0].totalSold : 0;
-      const remainingCapacity = Math.max(0, event.capacity - soldCount);
+      
+      // Seats held by buyers who are still paying are not available either
+      const Reservation = require('../models/reservation');
+      const heldCounts = await Reservation.getHeldCountsByType(event._id);
+      const heldCount = heldCounts.total;
+      const remainingCapacity = Math.max(0, event.capacity - soldCount - heldCount);
 
-      console.log(soldCount, remainingCapacity);
+      // Get sold and remaining tickets per ticket type
+      const ticketTypes = await pricingService.getTicketTypeStats(event, await feeService.getEventFeePlan(event));
+
+      // People waiting for seats to free up
+      const WaitlistEntry = require('../models/waitlist-entry');
+      const waitlistCount = await WaitlistEntry.countDocuments({ eventId: event._id, status: 'waiting' });
       
       res.status(200).json({
         success: true,
@@ -682,8 +816,11 @@ const eventController = {
           eventId: event._id,
           totalCapacity: event.capacity,
           soldTickets: soldCount,
+          heldTickets: heldCount,
           remainingCapacity: remainingCapacity,
-          isSoldOut: remainingCapacity === 0
+          isSoldOut: remainingCapacity === 0,
+          waitlistCount: waitlistCount,
+          ticketTypes: ticketTypes
         }
       });
     } catch (error) {
@@ -695,6 +832,104 @@ const eventController = {
       });
     }
   },
+
+  /**
+   * Get the reminder emails of an event (available, active and sent)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getEventReminders: async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+      
+      if (!(await teamService.can(req.user, event, 'event.view'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this event'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: await eventReminderService.getEventReminders(event)
+      });
+    } catch (error) {
+      console.error('Get event reminders error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve event reminders',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Choose which reminder emails are sent for an event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  updateEventReminders: async (req, res) => {
+    try {
+      const { reminderOffsets } = req.body;
+      
+      if (!Array.isArray(reminderOffsets)) {
+        return res.status(400).json({
+          success: false,
+          message: `reminderOffsets must be a list of hours before the start (${Event.REMINDER_OFFSETS.join(', ')})`
+        });
+      }
+      
+      const event = await Event.findById(req.params.id);
+      
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+      
+      if (!(await teamService.can(req.user, event, 'event.edit'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this event'
+        });
+      }
+      
+      event.reminderOffsets = [...new Set(reminderOffsets.map(Number))];
+      await event.save();
+      
+      res.status(200).json({
+        success: true,
+        message: 'Event reminders updated successfully',
+        data: await eventReminderService.getEventReminders(event)
+      });
+    } catch (error) {
+      console.error('Update event reminders error:', error);
+      
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          error: validationErrors
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update event reminders',
+        error: error.message
+      });
+    }
+  },
 };
 
 module.exports = eventController; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+const organizerApplicationService = require('../services/organizer-application-service');
+
+/**
+ * Send the response for an error thrown by the organizer application service
+ * @param {Object} res - Response object
+ * @param {Error} error - Error
+ * @param {string} context - Log context
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, context, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Organizer Application Controller
+ * Lets users apply for organizer access and follow their application
+ */
+const organizerApplicationController = {
+  /**
+   * Get the current user's latest organizer application
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getMyApplication: async (req, res) => {
+    try {
+      const application = await organizerApplicationService.getMyApplication(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          application,
+          canApply: req.user.role === 'user' && (!application || application.status !== 'pending')
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Get organizer application', 'Failed to get organizer application');
+    }
+  },
+
+  /**
+   * Submit an organizer application
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  submitApplication: async (req, res) => {
+    try {
+      const application = await organizerApplicationService.submit(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Application submitted. We will email you once it has been reviewed.',
+        data: application
+      });
+    } catch (error) {
+      handleError(res, error, 'Submit organizer application', 'Failed to submit organizer application');
+    }
+  },
+
+  /**
+   * Update the current user's application while it is under review
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  updateApplication: async (req, res) => {
+    try {
+      const application = await organizerApplicationService.update(req.user, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Application updated successfully',
+        data: application
+      });
+    } catch (error) {
+      handleError(res, error, 'Update organizer application', 'Failed to update organizer application');
+    }
+  }
+};
+
+module.exports = organizerApplicationController;
@@ -1,5 +1,9 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
 const User = require('../models/user');
+const teamService = require('../services/team-service');
+const ledgerService = require('../services/ledger-service');
+const feeService = require('../services/fee-service');
 
 /**
  * Organizer Controller
@@ -112,7 +116,8 @@ const organizerController = {
           status: account.charges_enabled ? 'active' : 'pending',
           detailsSubmitted: account.details_submitted,
           chargesEnabled: account.charges_enabled,
-          payoutsEnabled: account.payouts_enabled
+          payoutsEnabled: account.payouts_enabled,
+          settlementMode: req.user.settlementMode
         }
       });
     } catch (error) {
@@ -125,6 +130,35 @@ const organizerController = {
     }
   },
   
+  /**
+   * Get the fee plan charged for new events and purchases of the organizer
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getFeePlan: async (req, res) => {
+    try {
+      const plan = feeService.snapshot(await feeService.getPlanForOrganizer(req.user));
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          name: plan.name,
+          ticketFee: plan.ticketFee,
+          passThrough: plan.passThrough,
+          listingFees: plan.listingFees,
+          listingFeeCurrency: plan.listingFeeCurrency
+        }
+      });
+    } catch (error) {
+      console.error('Get fee plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get fee plan',
+        error: error.message
+      });
+    }
+  },
+  
   /**
    * Create account link for onboarding
    * @param {Object} req - Request object
@@ -164,6 +198,7 @@ const organizerController = {
   
   /**
    * Get organizer's payment summary
+   * Finance team members of all events pass the organizer with ?organizerId
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -171,29 +206,51 @@ const organizerController = {
     try {
       const Ticket = require('../models/ticket');
       
-      // Check if user is organizer or admin
-      if (req.user.role !== 'organizer' && req.user.role !== 'admin') {
+      const organizerId = req.query.organizerId || req.user._id;
+      if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid organizer ID'
+        });
+      }
+      
+      // Check if user is the organizer, an admin or a finance team member of all events
+      if (!(await teamService.canViewPayouts(req.user, organizerId))) {
         return res.status(403).json({
           success: false,
-          message: 'Access denied. Organizer permission required.'
+          message: 'Access denied. Organizer or finance team permission required.'
         });
       }
       
       // Get all tickets for this organizer
-      const tickets = await Ticket.find({ organizer: req.user._id })
+      const tickets = await Ticket.find({ organizer: organizerId })
         .populate('eventId');
       
+      // Paid amounts come from the ledger, net of refunds
+      const balances = await ledgerService.getOrganizerBalances(organizerId);
+      const organizer = await User.findById(organizerId).select('settlementMode');
+      
       const summary = {
         totalTickets: tickets.length,
-        totalRevenue: 0,
-        platformFees: 0,
-        organizerPayments: 0,
+        totalRevenue: balances.organizerEarnings + balances.platformFees,
+        platformFees: balances.platformFees,
+        organizerPayments: balances.organizerEarnings,
+        pendingRevenue: 0, // Purchases waiting for their payment, included in the amounts above
+        refundedAmount: balances.refunded,
+        transferredAmount: balances.transferred,
+        balance: balances.organizerBalance, // Earned but not paid out yet
+        settlementMode: organizer ? organizer.settlementMode : 'transfer', // Destination charges are paid out with each purchase
+        totalDiscounts: 0, // Promo code discounts given on the revenue above
+        discountedTickets: 0,
         pendingTransfers: 0,
         completedTransfers: 0,
         failedTransfers: 0,
+        heldTransfers: 0, // On hold while a payment dispute is open
         paidTickets: 0,
         pendingTickets: 0,
         refundedTickets: 0,
+        freeTickets: 0, // Free registrations (RSVPs), no payment involved
+        canceledRegistrations: 0,
         totalAttendees: 0
       };
       
@@ -203,23 +260,26 @@ const organizerController = {
         summary.totalAttendees += ticket.quantity;
         
         // Count tickets by payment status
-        if (ticket.paymentStatus === 'paid') {
+        if (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded') {
           summary.paidTickets += ticket.quantity;
-          summary.totalRevenue += ticket.ticketPrice;
-          summary.platformFees += ticket.platformFee;
-          summary.organizerPayments += ticket.organizerPayment;
         } else if (ticket.paymentStatus === 'pending') {
           summary.pendingTickets += ticket.quantity;
-          summary.totalRevenue += ticket.ticketPrice;
-          summary.platformFees += ticket.platformFee;
-          summary.organizerPayments += ticket.organizerPayment;
-        } else if (ticket.paymentStatus === 'partially_refunded') {
-          summary.paidTickets += ticket.quantity;
+          summary.pendingRevenue += ticket.ticketPrice;
           summary.totalRevenue += ticket.ticketPrice;
           summary.platformFees += ticket.platformFee;
           summary.organizerPayments += ticket.organizerPayment;
         } else if (ticket.paymentStatus === 'refunded') {
           summary.refundedTickets += ticket.quantity;
+        } else if (ticket.paymentStatus === 'free') {
+          summary.freeTickets += ticket.quantity;
+        } else if (ticket.paymentStatus === 'canceled') {
+          summary.canceledRegistrations += ticket.quantity;
+        }
+        
+        // Revenue is already net of promo code discounts
+        if (['paid', 'pending', 'partially_refunded'].includes(ticket.paymentStatus) && ticket.getDiscountAmount() > 0) {
+          summary.totalDiscounts += ticket.getDiscountAmount();
+          summary.discountedTickets += ticket.quantity;
         }
         
         // Count transfer statuses
@@ -229,9 +289,15 @@ const organizerController = {
           summary.completedTransfers += ticket.quantity;
         } else if (ticket.organizerTransferStatus === 'failed') {
           summary.failedTransfers += ticket.quantity;
+        } else if (ticket.organizerTransferStatus === 'on_hold') {
+          summary.heldTransfers += ticket.quantity;
         }
       });
       
+      ['totalRevenue', 'platformFees', 'organizerPayments', 'pendingRevenue', 'totalDiscounts'].forEach(field => {
+        summary[field] = Math.round(summary[field] * 100) / 100;
+      });
+      
       res.status(200).json({
         success: true,
         data: summary
@@ -287,6 +353,8 @@ const organizerController = {
       const pendingTickets = tickets.filter(t => t.paymentStatus === 'pending');
       const refundedTickets = tickets.filter(t => t.paymentStatus === 'refunded');
       const partiallyRefundedTickets = tickets.filter(t => t.paymentStatus === 'partially_refunded');
+      const freeTickets = tickets.filter(t => t.paymentStatus === 'free');
+      const canceledRegistrations = tickets.filter(t => t.paymentStatus === 'canceled');
       
       // Calculate total attendees from all tickets (not just paid)
       const totalAttendees = tickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
@@ -304,6 +372,8 @@ const organizerController = {
         paidTickets: paidTickets.length + partiallyRefundedTickets.length,
         pendingTickets: pendingTickets.length,
         refundedTickets: refundedTickets.length + partiallyRefundedTickets.length,
+        freeTickets: freeTickets.length,
+        canceledRegistrations: canceledRegistrations.length,
         totalAttendees: totalAttendees,
         totalRevenue: totalRevenue,
         platformFees: platformFees,
@@ -315,7 +385,8 @@ const organizerController = {
       const transferStats = {
         pendingTransfers: tickets.filter(t => t.organizerTransferStatus === 'pending').length,
         completedTransfers: tickets.filter(t => t.organizerTransferStatus === 'completed').length,
-        failedTransfers: tickets.filter(t => t.organizerTransferStatus === 'failed').length
+        failedTransfers: tickets.filter(t => t.organizerTransferStatus === 'failed').length,
+        heldTransfers: tickets.filter(t => t.organizerTransferStatus === 'on_hold').length
       };
       
       // Calculate monthly revenue for the last 6 months
@@ -341,11 +412,19 @@ const organizerController = {
                            monthPartiallyRefundedTickets.reduce((sum, ticket) => sum + ticket.ticketPrice, 0);
         const monthTicketsCount = monthTickets.reduce((sum, ticket) => sum + ticket.quantity, 0) + 
                                  monthPartiallyRefundedTickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
+        const monthRegistrations = freeTickets
+          .filter(ticket => {
+            const ticketDate = new Date(ticket.purchasedAt);
+            return ticketDate.getFullYear() === month.getFullYear() && 
+                   ticketDate.getMonth() === month.getMonth();
+          })
+          .reduce((sum, ticket) => sum + ticket.quantity, 0);
         
         monthlyRevenue.push({
           month: monthKey,
           revenue: monthRevenue,
-          tickets: monthTicketsCount
+          tickets: monthTicketsCount,
+          registrations: monthRegistrations
         });
       }
       
@@ -355,7 +434,8 @@ const organizerController = {
         .slice(0, 5)
         .map(event => {
           const eventTickets = tickets.filter(t => 
-            typeof t.eventId === 'object' && t.eventId._id.toString() === event._id.toString()
+            typeof t.eventId === 'object' && t.eventId._id.toString() === event._id.toString() &&
+            t.paymentStatus !== 'canceled'
           );
           const soldTickets = eventTickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
           const eventRevenue = eventTickets
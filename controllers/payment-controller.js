@@ -1,9 +1,9 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Event = require('../models/event');
-const Ticket = require('../models/ticket');
-const User = require('../models/user');
-const emailService = require('../utils/email');
-const { paymentNotifications: paymentNotificationsTemplate } = require('../utils/email-templates');
+const auditService = require('../services/audit-service');
+const teamService = require('../services/team-service');
+const webhookService = require('../services/webhook-service');
+const feeService = require('../services/fee-service');
 
 /**
  * Payment Controller
@@ -17,9 +17,9 @@ const paymentController = {
    */
   createCheckoutSession: async (req, res) => {
     try {
-      const { eventId, amount, currency, eventTitle } = req.body;
+      const { eventId } = req.body;
       
-      if (!eventId || !amount || !currency) {
+      if (!eventId) {
         return res.status(400).json({
           success: false,
           message: 'Missing required parameters'
@@ -43,7 +43,7 @@ const paymentController = {
       console.log('User Role:', req.user.role);
       console.log('IDs match:', req.user._id.toString() === event.organizer.toString());
       
-      if (req.user._id.toString() !== event.organizer.toString() && req.user.role !== 'admin') {
+      if (!(await teamService.can(req.user, event, 'event.pay'))) {
         console.log('Authorization failed - user not authorized to pay for this event');
         return res.status(403).json({
           success: false,
@@ -61,18 +61,36 @@ const paymentController = {
         });
       }
       
+      // The listing fee is computed from the fee plan of the event and its current duration
+      const feePlan = await feeService.getEventFeePlan(event);
+      const listingFee = feeService.calculateListingFee(feePlan, event.startDate, event.endDate);
+      
+      if (listingFee.amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This event has no listing fee to pay'
+        });
+      }
+      
+      // Keep the fee that is charged on the event (events created before fee plans get their plan copied)
+      const feeUpdate = { 'price.platformFee': listingFee.amount };
+      if (!event.feePlan || !event.feePlan.snapshotAt) {
+        feeUpdate.feePlan = feeService.snapshot(feePlan);
+      }
+      await Event.updateOne({ _id: event._id }, { $set: feeUpdate });
+      
       // Create a Stripe checkout session
       const session = await stripe.checkout.sessions.create({
         payment_method_types: ['card'],
         line_items: [
           {
             price_data: {
-              currency: currency.toLowerCase(),
+              currency: listingFee.currency.toLowerCase(),
               product_data: {
-                name: `Platform Fee for: ${eventTitle || 'Event'}`,
+                name: `Platform Fee for: ${event.title || 'Event'}`,
                 description: 'One-time platform fee for event creation',
               },
-              unit_amount: Math.round(amount * 100), // Convert to cents
+              unit_amount: Math.round(listingFee.amount * 100), // Convert to cents
             },
             quantity: 1,
           },
@@ -82,7 +100,9 @@ const paymentController = {
         cancel_url: `${process.env.FRONTEND_URL}/payment/cancel?event_id=${eventId}`,
         metadata: {
           eventId: eventId,
-          userId: req.user._id.toString()
+          userId: req.user._id.toString(),
+          listingFee: listingFee.amount.toString(),
+          durationHours: listingFee.durationHours.toString()
         }
       });
       
@@ -91,7 +111,9 @@ const paymentController = {
         message: 'Checkout session created',
         data: {
           sessionId: session.id,
-          sessionUrl: session.url
+          sessionUrl: session.url,
+          amount: listingFee.amount,
+          currency: listingFee.currency
         }
       });
     } catch (error) {
@@ -106,6 +128,8 @@ const paymentController = {
   
   /**
    * Handle Stripe webhook events
+   * Every event is stored first, events Stripe delivers again are acknowledged without
+   * processing them twice and failed handlers are retried by the scheduler
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -115,7 +139,7 @@ const paymentController = {
     
     try {
       event = stripe.webhooks.constructEvent(
-        req.rawBody, 
+        Buffer.isBuffer(req.body) ? req.body : req.rawBody,
         sig, 
         process.env.STRIPE_WEBHOOK_SECRET
       );
@@ -124,299 +148,20 @@ const paymentController = {
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
     
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        
-        // Extract metadata
-        const { eventId, userId } = session.metadata;
-        
-        if (eventId) {
-          try {
-            // Find the event first to check its current status
-            const eventDoc = await Event.findById(eventId);
-            
-            if (!eventDoc) {
-              console.error(`Event ${eventId} not found`);
-              break;
-            }
-            
-            // Update the event to mark as paid
-            const updateData = { 
-              isPaid: true,
-              paidAt: new Date(),
-              paymentId: session.id
-            };
-            
-            // If event is in pending_payment status, publish it
-            if (eventDoc.status === 'pending_payment') {
-              updateData.status = 'published';
-            }
-            
-            await Event.findByIdAndUpdate(eventId, updateData);
-            
-            // Send successful payment notification email
-            try {
-              const organizer = await User.findById(eventDoc.organizer);
-              if (organizer) {
-                const paymentEmailHtml = paymentNotificationsTemplate.generateSuccessfulPaymentEmail({
-                  userName: organizer.firstName,
-                  eventTitle: eventDoc.title,
-                  amount: session.amount_total / 100, // Convert from cents
-                  currency: session.currency.toUpperCase(),
-                  paymentId: session.id,
-                  eventUrl: `${process.env.FRONTEND_URL}/events/${eventDoc.slug}`
-                });
-                const paymentEmailText = paymentNotificationsTemplate.generateSuccessfulPaymentText({
-                  userName: organizer.firstName,
-                  eventTitle: eventDoc.title,
-                  amount: session.amount_total / 100,
-                  currency: session.currency.toUpperCase(),
-                  paymentId: session.id,
-                  eventUrl: `${process.env.FRONTEND_URL}/events/${eventDoc.slug}`
-                });
-
-                await emailService.sendEmail({
-                  to: organizer.email,
-                  subject: 'Payment Successful - Zafo',
-                  html: paymentEmailHtml,
-                  text: paymentEmailText
-                });
-
-                console.log(`Payment success email sent to ${organizer.email}`);
-              }
-            } catch (emailError) {
-              console.error('Failed to send payment success email:', emailError);
-              // Don't fail payment processing if email fails
-            }
-            
-            console.log(`Payment for event ${eventId} completed successfully`);
-          } catch (error) {
-            console.error('Error updating event payment status:', error);
-          }
-        }
-        break;
-        
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        
-        // Check if this is a ticket payment
-        if (paymentIntent.metadata && paymentIntent.metadata.eventId && paymentIntent.metadata.attendeeId) {
-          try {
-            // Find the ticket
-            const ticket = await Ticket.findOne({ stripePaymentIntentId: paymentIntent.id });
-            
-            if (ticket) {
-              // Update ticket payment status
-              ticket.paymentStatus = 'paid';
-              await ticket.save();
-              
-              console.log(`Ticket payment completed for ticket ${ticket._id}`);
-            }
-          } catch (error) {
-            console.error('Error updating ticket payment status:', error);
-          }
-        }
-        break;
-        
-              case 'payment_intent.payment_failed':
-        const failedPaymentIntent = event.data.object;
-        
-        // Check if this is a ticket payment
-        if (failedPaymentIntent.metadata && failedPaymentIntent.metadata.eventId && failedPaymentIntent.metadata.attendeeId) {
-          try {
-            // Find the ticket
-            const ticket = await Ticket.findOne({ stripePaymentIntentId: failedPaymentIntent.id });
-            
-            if (ticket) {
-              // Update ticket payment status
-              ticket.paymentStatus = 'failed';
-              await ticket.save();
-              
-              // Send failed payment notification email
-              try {
-                const attendee = await User.findById(ticket.attendee);
-                const event = await Event.findById(ticket.eventId);
-                
-                if (attendee && event) {
-                  const failedPaymentEmailHtml = paymentNotificationsTemplate.generateFailedPaymentEmail({
-                    userName: attendee.firstName,
-                    eventTitle: event.title,
-                    amount: ticket.ticketPrice,
-                    currency: ticket.currency,
-                    errorMessage: failedPaymentIntent.last_payment_error?.message || 'Payment processing failed',
-                    retryUrl: `${process.env.FRONTEND_URL}/payment/event/${event._id}`
-                  });
-                  const failedPaymentEmailText = paymentNotificationsTemplate.generateFailedPaymentText({
-                    userName: attendee.firstName,
-                    eventTitle: event.title,
-                    amount: ticket.ticketPrice,
-                    currency: ticket.currency,
-                    errorMessage: failedPaymentIntent.last_payment_error?.message || 'Payment processing failed',
-                    retryUrl: `${process.env.FRONTEND_URL}/payment/event/${event._id}`
-                  });
-
-                  await emailService.sendEmail({
-                    to: attendee.email,
-                    subject: 'Payment Failed - Zafo',
-                    html: failedPaymentEmailHtml,
-                    text: failedPaymentEmailText
-                  });
-
-                  console.log(`Payment failure email sent to ${attendee.email}`);
-                }
-              } catch (emailError) {
-                console.error('Failed to send payment failure email:', emailError);
-                // Don't fail payment processing if email fails
-              }
-              
-              console.log(`Ticket payment failed for ticket ${ticket._id}`);
-            }
-          } catch (error) {
-            console.error('Error updating ticket payment status:', error);
-          }
-        }
-        break;
-        
-      case 'charge.refunded':
-        const refund = event.data.object;
-        
-        // Check if this is a ticket refund
-        if (refund.metadata && refund.metadata.ticketId) {
-          try {
-            // Find the ticket
-            const ticket = await Ticket.findById(refund.metadata.ticketId);
-            
-            if (ticket) {
-              // Parse refunded tickets from metadata
-              const refundedTickets = refund.metadata.refundedTickets ? 
-                JSON.parse(refund.metadata.refundedTickets) : [];
-              
-              // Update ticket refund status
-              ticket.refundStatus = 'completed';
-              ticket.refundedAt = new Date();
-              ticket.refundAmount = refund.amount / 100; // Convert from cents
-              
-              // Update individual ticket status
-              if (refundedTickets.length > 0) {
-                ticket.ticketDetails.forEach(detail => {
-                  if (refundedTickets.includes(detail.ticketNumber)) {
-                    detail.refundStatus = 'completed';
-                    detail.refundedAt = new Date();
-                  }
-                });
-                
-                // Update payment status based on refund amount
-                if (ticket.refundAmount >= ticket.ticketPrice) {
-                  ticket.paymentStatus = 'refunded';
-                } else {
-                  ticket.paymentStatus = 'partially_refunded';
-                }
-              } else {
-                // Full refund
-                ticket.paymentStatus = 'refunded';
-                ticket.ticketDetails.forEach(detail => {
-                  detail.refundStatus = 'completed';
-                  detail.refundedAt = new Date();
-                });
-              }
-              
-              await ticket.save();
-              
-              // Send refund notification email
-              try {
-                const attendee = await User.findById(ticket.attendee);
-                const event = await Event.findById(ticket.eventId);
-                
-                if (attendee && event) {
-                  const refundEmailHtml = paymentNotificationsTemplate.generateRefundEmail({
-                    userName: attendee.firstName,
-                    eventTitle: event.title,
-                    refundAmount: ticket.refundAmount,
-                    currency: ticket.currency,
-                    refundId: refund.id,
-                    reason: refund.metadata?.reason || 'Refund requested'
-                  });
-                  const refundEmailText = paymentNotificationsTemplate.generateRefundText({
-                    userName: attendee.firstName,
-                    eventTitle: event.title,
-                    refundAmount: ticket.refundAmount,
-                    currency: ticket.currency,
-                    refundId: refund.id,
-                    reason: refund.metadata?.reason || 'Refund requested'
-                  });
-
-                  await emailService.sendEmail({
-                    to: attendee.email,
-                    subject: 'Refund Processed - Zafo',
-                    html: refundEmailHtml,
-                    text: refundEmailText
-                  });
-
-                  console.log(`Refund email sent to ${attendee.email}`);
-                }
-              } catch (emailError) {
-                console.error('Failed to send refund email:', emailError);
-                // Don't fail refund processing if email fails
-              }
-              
-              console.log(`Ticket refund completed for ticket ${ticket._id}`);
-            }
-          } catch (error) {
-            console.error('Error updating ticket refund status:', error);
-          }
-        }
-        break;
-        
-      case 'transfer.created':
-        const transfer = event.data.object;
-        
-        // Check if this is an organizer transfer
-        if (transfer.metadata && transfer.metadata.ticketId) {
-          try {
-            // Find the ticket
-            const ticket = await Ticket.findById(transfer.metadata.ticketId);
-            
-            if (ticket) {
-              // Update ticket transfer status
-              ticket.organizerTransferStatus = 'completed';
-              ticket.stripeTransferId = transfer.id;
-              ticket.organizerTransferDate = new Date();
-              await ticket.save();
-              
-              console.log(`Organizer transfer completed for ticket ${ticket._id}`);
-            }
-          } catch (error) {
-            console.error('Error updating ticket transfer status:', error);
-          }
-        }
-        break;
-        
-      case 'transfer.failed':
-        const failedTransfer = event.data.object;
-        
-        // Check if this is an organizer transfer
-        if (failedTransfer.metadata && failedTransfer.metadata.ticketId) {
-          try {
-            // Find the ticket
-            const ticket = await Ticket.findById(failedTransfer.metadata.ticketId);
-            
-            if (ticket) {
-              // Update ticket transfer status
-              ticket.organizerTransferStatus = 'failed';
-              await ticket.save();
-              
-              console.log(`Organizer transfer failed for ticket ${ticket._id}`);
-            }
-          } catch (error) {
-            console.error('Error updating ticket transfer status:', error);
-          }
-        }
-        break;
-        
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+    try {
+      const { webhookEvent, isDuplicate } = await webhookService.receive(event);
+      
+      if (isDuplicate) {
+        console.log(`Webhook event ${event.id} (${event.type}) received again, status ${webhookEvent.status}`);
+        return res.json({ received: true, duplicate: true });
+      }
+      
+      // Failed handlers are retried with backoff, Stripe does not need to redeliver the event
+      await webhookService.process(webhookEvent);
+    } catch (error) {
+      // The event could not be stored, let Stripe deliver it again
+      console.error('Webhook processing error:', error);
+      return res.status(500).json({ received: false });
     }
     
     // Return a response to acknowledge receipt of the event
@@ -466,6 +211,18 @@ const paymentController = {
             
             await Event.findByIdAndUpdate(eventId, updateData);
             
+            if (updateData.status) {
+              await auditService.record(req, {
+                action: 'CHANGE_EVENT_STATUS',
+                actor: req.user || null,
+                entity: { type: 'event', id: event._id, label: event.title },
+                details: `Published "${event.title}" after the listing fee payment was verified`,
+                before: { status: event.status },
+                after: { status: updateData.status },
+                metadata: { source: 'payment_verification', checkoutSessionId: session.id }
+              });
+            }
+            
             console.log(`Payment for event ${eventId} verified and updated via direct check`);
           }
         } catch (stripeError) {
@@ -476,7 +233,7 @@ const paymentController = {
       
       // Verify that the current user is the event organizer if user is authenticated
       // Skip this check if the session ID was provided
-      if (!sessionId && req.user && req.user._id.toString() !== event.organizer.toString() && req.user.role !== 'admin') {
+      if (!sessionId && req.user && !(await teamService.can(req.user, event, 'event.view'))) {
         return res.status(403).json({
           success: false,
           message: 'You are not authorized to check payment status for this event'
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event');
+const PromoCode = require('../models/promo-code');
+const pricingService = require('../services/pricing-service');
+const promoCodeService = require('../services/promo-code-service');
+const feeService = require('../services/fee-service');
+
+/**
+ * Find an event by ID or slug
+ * @param {string} idOrSlug - Event ID or slug
+ * @returns {Promise<Object|null>} Event document
+ */
+const findEvent = (idOrSlug) => {
+  const query = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: idOrSlug };
+
+  return Event.findOne(query);
+};
+
+/**
+ * Find a promo code the current user can manage
+ * @param {string} id - Promo code ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object|null>} Promo code document or null if not found
+ */
+const findOwnPromoCode = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const promoCode = await PromoCode.findById(id);
+  if (!promoCode || (user.role !== 'admin' && promoCode.organizer.toString() !== user._id.toString())) {
+    return null;
+  }
+
+  return promoCode;
+};
+
+/**
+ * Send the response for an error thrown by the promo code or pricing service
+ * @param {Object} res - Response object
+ * @param {Error} error - Error
+ * @param {string} context - Log context
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, context, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Promo Code Controller
+ * Handles organizer promo codes and their validation at checkout
+ */
+const promoCodeController = {
+  /**
+   * Get the promo codes of the current organizer
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getPromoCodes: async (req, res) => {
+    try {
+      const filters = {};
+      if (req.query.eventId) {
+        filters.eventId = req.query.eventId;
+      }
+      if (req.query.isActive !== undefined) {
+        filters.isActive = req.query.isActive === 'true';
+      }
+
+      const promoCodes = await promoCodeService.listForOrganizer(req.user._id, filters);
+
+      res.status(200).json({
+        success: true,
+        data: promoCodes
+      });
+    } catch (error) {
+      handleError(res, error, 'Get promo codes', 'Failed to get promo codes');
+    }
+  },
+
+  /**
+   * Get a promo code with its usage
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getPromoCode: async (req, res) => {
+    try {
+      const promoCode = await findOwnPromoCode(req.params.id, req.user);
+
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found'
+        });
+      }
+
+      const stats = await promoCodeService.getUsageStats([promoCode._id]);
+
+      res.status(200).json({
+        success: true,
+        data: promoCodeService.format(promoCode, stats[promoCode._id.toString()])
+      });
+    } catch (error) {
+      handleError(res, error, 'Get promo code', 'Failed to get promo code');
+    }
+  },
+
+  /**
+   * Create a promo code
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  createPromoCode: async (req, res) => {
+    try {
+      const promoCode = await promoCodeService.create(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Promo code created successfully',
+        data: promoCodeService.format(promoCode)
+      });
+    } catch (error) {
+      handleError(res, error, 'Create promo code', 'Failed to create promo code');
+    }
+  },
+
+  /**
+   * Update a promo code
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  updatePromoCode: async (req, res) => {
+    try {
+      const promoCode = await findOwnPromoCode(req.params.id, req.user);
+
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found'
+        });
+      }
+
+      await promoCodeService.update(promoCode, req.body);
+      const stats = await promoCodeService.getUsageStats([promoCode._id]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Promo code updated successfully',
+        data: promoCodeService.format(promoCode, stats[promoCode._id.toString()])
+      });
+    } catch (error) {
+      handleError(res, error, 'Update promo code', 'Failed to update promo code');
+    }
+  },
+
+  /**
+   * Delete a promo code that was never used
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  deletePromoCode: async (req, res) => {
+    try {
+      const promoCode = await findOwnPromoCode(req.params.id, req.user);
+
+      if (!promoCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found'
+        });
+      }
+
+      await promoCodeService.remove(promoCode);
+
+      res.status(200).json({
+        success: true,
+        message: 'Promo code deleted successfully'
+      });
+    } catch (error) {
+      handleError(res, error, 'Delete promo code', 'Failed to delete promo code');
+    }
+  },
+
+  /**
+   * Validate a promo code for an event and get the discounted price
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  validatePromoCode: async (req, res) => {
+    try {
+      const { code, ticketTypeId, quantity = 1 } = req.body;
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be at least 1'
+        });
+      }
+
+      const event = await findEvent(req.params.idOrSlug);
+
+      if (!event || event.status !== 'published') {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const feePlan = await feeService.getEventFeePlan(event);
+      const baseQuote = pricingService.quote(event, ticketTypeId, quantity, { feePlan });
+      const promoCode = await promoCodeService.validate(event, code, baseQuote.ticketType, req.user._id);
+      const quote = pricingService.quote(event, ticketTypeId, quantity, { promoCode, feePlan });
+
+      res.status(200).json({
+        success: true,
+        message: 'Promo code is valid',
+        data: {
+          code: promoCode.code,
+          description: promoCode.description,
+          discountType: promoCode.discountType,
+          discountValue: promoCode.discountValue,
+          validUntil: promoCode.validUntil,
+          ticketType: {
+            ticketTypeId: quote.ticketType._id,
+            name: quote.ticketType.name
+          },
+          currency: quote.currency,
+          quantity,
+          listPrice: quote.listPrice,
+          discountPerTicket: quote.discountPerTicket,
+          unitPrice: quote.unitPrice,
+          discountAmount: quote.discountAmount,
+          buyerFee: quote.buyerFee,
+          totalAmount: quote.totalAmount
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Validate promo code', 'Failed to validate promo code');
+    }
+  }
+};
+
+module.exports = promoCodeController;
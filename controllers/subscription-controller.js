@@ -0,0 +1,146 @@
+const subscriptionService = require('../services/subscription-service');
+const auditService = require('../services/audit-service');
+
+// Subscription fields kept in the audit log
+const AUDITED_SUBSCRIPTION_FIELDS = ['subscription.plan', 'subscription.status', 'subscription.cancelAtPeriodEnd'];
+
+/**
+ * Send the response for an error thrown by the subscription service
+ * @param {Object} res - Response object
+ * @param {Error} error - Error
+ * @param {string} context - Log context
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, context, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Move the current organizer to another plan and respond with the result
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} direction - upgrade or downgrade
+ */
+const changePlan = async (req, res, direction) => {
+  const before = auditService.snapshot(req.user, AUDITED_SUBSCRIPTION_FIELDS);
+  const { plan, subscription, clientSecret } = await subscriptionService.changePlan(req.user, req.body.plan, direction);
+
+  await auditService.record(req, {
+    action: 'CHANGE_SUBSCRIPTION_PLAN',
+    entity: { type: 'organizer', id: req.user._id, label: req.user.email },
+    details: `Requested the ${direction} of ${req.user.email} to the ${plan.name} plan`,
+    before,
+    after: auditService.snapshot(req.user, AUDITED_SUBSCRIPTION_FIELDS)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: clientSecret
+      ? `Complete the payment to start the ${plan.name} plan`
+      : `Subscription changed to the ${plan.name} plan`,
+    data: {
+      plan,
+      status: subscription.status,
+      cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+      clientSecret
+    }
+  });
+};
+
+/**
+ * Subscription Controller
+ * Lets organizers see their subscription plan and upgrade, downgrade or cancel it
+ */
+const subscriptionController = {
+  /**
+   * Get the plan, subscription status and usage of the current organizer
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getSubscription: async (req, res) => {
+    try {
+      const summary = await subscriptionService.getSummary(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      handleError(res, error, 'Get subscription', 'Failed to get subscription');
+    }
+  },
+
+  /**
+   * Upgrade to a higher plan, a first subscription returns the client secret to pay it
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  upgradeSubscription: async (req, res) => {
+    try {
+      await changePlan(req, res, 'upgrade');
+    } catch (error) {
+      handleError(res, error, 'Upgrade subscription', 'Failed to upgrade subscription');
+    }
+  },
+
+  /**
+   * Downgrade to a lower plan (the Free plan cancels at the end of the period)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  downgradeSubscription: async (req, res) => {
+    try {
+      await changePlan(req, res, 'downgrade');
+    } catch (error) {
+      handleError(res, error, 'Downgrade subscription', 'Failed to downgrade subscription');
+    }
+  },
+
+  /**
+   * Cancel the subscription at the end of the paid period
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  cancelSubscription: async (req, res) => {
+    try {
+      const before = auditService.snapshot(req.user, AUDITED_SUBSCRIPTION_FIELDS);
+      const subscription = await subscriptionService.cancel(req.user);
+
+      await auditService.record(req, {
+        action: 'CANCEL_SUBSCRIPTION',
+        entity: { type: 'organizer', id: req.user._id, label: req.user.email },
+        details: `Canceled the subscription of ${req.user.email}`,
+        before,
+        after: auditService.snapshot(req.user, AUDITED_SUBSCRIPTION_FIELDS)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: subscription.cancel_at_period_end
+          ? 'Subscription canceled at the end of the period'
+          : 'Subscription canceled',
+        data: {
+          status: subscription.status,
+          cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+          currentPeriodEnd: req.user.subscription.currentPeriodEnd
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Cancel subscription', 'Failed to cancel subscription');
+    }
+  }
+};
+
+module.exports = subscriptionController;
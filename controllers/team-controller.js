@@ -0,0 +1,229 @@
+const teamService = require('../services/team-service');
+const auditService = require('../services/audit-service');
+const subscriptionService = require('../services/subscription-service');
+
+// Membership fields kept in the audit log
+const AUDITED_MEMBER_FIELDS = ['email', 'role', 'scope', 'event', 'status'];
+
+/**
+ * Send the response for an error thrown by the team service
+ * @param {Object} res - Response object
+ * @param {Error} error - Error
+ * @param {string} context - Log context
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, context, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Team Controller
+ * Lets organizers manage their event team and users answer team invitations
+ */
+const teamController = {
+  /**
+   * Get the team roles and what they can do
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getRoles: (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: teamService.getRoles()
+    });
+  },
+
+  /**
+   * Get the team of the current organizer
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getTeam: async (req, res) => {
+    try {
+      const members = await teamService.listTeam(req.user, { eventId: req.query.eventId });
+
+      res.status(200).json({
+        success: true,
+        data: members.map(member => teamService.format(member))
+      });
+    } catch (error) {
+      handleError(res, error, 'Get team', 'Failed to get team members');
+    }
+  },
+
+  /**
+   * Invite someone to the team for one event or all events
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  inviteMember: async (req, res) => {
+    try {
+      // The team size is limited by the subscription plan of the organizer
+      await subscriptionService.checkTeamLimit(req.user, req.body.email);
+      const member = await teamService.invite(req.user, req.body);
+
+      await auditService.record(req, {
+        action: 'INVITE_TEAM_MEMBER',
+        entity: { type: 'team_member', id: member._id, label: member.email },
+        details: `Invited ${member.email} to the team as ${member.role}`,
+        after: auditService.snapshot(member, AUDITED_MEMBER_FIELDS)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${member.email}`,
+        data: teamService.format(member)
+      });
+    } catch (error) {
+      handleError(res, error, 'Invite team member', 'Failed to invite team member');
+    }
+  },
+
+  /**
+   * Change the role or scope of a team member
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  updateMember: async (req, res) => {
+    try {
+      const { before, member } = await teamService.updateMember(req.user, req.params.id, req.body);
+
+      await auditService.record(req, {
+        action: 'UPDATE_TEAM_MEMBER',
+        entity: { type: 'team_member', id: member._id, label: member.email },
+        details: `Changed the team access of ${member.email}`,
+        before: auditService.snapshot(before, AUDITED_MEMBER_FIELDS),
+        after: auditService.snapshot(member, AUDITED_MEMBER_FIELDS)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Team member updated successfully',
+        data: teamService.format(member)
+      });
+    } catch (error) {
+      handleError(res, error, 'Update team member', 'Failed to update team member');
+    }
+  },
+
+  /**
+   * Remove a team member or withdraw an invitation
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  removeMember: async (req, res) => {
+    try {
+      const member = await teamService.removeMember(req.user, req.params.id);
+
+      await auditService.record(req, {
+        action: 'REMOVE_TEAM_MEMBER',
+        entity: { type: 'team_member', id: member._id, label: member.email },
+        details: member.status === 'pending'
+          ? `Withdrew the team invitation of ${member.email}`
+          : `Removed ${member.email} from the team`,
+        before: auditService.snapshot(member, AUDITED_MEMBER_FIELDS)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Team member removed successfully'
+      });
+    } catch (error) {
+      handleError(res, error, 'Remove team member', 'Failed to remove team member');
+    }
+  },
+
+  /**
+   * Get the pending team invitations of the current user
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getMyInvitations: async (req, res) => {
+    try {
+      const invitations = await teamService.listInvitations(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: invitations.map(invitation => teamService.format(invitation))
+      });
+    } catch (error) {
+      handleError(res, error, 'Get team invitations', 'Failed to get team invitations');
+    }
+  },
+
+  /**
+   * Get the teams the current user is a member of
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getMyTeams: async (req, res) => {
+    try {
+      const memberships = await teamService.listMemberships(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: memberships.map(membership => teamService.format(membership))
+      });
+    } catch (error) {
+      handleError(res, error, 'Get teams', 'Failed to get teams');
+    }
+  },
+
+  /**
+   * Accept a team invitation
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  acceptInvitation: async (req, res) => {
+    try {
+      const member = await teamService.respondToInvitation(req.user, req.params.id, true);
+
+      await auditService.record(req, {
+        action: 'ACCEPT_TEAM_INVITATION',
+        entity: { type: 'team_member', id: member._id, label: member.email },
+        details: `Joined the team as ${member.role}`,
+        metadata: { organizer: member.organizer, event: member.event }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation accepted. You are now a member of the team.',
+        data: teamService.format(member)
+      });
+    } catch (error) {
+      handleError(res, error, 'Accept team invitation', 'Failed to accept invitation');
+    }
+  },
+
+  /**
+   * Decline a team invitation
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  declineInvitation: async (req, res) => {
+    try {
+      await teamService.respondToInvitation(req.user, req.params.id, false);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation declined'
+      });
+    } catch (error) {
+      handleError(res, error, 'Decline team invitation', 'Failed to decline invitation');
+    }
+  }
+};
+
+module.exports = teamController;
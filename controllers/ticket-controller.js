@@ -3,8 +3,40 @@ const Ticket = require('../models/ticket');
 const Event = require('../models/event');
 const User = require('../models/user');
 const emailService = require('../utils/email');
+const pricingService = require('../services/pricing-service');
+const reservationService = require('../services/reservation-service');
+const waitlistService = require('../services/waitlist-service');
+const promoCodeService = require('../services/promo-code-service');
+const ticketPdfService = require('../services/ticket-pdf-service');
+const rsvpService = require('../services/rsvp-service');
+const auditService = require('../services/audit-service');
+const teamService = require('../services/team-service');
+const ledgerService = require('../services/ledger-service');
+const settlementService = require('../services/settlement-service');
+const feeService = require('../services/fee-service');
+const purchaseConfirmationService = require('../services/purchase-confirmation-service');
+const { quoteRefund } = require('../utils/refund-policy');
 const { userNotifications: userNotificationsTemplate } = require('../utils/email-templates');
 
+/**
+ * Get the ticket details a refund request applies to
+ * @param {Object} ticket - Ticket document
+ * @param {Array} refundTickets - Ticket numbers to refund (all refundable tickets if empty)
+ * @returns {Array} Refundable ticket details
+ */
+const selectRefundTickets = (ticket, refundTickets) => {
+  if (refundTickets && Array.isArray(refundTickets) && refundTickets.length > 0) {
+    // Partial refund - specific tickets
+    const validRefundTickets = refundTickets.filter(num => num !== null && num !== undefined);
+    return ticket.ticketDetails.filter(detail => 
+      validRefundTickets.includes(detail.ticketNumber) && detail.refundStatus === 'none'
+    );
+  }
+  
+  // Full refund - all tickets
+  return ticket.ticketDetails.filter(detail => detail.refundStatus === 'none');
+};
+
 /**
  * Ticket Controller
  * Handles all ticket-related operations including purchases, refunds, and transfers
@@ -17,9 +49,9 @@ const ticketController = {
    */
   createTicketPurchase: async (req, res) => {
     try {
-      const { eventId, ticketPrice, currency = 'CHF', quantity = 1, ticketDetails } = req.body;
+      const { eventId, ticketTypeId, quantity = 1, ticketDetails, promoCode } = req.body;
       
-      if (!eventId || !ticketPrice || !quantity || !ticketDetails) {
+      if (!eventId || !quantity || !ticketDetails) {
         return res.status(400).json({
           success: false,
           message: 'Missing required parameters'
@@ -79,32 +111,141 @@ const ticketController = {
         });
       }
       
-      // Calculate total amount and fees
-      const totalTicketPrice = ticketPrice * quantity;
-      // Platform fee is 10% per ticket, then multiplied by quantity
-      const platformFeePerTicket = Math.round(ticketPrice * 0.10 * 100) / 100;
-      const platformFee = platformFeePerTicket * quantity;
-      const organizerPaymentPerTicket = ticketPrice - platformFeePerTicket;
-      const organizerPayment = organizerPaymentPerTicket * quantity;
-      const totalAmount = totalTicketPrice; // Total amount is the ticket price (platform fee included)
+      // Calculate total amount and fees from the stored ticket type, promo code and fee plan
+      const feePlan = await feeService.getEventFeePlan(event);
+      let quote;
+      let appliedPromoCode = null;
+      try {
+        quote = pricingService.quote(event, ticketTypeId, quantity, { feePlan });
+        if (promoCode) {
+          appliedPromoCode = await promoCodeService.validate(event, promoCode, quote.ticketType, req.user._id);
+          quote = pricingService.quote(event, ticketTypeId, quantity, { promoCode: appliedPromoCode, feePlan });
+        }
+      } catch (pricingError) {
+        if (!pricingError.statusCode) {
+          throw pricingError;
+        }
+        return res.status(pricingError.statusCode).json({
+          success: false,
+          message: pricingError.message
+        });
+      }
+      
+      const {
+        ticketType,
+        listPrice,
+        discountPerTicket,
+        discountAmount,
+        unitPrice,
+        currency,
+        totalTicketPrice,
+        platformFee,
+        buyerFee,
+        organizerPayment,
+        totalAmount,
+        feePlan: feeSnapshot
+      } = quote;
+      
+      if (totalAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: appliedPromoCode
+            ? 'Promo code cannot cover the full ticket price'
+            : 'Free tickets are not paid, register for them through the RSVP endpoint'
+        });
+      }
+      
+      // Hold the seats while the payment is in progress (or use the seats held by a waitlist offer)
+      let reservation;
+      try {
+        reservation = await waitlistService.claimOffer(event, req.user._id, ticketType, quantity);
+        if (!reservation) {
+          reservation = await reservationService.reserve({
+            event,
+            ticketType,
+            quantity,
+            attendeeId: req.user._id
+          });
+        }
+      } catch (reservationError) {
+        if (!reservationError.statusCode) {
+          throw reservationError;
+        }
+        return res.status(reservationError.statusCode).json({
+          success: false,
+          message: reservationError.message
+        });
+      }
+      
+      // Take a use of the promo code with the seats, releasing the hold gives it back
+      if (appliedPromoCode) {
+        try {
+          await promoCodeService.reserveUse(appliedPromoCode, req.user._id, reservation._id);
+        } catch (promoCodeError) {
+          // Waitlist offers keep their seats until the offer expires
+          if (reservation.source !== 'waitlist') {
+            await reservationService.release({ _id: reservation._id }, 'released', 'promo_code_limit');
+          }
+          if (!promoCodeError.statusCode) {
+            throw promoCodeError;
+          }
+          return res.status(promoCodeError.statusCode).json({
+            success: false,
+            message: promoCodeError.message
+          });
+        }
+      }
+      
+      // Destination charges pay the organizer with the payment, less the platform fee
+      const settlementMode = settlementService.getSettlementMode(event.organizer);
+      let paymentIntentParams;
+      try {
+        paymentIntentParams = settlementService.getPaymentIntentParams(settlementMode, event.organizer, platformFee);
+      } catch (settlementError) {
+        // Waitlist offers keep their seats until the offer expires
+        if (reservation.source !== 'waitlist') {
+          await reservationService.release({ _id: reservation._id }, 'released', 'payment_intent_creation_failed');
+        }
+        return res.status(settlementError.statusCode || 400).json({
+          success: false,
+          message: settlementError.message
+        });
+      }
       
       // Create Stripe payment intent
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(totalAmount * 100), // Convert to cents
-        currency: currency.toLowerCase(),
-        metadata: {
-          eventId: eventId,
-          attendeeId: req.user._id.toString(),
-          organizerId: event.organizer._id.toString(),
-          ticketPrice: totalTicketPrice.toString(),
-          platformFee: platformFee.toString(),
-          organizerPayment: organizerPayment.toString(),
-          quantity: quantity.toString()
-        },
-        automatic_payment_methods: {
-          enabled: true,
-        },
-      });
+      let paymentIntent;
+      try {
+        paymentIntent = await stripe.paymentIntents.create({
+          amount: Math.round(totalAmount * 100), // Convert to cents
+          currency: currency.toLowerCase(),
+          ...paymentIntentParams,
+          metadata: {
+            eventId: eventId,
+            attendeeId: req.user._id.toString(),
+            organizerId: event.organizer._id.toString(),
+            reservationId: reservation._id.toString(),
+            ticketTypeId: ticketType._id ? ticketType._id.toString() : '',
+            ticketTypeName: ticketType.name,
+            ticketPrice: totalTicketPrice.toString(),
+            platformFee: platformFee.toString(),
+            organizerPayment: organizerPayment.toString(),
+            feePlan: feeSnapshot.name || '',
+            promoCode: appliedPromoCode ? appliedPromoCode.code : '',
+            discountAmount: discountAmount.toString(),
+            quantity: quantity.toString(),
+            settlementMode
+          },
+          automatic_payment_methods: {
+            enabled: true,
+          },
+        });
+      } catch (stripeError) {
+        // Waitlist offers keep their seats until the offer expires
+        if (reservation.source !== 'waitlist') {
+          await reservationService.release({ _id: reservation._id }, 'released', 'payment_intent_creation_failed');
+        }
+        throw stripeError;
+      }
       
       // Generate unique ticket numbers for this event
       let ticketNumbers;
@@ -126,22 +267,43 @@ const ticketController = {
         eventId: eventId,
         attendee: req.user._id,
         organizer: event.organizer._id,
+        ticketType: {
+          typeId: ticketType._id,
+          name: ticketType.name,
+          unitPrice: unitPrice
+        },
         quantity: quantity,
         ticketDetails: ticketDetails.map((detail, index) => ({
           attendeeName: detail.attendeeName,
           attendeeEmail: detail.attendeeEmail,
           ticketNumber: ticketNumbers[index] || `tk_${Date.now()}_${index}`
         })),
+        promoCode: appliedPromoCode ? {
+          codeId: appliedPromoCode._id,
+          code: appliedPromoCode.code,
+          discountType: appliedPromoCode.discountType,
+          discountValue: appliedPromoCode.discountValue,
+          listPrice: listPrice,
+          discountPerTicket: discountPerTicket
+        } : undefined,
         ticketPrice: totalTicketPrice,
         currency: currency,
+        feePlan: feeSnapshot,
         platformFee: platformFee,
         organizerPayment: organizerPayment,
         stripePaymentIntentId: paymentIntent.id,
+        settlementMode,
+        reservationId: reservation._id,
         paymentStatus: 'pending'
       });
       
       await ticket.save();
       
+      await reservationService.attachPayment(reservation._id, {
+        ticketId: ticket._id,
+        stripePaymentIntentId: paymentIntent.id
+      });
+      
       res.status(200).json({
         success: true,
         message: 'Ticket purchase initiated',
@@ -149,9 +311,20 @@ const ticketController = {
           ticketId: ticket._id,
           clientSecret: paymentIntent.client_secret,
           totalAmount: totalAmount,
+          currency: currency,
+          ticketType: {
+            ticketTypeId: ticketType._id,
+            name: ticketType.name,
+            listPrice: listPrice,
+            unitPrice: unitPrice
+          },
+          promoCode: appliedPromoCode ? appliedPromoCode.code : null,
+          discountAmount: discountAmount,
           platformFee: platformFee,
+          buyerFee: buyerFee,
           organizerPayment: organizerPayment,
-          quantity: quantity
+          quantity: quantity,
+          reservationExpiresAt: reservation.expiresAt
         }
       });
     } catch (error) {
@@ -235,36 +408,109 @@ const ticketController = {
         });
       }
       
-      // Get event price
+      // Calculate additional amount and fees from the ticket type of the existing purchase
       const event = existingTicket.eventId;
-      const ticketPrice = event.price.isFree ? 0 : event.price.amount;
+      const ticketTypeId = existingTicket.ticketType && existingTicket.ticketType.typeId;
+      
+      let quote;
+      try {
+        // Additional tickets get the same promo code discount and fees as the rest of the order
+        quote = pricingService.quote(event, ticketTypeId, additionalQuantity, {
+          existingQuantity: existingTicket.quantity,
+          discountPerTicket: existingTicket.promoCode && existingTicket.promoCode.discountPerTicket,
+          feePlan: feeService.getTicketFeePlan(existingTicket)
+        });
+      } catch (pricingError) {
+        return res.status(pricingError.statusCode || 400).json({
+          success: false,
+          message: pricingError.message
+        });
+      }
+      
+      const {
+        ticketType,
+        totalTicketPrice: additionalTicketPrice,
+        platformFee: additionalPlatformFee,
+        buyerFee: additionalBuyerFee,
+        organizerPayment: additionalOrganizerPayment,
+        totalAmount: additionalTotalAmount
+      } = quote;
+      
+      if (additionalTotalAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Free tickets cannot be purchased through payment'
+        });
+      }
+      
+      // Hold the additional seats while the payment is in progress
+      let reservation;
+      try {
+        reservation = await reservationService.reserve({
+          event,
+          ticketType,
+          quantity: additionalQuantity,
+          attendeeId: req.user._id,
+          existingTicketId: existingTicket._id
+        });
+      } catch (reservationError) {
+        if (!reservationError.statusCode) {
+          throw reservationError;
+        }
+        return res.status(reservationError.statusCode).json({
+          success: false,
+          message: reservationError.message
+        });
+      }
       
-      // Calculate additional amount and fees
-      const additionalTicketPrice = ticketPrice * additionalQuantity;
-      const additionalPlatformFeePerTicket = Math.round(ticketPrice * 0.10 * 100) / 100;
-      const additionalPlatformFee = additionalPlatformFeePerTicket * additionalQuantity;
-      const additionalOrganizerPaymentPerTicket = ticketPrice - additionalPlatformFeePerTicket;
-      const additionalOrganizerPayment = additionalOrganizerPaymentPerTicket * additionalQuantity;
-      const additionalTotalAmount = additionalTicketPrice;
+      // Additional tickets are settled like the rest of the purchase
+      let paymentIntentParams;
+      try {
+        paymentIntentParams = settlementService.getPaymentIntentParams(
+          existingTicket.settlementMode,
+          existingTicket.organizer,
+          additionalPlatformFee
+        );
+      } catch (settlementError) {
+        await reservationService.release({ _id: reservation._id }, 'released', 'payment_intent_creation_failed');
+        return res.status(settlementError.statusCode || 400).json({
+          success: false,
+          message: settlementError.message
+        });
+      }
       
       // Create Stripe payment intent for additional tickets
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(additionalTotalAmount * 100), // Convert to cents
-        currency: existingTicket.currency.toLowerCase(),
-        metadata: {
-          eventId: event._id.toString(),
-          attendeeId: req.user._id.toString(),
-          organizerId: existingTicket.organizer._id.toString(),
-          existingTicketId: existingTicketId,
-          additionalTicketPrice: additionalTicketPrice.toString(),
-          additionalPlatformFee: additionalPlatformFee.toString(),
-          additionalOrganizerPayment: additionalOrganizerPayment.toString(),
-          additionalQuantity: additionalQuantity.toString(),
-          isAdditionalPurchase: 'true'
-        },
-        automatic_payment_methods: {
-          enabled: true,
-        },
+      let paymentIntent;
+      try {
+        paymentIntent = await stripe.paymentIntents.create({
+          amount: Math.round(additionalTotalAmount * 100), // Convert to cents
+          currency: existingTicket.currency.toLowerCase(),
+          ...paymentIntentParams,
+          metadata: {
+            eventId: event._id.toString(),
+            attendeeId: req.user._id.toString(),
+            organizerId: existingTicket.organizer._id.toString(),
+            existingTicketId: existingTicketId,
+            reservationId: reservation._id.toString(),
+            ticketTypeId: ticketType._id ? ticketType._id.toString() : '',
+            ticketTypeName: ticketType.name,
+            additionalTicketPrice: additionalTicketPrice.toString(),
+            additionalPlatformFee: additionalPlatformFee.toString(),
+            additionalOrganizerPayment: additionalOrganizerPayment.toString(),
+            additionalQuantity: additionalQuantity.toString(),
+            isAdditionalPurchase: 'true'
+          },
+          automatic_payment_methods: {
+            enabled: true,
+          },
+        });
+      } catch (stripeError) {
+        await reservationService.release({ _id: reservation._id }, 'released', 'payment_intent_creation_failed');
+        throw stripeError;
+      }
+      
+      await reservationService.attachPayment(reservation._id, {
+        stripePaymentIntentId: paymentIntent.id
       });
       
       res.status(200).json({
@@ -275,9 +521,11 @@ const ticketController = {
           clientSecret: paymentIntent.client_secret,
           additionalTotalAmount: additionalTotalAmount,
           additionalPlatformFee: additionalPlatformFee,
+          additionalBuyerFee: additionalBuyerFee,
           additionalOrganizerPayment: additionalOrganizerPayment,
           additionalQuantity: additionalQuantity,
-          paymentIntentId: paymentIntent.id
+          paymentIntentId: paymentIntent.id,
+          reservationExpiresAt: reservation.expiresAt
         }
       });
     } catch (error) {
@@ -329,18 +577,43 @@ const ticketController = {
       // Verify payment with Stripe
       const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
       
+      // Make sure the payment intent belongs to this purchase
+      const metadata = paymentIntent.metadata || {};
+      if (metadata.isAdditionalPurchase !== 'true' || metadata.existingTicketId !== existingTicket._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment does not belong to this ticket purchase'
+        });
+      }
+      
       if (paymentIntent.status === 'succeeded') {
-        // Get event price
         const event = existingTicket.eventId;
-        const ticketPrice = event.price.isFree ? 0 : event.price.amount;
         const additionalQuantity = additionalTicketDetails.length;
         
-        // Calculate additional amounts
-        const additionalTicketPrice = ticketPrice * additionalQuantity;
-        const additionalPlatformFeePerTicket = Math.round(ticketPrice * 0.10 * 100) / 100;
-        const additionalPlatformFee = additionalPlatformFeePerTicket * additionalQuantity;
-        const additionalOrganizerPaymentPerTicket = ticketPrice - additionalPlatformFeePerTicket;
-        const additionalOrganizerPayment = additionalOrganizerPaymentPerTicket * additionalQuantity;
+        if (additionalQuantity !== parseInt(metadata.additionalQuantity)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Additional ticket details must match the paid quantity'
+          });
+        }
+        
+        // Count the held seats as sold and make sure they are only added once
+        if (metadata.reservationId) {
+          await reservationService.convert({ _id: metadata.reservationId });
+          
+          const reservation = await reservationService.markFulfilled({ _id: metadata.reservationId });
+          if (!reservation) {
+            return res.status(400).json({
+              success: false,
+              message: 'Additional tickets have already been added for this payment'
+            });
+          }
+        }
+        
+        // Use the amounts computed from the ticket type when the payment was created
+        const additionalTicketPrice = parseFloat(metadata.additionalTicketPrice);
+        const additionalPlatformFee = parseFloat(metadata.additionalPlatformFee);
+        const additionalOrganizerPayment = parseFloat(metadata.additionalOrganizerPayment);
         
         // Update existing ticket with additional tickets
         const currentQuantity = existingTicket.quantity;
@@ -362,9 +635,55 @@ const ticketController = {
         existingTicket.ticketPrice += additionalTicketPrice;
         existingTicket.platformFee += additionalPlatformFee;
         existingTicket.organizerPayment += additionalOrganizerPayment;
+        existingTicket.additionalPaymentIntentIds.push(paymentIntent.id);
         
         await existingTicket.save();
         
+        // Record the payment in the ledger (already done if the webhook arrived first)
+        try {
+          await ledgerService.recordCharge(existingTicket, paymentIntent);
+          await settlementService.recordDestinationTransfer(existingTicket, paymentIntent);
+        } catch (ledgerError) {
+          console.error('Failed to record additional ticket payment in the ledger:', ledgerError);
+        }
+        
+        // Send the new tickets as PDFs with a purchase confirmation email
+        try {
+          const additionalTicketNumbers = additionalDetails.map(detail => detail.ticketNumber);
+          let attachments = [];
+          try {
+            attachments = await ticketPdfService.generateForTicket(existingTicket, event, additionalTicketNumbers);
+          } catch (pdfError) {
+            console.error('Failed to generate ticket PDFs:', pdfError);
+          }
+          
+          const newTicketDetails = existingTicket.ticketDetails.filter(detail => additionalTicketNumbers.includes(detail.ticketNumber));
+          const emailData = {
+            userName: req.user.firstName,
+            eventTitle: event.title,
+            eventDate: event.startDate,
+            eventLocation: event.location.name,
+            quantity: additionalQuantity,
+            totalAmount: additionalTicketPrice,
+            currency: existingTicket.currency,
+            ticketDetails: newTicketDetails,
+            eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug}`
+          };
+          
+          await emailService.sendEmail({
+            to: req.user.email,
+            subject: 'Ticket Purchase Confirmation - Zafo',
+            html: userNotificationsTemplate.generateTicketPurchaseEmail(emailData),
+            text: userNotificationsTemplate.generateTicketPurchaseText(emailData),
+            attachments
+          });
+          
+          console.log(`Additional ticket confirmation email sent to ${req.user.email}`);
+        } catch (emailError) {
+          console.error('Failed to send additional ticket confirmation email:', emailError);
+          // Don't fail the merge if email fails
+        }
+        
         res.status(200).json({
           success: true,
           message: 'Additional tickets added successfully',
@@ -415,7 +734,37 @@ const ticketController = {
           message: 'Ticket not found'
         });
       }
-      
+
+      // Free registrations have no payment, and only pending tickets can be confirmed
+      if (!ticket.stripePaymentIntentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ticket has no payment to confirm'
+        });
+      }
+
+      // The webhook may have confirmed the payment first, confirming again is not an error
+      if (ticket.paymentStatus === 'paid') {
+        await purchaseConfirmationService.sendOnce(ticket);
+        return res.status(200).json({
+          success: true,
+          message: 'Ticket payment confirmed',
+          data: {
+            ticketId: ticket._id,
+            paymentStatus: ticket.paymentStatus,
+            totalAmount: ticket.ticketPrice + ticket.platformFee,
+            quantity: ticket.quantity
+          }
+        });
+      }
+
+      if (ticket.paymentStatus !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Ticket payment cannot be confirmed, it is ${ticket.paymentStatus}`
+        });
+      }
+
       // Verify payment with Stripe
       const paymentIntent = await stripe.paymentIntents.retrieve(ticket.stripePaymentIntentId);
       
@@ -424,49 +773,20 @@ const ticketController = {
         ticket.paymentStatus = 'paid';
         await ticket.save();
         
-        // Send ticket purchase confirmation email
+        // Record the payment in the ledger (already done if the webhook arrived first)
         try {
-          const attendee = await User.findById(ticket.attendee);
-          const event = await Event.findById(ticket.eventId);
-          
-          if (attendee && event) {
-            const ticketPurchaseEmailHtml = userNotificationsTemplate.generateTicketPurchaseEmail({
-              userName: attendee.firstName,
-              eventTitle: event.title,
-              eventDate: event.startDate,
-              eventLocation: event.location.name,
-              quantity: ticket.quantity,
-              totalAmount: ticket.ticketPrice,
-              currency: ticket.currency,
-              ticketDetails: ticket.ticketDetails,
-              eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug}`
-            });
-            const ticketPurchaseEmailText = userNotificationsTemplate.generateTicketPurchaseText({
-              userName: attendee.firstName,
-              eventTitle: event.title,
-              eventDate: event.startDate,
-              eventLocation: event.location.name,
-              quantity: ticket.quantity,
-              totalAmount: ticket.ticketPrice,
-              currency: ticket.currency,
-              ticketDetails: ticket.ticketDetails,
-              eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug}`
-            });
-
-            await emailService.sendEmail({
-              to: attendee.email,
-              subject: 'Ticket Purchase Confirmation - Zafo',
-              html: ticketPurchaseEmailHtml,
-              text: ticketPurchaseEmailText
-            });
-
-            console.log(`Ticket purchase confirmation email sent to ${attendee.email}`);
-          }
-        } catch (emailError) {
-          console.error('Failed to send ticket purchase confirmation email:', emailError);
-          // Don't fail payment confirmation if email fails
+          await ledgerService.recordCharge(ticket, paymentIntent);
+          await settlementService.recordDestinationTransfer(ticket, paymentIntent);
+        } catch (ledgerError) {
+          console.error('Failed to record ticket payment in the ledger:', ledgerError);
         }
         
+        // Convert the held seats to sold seats
+        await reservationService.convert({ stripePaymentIntentId: ticket.stripePaymentIntentId });
+        
+        // Send ticket purchase confirmation email with the PDF tickets (once, the webhook may send it too)
+        await purchaseConfirmationService.sendOnce(ticket);
+        
         res.status(200).json({
           success: true,
           message: 'Ticket payment confirmed',
@@ -495,6 +815,207 @@ const ticketController = {
       });
     }
   },
+
+  /**
+   * Register for free tickets of an event without a payment
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  registerForFreeEvent: async (req, res) => {
+    try {
+      const { eventId, ticketTypeId, quantity = 1, ticketDetails } = req.body;
+
+      if (!eventId || !ticketDetails) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required parameters'
+        });
+      }
+
+      const event = await Event.findById(eventId).populate('organizer');
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const ticket = await rsvpService.register(event, req.user, { ticketTypeId, quantity, ticketDetails });
+
+      res.status(201).json({
+        success: true,
+        message: 'Registration confirmed',
+        data: {
+          ticketId: ticket._id,
+          paymentStatus: ticket.paymentStatus,
+          totalAmount: 0,
+          currency: ticket.currency,
+          ticketType: {
+            ticketTypeId: ticket.ticketType.typeId,
+            name: ticket.ticketType.name
+          },
+          quantity: ticket.quantity,
+          ticketNumbers: ticket.ticketDetails.map(detail => detail.ticketNumber)
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Register for free event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register for event',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Cancel a free registration and give its seats back
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  cancelRsvp: async (req, res) => {
+    try {
+      const ticket = await Ticket.findById(req.params.ticketId)
+        .populate('eventId')
+        .populate('attendee', 'email');
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found'
+        });
+      }
+
+      await rsvpService.cancel(ticket, req.user);
+
+      // Attendees canceling their own registration are not audited, like refund requests
+      if (ticket.attendee._id.toString() !== req.user._id.toString()) {
+        await auditService.record(req, {
+          action: 'CANCEL_RSVP',
+          entity: { type: 'ticket', id: ticket._id, label: ticket.eventId.title },
+          details: `Canceled the registration of ${ticket.attendee.email} for "${ticket.eventId.title}"`,
+          before: { paymentStatus: 'free' },
+          after: { paymentStatus: ticket.paymentStatus }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Registration canceled',
+        data: {
+          ticketId: ticket._id,
+          paymentStatus: ticket.paymentStatus,
+          canceledAt: ticket.canceledAt
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Cancel RSVP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel registration',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Preview the refund of a ticket under the refund rules of the event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  previewTicketRefund: async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { refundTickets } = req.body; // refundTickets is array of ticket numbers to refund
+      
+      const ticket = await Ticket.findById(ticketId).populate('eventId');
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found'
+        });
+      }
+      
+      if (req.user._id.toString() !== ticket.attendee.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to refund this ticket'
+        });
+      }
+      
+      if (!ticket.eventId || typeof ticket.eventId === 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Event information not found'
+        });
+      }
+      
+      const ticketsToRefund = selectRefundTickets(ticket, refundTickets);
+      const quote = quoteRefund({
+        event: ticket.eventId,
+        unitPrice: ticket.getUnitPrice(),
+        ticketCount: ticketsToRefund.length
+      });
+      
+      let message = quote.message;
+      if (ticket.isRsvp()) {
+        message = 'Free registrations are canceled instead of refunded';
+      } else if (ticket.paymentStatus !== 'paid') {
+        message = 'Only paid tickets can be refunded';
+      } else if (ticket.refundStatus === 'requested') {
+        message = 'A refund has already been requested for this ticket';
+      } else if (ticketsToRefund.length === 0) {
+        message = 'No refundable tickets found';
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          ticketId: ticket._id,
+          isRefundable: !message,
+          message,
+          currency: ticket.currency,
+          refundPolicy: ticket.eventId.refundPolicy,
+          refundRules: quote.rules,
+          refundPercentage: quote.refundPercentage,
+          hoursBeforeStart: quote.hoursBeforeStart,
+          quantity: ticketsToRefund.length,
+          unitPrice: quote.unitPrice,
+          grossAmount: quote.grossAmount,
+          cancellationFee: quote.cancellationFee,
+          refundAmount: message ? 0 : quote.refundAmount,
+          refundedTickets: ticketsToRefund.map(t => ({
+            ticketNumber: t.ticketNumber,
+            attendeeName: t.attendeeName,
+            refundAmount: quote.refundPerTicket
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Preview ticket refund error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview ticket refund',
+        error: error.message
+      });
+    }
+  },
   
   /**
    * Request ticket refund
@@ -537,7 +1058,9 @@ const ticketController = {
       if (ticket.paymentStatus !== 'paid') {
         return res.status(400).json({
           success: false,
-          message: 'Only paid tickets can be refunded'
+          message: ticket.isRsvp()
+            ? 'Free registrations are canceled instead of refunded'
+            : 'Only paid tickets can be refunded'
         });
       }
       
@@ -549,75 +1072,45 @@ const ticketController = {
         });
       }
       
-      // Check if refund is possible (event must not be ended)
-      const eventEndDate = new Date(ticket.eventId.endDate);
-      const currentDate = new Date();
+      const ticketsToRefund = selectRefundTickets(ticket, refundTickets);
       
-      if (eventEndDate <= currentDate) {
+      if (ticketsToRefund.length === 0) {
         return res.status(400).json({
           success: false,
-          message: 'Refund is not possible after event end date'
+          message: 'No refundable tickets found'
         });
       }
       
-      // Determine which tickets to refund
-      let ticketsToRefund = [];
-      if (refundTickets && Array.isArray(refundTickets) && refundTickets.length > 0) {
-        // Partial refund - specific tickets
-        // Filter out null/undefined values first
-        const validRefundTickets = refundTickets.filter(num => num !== null && num !== undefined);
-        
-        console.log('Refund request debug:', {
-          refundTickets,
-          validRefundTickets,
-          ticketDetails: ticket.ticketDetails.map(d => ({ ticketNumber: d.ticketNumber, refundStatus: d.refundStatus }))
-        });
-        
-        ticketsToRefund = ticket.ticketDetails.filter(detail => 
-          validRefundTickets.includes(detail.ticketNumber) && detail.refundStatus === 'none'
-        );
-      } else {
-        // Full refund - all tickets
-        ticketsToRefund = ticket.ticketDetails.filter(detail => detail.refundStatus === 'none');
-      }
+      // Calculate refund amount under the refund rules of the event
+      const quote = quoteRefund({
+        event: ticket.eventId,
+        unitPrice: ticket.getUnitPrice(),
+        ticketCount: ticketsToRefund.length
+      });
       
-      if (ticketsToRefund.length === 0) {
+      if (!quote.isRefundable) {
         return res.status(400).json({
           success: false,
-          message: 'No refundable tickets found'
+          message: quote.message
         });
       }
       
-      // Calculate refund amount
-      const pricePerTicket = ticket.ticketPrice / ticket.quantity;
-      const totalRefundAmount = ticketsToRefund.length * pricePerTicket;
-      const cancellationFee = ticketsToRefund.length * 2.50; // 2.50 CHF per ticket
-      const refundAmount = Math.max(0, totalRefundAmount - cancellationFee);
+      const refundAmount = quote.refundAmount;
+      const cancellationFee = quote.cancellationFee;
       
       // Update ticket refund status
-      if (ticketsToRefund.length === ticket.quantity) {
-        // Full refund
-        ticket.refundStatus = 'requested';
-        ticket.refundAmount = refundAmount;
-        ticket.cancellationFee = cancellationFee;
-        ticket.refundReason = reason.trim();
-      } else {
-        // Partial refund
-        ticket.refundStatus = 'requested';
-        ticket.refundAmount = refundAmount;
-        ticket.cancellationFee = cancellationFee;
-        ticket.refundReason = reason.trim();
-        
-        // Update individual ticket status
-        ticketsToRefund.forEach(ticketDetail => {
-          const detail = ticket.ticketDetails.find(d => d.ticketNumber === ticketDetail.ticketNumber);
-          if (detail) {
-            detail.refundStatus = 'requested';
-            detail.refundAmount = pricePerTicket - 2.50; // Individual ticket refund amount
-            detail.refundReason = reason.trim();
-          }
-        });
-      }
+      ticket.refundStatus = 'requested';
+      ticket.refundAmount = refundAmount;
+      ticket.cancellationFee = cancellationFee;
+      ticket.refundReason = reason.trim();
+      ticket.refundRequestedAt = new Date();
+      
+      // Update individual ticket status
+      ticketsToRefund.forEach(detail => {
+        detail.refundStatus = 'requested';
+        detail.refundAmount = quote.refundPerTicket; // Individual ticket refund amount
+        detail.refundReason = reason.trim();
+      });
       
       await ticket.save();
       
@@ -676,6 +1169,7 @@ const ticketController = {
           ticketId: ticket._id,
           refundAmount: refundAmount,
           cancellationFee: cancellationFee,
+          refundPercentage: quote.refundPercentage,
           refundStatus: ticket.refundStatus,
           eventTitle: ticket.eventId.title,
           eventEndDate: ticket.eventId.endDate,
@@ -705,7 +1199,7 @@ const ticketController = {
   processTicketRefund: async (req, res) => {
     try {
       const { ticketId } = req.params;
-      const { action, refundTickets } = req.body; // refundTickets is array of ticket numbers to refund
+      const { action, overridePolicy } = req.body; // overridePolicy lets admins approve refunds outside the refund rules
       
       if (!action || !['approve', 'reject'].includes(action)) {
         return res.status(400).json({
@@ -727,11 +1221,13 @@ const ticketController = {
         });
       }
       
-      // Check if user can process this refund
-      const isOrganizer = req.user._id.toString() === ticket.organizer._id.toString();
+      // Check if user can process this refund (admin, organizer or finance team member of the event)
       const isAdmin = req.user.role === 'admin';
+      const canProcess = ticket.eventId
+        ? await teamService.can(req.user, ticket.eventId, 'refunds.manage')
+        : isAdmin || req.user._id.toString() === ticket.organizer._id.toString();
       
-      if (!isOrganizer && !isAdmin) {
+      if (!canProcess) {
         return res.status(403).json({
           success: false,
           message: 'You are not authorized to process this refund'
@@ -759,6 +1255,15 @@ const ticketController = {
         
         await ticket.save();
         
+        await auditService.record(req, {
+          action: 'REJECT_REFUND',
+          entity: { type: 'ticket', id: ticket._id, label: ticket.eventId.title },
+          details: `Rejected the refund request of ${ticket.attendee.email} for "${ticket.eventId.title}"`,
+          before: { refundStatus: 'requested' },
+          after: { refundStatus: ticket.refundStatus },
+          metadata: { eventId: ticket.eventId._id, attendee: ticket.attendee._id }
+        });
+        
         res.status(200).json({
           success: true,
           message: 'Refund request rejected',
@@ -768,23 +1273,93 @@ const ticketController = {
           }
         });
       } else if (action === 'approve') {
+        const requestedTickets = ticket.ticketDetails.filter(detail => detail.refundStatus === 'requested');
+        const refundTicketNumbers = requestedTickets.map(detail => detail.ticketNumber);
+        
+        // Requests made before per-ticket tracking keep the amount stored on the ticket
+        let refundAmount = ticket.refundAmount;
+        let cancellationFee = ticket.cancellationFee;
+        if (requestedTickets.length > 0 && ticket.refundRequestedAt) {
+          // Refund rules are applied as of the request date, not the approval date
+          const quote = quoteRefund({
+            event: ticket.eventId,
+            unitPrice: ticket.getUnitPrice(),
+            ticketCount: requestedTickets.length,
+            at: ticket.refundRequestedAt
+          });
+          
+          if (!quote.isRefundable && !(isAdmin && overridePolicy)) {
+            return res.status(400).json({
+              success: false,
+              message: quote.message
+            });
+          }
+          
+          if (quote.isRefundable) {
+            refundAmount = quote.refundAmount;
+            cancellationFee = quote.cancellationFee;
+          }
+        }
+        
         // Process the refund through Stripe
         try {
+          const seatsBeforeRefund = ticket.getSoldSeatCount();
+          const refundAuditFields = ['refundStatus', 'paymentStatus', 'quantity', 'refundAmount', 'cancellationFee', 'ticketPrice'];
+          const beforeRefund = auditService.snapshot(ticket, refundAuditFields);
+          
           // Create refund in Stripe
           const refund = await stripe.refunds.create({
             payment_intent: ticket.stripePaymentIntentId,
-            amount: Math.round(ticket.refundAmount * 100), // Convert to cents
+            amount: Math.round(refundAmount * 100), // Convert to cents
             metadata: {
               ticketId: ticket._id.toString(),
               refundType: 'ticket_cancellation',
-              cancellationFee: ticket.cancellationFee.toString(),
+              cancellationFee: cancellationFee.toString(),
               quantity: ticket.quantity.toString(),
-              refundedTickets: JSON.stringify(refundTickets || [])
+              refundedTickets: JSON.stringify(refundTicketNumbers)
             }
           });
           
+          const removedQuantity = requestedTickets.length > 0 ? requestedTickets.length : ticket.quantity;
+          
+          // Record the refund in the ledger, the refunded tickets are taken back at their share of the purchase
+          let isRecordedInLedger = false;
+          let refundTransaction = null;
+          try {
+            refundTransaction = await ledgerService.recordRefund(ticket, {
+              refundId: refund.id,
+              ticketCount: removedQuantity,
+              refundAmount,
+              cancellationFee,
+              organizerShare: ticket.organizerPayment / ticket.quantity * removedQuantity,
+              platformFeeShare: ticket.platformFee / ticket.quantity * removedQuantity,
+              reason: 'ticket cancellation'
+            });
+            isRecordedInLedger = true;
+          } catch (ledgerError) {
+            console.error('Failed to record refund in the ledger:', ledgerError);
+          }
+          
+          // Take the organizer share of the refunded tickets back from a destination charge
+          if (isRecordedInLedger) {
+            try {
+              // The non-refundable part of the tickets stays with the organizer
+              const organizerAmount = refundTransaction && refundTransaction.metadata && refundTransaction.metadata.organizerAmount != null
+                ? refundTransaction.metadata.organizerAmount
+                : ticket.organizerPayment / ticket.quantity * removedQuantity;
+              await settlementService.reverseTransfer(ticket, {
+                refundId: refund.id,
+                amount: organizerAmount
+              });
+            } catch (reversalError) {
+              console.error('Failed to reverse the organizer transfer of the refund:', reversalError);
+            }
+          }
+          
           // Update ticket status
           ticket.refundStatus = 'completed';
+          ticket.refundAmount = refundAmount;
+          ticket.cancellationFee = cancellationFee;
           ticket.refundedAt = new Date();
           
           // Update individual ticket status
@@ -794,26 +1369,37 @@ const ticketController = {
               detail.refundedAt = new Date();
             }
           });
-
-
-          console.log(refundTickets);
+          
           // Update quantity to reflect removed tickets
-          const removedQuantity = refundTickets.length;
           ticket.quantity = Math.max(0, ticket.quantity - removedQuantity);
           
           // Recalculate ticket price, platform fee, and organizer payment based on remaining quantity
-          const originalPricePerTicket = ticket.ticketPrice / (ticket.quantity + removedQuantity);
+          const originalQuantity = ticket.quantity + removedQuantity;
+          const originalPricePerTicket = ticket.ticketPrice / originalQuantity;
           const remainingQuantity = ticket.quantity;
           
-          // Update ticket amounts based on remaining quantity
+          // Update ticket amounts based on remaining quantity, with the fee the tickets were bought with
           ticket.ticketPrice = originalPricePerTicket * remainingQuantity;
-          const platformFeePerTicket = Math.round(originalPricePerTicket * 0.10 * 100) / 100;
+          const platformFeePerTicket = ticket.feePlan && ticket.feePlan.feePerTicket != null
+            ? ticket.feePlan.feePerTicket
+            : ticket.platformFee / originalQuantity;
           ticket.platformFee = platformFeePerTicket * remainingQuantity;
           const organizerPaymentPerTicket = originalPricePerTicket - platformFeePerTicket;
           ticket.organizerPayment = organizerPaymentPerTicket * remainingQuantity;
           
-          // Update payment status based on refund amount
-          if (ticket.refundAmount >= ticket.ticketPrice || ticket.quantity === 0) {
+          // Use the amounts left in the ledger when the purchase is recorded there
+          if (isRecordedInLedger) {
+            try {
+              await ledgerService.applyBalancesToTicket(ticket);
+            } catch (ledgerError) {
+              console.error('Failed to read ticket balances from the ledger:', ledgerError);
+            }
+          }
+          
+          // Update payment status based on refund amount, the organizer is still paid
+          // for the part of the tickets the refund rules did not pay back
+          const keepsEarnings = isRecordedInLedger && ticket.organizerPayment > 0;
+          if ((ticket.refundAmount >= ticket.ticketPrice || ticket.quantity === 0) && !keepsEarnings) {
             ticket.paymentStatus = 'refunded';
           } else {
             ticket.paymentStatus = 'partially_refunded';
@@ -821,6 +1407,25 @@ const ticketController = {
           
           await ticket.save();
           
+          await auditService.record(req, {
+            action: 'APPROVE_REFUND',
+            entity: { type: 'ticket', id: ticket._id, label: ticket.eventId.title },
+            details: `Approved a refund of ${ticket.currency} ${refundAmount.toFixed(2)} to ${ticket.attendee.email} for "${ticket.eventId.title}"`,
+            before: beforeRefund,
+            after: auditService.snapshot(ticket, refundAuditFields),
+            metadata: {
+              eventId: ticket.eventId._id,
+              attendee: ticket.attendee._id,
+              stripeRefundId: refund.id,
+              refundedTickets: refundTicketNumbers,
+              policyOverridden: !!(isAdmin && overridePolicy)
+            }
+          });
+          
+          // Free the refunded seats and offer them to the waitlist
+          await reservationService.releaseSoldSeats(ticket, seatsBeforeRefund - ticket.getSoldSeatCount());
+          await waitlistService.offerFreedSeats(ticket.eventId._id || ticket.eventId);
+          
           res.status(200).json({
             success: true,
             message: 'Refund processed successfully',
@@ -862,7 +1467,8 @@ const ticketController = {
       // Find all paid tickets for completed events that haven't been transferred yet
       const pendingTransfers = await Ticket.find({
         paymentStatus: 'paid',
-        organizerTransferStatus: 'pending'
+        organizerTransferStatus: 'pending',
+        settlementMode: { $ne: 'destination' } // Paid out with the payment
       }).populate('eventId').populate('organizer');
       
       const completedEvents = pendingTransfers.filter(ticket => {
@@ -902,6 +1508,13 @@ const ticketController = {
           ticket.organizerTransferDate = new Date();
           await ticket.save();
           
+          // Record the payout in the ledger, the transfer is made so a ledger error must not fail it
+          try {
+            await ledgerService.recordTransfer(ticket, { transferId: transfer.id, amount: ticket.organizerPayment });
+          } catch (ledgerError) {
+            console.error(`Failed to record transfer ${transfer.id} in the ledger:`, ledgerError);
+          }
+          
           transferResults.push({
             ticketId: ticket._id,
             status: 'completed',
@@ -924,6 +1537,17 @@ const ticketController = {
         }
       }
       
+      const completedTransfers = transferResults.filter(result => result.status === 'completed');
+      await auditService.record(req, {
+        action: 'MANUAL_TRANSFER',
+        details: `Ran the transfer for completed events: ${completedTransfers.length} completed, ${transferResults.length - completedTransfers.length} failed or skipped`,
+        metadata: {
+          successCount: completedTransfers.length,
+          totalAmount: completedTransfers.reduce((sum, result) => sum + (result.amount || 0), 0),
+          transfers: transferResults
+        }
+      });
+      
       res.status(200).json({
         success: true,
         message: 'Transfer process completed',
@@ -942,6 +1566,76 @@ const ticketController = {
     }
   },
   
+  /**
+   * Download the PDF of a ticket
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  downloadTicketPdf: async (req, res) => {
+    try {
+      const { ticketId } = req.params;
+      const { ticketNumber } = req.query;
+      
+      const ticket = await Ticket.findById(ticketId).populate('eventId');
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found'
+        });
+      }
+      
+      // Check if user owns this ticket or is admin
+      if (req.user._id.toString() !== ticket.attendee.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to download this ticket'
+        });
+      }
+      
+      if (!Ticket.ATTENDING_STATUSES.includes(ticket.paymentStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: ticket.paymentStatus === 'canceled' ? 'Registration has been canceled' : 'Ticket has not been paid'
+        });
+      }
+      
+      const activeDetails = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed');
+      
+      // The ticket number can be omitted for purchases with a single ticket
+      if (!ticketNumber && activeDetails.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ticket number is required for purchases with multiple tickets'
+        });
+      }
+      
+      const detail = ticketNumber
+        ? activeDetails.find(detail => detail.ticketNumber === ticketNumber)
+        : activeDetails[0];
+      
+      if (!detail) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket number not found or refunded'
+        });
+      }
+      
+      const pdf = await ticketPdfService.getTicketPdf(ticket.eventId, ticket, detail);
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${ticketPdfService.getFileName(detail)}"`);
+      res.send(pdf);
+    } catch (error) {
+      console.error('Download ticket PDF error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download ticket',
+        error: error.message
+      });
+    }
+  },
+  
   /**
    * Get user's tickets
    * @param {Object} req - Request object
@@ -990,7 +1684,7 @@ const ticketController = {
   },
   
   /**
-   * Get organizer's ticket sales
+   * Get ticket sales of the organizer's events and events the user is a team member of
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -998,7 +1692,7 @@ const ticketController = {
     try {
       const { status, eventId, page = 1, limit = 10 } = req.query;
       
-      const filter = { organizer: req.user._id };
+      const filter = await teamService.getAccessFilter(req.user, 'tickets.view', { eventField: 'eventId' });
       if (status) {
         filter.paymentStatus = status;
       }
@@ -1078,23 +1772,17 @@ const ticketController = {
   },
 
   /**
-   * Get organizer's refund requests (organizer only)
+   * Get refund requests of the organizer's events and events the user manages refunds for
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
   getOrganizerRefundRequests: async (req, res) => {
     try {
-      // Only organizer or admin can access
-      if (!req.user || (req.user.role !== 'organizer' && req.user.role !== 'admin')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Organizer access required'
-        });
-      }
+      const filter = await teamService.getAccessFilter(req.user, 'refunds.manage', { eventField: 'eventId' });
       
-      // Find all tickets for this organizer with refund requested
+      // Find all tickets of these events with refund requested
       const tickets = await Ticket.find({
-        organizer: req.user._id,
+        ...filter,
         refundStatus: 'requested'
       })
         .populate('eventId')
@@ -1148,7 +1836,9 @@ const ticketController = {
         pending: 0,
         failed: 0,
         refunded: 0,
-        partially_refunded: 0
+        partially_refunded: 0,
+        free: 0,
+        canceled: 0
       };
       
       // Count individual attendee tickets by status
@@ -1173,6 +1863,10 @@ const ticketController = {
           ticketsByStatus.partially_refunded += nonRefundedTickets;
           // Add refunded individual tickets to refunded count
           ticketsByStatus.refunded += refundedTickets;
+        } else if (ticket.paymentStatus === 'free') {
+          ticketsByStatus.free += ticket.quantity;
+        } else if (ticket.paymentStatus === 'canceled') {
+          ticketsByStatus.canceled += ticket.quantity;
         }
       });
       
@@ -1246,7 +1940,7 @@ const ticketController = {
             individualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
           } else if (ticket.paymentStatus === 'partially_refunded') {
             individualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
-          } else if (ticket.paymentStatus === 'refunded') {
+          } else if (ticket.paymentStatus === 'refunded' || ticket.paymentStatus === 'canceled') {
             individualTicketCount = 0; // All tickets refunded
           } else {
             individualTicketCount = ticket.quantity; // pending, failed, etc.
@@ -1274,7 +1968,7 @@ const ticketController = {
           actualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
         } else if (ticket.paymentStatus === 'partially_refunded') {
           actualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
-        } else if (ticket.paymentStatus === 'refunded') {
+        } else if (ticket.paymentStatus === 'refunded' || ticket.paymentStatus === 'canceled') {
           actualTicketCount = 0;
         } else {
           actualTicketCount = ticket.quantity;
@@ -1326,7 +2020,7 @@ const ticketController = {
             individualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
           } else if (ticket.paymentStatus === 'partially_refunded') {
             individualTicketCount = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
-          } else if (ticket.paymentStatus === 'refunded') {
+          } else if (ticket.paymentStatus === 'refunded' || ticket.paymentStatus === 'canceled') {
             individualTicketCount = 0;
           } else {
             individualTicketCount = ticket.quantity;
@@ -1355,7 +2049,7 @@ const ticketController = {
       const attendedEvents = tickets.filter(ticket => {
         if (typeof ticket.eventId === 'object') {
           const eventDate = new Date(ticket.eventId.endDate);
-          return eventDate < now && (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded');
+          return eventDate < now && Ticket.ATTENDING_STATUSES.includes(ticket.paymentStatus);
         }
         return false;
       });
@@ -1363,7 +2057,7 @@ const ticketController = {
       const upcomingEvents = tickets.filter(ticket => {
         if (typeof ticket.eventId === 'object') {
           const eventDate = new Date(ticket.eventId.startDate);
-          return eventDate > now && (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded');
+          return eventDate > now && Ticket.ATTENDING_STATUSES.includes(ticket.paymentStatus);
         }
         return false;
       });
@@ -45,6 +45,15 @@ const userController = {
         .filter(t => t.paymentStatus === 'refunded')
         .reduce((sum, ticket) => sum + ticket.quantity, 0);
       
+      // Free registrations (RSVPs), counted apart from paid tickets
+      const freeTicketQuantity = tickets
+        .filter(t => t.paymentStatus === 'free')
+        .reduce((sum, ticket) => sum + ticket.quantity, 0);
+      
+      const canceledRegistrationQuantity = tickets
+        .filter(t => t.paymentStatus === 'canceled')
+        .reduce((sum, ticket) => sum + ticket.quantity, 0);
+      
       // Calculate total spending (only from paid and partially refunded tickets)
       const totalSpent = tickets
         .filter(t => t.paymentStatus === 'paid' || t.paymentStatus === 'partially_refunded')
@@ -63,10 +72,10 @@ const userController = {
         .filter(t => t.refundStatus === 'completed')
         .reduce((sum, ticket) => sum + (ticket.refundAmount || 0), 0);
       
-      // Get upcoming events (events that haven't ended yet)
+      // Get upcoming events (events that haven't ended yet, canceled registrations left out)
       const now = new Date();
       const upcomingEvents = tickets.filter(ticket => {
-        if (typeof ticket.eventId === 'object' && ticket.eventId.endDate) {
+        if (ticket.paymentStatus !== 'canceled' && typeof ticket.eventId === 'object' && ticket.eventId.endDate) {
           return new Date(ticket.eventId.endDate) > now;
         }
         return false;
@@ -74,7 +83,7 @@ const userController = {
       
       // Get past events
       const pastEvents = tickets.filter(ticket => {
-        if (typeof ticket.eventId === 'object' && ticket.eventId.endDate) {
+        if (ticket.paymentStatus !== 'canceled' && typeof ticket.eventId === 'object' && ticket.eventId.endDate) {
           return new Date(ticket.eventId.endDate) <= now;
         }
         return false;
@@ -91,7 +100,7 @@ const userController = {
           const ticketDate = new Date(ticket.purchasedAt);
           return ticketDate.getFullYear() === month.getFullYear() && 
                  ticketDate.getMonth() === month.getMonth() &&
-                 (ticket.paymentStatus === 'paid' || ticket.paymentStatus === 'partially_refunded');
+                 Ticket.ATTENDING_STATUSES.includes(ticket.paymentStatus);
         });
         
         const monthSpending = monthTickets.reduce((sum, ticket) => {
@@ -120,10 +129,10 @@ const userController = {
         });
       }
       
-      // Get recent activity (last 10 ticket purchases)
+      // Get recent activity (last 10 ticket purchases and registrations)
       const recentActivity = tickets.slice(0, 10).map(ticket => ({
         _id: ticket._id,
-        type: 'ticket_purchase',
+        type: ticket.isRsvp() ? 'rsvp' : 'ticket_purchase',
         eventTitle: typeof ticket.eventId === 'object' ? ticket.eventId.title : 'Unknown Event',
         eventId: typeof ticket.eventId === 'object' ? ticket.eventId._id : ticket.eventId,
         quantity: ticket.quantity,
@@ -193,6 +202,8 @@ const userController = {
             paidTickets: paidTicketQuantity,
             pendingTickets: pendingTicketQuantity,
             refundedTickets: refundedTicketQuantity,
+            freeTickets: freeTicketQuantity,
+            canceledRegistrations: canceledRegistrationQuantity,
             partiallyRefundedTickets: paidTicketQuantity - tickets.filter(t => t.paymentStatus === 'paid').reduce((sum, ticket) => sum + ticket.quantity, 0),
             totalSpent,
             totalRefunds,
@@ -411,8 +422,8 @@ const userController = {
     try {
       const userId = req.user._id;
       
-      // Get all tickets for this user
-      const tickets = await Ticket.find({ attendee: userId })
+      // Get all tickets for this user (canceled registrations left out)
+      const tickets = await Ticket.find({ attendee: userId, paymentStatus: { $ne: 'canceled' } })
         .populate('eventId', 'title category startDate endDate location coverImage slug organizer')
         .populate('organizer', 'firstName lastName email');
       
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event');
+const waitlistService = require('../services/waitlist-service');
+
+/**
+ * Find an event by ID or slug
+ * @param {string} idOrSlug - Event ID or slug
+ * @returns {Promise<Object|null>} Event document
+ */
+const findEvent = (idOrSlug) => {
+  const query = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: idOrSlug };
+
+  return Event.findOne(query);
+};
+
+/**
+ * Waitlist Controller
+ * Handles joining and leaving the waitlist of sold-out events
+ */
+const waitlistController = {
+  /**
+   * Join the waitlist of a sold-out event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  joinWaitlist: async (req, res) => {
+    try {
+      const { ticketTypeId, quantity = 1 } = req.body;
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be at least 1'
+        });
+      }
+
+      const event = await findEvent(req.params.idOrSlug);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const entry = await waitlistService.join(event, req.user._id, { quantity, ticketTypeId });
+
+      res.status(201).json({
+        success: true,
+        message: 'You have joined the waitlist',
+        data: {
+          entryId: entry._id,
+          status: entry.status,
+          position: await entry.getPosition(),
+          quantity: entry.quantity,
+          ticketTypeId: entry.ticketTypeId,
+          joinedAt: entry.joinedAt
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Join waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to join waitlist',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Leave the waitlist of an event
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  leaveWaitlist: async (req, res) => {
+    try {
+      const event = await findEvent(req.params.idOrSlug);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      await waitlistService.leave(event, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'You have left the waitlist'
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave waitlist',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the waitlist position of the current user
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  getMyWaitlistPosition: async (req, res) => {
+    try {
+      const event = await findEvent(req.params.idOrSlug);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const entry = await waitlistService.getEntry(event, req.user._id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not on the waitlist for this event'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      console.error('Get waitlist position error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get waitlist position',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = waitlistController;
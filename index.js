@@ -13,11 +13,29 @@ dotenv.config();
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy the client IP comes from X-Forwarded-For (login protection and audit log use it)
+// TRUST_PROXY is the number of proxies in front of the app, "true" or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
 
 // Set up middleware for other routes
-app.use(express.json({ limit: '10mb' }));
+// The Stripe webhook signature is computed over the raw request body
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cors());
+// Credentials are allowed so the refresh token cookie is sent by the frontend
+app.use(cors({
+  origin: process.env.FRONTEND_URL || true,
+  credentials: true
+}));
 app.use(helmet());
 app.use(compression());
 app.use(cookieParser());
@@ -39,6 +57,7 @@ const paymentRoutes = require('./routes/payments');
 const ticketRoutes = require('./routes/tickets');
 const organizerRoutes = require('./routes/organizer');
 const userRoutes = require('./routes/user');
+const checkInRoutes = require('./routes/check-in');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
@@ -47,6 +66,7 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/organizer', organizerRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/check-in', checkInRoutes);
 // Basic route
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to Zafo API' });
@@ -1,11 +1,16 @@
 const { verifyToken, getTokenFromHeaders } = require('../utils/token');
 const User = require('../models/user');
+const emailVerificationService = require('../services/email-verification-service');
+const sessionService = require('../services/session-service');
+const twoFactorService = require('../services/two-factor-service');
+const teamService = require('../services/team-service');
 
 /**
- * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Create the authentication middleware
+ * Verifies JWT token and its session and attaches user and session to request object
+ * @param {boolean} allowTwoFactorSetup - Let users through who still have to set up mandatory two-factor authentication
  */
-const authenticate = async (req, res, next) => {
+const createAuthenticate = (allowTwoFactorSetup) => async (req, res, next) => {
   try {
     // Get token from headers
     const token = getTokenFromHeaders(req);
@@ -26,6 +31,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens of revoked sessions (logout, password change, deactivation) are rejected
+    const session = decoded.sid ? await sessionService.getActiveSession(decoded.sid, decoded.id) : null;
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Your session has ended. Please log in again.' 
+      });
+    }
+
     // Find user by ID
     const user = await User.findById(decoded.id);
     if (!user || !user.isActive) {
@@ -35,8 +49,18 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Roles with mandatory two-factor authentication have to set it up before using the API
+    if (!allowTwoFactorSetup && await twoFactorService.mustEnroll(user)) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication is required for your account. Please set it up to continue.' 
+      });
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     
     next();
   } catch (error) {
@@ -48,6 +72,42 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware
+ * Verifies JWT token and its session and attaches user and session to request object
+ */
+const authenticate = createAuthenticate(false);
+
+/**
+ * Authentication middleware for the two-factor setup routes
+ * Accepts a logged in user or the setup challenge of a login that requires two-factor authentication
+ * (sets req.twoFactorChallenge, the setup then finishes the login)
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return createAuthenticate(true)(req, res, next);
+  }
+
+  try {
+    req.user = await twoFactorService.resolveChallenge(req.body.challengeToken, 'setup');
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+
+    console.error('Two-factor setup auth error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error. Please try again later.' 
+    });
+  }
+};
+
 /**
  * Authorization middleware for admin-only routes
  * Must be used after authenticate middleware
@@ -77,9 +137,56 @@ const authorizeOrganizer = (req, res, next) => {
   next();
 };
 
+/**
+ * Authorization middleware for routes shared by organizers and their team members
+ * Lets organizers, admins and active team members through, permissions are checked per event
+ * Must be used after authenticate middleware
+ */
+const authorizeEventTeam = async (req, res, next) => {
+  try {
+    if (req.user && (req.user.role === 'organizer' || req.user.role === 'admin')) {
+      return next();
+    }
+
+    if (!req.user || !(await teamService.isTeamMember(req.user))) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Organizer or team member permission required.' 
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Team authorization error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error. Please try again later.' 
+    });
+  }
+};
+
+/**
+ * Email verification middleware
+ * Blocks unverified accounts from actions the verification policy covers
+ * Must be used after authenticate middleware
+ * @param {string} action - Action (ticket_purchase, event_creation, stripe_onboarding)
+ */
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!emailVerificationService.isAllowed(req.user, action)) {
+    return res.status(403).json({ 
+      success: false, 
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue.' 
+    });
+  }
+  next();
+};
+
 
 module.exports = {
   authenticate,
+  authenticateTwoFactorSetup,
   authorizeAdmin,
   authorizeOrganizer,
+  authorizeEventTeam,
+  requireVerifiedEmail,
 };
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Audited actions
+const AUDIT_ACTIONS = [
+  'LOGIN',
+  'LOGIN_FAILED',
+  'ACCOUNT_LOCKED',
+  'UNLOCK_USER',
+  'LOGOUT',
+  'CHANGE_PASSWORD',
+  'ENABLE_TWO_FACTOR',
+  'DISABLE_TWO_FACTOR',
+  'REGENERATE_RECOVERY_CODES',
+  'RESET_PASSWORD',
+  'CREATE_USER',
+  'UPDATE_USER',
+  'DELETE_USER',
+  'CHANGE_USER_PASSWORD',
+  'RESET_TWO_FACTOR',
+  'UPDATE_SECURITY_POLICY',
+  'CHANGE_EVENT_STATUS',
+  'APPROVE_REFUND',
+  'REJECT_REFUND',
+  'CANCEL_RSVP',
+  'BLOCK_PAYMENTS',
+  'UNBLOCK_PAYMENTS',
+  'CHANGE_SETTLEMENT_MODE',
+  'ASSIGN_FEE_PLAN',
+  'CREATE_FEE_PLAN',
+  'UPDATE_FEE_PLAN',
+  'CHANGE_SUBSCRIPTION_PLAN',
+  'CANCEL_SUBSCRIPTION',
+  'MANUAL_TRANSFER',
+  'UPDATE_SCHEDULED_JOB',
+  'RUN_SCHEDULED_JOB',
+  'REPLAY_WEBHOOK_EVENT',
+  'RUN_RECONCILIATION',
+  'APPLY_RECONCILIATION_FIX',
+  'APPROVE_ORGANIZER_APPLICATION',
+  'REJECT_ORGANIZER_APPLICATION',
+  'INVITE_TEAM_MEMBER',
+  'UPDATE_TEAM_MEMBER',
+  'REMOVE_TEAM_MEMBER',
+  'ACCEPT_TEAM_INVITATION'
+];
+
+// Kinds of records an action can target
+const AUDIT_ENTITY_TYPES = ['user', 'event', 'ticket', 'organizer', 'organizer_application', 'setting', 'team_member', 'scheduled_job', 'webhook_event', 'reconciliation_report', 'fee_plan'];
+
+/**
+ * Audit Log Schema
+ * Security- and money-relevant actions with who did them, on what, from where and what changed
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Actor (null for actions of the system, e.g. webhooks)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so entries stay readable after the actor account is deleted
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+
+  // Action
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  details: {
+    type: String,
+    default: ''
+  },
+
+  // Target
+  entityType: {
+    type: String,
+    enum: [...AUDIT_ENTITY_TYPES, null],
+    default: null
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  entityLabel: {
+    type: String,
+    default: null // e.g. email of a user or title of an event
+  },
+
+  // Changed fields with their values before and after the action
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Request
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// Entries are append-only, they are only removed by the retention cleanup
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_ENTITY_TYPES = AUDIT_ENTITY_TYPES;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Check-In Schema
+ * Log of every ticket scan at the door, admitted or rejected
+ */
+const checkInSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null // Not set when the scanned ticket could not be found
+  },
+  ticketNumber: {
+    type: String
+  },
+  attendeeName: {
+    type: String
+  },
+
+  // Scan Result
+  result: {
+    type: String,
+    enum: ['admitted', 'duplicate', 'refunded', 'canceled', 'not_paid', 'wrong_event', 'invalid'],
+    required: [true, 'Scan result is required']
+  },
+  // Set for offline scans the device admitted but the server rejected when syncing
+  conflict: {
+    type: Boolean,
+    default: false
+  },
+
+  // Scan Details
+  gate: {
+    type: String,
+    trim: true,
+    default: 'main'
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Scanner is required']
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Offline Sync
+  source: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  deviceId: {
+    type: String
+  },
+  clientScanId: {
+    type: String // ID assigned by the scanning device, makes syncing the same scan twice safe
+  },
+  syncedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+checkInSchema.index({ eventId: 1, scannedAt: -1 });
+checkInSchema.index({ eventId: 1, result: 1, gate: 1 });
+checkInSchema.index({ ticketId: 1 });
+// A scan from a device can only be synced once
+checkInSchema.index(
+  { deviceId: 1, clientScanId: 1 },
+  { unique: true, partialFilterExpression: { clientScanId: { $type: 'string' } } }
+);
+
+const CheckIn = mongoose.model('CheckIn', checkInSchema);
+
+module.exports = CheckIn;
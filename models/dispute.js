@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// Dispute statuses as reported by Stripe
+const DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'warning_closed',
+  'needs_response',
+  'under_review',
+  'won',
+  'lost'
+];
+
+// Statuses of disputes that are still being decided
+const OPEN_DISPUTE_STATUSES = ['warning_needs_response', 'warning_under_review', 'needs_response', 'under_review'];
+
+/**
+ * Dispute Schema
+ * Chargeback of a ticket payment, linked to the purchase it disputes and
+ * tracking the hold on the organizer payout until it is decided
+ */
+const disputeSchema = new mongoose.Schema({
+  // Stripe References
+  stripeDisputeId: {
+    type: String,
+    required: [true, 'Stripe dispute ID is required'],
+    unique: true
+  },
+  stripeChargeId: {
+    type: String,
+    default: null
+  },
+  stripePaymentIntentId: {
+    type: String,
+    default: null
+  },
+
+  // Purchase the dispute is about (not set when the payment has no ticket)
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  attendee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Dispute Details
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required']
+  },
+  reason: {
+    type: String,
+    default: null // e.g. fraudulent, product_not_received, duplicate
+  },
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    required: [true, 'Status is required']
+  },
+  evidenceDueBy: {
+    type: Date,
+    default: null
+  },
+  isChargeRefundable: {
+    type: Boolean,
+    default: false
+  },
+
+  // Outcome
+  outcome: {
+    type: String,
+    enum: ['won', 'lost', null],
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Organizer Payout
+  transferStatusAtOpen: {
+    type: String,
+    default: null // Organizer transfer status of the purchase when the dispute was opened
+  },
+  transferHeld: {
+    type: Boolean,
+    default: false // Whether this dispute put the payout on hold
+  },
+  wasPaidOut: {
+    type: Boolean,
+    default: false // Organizer was paid before the dispute was lost, the loss is debited from their balance
+  },
+  ledgerTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction',
+    default: null // Loss booked against the organizer and platform fee
+  },
+
+  // Notifications sent by stage (opened, won, lost)
+  notifications: [{
+    stage: {
+      type: String,
+      enum: ['opened', 'won', 'lost']
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Status changes received from Stripe
+  history: [{
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES
+    },
+    eventType: {
+      type: String
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Admin list by status
+disputeSchema.index({ status: 1, createdAt: -1 });
+// Open disputes of a purchase
+disputeSchema.index({ ticket: 1, status: 1 });
+disputeSchema.index({ organizer: 1, createdAt: -1 });
+
+// Method to check if the dispute is still being decided
+disputeSchema.methods.isOpen = function() {
+  return OPEN_DISPUTE_STATUSES.includes(this.status);
+};
+
+// Method to check if a notification was sent for a stage
+disputeSchema.methods.wasNotified = function(stage) {
+  return this.notifications.some(notification => notification.stage === stage);
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+module.exports = Dispute;
+module.exports.DISPUTE_STATUSES = DISPUTE_STATUSES;
+module.exports.OPEN_DISPUTE_STATUSES = OPEN_DISPUTE_STATUSES;
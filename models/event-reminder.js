@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Event Reminder Schema
+ * One reminder email to one attendee, created before the email is sent
+ * so a reminder is never sent twice (also across restarts and multiple instances)
+ */
+const eventReminderSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  // Hours before the start the reminder belongs to
+  offsetHours: {
+    type: Number,
+    required: [true, 'Reminder offset is required']
+  },
+  attendeeEmail: {
+    type: String,
+    required: [true, 'Attendee email is required'],
+    lowercase: true,
+    trim: true
+  },
+  ticketNumbers: [{
+    type: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One reminder per attendee, event and offset
+eventReminderSchema.index({ eventId: 1, offsetHours: 1, attendeeEmail: 1 }, { unique: true });
+// Reminder stats of an event
+eventReminderSchema.index({ eventId: 1, status: 1 });
+
+const EventReminder = mongoose.model('EventReminder', eventReminderSchema);
+
+module.exports = EventReminder;
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Hours before the start attendees can be reminded of an event (EVENT_REMINDER_OFFSETS, e.g. "168,24,2")
+const REMINDER_OFFSETS = (process.env.EVENT_REMINDER_OFFSETS || '168,24,2')
+  .split(',')
+  .map(hours => parseInt(hours, 10))
+  .filter(hours => hours > 0);
+
 /**
  * Event Schema
  * 
@@ -53,7 +59,42 @@ const eventSchema = new mongoose.Schema({
   
   // New event details
   refundPolicy: {
-    type: String
+    type: String // Description shown to attendees
+  },
+  // Refund rules evaluated when a refund is requested
+  refundRules: {
+    isRefundable: {
+      type: Boolean,
+      default: true
+    },
+    // Refund percentage by how long before the start the refund is requested
+    // e.g. 100% until 336h (14 days) before, 50% until 48h before, nothing after
+    windows: [{
+      hoursBeforeStart: {
+        type: Number,
+        required: [true, 'Hours before start is required'],
+        min: [0, 'Hours before start cannot be negative']
+      },
+      refundPercentage: {
+        type: Number,
+        required: [true, 'Refund percentage is required'],
+        min: [0, 'Refund percentage cannot be negative'],
+        max: [100, 'Refund percentage cannot exceed 100']
+      }
+    }],
+    // Cancellation fee per refunded ticket
+    fee: {
+      type: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+      },
+      amount: {
+        type: Number,
+        min: [0, 'Cancellation fee cannot be negative'],
+        default: 2.50 // Fixed amount in the ticket currency or percentage of the refund
+      }
+    }
   },
   eventIncludes: {
     type: String
@@ -120,7 +161,81 @@ const eventSchema = new mongoose.Schema({
     amount: { type: Number, default: 0 },
     currency: { type: String, default: 'EUR' },
     isFree: { type: Boolean, default: true },
-    platformFee: { type: Number } // Platform fee based on event duration
+    platformFee: { type: Number } // Listing fee based on event duration, computed from the fee plan
+  },
+  
+  // Fee plan of the organizer when the event was created, ticket fees and the listing fee
+  // of the event are computed from this copy so later plan changes do not apply to it
+  feePlan: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeePlan',
+      default: null // null for the built-in default plan
+    },
+    name: { type: String },
+    ticketFee: {
+      percentage: { type: Number },
+      fixed: { type: Number },
+      minPerTicket: { type: Number },
+      maxPerTicket: { type: Number }
+    },
+    passThrough: { type: Boolean },
+    listingFees: [{
+      _id: false,
+      maxDurationHours: { type: Number },
+      amount: { type: Number }
+    }],
+    listingFeeCurrency: { type: String },
+    snapshotAt: { type: Date }
+  },
+  
+  // Ticket Types (tiers such as Early Bird, Standard, VIP, Student)
+  ticketTypes: [{
+    name: {
+      type: String,
+      required: [true, 'Ticket type name is required'],
+      trim: true
+    },
+    description: {
+      type: String
+    },
+    price: {
+      type: Number,
+      required: [true, 'Ticket type price is required'],
+      min: [0, 'Ticket type price cannot be negative']
+    },
+    currency: {
+      type: String // Falls back to price.currency when not set
+    },
+    capacity: {
+      type: Number,
+      min: [1, 'Ticket type capacity must be at least 1'] // Shares the event capacity when not set
+    },
+    salesStart: {
+      type: Date
+    },
+    salesEnd: {
+      type: Date
+    },
+    maxPerOrder: {
+      type: Number,
+      min: [1, 'Max tickets per order must be at least 1'],
+      default: 10
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  
+  // Reminder emails to attendees, hours before the start (organizers pick from REMINDER_OFFSETS)
+  reminderOffsets: {
+    type: [Number],
+    default: () => [...REMINDER_OFFSETS],
+    validate: {
+      validator: offsets => offsets.every(hours => REMINDER_OFFSETS.includes(hours)),
+      message: `Reminders can be sent ${REMINDER_OFFSETS.join(', ')} hours before the start`
+    }
   },
   
   // Payment Status
@@ -168,6 +283,68 @@ const eventSchema = new mongoose.Schema({
   timestamps: true
 });
 
+/**
+ * Derive the listing price fields from the ticket types
+ * The lowest active tier price is used for filtering and display
+ * @param {Array} ticketTypes - Ticket types of the event
+ * @returns {Object|null} Price fields or null if there are no ticket types
+ */
+const derivePriceFromTicketTypes = (ticketTypes) => {
+  const activeTypes = (ticketTypes || []).filter(type => type.isActive !== false);
+  
+  if (activeTypes.length === 0) {
+    return null;
+  }
+  
+  const lowestPrice = Math.min(...activeTypes.map(type => type.price));
+  
+  return {
+    amount: lowestPrice,
+    isFree: activeTypes.every(type => type.price === 0)
+  };
+};
+
+// Validate ticket types against the event capacity
+eventSchema.pre('validate', function(next) {
+  if (this.ticketTypes && this.ticketTypes.length > 0) {
+    const totalTierCapacity = this.ticketTypes.reduce((sum, type) => sum + (type.capacity || 0), 0);
+    
+    if (totalTierCapacity > this.capacity) {
+      this.invalidate('ticketTypes', 'Total ticket type capacity cannot exceed event capacity');
+    }
+    
+    this.ticketTypes.forEach((type, index) => {
+      if (type.salesStart && type.salesEnd && type.salesEnd <= type.salesStart) {
+        this.invalidate(`ticketTypes.${index}.salesEnd`, 'Sales end must be after sales start');
+      }
+    });
+  }
+  
+  if (this.refundRules && this.refundRules.windows && this.refundRules.windows.length > 0) {
+    const hours = this.refundRules.windows.map(window => window.hoursBeforeStart);
+    if (new Set(hours).size !== hours.length) {
+      this.invalidate('refundRules.windows', 'Refund windows must have different hours before start');
+    }
+  }
+  
+  if (this.refundRules && this.refundRules.fee && this.refundRules.fee.type === 'percentage' && this.refundRules.fee.amount > 100) {
+    this.invalidate('refundRules.fee.amount', 'Percentage cancellation fee cannot exceed 100');
+  }
+  next();
+});
+
+// Keep the listing price in sync with the ticket types
+eventSchema.pre('save', function(next) {
+  if (this.isModified('ticketTypes')) {
+    const derivedPrice = derivePriceFromTicketTypes(this.ticketTypes);
+    if (derivedPrice) {
+      this.price.amount = derivedPrice.amount;
+      this.price.isFree = derivedPrice.isFree;
+    }
+  }
+  next();
+});
+
 // Generate slug before saving
 eventSchema.pre('save', function(next) {
   if (!this.slug && this.title) {
@@ -183,6 +360,9 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+eventSchema.statics.derivePriceFromTicketTypes = derivePriceFromTicketTypes;
+
 const Event = mongoose.model('Event', eventSchema);
 
-module.exports = Event; 
\ No newline at end of file
+module.exports = Event;
+module.exports.REMINDER_OFFSETS = REMINDER_OFFSETS; 
\ No newline at end of file
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fee Plan Schema
+ * Platform fees charged to an organizer: a fee per ticket sold and a listing fee per
+ * event by duration. Organizers without a plan are charged the default plan
+ */
+const feePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Fee per ticket, on the price after discounts
+  ticketFee: {
+    percentage: {
+      type: Number,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100'],
+      default: 10
+    },
+    fixed: {
+      type: Number,
+      min: [0, 'Fixed fee cannot be negative'],
+      default: 0 // Added per ticket, in the ticket currency
+    },
+    minPerTicket: {
+      type: Number,
+      min: [0, 'Minimum fee cannot be negative'],
+      default: null // null for no minimum
+    },
+    maxPerTicket: {
+      type: Number,
+      min: [0, 'Maximum fee cannot be negative'],
+      default: null // null for no cap
+    }
+  },
+  // Add the ticket fee to the price the buyer pays instead of taking it from the organizer
+  passThrough: {
+    type: Boolean,
+    default: false
+  },
+
+  // Listing fee per event, the first tier the event duration fits in applies
+  listingFees: [{
+    maxDurationHours: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 hour'],
+      default: null // null for events of any duration
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Listing fee amount is required'],
+      min: [0, 'Listing fee cannot be negative']
+    }
+  }],
+  listingFeeCurrency: {
+    type: String,
+    default: 'CHF'
+  },
+
+  // Plan used for organizers without a plan (only one plan is the default)
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Lookup of the default plan
+feePlanSchema.index({ isDefault: 1, isActive: 1 });
+
+// Validate the fee caps and listing fee tiers
+feePlanSchema.pre('validate', function(next) {
+  const { minPerTicket, maxPerTicket } = this.ticketFee || {};
+  if (minPerTicket != null && maxPerTicket != null && maxPerTicket < minPerTicket) {
+    this.invalidate('ticketFee.maxPerTicket', 'Maximum fee cannot be lower than the minimum fee');
+  }
+
+  if (this.listingFees && this.listingFees.length > 0) {
+    const durations = this.listingFees.map(tier => tier.maxDurationHours);
+    if (new Set(durations).size !== durations.length) {
+      this.invalidate('listingFees', 'Listing fee tiers must have different durations');
+    }
+  }
+  next();
+});
+
+const FeePlan = mongoose.model('FeePlan', feePlanSchema);
+
+module.exports = FeePlan;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Days the run history of the scheduled jobs is kept
+const JOB_RUN_RETENTION_DAYS = 30;
+
+/**
+ * Job Run Schema
+ * One execution of a scheduled job with its outcome
+ */
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: [true, 'Trigger is required']
+  },
+  // Admin who started a manual run
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // API instance the job ran on
+  instanceId: {
+    type: String,
+    required: [true, 'Instance is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'interrupted'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  // Outcome
+  summary: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Run history of a job
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Runs left behind by an instance that stopped while running
+jobRunSchema.index({ jobName: 1, status: 1 });
+// Remove old runs automatically
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+// Kinds of money movements
+const LEDGER_TRANSACTION_TYPES = [
+  'charge', // Attendee paid for tickets, the price is owed to the organizer
+  'platform_fee', // Platform fee taken from the organizer share of a charge
+  'refund', // Refunded tickets taken back from the organizer and the platform fee
+  'cancellation_fee', // Cancellation fee the platform keeps from a refund
+  'transfer', // Payout to the Stripe account of the organizer
+  'transfer_failed', // Payout that did not reach the organizer, owed again
+  'transfer_reversal', // Part of a payout taken back from the organizer for a refund of a destination charge
+  'dispute_loss', // Lost chargeback, the payment is taken back from the organizer and the platform fee
+  'opening_balance' // State of a purchase made before the ledger existed
+];
+
+// Accounts money is booked on, attendee and organizer accounts exist per user (party)
+const LEDGER_ACCOUNTS = [
+  'attendee', // Money paid by (negative) or returned to (positive) an attendee
+  'organizer', // Balance the platform holds for an organizer
+  'organizer_payouts', // Money paid out to the Stripe account of an organizer
+  'platform_fees', // Platform fee revenue
+  'platform_cancellation_fees' // Cancellation fee revenue
+];
+
+// Accounts that belong to a user
+const PARTY_ACCOUNTS = ['attendee', 'organizer', 'organizer_payouts'];
+
+/**
+ * Ledger Entry Schema
+ * Amounts are signed in the smallest currency unit (cents): positive adds to the
+ * balance of the account, negative takes from it
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: [true, 'Account is required']
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be in cents'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Ledger Transaction Schema
+ * One money movement as balanced entries (the amounts add up to zero)
+ * Transactions are never changed or removed, mistakes are corrected with new transactions
+ */
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEDGER_TRANSACTION_TYPES,
+    required: [true, 'Transaction type is required']
+  },
+  entries: {
+    type: [ledgerEntrySchema],
+    validate: {
+      validator: entries => entries.length >= 2,
+      message: 'A transaction needs at least two entries'
+    }
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true
+  },
+
+  // Records the money movement belongs to
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  attendee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Stripe object behind the movement (payment intent, refund, transfer)
+  reference: {
+    type: String,
+    default: null
+  },
+  // Makes recording the same movement twice a no-op, e.g. charge:<payment intent>
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    unique: true
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Ledger of a purchase
+ledgerTransactionSchema.index({ ticket: 1, occurredAt: 1 });
+// Balances of an organizer or attendee
+ledgerTransactionSchema.index({ 'entries.party': 1, 'entries.account': 1 });
+// Admin list filtered by organizer and type
+ledgerTransactionSchema.index({ organizer: 1, occurredAt: -1 });
+ledgerTransactionSchema.index({ type: 1, occurredAt: -1 });
+
+// Every transaction must balance and party accounts need their user
+ledgerTransactionSchema.pre('validate', function(next) {
+  const total = (this.entries || []).reduce((sum, entry) => sum + (entry.amount || 0), 0);
+  if (total !== 0) {
+    this.invalidate('entries', 'Ledger entries must add up to zero');
+  }
+
+  (this.entries || []).forEach((entry, index) => {
+    if (PARTY_ACCOUNTS.includes(entry.account) && !entry.party) {
+      this.invalidate(`entries.${index}.party`, `The ${entry.account} account needs a user`);
+    }
+  });
+  next();
+});
+
+// Transactions are immutable
+ledgerTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger transactions cannot be changed'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger transactions cannot be changed or removed'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  ledgerTransactionSchema.pre(operation, rejectChange);
+});
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+module.exports = LedgerTransaction;
+module.exports.LEDGER_TRANSACTION_TYPES = LEDGER_TRANSACTION_TYPES;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
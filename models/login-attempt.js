@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Attempt Schema
+ * Failed attempts of one account, one account from one IP address or one IP address
+ * for a protected action
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  // What the attempts are counted for
+  scope: {
+    type: String,
+    enum: ['account', 'account_ip', 'ip'],
+    required: [true, 'Scope is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Key is required'] // Normalized email, email|IP address or IP address
+  },
+  action: {
+    type: String,
+    enum: ['login', 'forgot_password', 'two_factor'],
+    required: [true, 'Action is required']
+  },
+
+  // Attempts in the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  // Lockout
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0 // Consecutive lockouts, each one lasts longer
+  },
+
+  // Removed once nothing happened for a day after the last attempt or lockout
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per scope, key and action
+loginAttemptSchema.index({ scope: 1, key: 1, action: 1 }, { unique: true });
+// Remove counters once they expire
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the counter is locked
+loginAttemptSchema.methods.isLocked = function(now = new Date()) {
+  return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organizer Application Schema
+ * Request of a user to become an organizer, reviewed by admins
+ */
+const organizerApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+
+  // Organization Details
+  organization: {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      maxlength: [150, 'Organization name cannot exceed 150 characters']
+    },
+    type: {
+      type: String,
+      enum: ['individual', 'company', 'association', 'other'],
+      required: [true, 'Organization type is required']
+    },
+    registrationNumber: {
+      type: String,
+      trim: true
+    },
+    vatNumber: {
+      type: String,
+      trim: true
+    },
+    website: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      required: [true, 'Description of the planned events is required'],
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    address: {
+      street: {
+        type: String,
+        required: [true, 'Street is required']
+      },
+      city: {
+        type: String,
+        required: [true, 'City is required']
+      },
+      postalCode: {
+        type: String,
+        required: [true, 'Postal code is required']
+      },
+      country: {
+        type: String,
+        required: [true, 'Country is required']
+      }
+    }
+  },
+
+  // Supporting documents (uploaded files)
+  documents: [{
+    type: {
+      type: String,
+      enum: ['id_document', 'business_registration', 'proof_of_address', 'other'],
+      required: [true, 'Document type is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Document name is required'],
+      trim: true
+    },
+    url: {
+      type: String,
+      required: [true, 'Document URL is required'],
+      match: [/^https:\/\/\S+$/, 'Document URL must be an https URL']
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+
+  // Audit trail of the application
+  history: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'updated', 'approved', 'rejected'],
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String
+    },
+    emailSent: {
+      type: Boolean,
+      default: false
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+organizerApplicationSchema.index({ status: 1, createdAt: 1 });
+organizerApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// Only one open application per user
+organizerApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Validate that at least one document is attached
+organizerApplicationSchema.pre('validate', function(next) {
+  if (!this.documents || this.documents.length === 0) {
+    this.invalidate('documents', 'At least one document is required');
+  }
+  next();
+});
+
+const OrganizerApplication = mongoose.model('OrganizerApplication', organizerApplicationSchema);
+
+module.exports = OrganizerApplication;
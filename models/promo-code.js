@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Code Schema
+ * Discount codes organizers create for one of their events or all of them
+ */
+const promoCodeSchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Organizer is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    minlength: [3, 'Code must be at least 3 characters'],
+    maxlength: [32, 'Code cannot exceed 32 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Code can only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Discount per ticket
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than 0'] // Percentage or amount in the ticket currency
+  },
+
+  // Scope
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null // null applies the code to all events of the organizer
+  },
+  ticketTypeIds: [{
+    type: mongoose.Schema.Types.ObjectId // Empty applies the code to all ticket types
+  }],
+
+  // Usage Limits
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1'],
+    default: null // Purchases in total, null for unlimited
+  },
+  maxUsesPerUser: {
+    type: Number,
+    min: [1, 'Maximum uses per user must be at least 1'],
+    default: null // Purchases per user, null for unlimited
+  },
+  // Uses taken by checkouts, reserved with the seat hold and given back when the hold is released
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reservationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation',
+      required: true
+    },
+    reservedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Validity
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Codes are unique per organizer
+promoCodeSchema.index({ organizer: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ eventId: 1 });
+promoCodeSchema.index({ 'redemptions.reservationId': 1 });
+
+// Validate percentage, validity window and ticket type scope
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+
+  if (this.ticketTypeIds && this.ticketTypeIds.length > 0 && !this.eventId) {
+    this.invalidate('ticketTypeIds', 'Ticket types can only be selected for a code limited to one event');
+  }
+
+  next();
+});
+
+// Method to check if the code is within its validity window
+promoCodeSchema.methods.isWithinValidity = function(now = new Date()) {
+  if (this.validFrom && now < this.validFrom) {
+    return false;
+  }
+  if (this.validUntil && now > this.validUntil) {
+    return false;
+  }
+  return true;
+};
+
+// Method to check if the code applies to an event and ticket type
+promoCodeSchema.methods.appliesTo = function(eventId, ticketTypeId) {
+  if (this.eventId && this.eventId.toString() !== eventId.toString()) {
+    return false;
+  }
+  if (this.ticketTypeIds && this.ticketTypeIds.length > 0) {
+    return !!ticketTypeId && this.ticketTypeIds.some(id => id.toString() === ticketTypeId.toString());
+  }
+  return true;
+};
+
+// Method to get the discount on one ticket, never more than its price
+promoCodeSchema.methods.getDiscountPerTicket = function(unitPrice) {
+  const discount = this.discountType === 'percentage'
+    ? unitPrice * this.discountValue / 100
+    : this.discountValue;
+  return Math.round(Math.min(discount, unitPrice) * 100) / 100;
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+// Days the reconciliation reports are kept
+const RECONCILIATION_REPORT_RETENTION_DAYS = 180;
+
+// Differences found between Stripe and the database
+const DISCREPANCY_TYPES = [
+  'orphaned_payment', // Succeeded ticket payment without a ticket
+  'payment_status_mismatch', // Ticket payment status differs from the payment intent
+  'payment_missing_in_stripe', // Ticket payment intent that Stripe does not have
+  'additional_purchase_not_merged', // Succeeded additional purchase whose tickets were not added to the ticket
+  'charge_missing_in_ledger', // Succeeded payment not recorded in the ledger
+  'amount_mismatch', // Amount in Stripe differs from the ledger
+  'refund_not_recorded', // Stripe refund not recorded in the ledger
+  'refund_status_mismatch', // Fully refunded payment whose ticket is not refunded
+  'refund_missing_in_stripe', // Refunded ticket without a refund in Stripe
+  'transfer_not_recorded', // Stripe transfer the ticket does not know about
+  'transfer_reversed', // Reversed Stripe transfer of a ticket marked as paid out
+  'transfer_missing_in_stripe', // Ticket marked as paid out without a Stripe transfer
+  'orphaned_transfer', // Stripe transfer for a ticket that does not exist
+  'event_payment_not_recorded', // Paid listing fee of an event not marked as paid
+  'event_payment_missing_in_stripe' // Event marked as paid without a paid checkout session
+];
+
+// Fixes an admin can apply to a discrepancy
+const FIX_ACTIONS = [
+  'mark_ticket_paid',
+  'mark_ticket_failed',
+  'mark_ticket_refunded',
+  'record_charge',
+  'record_refund',
+  'mark_transfer_completed',
+  'mark_transfer_failed',
+  'mark_event_paid',
+  'refund_payment'
+];
+
+/**
+ * Discrepancy Schema
+ * One difference between Stripe and the database with the fix suggested for it
+ */
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCREPANCY_TYPES,
+    required: [true, 'Discrepancy type is required']
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required']
+  },
+  // Stripe object the difference was found on (payment intent, refund, transfer, checkout session)
+  stripeObjectId: {
+    type: String,
+    default: null
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  // Value in Stripe and value in the database
+  stripeValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  databaseValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Suggested fix, differences without one need to be looked at manually
+  fix: {
+    action: {
+      type: String,
+      enum: [...FIX_ACTIONS, null],
+      default: null
+    },
+    description: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['none', 'available', 'applied', 'failed'],
+      default: 'none'
+    },
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    appliedAt: {
+      type: Date,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  }
+});
+
+/**
+ * Reconciliation Report Schema
+ * Result of comparing the payment intents, refunds, transfers and checkout sessions
+ * in Stripe with the tickets and events for a date range
+ */
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: [true, 'Trigger is required']
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Stripe objects created in this range are compared
+  from: {
+    type: Date,
+    required: [true, 'Start of the range is required']
+  },
+  to: {
+    type: Date,
+    required: [true, 'End of the range is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  // Objects compared
+  checked: {
+    paymentIntents: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    transfers: { type: Number, default: 0 },
+    checkoutSessions: { type: Number, default: 0 },
+    tickets: { type: Number, default: 0 },
+    events: { type: Number, default: 0 }
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0
+  },
+  // Discrepancies by type
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  discrepancies: [discrepancySchema]
+}, {
+  timestamps: true
+});
+
+// Report list, old reports are removed automatically
+reconciliationReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: RECONCILIATION_REPORT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
+module.exports.DISCREPANCY_TYPES = DISCREPANCY_TYPES;
+module.exports.FIX_ACTIONS = FIX_ACTIONS;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund Job Schema
+ * Tracks the bulk refund of all tickets of a canceled event
+ */
+const refundJobSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Organizer is required']
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Initiator is required']
+  },
+  reason: {
+    type: String,
+    default: 'Event canceled'
+  },
+
+  // Job Status
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'completed_with_errors'],
+    default: 'pending'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // One item per purchase to refund
+  items: [{
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true
+    },
+    attendee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'refunded', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String
+    },
+    ticketCount: {
+      type: Number,
+      default: 0
+    },
+    stripeRefundId: {
+      type: String
+    },
+    // Set when the organizer was already paid for this purchase before the cancellation
+    transferAlreadyCompleted: {
+      type: Boolean,
+      default: false
+    },
+    error: {
+      type: String
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    emailSent: {
+      type: Boolean,
+      default: false
+    },
+    processedAt: {
+      type: Date
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+refundJobSchema.index({ eventId: 1 });
+refundJobSchema.index({ status: 1, createdAt: -1 });
+
+// Method to get progress counts
+refundJobSchema.methods.getProgress = function() {
+  const progress = { total: this.items.length, pending: 0, refunded: 0, failed: 0, skipped: 0, amountRefunded: 0 };
+
+  this.items.forEach(item => {
+    progress[item.status]++;
+    if (item.status === 'refunded') {
+      progress.amountRefunded += item.amount;
+    }
+  });
+
+  progress.amountRefunded = Math.round(progress.amountRefunded * 100) / 100;
+  progress.percentComplete = progress.total > 0
+    ? Math.round(((progress.total - progress.pending) / progress.total) * 100)
+    : 100;
+
+  return progress;
+};
+
+const RefundJob = mongoose.model('RefundJob', refundJobSchema);
+
+module.exports = RefundJob;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reservation Schema
+ * Short-lived seat hold created when a ticket payment is started
+ */
+const reservationSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  attendee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Attendee is required']
+  },
+
+  // Ticket type (tier) the seats are held for, null for the default tier
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Whether the ticket type has its own capacity (held against the tier inventory too)
+  hasTicketTypeCapacity: {
+    type: Boolean,
+    default: false
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+
+  // Where the hold comes from
+  source: {
+    type: String,
+    enum: ['checkout', 'waitlist', 'rsvp'],
+    default: 'checkout'
+  },
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    default: null
+  },
+
+  // Hold Status
+  status: {
+    type: String,
+    enum: ['held', 'converted', 'released', 'expired'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  convertedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String
+  },
+
+  // Linked purchase
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  existingTicketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null // Set for additional tickets added to an existing purchase
+  },
+  stripePaymentIntentId: {
+    type: String,
+    default: null
+  },
+  // Set once the held seats have been issued as tickets (additional purchases)
+  fulfilledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ eventId: 1, status: 1 });
+reservationSchema.index({ stripePaymentIntentId: 1 });
+reservationSchema.index({ eventId: 1, attendee: 1, source: 1, status: 1 });
+
+// Method to check if the hold is still active
+reservationSchema.methods.isActive = function() {
+  return this.status === 'held' && this.expiresAt > new Date();
+};
+
+// Static method to count currently held seats per ticket type
+reservationSchema.statics.getHeldCountsByType = async function(eventId) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        eventId: new mongoose.Types.ObjectId(eventId.toString()),
+        status: 'held',
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    {
+      $group: {
+        _id: '$ticketTypeId',
+        held: { $sum: '$quantity' }
+      }
+    }
+  ]);
+
+  // Key by ticket type ID, holds without a type are grouped under 'default'
+  const heldCounts = { total: 0 };
+  results.forEach(result => {
+    heldCounts[result._id ? result._id.toString() : 'default'] = result.held;
+    heldCounts.total += result.held;
+  });
+
+  return heldCounts;
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
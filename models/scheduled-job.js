@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+/**
+ * Scheduled Job Schema
+ * A recurring task of the scheduler with its schedule and the lock that makes
+ * sure only one API instance runs it at a time
+ */
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Schedule (Europe/Zurich time)
+  cronExpression: {
+    type: String,
+    required: [true, 'Cron expression is required'],
+    trim: true,
+    validate: {
+      validator: expression => cron.validate(expression),
+      message: 'Invalid cron expression'
+    }
+  },
+  defaultCronExpression: {
+    type: String,
+    required: [true, 'Default cron expression is required']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Lock held by the instance running the job, renewed while it runs
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Scheduled time of the last run started by the schedule, so a tick runs once across instances
+  lastScheduledFor: {
+    type: Date,
+    default: null
+  },
+
+  // Last run
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'interrupted', null],
+    default: null
+  },
+  lastRunSummary: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Seat Inventory Schema
+ * Counters of held and sold seats per event and per ticket type
+ * Updated with conditional atomic operations to prevent overselling
+ */
+const seatInventorySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  // 'event' for the whole event, otherwise the ticket type ID
+  scope: {
+    type: String,
+    required: [true, 'Inventory scope is required']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  held: {
+    type: Number,
+    default: 0
+  },
+  sold: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per event and scope
+seatInventorySchema.index({ eventId: 1, scope: 1 }, { unique: true });
+
+// Virtual for available seats
+seatInventorySchema.virtual('available').get(function() {
+  return Math.max(0, this.capacity - this.held - this.sold);
+});
+
+const SeatInventory = mongoose.model('SeatInventory', seatInventorySchema);
+
+module.exports = SeatInventory;
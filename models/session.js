@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One login of a user on a device, identified by a rotating refresh token
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Refresh Token (only SHA-256 hashes are stored)
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  // Token replaced by the last rotation, presenting it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Device Information
+  userAgent: {
+    type: String,
+    default: null
+  },
+  browser: {
+    type: String,
+    default: 'Unknown'
+  },
+  os: {
+    type: String,
+    default: 'Unknown'
+  },
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+    default: 'unknown'
+  },
+  ipAddress: {
+    type: String,
+    default: null // IP address of the login
+  },
+  lastIpAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'password_reset', 'account_deactivated', 'token_reuse', 'two_factor_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Setting Schema
+ * Platform settings admins can change at runtime, one document per key
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the value of a setting
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== null && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Static method to set the value of a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
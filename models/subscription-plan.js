@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Subscription statuses that keep the plan of the subscription, others fall back to the Free plan
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * Subscription Plan Schema
+ * Organizer subscription tier (Free, Pro, Business) billed through Stripe, with the
+ * limits it allows and the fee plan its subscribers are charged
+ */
+const subscriptionPlanSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Key can only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Monthly price, free plans have no Stripe price
+  price: {
+    amount: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'CHF'
+    },
+    interval: {
+      type: String,
+      enum: ['month', 'year'],
+      default: 'month'
+    }
+  },
+  stripeProductId: {
+    type: String,
+    default: null
+  },
+  stripePriceId: {
+    type: String,
+    default: null
+  },
+
+  // Limits, null for unlimited
+  limits: {
+    eventsPerMonth: {
+      type: Number,
+      min: [0, 'Events per month cannot be negative'],
+      default: null
+    },
+    maxCapacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+      default: null // Capacity of a single event
+    },
+    teamMembers: {
+      type: Number,
+      min: [0, 'Team members cannot be negative'],
+      default: null
+    }
+  },
+
+  // Fees charged to subscribers (the default fee plan when not set)
+  feePlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePlan',
+    default: null
+  },
+
+  // Position from the cheapest plan, used to tell upgrades from downgrades
+  rank: {
+    type: Number,
+    required: [true, 'Rank is required'],
+    min: [0, 'Rank cannot be negative']
+  },
+  // Plan organizers without a subscription are on
+  isFree: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Plan of a Stripe price received in subscription webhooks
+subscriptionPlanSchema.index({ stripePriceId: 1 });
+
+// Method to check if the plan is billed through Stripe
+subscriptionPlanSchema.methods.isBilled = function() {
+  return !this.isFree && !!this.stripePriceId;
+};
+
+// Static method to get the plan an organizer is on
+// Returns null when no plans are set up, organizers then have no limits
+subscriptionPlanSchema.statics.findForOrganizer = async function(organizer) {
+  const subscription = organizer && organizer.subscription;
+  if (subscription && subscription.plan && ENTITLED_STATUSES.includes(subscription.status)) {
+    const plan = await this.findById(subscription.plan._id || subscription.plan);
+    if (plan) {
+      return plan;
+    }
+  }
+
+  return this.findOne({ isFree: true, isActive: true }).sort({ rank: 1 });
+};
+
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+
+module.exports = SubscriptionPlan;
+module.exports.ENTITLED_STATUSES = ENTITLED_STATUSES;
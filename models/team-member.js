@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Team Member Schema
+ * A user invited by an organizer to help with one event or all of the organizer's events
+ */
+const teamMemberSchema = new mongoose.Schema({
+  // Organizer who owns the events
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Organizer is required']
+  },
+  // Invited user, set when the invitation is accepted (or at once when the account exists)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'finance', 'door_staff', 'viewer'],
+    required: [true, 'Role is required']
+  },
+
+  // One event or all events of the organizer (including future ones)
+  scope: {
+    type: String,
+    enum: ['event', 'all_events'],
+    default: 'event'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user is required']
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One membership per person and event (or per person for all events)
+teamMemberSchema.index({ organizer: 1, email: 1, event: 1 }, { unique: true });
+// Permission lookups of a member
+teamMemberSchema.index({ user: 1, status: 1 });
+// Pending invitations of an email address
+teamMemberSchema.index({ email: 1, status: 1 });
+
+// Event scoped memberships need an event, all events memberships must not have one
+teamMemberSchema.pre('validate', function(next) {
+  if (this.scope === 'event' && !this.event) {
+    this.invalidate('event', 'Event is required for an event team member');
+  }
+  if (this.scope === 'all_events') {
+    this.event = null;
+  }
+  next();
+});
+
+const TeamMember = mongoose.model('TeamMember', teamMemberSchema);
+
+module.exports = TeamMember;
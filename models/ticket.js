@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { quoteRefund } = require('../utils/refund-policy');
+
+// Statuses of registrations for free tickets, which are not paid through Stripe
+const RSVP_STATUSES = ['free', 'canceled'];
+
+// Statuses of purchases and registrations whose tickets are valid for the event
+const ATTENDING_STATUSES = ['paid', 'partially_refunded', 'free'];
 
 /**
  * Ticket Schema
@@ -22,6 +29,22 @@ const ticketSchema = new mongoose.Schema({
     required: [true, 'Organizer is required']
   },
   
+  // Ticket type (tier) this purchase belongs to
+  ticketType: {
+    typeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null // null for events without ticket types (default tier)
+    },
+    name: {
+      type: String,
+      default: 'Standard'
+    },
+    unitPrice: {
+      type: Number,
+      min: [0, 'Unit price cannot be negative'] // Price paid per ticket, a fee passed through to the buyer included
+    }
+  },
+  
   // Multiple Tickets Support
   quantity: {
     type: Number,
@@ -59,6 +82,33 @@ const ticketSchema = new mongoose.Schema({
     },
     refundedAt: {
       type: Date
+    },
+    // Door check-in (set by the first valid scan)
+    checkedInAt: {
+      type: Date,
+      default: null
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkInGate: {
+      type: String
+    },
+    // Generated PDF ticket with its signed QR code
+    pdf: {
+      provider: {
+        type: String
+      },
+      key: {
+        type: String
+      },
+      url: {
+        type: String
+      },
+      generatedAt: {
+        type: Date
+      }
     }
   }],
   
@@ -74,14 +124,56 @@ const ticketSchema = new mongoose.Schema({
     required: [true, 'Currency is required']
   },
   
-  // Platform Fee (10% of total ticket price)
+  // Promo code applied to the purchase (ticketType.unitPrice is the price after the discount)
+  promoCode: {
+    codeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: {
+      type: String
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    discountValue: {
+      type: Number
+    },
+    listPrice: {
+      type: Number // Price per ticket before the discount
+    },
+    discountPerTicket: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // Fee plan the fees of the purchase were computed with
+  feePlan: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeePlan',
+      default: null // null for the built-in default plan
+    },
+    name: { type: String },
+    percentage: { type: Number },
+    fixed: { type: Number },
+    minPerTicket: { type: Number },
+    maxPerTicket: { type: Number },
+    passThrough: { type: Boolean }, // Fee was added to the price the buyer paid
+    feePerTicket: { type: Number }
+  },
+  
+  // Platform Fee (computed from the fee plan)
   platformFee: {
     type: Number,
     required: [true, 'Platform fee is required'],
     min: [0, 'Platform fee cannot be negative']
   },
   
-  // Organizer Payment (90% of total ticket price)
+  // Organizer Payment (ticket price less the platform fee)
   organizerPayment: {
     type: Number,
     required: [true, 'Organizer payment is required'],
@@ -91,19 +183,41 @@ const ticketSchema = new mongoose.Schema({
   // Stripe Payment Details
   stripePaymentIntentId: {
     type: String,
-    required: [true, 'Stripe payment intent ID is required']
+    required: [function() { return !RSVP_STATUSES.includes(this.paymentStatus); }, 'Stripe payment intent ID is required']
+  },
+  // Additional purchases whose tickets were added to this ticket
+  additionalPaymentIntentIds: {
+    type: [String],
+    default: []
   },
   stripeTransferId: {
     type: String,
     default: null // Will be set when we transfer money to organizer
   },
+  // Settlement mode of the organizer when the ticket was bought, destination charges
+  // are paid out with the payment and refunds reverse part of their transfer
+  settlementMode: {
+    type: String,
+    enum: ['transfer', 'destination'],
+    default: 'transfer'
+  },
+  
+  // Seat hold created when the payment was started
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
   
-  // Payment Status
+  // Payment Status (free for a confirmed RSVP to free tickets, canceled when the RSVP is canceled)
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'free', 'canceled'],
     default: 'pending'
   },
+  canceledAt: {
+    type: Date // Set when an RSVP is canceled
+  },
   
   // Overall Refund Details (for backward compatibility)
   refundStatus: {
@@ -117,25 +231,35 @@ const ticketSchema = new mongoose.Schema({
   },
   cancellationFee: {
     type: Number,
-    default: 2.50 // 2.50 CHF cancellation fee per ticket
+    default: 0 // Set from the event refund rules when a refund is requested
   },
   refundReason: {
     type: String
   },
+  refundRequestedAt: {
+    type: Date
+  },
   refundedAt: {
     type: Date
   },
   
-  // Transfer Status
+  // Transfer Status (on_hold while a payment dispute is open, canceled when a lost
+  // dispute took the payment back before the organizer was paid)
   organizerTransferStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'on_hold', 'canceled'],
     default: 'pending'
   },
   organizerTransferDate: {
     type: Date
   },
   
+  // Purchase confirmation email with the PDF tickets, sent once per paid ticket
+  confirmationSentAt: {
+    type: Date,
+    default: null
+  },
+  
   // Timestamps
   purchasedAt: {
     type: Date,
@@ -152,8 +276,15 @@ const ticketSchema = new mongoose.Schema({
 // Index for efficient queries
 ticketSchema.index({ eventId: 1, attendee: 1 });
 ticketSchema.index({ organizer: 1 });
+ticketSchema.index({ eventId: 1, 'ticketType.typeId': 1 });
 ticketSchema.index({ paymentStatus: 1 });
 ticketSchema.index({ organizerTransferStatus: 1 });
+ticketSchema.index({ 'promoCode.codeId': 1, attendee: 1 });
+// A user can only hold one active free registration per event
+ticketSchema.index(
+  { eventId: 1, attendee: 1, paymentStatus: 1 },
+  { unique: true, partialFilterExpression: { paymentStatus: 'free' } }
+);
 // Unique index on ticket numbers to prevent duplicates
 ticketSchema.index({ 'ticketDetails.ticketNumber': 1 }, { unique: true, sparse: true });
 
@@ -188,8 +319,8 @@ ticketSchema.methods.getRefundableTickets = function() {
   return this.ticketDetails.filter(detail => detail.refundStatus === 'none');
 };
 
-// Method to calculate partial refund amount
-ticketSchema.methods.calculatePartialRefundAmount = function(ticketNumbers) {
+// Method to calculate partial refund amount under the refund rules of the event
+ticketSchema.methods.calculatePartialRefundAmount = function(ticketNumbers, event = this.eventId) {
   const refundableTickets = this.ticketDetails.filter(detail => 
     ticketNumbers.includes(detail.ticketNumber) && detail.refundStatus === 'none'
   );
@@ -198,11 +329,11 @@ ticketSchema.methods.calculatePartialRefundAmount = function(ticketNumbers) {
     return 0;
   }
   
-  const pricePerTicket = this.ticketPrice / this.quantity;
-  const totalRefundAmount = refundableTickets.length * pricePerTicket;
-  const cancellationFee = refundableTickets.length * 2.50; // 2.50 CHF per ticket
-  
-  return Math.max(0, totalRefundAmount - cancellationFee);
+  return quoteRefund({
+    event,
+    unitPrice: this.getUnitPrice(),
+    ticketCount: refundableTickets.length
+  }).refundAmount;
 };
 
 // Method to get active (non-refunded) tickets count
@@ -216,6 +347,41 @@ ticketSchema.methods.updateQuantityFromActiveTickets = function() {
   return this.quantity;
 };
 
+// Method to check if this is a registration for free tickets
+ticketSchema.methods.isRsvp = function() {
+  return RSVP_STATUSES.includes(this.paymentStatus);
+};
+
+// Method to get the number of seats this purchase occupies
+// Matches the sold count used for capacity (paid purchases and RSVPs, non-refunded tickets)
+ticketSchema.methods.getSoldSeatCount = function() {
+  if (!ATTENDING_STATUSES.includes(this.paymentStatus)) {
+    return 0;
+  }
+  return this.getActiveTicketsCount();
+};
+
+// Method to get the price paid per ticket
+ticketSchema.methods.getUnitPrice = function() {
+  if (this.ticketType && this.ticketType.unitPrice != null) {
+    return this.ticketType.unitPrice;
+  }
+  return this.quantity > 0 ? this.ticketPrice / this.quantity : 0;
+};
+
+// Method to get the price paid for the active (non-refunded) tickets
+ticketSchema.methods.getActiveTicketsValue = function() {
+  return Math.round(this.getUnitPrice() * this.getActiveTicketsCount() * 100) / 100;
+};
+
+// Method to get the discount on the active (non-refunded) tickets
+ticketSchema.methods.getDiscountAmount = function() {
+  if (!this.promoCode || !this.promoCode.discountPerTicket) {
+    return 0;
+  }
+  return Math.round(this.promoCode.discountPerTicket * this.getActiveTicketsCount() * 100) / 100;
+};
+
 // Method to get refunded tickets count
 ticketSchema.methods.getRefundedTicketsCount = function() {
   return this.ticketDetails.filter(detail => detail.refundStatus === 'completed').length;
@@ -241,6 +407,45 @@ ticketSchema.pre('save', async function(next) {
   }
 });
 
+// Static method to count sold (non-refunded) attendee tickets per ticket type
+ticketSchema.statics.getSoldCountsByType = async function(eventId) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        eventId: new mongoose.Types.ObjectId(eventId.toString()),
+        paymentStatus: { $in: ATTENDING_STATUSES }
+      }
+    },
+    {
+      $project: {
+        typeId: '$ticketType.typeId',
+        activeTickets: {
+          $size: {
+            $filter: {
+              input: '$ticketDetails',
+              cond: { $ne: ['$$this.refundStatus', 'completed'] }
+            }
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$typeId',
+        sold: { $sum: '$activeTickets' }
+      }
+    }
+  ]);
+  
+  // Key by ticket type ID, tickets without a type are grouped under 'default'
+  const soldCounts = {};
+  results.forEach(result => {
+    soldCounts[result._id ? result._id.toString() : 'default'] = result.sold;
+  });
+  
+  return soldCounts;
+};
+
 // Static method to generate unique ticket number for an event
 ticketSchema.statics.generateTicketNumber = async function(eventId, eventTitle) {
   try {
@@ -357,4 +562,6 @@ ticketSchema.statics.generateTicketNumbers = async function(eventId, eventTitle,
 
 const Ticket = mongoose.model('Ticket', ticketSchema);
 
-module.exports = Ticket; 
\ No newline at end of file
+module.exports = Ticket;
+module.exports.RSVP_STATUSES = RSVP_STATUSES;
+module.exports.ATTENDING_STATUSES = ATTENDING_STATUSES;
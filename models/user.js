@@ -44,6 +44,53 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // How ticket payments reach the organizer: transferred after the event (transfer) or
+  // paid to their Stripe account with each purchase, less the platform fee (destination)
+  settlementMode: {
+    type: String,
+    enum: ['transfer', 'destination'],
+    default: 'transfer'
+  },
+  // Fee plan assigned by an admin, organizers without one are charged the default plan
+  feePlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePlan',
+    default: null
+  },
+  // Stripe customer billed for the organizer subscription (stripeCustomerId is the Connect account)
+  billingCustomerId: {
+    type: String,
+    default: null
+  },
+  // Organizer subscription, kept in sync with Stripe by the customer.subscription webhooks
+  subscription: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionPlan',
+      default: null // null for the Free plan
+    },
+    stripeSubscriptionId: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused', null],
+      default: null
+    },
+    currentPeriodEnd: {
+      type: Date,
+      default: null
+    },
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false
+    },
+    canceledAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Payment blocking for organizers
   isPaymentBlocked: {
     type: Boolean,
@@ -57,6 +104,66 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Email verification fields
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null // Last verification email, used to rate limit resends
+  },
+  emailVerificationSendCount: {
+    type: Number,
+    default: 0 // Verification emails sent since emailVerificationWindowStart
+  },
+  emailVerificationWindowStart: {
+    type: Date,
+    default: null
+  },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false // Encrypted authenticator secret
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false // Secret of an enrolment that was not confirmed yet
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false // SHA-256 hashes of unused recovery codes
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false // Time step of the last accepted code, codes cannot be used twice
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Password reset fields
   resetPasswordToken: {
     type: String,
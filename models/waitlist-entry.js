@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Entry Schema
+ * Queues users for sold-out events and tracks purchase offers for freed seats
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Ticket type (tier) the user is waiting for, null for the default tier
+  ticketTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    default: 1
+  },
+
+  // Queue Status
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'purchased', 'expired', 'left'],
+    default: 'waiting'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Purchase offer (seats are held by a reservation until the offer expires)
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  purchasedAt: {
+    type: Date
+  },
+  leftAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+waitlistEntrySchema.index({ eventId: 1, status: 1, joinedAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+// A user can only be in the queue of an event once at a time
+waitlistEntrySchema.index(
+  { eventId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+// Method to get the position in the queue (1-based, 0 if not waiting)
+waitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') {
+    return 0;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    eventId: this.eventId,
+    status: 'waiting',
+    joinedAt: { $lt: this.joinedAt }
+  });
+
+  return ahead + 1;
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Event Schema
+ * Every Stripe webhook event received, stored before it is processed so
+ * redelivered events are recognized and failed ones can be retried or replayed
+ */
+const webhookEventSchema = new mongoose.Schema({
+  // Stripe event ID (evt_...)
+  stripeEventId: {
+    type: String,
+    required: [true, 'Stripe event ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  apiVersion: {
+    type: String,
+    default: null
+  },
+  // Time Stripe created the event
+  stripeCreatedAt: {
+    type: Date,
+    default: null
+  },
+  // Full event as sent by Stripe
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+
+  // Processing Status
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed', 'ignored'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set while a handler runs so events of a stopped instance are picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Times Stripe delivered the event again after it was received
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+
+  // Manual replays by admins
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastReplayedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Admin list filtered by type and status
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+// Failed events due for a retry
+webhookEventSchema.index({ status: 1, nextRetryAt: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -9,15 +9,49 @@ const {
   updateUser,
   deleteUser,
   changeUserPassword,
+  unlockUser,
+  resetUserTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
   getActivities,
+  exportActivities,
   getSchedulerStatus,
   runTransferNow,
+  getScheduledJobs,
+  getScheduledJobRuns,
+  updateScheduledJob,
+  runScheduledJob,
   startScheduler,
   stopScheduler,
   getOrganizers,
   getOrganizerStats,
   toggleOrganizerPaymentBlock,
-  transferToOrganizer
+  updateOrganizerSettlementMode,
+  updateOrganizerFeePlan,
+  getFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  transferToOrganizer,
+  getRefundJobs,
+  getRefundJobById,
+  retryRefundJob,
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+  getLedgerTransactions,
+  getLedgerBalances,
+  getOrganizerLedgerBalances,
+  checkLedgerConsistency,
+  runReconciliation,
+  getReconciliationReports,
+  getReconciliationReportById,
+  applyReconciliationFix,
+  getDisputes,
+  getDisputeById,
+  getOrganizerApplications,
+  getOrganizerApplicationById,
+  approveOrganizerApplication,
+  rejectOrganizerApplication
 } = require('../controllers/admin-controller');
 const { authenticate, authorizeAdmin } = require('../middleware/auth');
 
@@ -80,6 +114,34 @@ router.delete('/users/:id', deleteUser);
  */
 router.put('/users/:id/password', changeUserPassword);
 
+/**
+ * @desc    Unlock a user account locked after failed logins
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/unlock', unlockUser);
+
+/**
+ * @desc    Reset two-factor authentication of a user (lost device)
+ * @route   POST /api/admin/users/:id/2fa/reset
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/2fa/reset', resetUserTwoFactor);
+
+/**
+ * @desc    Get the two-factor authentication policy
+ * @route   GET /api/admin/security/two-factor
+ * @access  Private (Admin only)
+ */
+router.get('/security/two-factor', getTwoFactorPolicy);
+
+/**
+ * @desc    Set the roles that must use two-factor authentication
+ * @route   PUT /api/admin/security/two-factor
+ * @access  Private (Admin only)
+ */
+router.put('/security/two-factor', updateTwoFactorPolicy);
+
 /**
  * @desc    Get admin activities/audit logs
  * @route   GET /api/admin/activities
@@ -87,6 +149,13 @@ router.put('/users/:id/password', changeUserPassword);
  */
 router.get('/activities', getActivities);
 
+/**
+ * @desc    Export activities/audit logs as CSV
+ * @route   GET /api/admin/activities/export
+ * @access  Private (Admin only)
+ */
+router.get('/activities/export', exportActivities);
+
 /**
  * @desc    Get scheduler status
  * @route   GET /api/admin/scheduler/status
@@ -101,6 +170,34 @@ router.get('/scheduler/status', getSchedulerStatus);
  */
 router.post('/scheduler/run-transfer', runTransferNow);
 
+/**
+ * @desc    Get the scheduled jobs with their schedule, lock and last run
+ * @route   GET /api/admin/scheduler/jobs
+ * @access  Private (Admin only)
+ */
+router.get('/scheduler/jobs', getScheduledJobs);
+
+/**
+ * @desc    Get the past runs of a scheduled job
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @access  Private (Admin only)
+ */
+router.get('/scheduler/jobs/:name/runs', getScheduledJobRuns);
+
+/**
+ * @desc    Change the cron expression of a scheduled job or enable/disable it
+ * @route   PUT /api/admin/scheduler/jobs/:name
+ * @access  Private (Admin only)
+ */
+router.put('/scheduler/jobs/:name', updateScheduledJob);
+
+/**
+ * @desc    Run a scheduled job immediately
+ * @route   POST /api/admin/scheduler/jobs/:name/run
+ * @access  Private (Admin only)
+ */
+router.post('/scheduler/jobs/:name/run', runScheduledJob);
+
 /**
  * @desc    Start scheduler
  * @route   POST /api/admin/scheduler/start
@@ -136,6 +233,41 @@ router.get('/organizers/:id/stats', getOrganizerStats);
  */
 router.put('/organizers/:id/payment-block', toggleOrganizerPaymentBlock);
 
+/**
+ * @desc    Change how the ticket payments of an organizer are settled
+ * @route   PUT /api/admin/organizers/:id/settlement-mode
+ * @access  Private (Admin only)
+ */
+router.put('/organizers/:id/settlement-mode', updateOrganizerSettlementMode);
+
+/**
+ * @desc    Assign a fee plan to an organizer (null for the default plan)
+ * @route   PUT /api/admin/organizers/:id/fee-plan
+ * @access  Private (Admin only)
+ */
+router.put('/organizers/:id/fee-plan', updateOrganizerFeePlan);
+
+/**
+ * @desc    Get fee plans with the number of organizers on each
+ * @route   GET /api/admin/fee-plans
+ * @access  Private (Admin only)
+ */
+router.get('/fee-plans', getFeePlans);
+
+/**
+ * @desc    Create a fee plan
+ * @route   POST /api/admin/fee-plans
+ * @access  Private (Admin only)
+ */
+router.post('/fee-plans', createFeePlan);
+
+/**
+ * @desc    Update a fee plan (events and purchases keep the fees they were made with)
+ * @route   PUT /api/admin/fee-plans/:id
+ * @access  Private (Admin only)
+ */
+router.put('/fee-plans/:id', updateFeePlan);
+
 /**
  * @desc    Manually transfer payment to organizer
  * @route   POST /api/admin/organizers/:id/transfer
@@ -143,4 +275,144 @@ router.put('/organizers/:id/payment-block', toggleOrganizerPaymentBlock);
  */
 router.post('/organizers/:id/transfer', transferToOrganizer);
 
+/**
+ * @desc    Get refund jobs of canceled events with their progress
+ * @route   GET /api/admin/refund-jobs
+ * @access  Private (Admin only)
+ */
+router.get('/refund-jobs', getRefundJobs);
+
+/**
+ * @desc    Get a refund job with the status of every purchase
+ * @route   GET /api/admin/refund-jobs/:id
+ * @access  Private (Admin only)
+ */
+router.get('/refund-jobs/:id', getRefundJobById);
+
+/**
+ * @desc    Retry the failed refunds of a refund job
+ * @route   POST /api/admin/refund-jobs/:id/retry
+ * @access  Private (Admin only)
+ */
+router.post('/refund-jobs/:id/retry', retryRefundJob);
+
+/**
+ * @desc    Get received Stripe webhook events with their processing status
+ * @route   GET /api/admin/webhook-events
+ * @access  Private (Admin only)
+ */
+router.get('/webhook-events', getWebhookEvents);
+
+/**
+ * @desc    Get a Stripe webhook event with its payload
+ * @route   GET /api/admin/webhook-events/:id
+ * @access  Private (Admin only)
+ */
+router.get('/webhook-events/:id', getWebhookEventById);
+
+/**
+ * @desc    Process a Stripe webhook event again
+ * @route   POST /api/admin/webhook-events/:id/replay
+ * @access  Private (Admin only)
+ */
+router.post('/webhook-events/:id/replay', replayWebhookEvent);
+
+/**
+ * @desc    Get ledger transactions
+ * @route   GET /api/admin/ledger/transactions
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/transactions', getLedgerTransactions);
+
+/**
+ * @desc    Get the balance of every ledger account
+ * @route   GET /api/admin/ledger/balances
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/balances', getLedgerBalances);
+
+/**
+ * @desc    Get the ledger balances of an organizer
+ * @route   GET /api/admin/ledger/organizers/:organizerId
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/organizers/:organizerId', getOrganizerLedgerBalances);
+
+/**
+ * @desc    Check the tickets against the ledger and report the differences
+ * @route   GET /api/admin/ledger/consistency
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/consistency', checkLedgerConsistency);
+
+/**
+ * @desc    Compare Stripe with the database for a date range
+ * @route   POST /api/admin/reconciliation/run
+ * @access  Private (Admin only)
+ */
+router.post('/reconciliation/run', runReconciliation);
+
+/**
+ * @desc    Get reconciliation reports
+ * @route   GET /api/admin/reconciliation/reports
+ * @access  Private (Admin only)
+ */
+router.get('/reconciliation/reports', getReconciliationReports);
+
+/**
+ * @desc    Get a reconciliation report with its discrepancies
+ * @route   GET /api/admin/reconciliation/reports/:id
+ * @access  Private (Admin only)
+ */
+router.get('/reconciliation/reports/:id', getReconciliationReportById);
+
+/**
+ * @desc    Apply the suggested fix of a discrepancy
+ * @route   POST /api/admin/reconciliation/reports/:id/discrepancies/:discrepancyId/fix
+ * @access  Private (Admin only)
+ */
+router.post('/reconciliation/reports/:id/discrepancies/:discrepancyId/fix', applyReconciliationFix);
+
+/**
+ * @desc    Get payment disputes
+ * @route   GET /api/admin/disputes
+ * @access  Private (Admin only)
+ */
+router.get('/disputes', getDisputes);
+
+/**
+ * @desc    Get a payment dispute with the evidence for responding to it
+ * @route   GET /api/admin/disputes/:id
+ * @access  Private (Admin only)
+ */
+router.get('/disputes/:id', getDisputeById);
+
+/**
+ * @desc    Get organizer applications (review queue)
+ * @route   GET /api/admin/organizer-applications
+ * @access  Private (Admin only)
+ */
+router.get('/organizer-applications', getOrganizerApplications);
+
+/**
+ * @desc    Get an organizer application with its documents and history
+ * @route   GET /api/admin/organizer-applications/:id
+ * @access  Private (Admin only)
+ */
+router.get('/organizer-applications/:id', getOrganizerApplicationById);
+
+/**
+ * @desc    Approve an organizer application and promote the applicant
+ * @route   POST /api/admin/organizer-applications/:id/approve
+ * @access  Private (Admin only)
+ */
+router.post('/organizer-applications/:id/approve', approveOrganizerApplication);
+
+/**
+ * @desc    Reject an organizer application with a reason
+ * @route   POST /api/admin/organizer-applications/:id/reject
+ * @access  Private (Admin only)
+ */
+router.post('/organizer-applications/:id/reject', rejectOrganizerApplication);
+
 module.exports = router; 
\ No newline at end of file
@@ -8,9 +8,22 @@ const {
   changePassword,
   deleteAccount,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/auth-controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateTwoFactorSetup } = require('../middleware/auth');
 
 /**
  * @desc    Register a new user
@@ -26,6 +39,83 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @desc    Finish a login with an authenticator code or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires challenge token from the login)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @desc    Get a new access token with the refresh token cookie (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token cookie)
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @desc    Logout user and revoke the current session
+ * @route   POST /api/auth/logout
+ * @access  Public (uses refresh token cookie)
+ */
+router.post('/logout', logout);
+
+/**
+ * @desc    Get active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @desc    Revoke all other sessions (all sessions with ?includeCurrent=true)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions', authenticate, revokeAllSessions);
+
+/**
+ * @desc    Revoke a session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private (requires authentication)
+ */
+router.get('/2fa', authenticateTwoFactorSetup, getTwoFactorStatus);
+
+/**
+ * @desc    Start the setup of an authenticator app (returns secret and QR code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (requires authentication or setup challenge token from the login)
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @desc    Confirm the authenticator app and enable two-factor authentication (returns recovery codes)
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (requires authentication or setup challenge token from the login)
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, enableTwoFactor);
+
+/**
+ * @desc    Disable two-factor authentication (requires password and a code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+
+/**
+ * @desc    Replace the recovery codes (requires a code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -68,6 +158,20 @@ router.post('/forgot-password', forgotPassword);
  */
 router.post('/reset-password', resetPassword);
 
+/**
+ * @desc    Verify email address with token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @desc    Resend email verification link (rate limited)
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (requires authentication)
+ */
+router.post('/resend-verification', authenticate, resendVerificationEmail);
+
 /**
  * @desc    Verify token (useful for frontend to check token validity)
  * @route   GET /api/auth/verify
@@ -83,7 +187,9 @@ router.get('/verify', authenticate, (req, res) => {
       firstName: req.user.firstName,
       lastName: req.user.lastName,
       phone: req.user.phone,
-      role: req.user.role
+      role: req.user.role,
+      isEmailVerified: req.user.isEmailVerified,
+      twoFactorEnabled: req.user.twoFactor.enabled
     }
   });
 });
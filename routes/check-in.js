@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const checkInController = require('../controllers/check-in-controller');
+const { authenticate } = require('../middleware/auth');
+
+// All check-in routes require authentication, access is checked per event (organizer, team members with check-in access or admin)
+router.use(authenticate);
+
+/**
+ * @route   GET /api/check-in/events
+ * @desc    Get the events the current user can check in attendees for
+ * @access  Private (Organizer/Check-in staff/Admin)
+ */
+router.get('/events', checkInController.getCheckInEvents);
+
+/**
+ * @route   POST /api/check-in/sync
+ * @desc    Sync a batch of scans collected offline and get attendance per event
+ * @access  Private (Organizer/Check-in staff/Admin)
+ */
+router.post('/sync', checkInController.syncOfflineScans);
+
+/**
+ * @route   POST /api/check-in/events/:eventId/scan
+ * @desc    Scan a ticket (signed QR payload or ticket number) and admit the attendee
+ * @access  Private (Organizer/Check-in staff/Admin)
+ */
+router.post('/events/:eventId/scan', checkInController.scanTicket);
+
+/**
+ * @route   GET /api/check-in/events/:eventId/attendance
+ * @desc    Get live attendance counts of an event
+ * @access  Private (Organizer/Check-in staff/Admin)
+ */
+router.get('/events/:eventId/attendance', checkInController.getAttendance);
+
+/**
+ * @route   GET /api/check-in/events/:eventId/scans
+ * @desc    Get the scan log of an event
+ * @access  Private (Organizer/Check-in staff/Admin)
+ */
+router.get('/events/:eventId/scans', checkInController.getScans);
+
+module.exports = router;
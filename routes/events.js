@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/event-controller');
-const { authenticate, authorizeOrganizer } = require('../middleware/auth');
+const waitlistController = require('../controllers/waitlist-controller');
+const promoCodeController = require('../controllers/promo-code-controller');
+const { authenticate, authorizeOrganizer, authorizeEventTeam, requireVerifiedEmail } = require('../middleware/auth');
 
 /**
  * @route   GET /api/events
@@ -12,10 +14,10 @@ router.get('/', eventController.getEvents);
 
 /**
  * @route   GET /api/events/organizer
- * @desc    Get events created by the current organizer
- * @access  Private (Organizer/Admin)
+ * @desc    Get events of the current organizer and events the user is a team member of
+ * @access  Private (Organizer/Admin/Team member)
  */
-router.get('/organizer', authenticate, authorizeOrganizer, eventController.getOrganizerEvents);
+router.get('/organizer', authenticate, authorizeEventTeam, eventController.getOrganizerEvents);
 
 /**
  * @route   GET /api/events/:idOrSlug
@@ -31,26 +33,82 @@ router.get('/:idOrSlug', eventController.getEvent);
  */
 router.get('/:idOrSlug/stats', eventController.getEventStats);
 
+/**
+ * @route   GET /api/events/:idOrSlug/waitlist
+ * @desc    Get the current user's waitlist position and offer
+ * @access  Private
+ */
+router.get('/:idOrSlug/waitlist', authenticate, waitlistController.getMyWaitlistPosition);
+
+/**
+ * @route   POST /api/events/:idOrSlug/waitlist
+ * @desc    Join the waitlist of a sold-out event
+ * @access  Private
+ */
+router.post('/:idOrSlug/waitlist', authenticate, waitlistController.joinWaitlist);
+
+/**
+ * @route   GET /api/events/:id/reminders
+ * @desc    Get the reminder emails of an event (available, active and sent)
+ * @access  Private (Organizer/Admin/Team member)
+ */
+router.get('/:id/reminders', authenticate, authorizeEventTeam, eventController.getEventReminders);
+
+/**
+ * @route   PUT /api/events/:id/reminders
+ * @desc    Choose which reminder emails are sent for an event
+ * @access  Private (Organizer/Admin/Editor)
+ */
+router.put('/:id/reminders', authenticate, authorizeEventTeam, eventController.updateEventReminders);
+
+/**
+ * @route   DELETE /api/events/:idOrSlug/waitlist
+ * @desc    Leave the waitlist of an event
+ * @access  Private
+ */
+router.delete('/:idOrSlug/waitlist', authenticate, waitlistController.leaveWaitlist);
+
+/**
+ * @route   POST /api/events/:idOrSlug/promo-codes/validate
+ * @desc    Validate a promo code for a ticket type and get the discounted price
+ * @access  Private
+ */
+router.post('/:idOrSlug/promo-codes/validate', authenticate, promoCodeController.validatePromoCode);
+
 /**
  * @route   POST /api/events
  * @desc    Create a new event
  * @access  Private (Organizer/Admin)
  */
-router.post('/', authenticate, authorizeOrganizer, eventController.createEvent);
+router.post('/', authenticate, authorizeOrganizer, requireVerifiedEmail('event_creation'), eventController.createEvent);
 
 /**
  * @route   PUT /api/events/:id
  * @desc    Update an event
- * @access  Private (Organizer/Admin)
+ * @access  Private (Organizer/Admin/Editor)
  */
-router.put('/:id', authenticate, authorizeOrganizer, eventController.updateEvent);
+router.put('/:id', authenticate, authorizeEventTeam, eventController.updateEvent);
 
 /**
  * @route   PATCH /api/events/:id/status
  * @desc    Change event status
- * @access  Private (Organizer/Admin)
+ * @access  Private (Organizer/Admin/Editor)
+ */
+router.patch('/:id/status', authenticate, authorizeEventTeam, eventController.changeEventStatus);
+
+/**
+ * @route   GET /api/events/:id/reminders
+ * @desc    Get the reminder emails of an event (available, active and sent)
+ * @access  Private (Organizer/Admin/Team member)
+ */
+router.get('/:id/reminders', authenticate, authorizeEventTeam, eventController.getEventReminders);
+
+/**
+ * @route   PUT /api/events/:id/reminders
+ * @desc    Choose which reminder emails are sent for an event
+ * @access  Private (Organizer/Admin/Editor)
  */
-router.patch('/:id/status', authenticate, authorizeOrganizer, eventController.changeEventStatus);
+router.put('/:id/reminders', authenticate, authorizeEventTeam, eventController.updateEventReminders);
 
 /**
  * @route   DELETE /api/events/:id
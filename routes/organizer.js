@@ -1,25 +1,75 @@
 const express = require('express');
 const router = express.Router();
 const organizerController = require('../controllers/organizer-controller');
-const {authenticate, authorizeOrganizer} = require('../middleware/auth');
+const promoCodeController = require('../controllers/promo-code-controller');
+const teamController = require('../controllers/team-controller');
+const subscriptionController = require('../controllers/subscription-controller');
+const {authenticate, authorizeOrganizer, authorizeEventTeam, requireVerifiedEmail} = require('../middleware/auth');
 
-// All routes require authentication and organizer authorization
+// All routes require authentication
 router.use(authenticate);
+
+// Get payment summary (finance team members pass ?organizerId)
+router.get('/payments/summary', authorizeEventTeam, organizerController.getPaymentSummary);
+
+// All other routes require organizer authorization
 router.use(authorizeOrganizer);
 
 // Create Stripe Connect account
-router.post('/stripe-account', organizerController.createStripeAccount);
+router.post('/stripe-account', requireVerifiedEmail('stripe_onboarding'), organizerController.createStripeAccount);
 
 // Get Stripe account status
 router.get('/stripe-account/status', organizerController.getStripeAccountStatus);
 
 // Create account link for onboarding
-router.post('/stripe-account/link', organizerController.createAccountLink);
+router.post('/stripe-account/link', requireVerifiedEmail('stripe_onboarding'), organizerController.createAccountLink);
+
+// Get the fee plan charged to the organizer
+router.get('/fee-plan', organizerController.getFeePlan);
+
+// Get the subscription plan, its limits and usage
+router.get('/subscription', subscriptionController.getSubscription);
 
-// Get payment summary
-router.get('/payments/summary', organizerController.getPaymentSummary);
+// Upgrade the subscription plan (body: plan key)
+router.post('/subscription/upgrade', subscriptionController.upgradeSubscription);
+
+// Downgrade the subscription plan (body: plan key)
+router.post('/subscription/downgrade', subscriptionController.downgradeSubscription);
+
+// Cancel the subscription at the end of the period
+router.post('/subscription/cancel', subscriptionController.cancelSubscription);
 
 // Get comprehensive dashboard overview
 router.get('/dashboard/overview', organizerController.getDashboardOverview);
 
+// Get promo codes with their usage (eventId and isActive filters)
+router.get('/promo-codes', promoCodeController.getPromoCodes);
+
+// Create promo code
+router.post('/promo-codes', promoCodeController.createPromoCode);
+
+// Get promo code with its usage
+router.get('/promo-codes/:id', promoCodeController.getPromoCode);
+
+// Update promo code
+router.put('/promo-codes/:id', promoCodeController.updatePromoCode);
+
+// Delete promo code that was never used
+router.delete('/promo-codes/:id', promoCodeController.deletePromoCode);
+
+// Get the team roles and their permissions
+router.get('/team/roles', teamController.getRoles);
+
+// Get team members and invitations (eventId filter)
+router.get('/team', teamController.getTeam);
+
+// Invite a team member for one event or all events
+router.post('/team', teamController.inviteMember);
+
+// Change the role or scope of a team member
+router.put('/team/:id', teamController.updateMember);
+
+// Remove a team member or withdraw an invitation
+router.delete('/team/:id', teamController.removeMember);
+
 module.exports = router; 
\ No newline at end of file
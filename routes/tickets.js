@@ -1,14 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const ticketController = require('../controllers/ticket-controller');
-const { authenticate, authorizeOrganizer } = require('../middleware/auth');
+const { authenticate, authorizeEventTeam, requireVerifiedEmail } = require('../middleware/auth');
 
 /**
  * @route   POST /api/tickets/purchase
  * @desc    Create a ticket purchase
  * @access  Private (Authenticated users)
  */
-router.post('/purchase', authenticate, ticketController.createTicketPurchase);
+router.post('/purchase', authenticate, requireVerifiedEmail('ticket_purchase'), ticketController.createTicketPurchase);
+
+/**
+ * @route   POST /api/tickets/rsvp
+ * @desc    Register for free tickets without a payment
+ * @access  Private (Authenticated users)
+ */
+router.post('/rsvp', authenticate, requireVerifiedEmail('ticket_purchase'), ticketController.registerForFreeEvent);
 
 /**
  * @route   POST /api/tickets/add-to-existing
@@ -31,6 +38,27 @@ router.post('/confirm-additional', authenticate, ticketController.confirmAdditio
  */
 router.post('/:ticketId/confirm', authenticate, ticketController.confirmTicketPayment);
 
+/**
+ * @route   GET /api/tickets/:ticketId/pdf
+ * @desc    Download a ticket as PDF (ticketNumber query for purchases with multiple tickets)
+ * @access  Private (Ticket owner or admin)
+ */
+router.get('/:ticketId/pdf', authenticate, ticketController.downloadTicketPdf);
+
+/**
+ * @route   POST /api/tickets/:ticketId/rsvp/cancel
+ * @desc    Cancel a free registration and give its seats back
+ * @access  Private (Ticket owner, organizer, finance or admin)
+ */
+router.post('/:ticketId/rsvp/cancel', authenticate, ticketController.cancelRsvp);
+
+/**
+ * @route   POST /api/tickets/:ticketId/refund/preview
+ * @desc    Preview the refund amount and cancellation fee under the event refund rules
+ * @access  Private (Ticket owner or admin)
+ */
+router.post('/:ticketId/refund/preview', authenticate, ticketController.previewTicketRefund);
+
 /**
  * @route   POST /api/tickets/:ticketId/refund/request
  * @desc    Request ticket refund
@@ -41,9 +69,9 @@ router.post('/:ticketId/refund/request', authenticate, ticketController.requestT
 /**
  * @route   POST /api/tickets/:ticketId/refund/process
  * @desc    Process ticket refund (approve/reject)
- * @access  Private (Organizer/Admin)
+ * @access  Private (Organizer/Admin/Finance)
  */
-router.post('/:ticketId/refund/process', authenticate, authorizeOrganizer, ticketController.processTicketRefund);
+router.post('/:ticketId/refund/process', authenticate, authorizeEventTeam, ticketController.processTicketRefund);
 
 /**
  * @route   POST /api/tickets/transfer-to-organizers
@@ -69,10 +97,10 @@ router.get('/user', authenticate, ticketController.getUserTickets);
 
 /**
  * @route   GET /api/tickets/organizer
- * @desc    Get organizer's ticket sales
- * @access  Private (Organizer/Admin)
+ * @desc    Get ticket sales of the organizer's events and events the user is a team member of
+ * @access  Private (Organizer/Admin/Team member)
  */
-router.get('/organizer', authenticate, authorizeOrganizer, ticketController.getOrganizerTickets);
+router.get('/organizer', authenticate, authorizeEventTeam, ticketController.getOrganizerTickets);
 
 /**
  * @route   GET /api/tickets/refund-requests
@@ -91,10 +119,10 @@ router.get('/refund-requests', authenticate, (req, res, next) => {
 
 /**
  * @route   GET /api/tickets/organizer/refund-requests
- * @desc    Get organizer's refund requests
- * @access  Private (Organizer/Admin)
+ * @desc    Get refund requests of the organizer's events and events the user manages refunds for
+ * @access  Private (Organizer/Admin/Finance)
  */
-router.get('/organizer/refund-requests', authenticate, authorizeOrganizer, ticketController.getOrganizerRefundRequests);
+router.get('/organizer/refund-requests', authenticate, authorizeEventTeam, ticketController.getOrganizerRefundRequests);
 
 /**
  * @route   GET /api/tickets/user/reports
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user-controller');
+const organizerApplicationController = require('../controllers/organizer-application-controller');
+const teamController = require('../controllers/team-controller');
 const { authenticate } = require('../middleware/auth');
 
 // All routes require authentication
@@ -34,4 +36,33 @@ router.get('/analytics', userController.getSpendingAnalytics);
  */
 router.get('/favorites', userController.getFavorites);
 
+/**
+ * @route   GET /api/user/organizer-application
+ * @desc    Get user's latest organizer application
+ * @access  Private
+ */
+router.get('/organizer-application', organizerApplicationController.getMyApplication);
+
+/**
+ * @route   POST /api/user/organizer-application
+ * @desc    Apply to become an organizer
+ * @access  Private
+ */
+router.post('/organizer-application', organizerApplicationController.submitApplication);
+
+/**
+ * @route   PUT /api/user/organizer-application
+ * @desc    Update the organizer application under review
+ * @access  Private
+ */
+router.put('/organizer-application', organizerApplicationController.updateApplication);
+
+router.get('/team-invitations', teamController.getMyInvitations);
+
+router.post('/team-invitations/:id/accept', teamController.acceptInvitation);
+
+router.post('/team-invitations/:id/decline', teamController.declineInvitation);
+
+router.get('/teams', teamController.getMyTeams);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Ticket = require('../models/ticket');
+const LedgerTransaction = require('../models/ledger-transaction');
+const ledgerService = require('../services/ledger-service');
+
+/**
+ * Script to record the purchases made before the financial ledger existed
+ * This script will:
+ * 1. Find paid and partially refunded tickets that have no ledger transactions
+ * 2. Record an opening balance with the organizer payment and platform fee of their active tickets
+ * 3. Record the payout as well when the transfer to the organizer is completed
+ * Running it again skips the tickets already in the ledger
+ */
+
+async function backfillLedger() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const cursor = Ticket.find({ paymentStatus: { $in: ['paid', 'partially_refunded'] } }).cursor();
+
+    let ticketCount = 0;
+    let skippedCount = 0;
+
+    for await (const ticket of cursor) {
+      if (await LedgerTransaction.exists({ ticket: ticket._id })) {
+        skippedCount++;
+        continue;
+      }
+
+      // Refunds recorded only through the webhook did not reduce the amounts of the ticket
+      const activeTickets = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed').length;
+      const share = ticket.quantity > 0 ? activeTickets / ticket.quantity : 0;
+      const organizerPayment = ticket.organizerPayment * share;
+
+      await ledgerService.recordOpeningBalance(ticket, {
+        organizerPayment,
+        platformFee: ticket.platformFee * share,
+        transferredAmount: ticket.organizerTransferStatus === 'completed' ? organizerPayment : 0
+      });
+      ticketCount++;
+    }
+
+    console.log(`Recorded opening balances for ${ticketCount} tickets, ${skippedCount} tickets were already in the ledger`);
+  } catch (error) {
+    console.error('Error backfilling the ledger:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  backfillLedger();
+}
+
+module.exports = backfillLedger;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const TeamMember = require('../models/team-member');
+
+/**
+ * Script to move the check-in staff of events to the event teams
+ * This script will:
+ * 1. Find events that still have a checkInStaff list
+ * 2. Add every staff member to the event team as door staff
+ * 3. Remove the checkInStaff list from the events
+ */
+
+async function migrateCheckInStaff() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // checkInStaff is no longer part of the schema, read the raw documents
+    const events = mongoose.connection.db.collection('events');
+    const users = mongoose.connection.db.collection('users');
+    const cursor = events.find({ 'checkInStaff.0': { $exists: true } });
+
+    let eventCount = 0;
+    let memberCount = 0;
+
+    for await (const event of cursor) {
+      for (const staffId of event.checkInStaff) {
+        const staff = await users.findOne({ _id: staffId }, { projection: { email: 1 } });
+        if (!staff || staffId.toString() === event.organizer.toString()) {
+          continue;
+        }
+
+        const result = await TeamMember.updateOne(
+          { organizer: event.organizer, email: staff.email, event: event._id },
+          {
+            $setOnInsert: {
+              user: staffId,
+              role: 'door_staff',
+              scope: 'event',
+              status: 'active',
+              invitedBy: event.organizer,
+              invitedAt: new Date(),
+              acceptedAt: new Date()
+            }
+          },
+          { upsert: true }
+        );
+        memberCount += result.upsertedCount;
+      }
+
+      await events.updateOne({ _id: event._id }, { $unset: { checkInStaff: '' } });
+      eventCount++;
+    }
+
+    console.log(`Moved ${memberCount} check-in staff members of ${eventCount} events to the event teams`);
+  } catch (error) {
+    console.error('Error migrating check-in staff:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  migrateCheckInStaff();
+}
+
+module.exports = migrateCheckInStaff;
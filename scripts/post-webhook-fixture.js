@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+require('dotenv').config();
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+
+/**
+ * Script to post a Stripe webhook event fixture to the API, signed with the local
+ * signing secret (STRIPE_WEBHOOK_SECRET) so it passes the signature check
+ *
+ * Usage: node scripts/post-webhook-fixture.js <fixture> [options]
+ *   <fixture>         Fixture name in scripts/fixtures/webhooks (e.g. charge-refunded) or path to a JSON file
+ *   --url <url>       Webhook URL (default http://localhost:PORT/api/payments/webhook)
+ *   --new-id          Send the fixture with a new event ID instead of the one in the file
+ *   --set key=value   Override a field of the event, e.g. --set data.object.metadata.ticketId=...
+ *
+ * Post the same fixture twice to see the duplicate detection.
+ */
+
+/**
+ * Load a fixture by name or path
+ * @param {string} fixture - Fixture name or path
+ * @returns {Object} Stripe event
+ */
+function loadFixture(fixture) {
+  const fixturePath = fs.existsSync(fixture) ? fixture : path.join(FIXTURES_DIR, `${fixture}.json`);
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * Set a field of an object by dot path
+ * @param {Object} target - Object to change
+ * @param {string} fieldPath - Dot path of the field
+ * @param {*} value - New value
+ */
+function setField(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] === undefined || object[key] === null) {
+      object[key] = {};
+    }
+    return object[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Post a signed webhook event
+ * @param {Object} event - Stripe event
+ * @param {Object} options - URL and signing secret
+ * @returns {Promise<Object>} Response status and body
+ */
+function postWebhookEvent(event, {
+  url = `http://localhost:${process.env.PORT || 8000}/api/payments/webhook`,
+  secret = process.env.STRIPE_WEBHOOK_SECRET
+} = {}) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const client = url.startsWith('https') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'Stripe-Signature': signature
+      }
+    }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    });
+
+    request.on('error', reject);
+    request.write(payload);
+    request.end();
+  });
+}
+
+async function postWebhookFixture(args = process.argv.slice(2)) {
+  const [fixture, ...options] = args;
+  if (!fixture) {
+    throw new Error('Usage: node scripts/post-webhook-fixture.js <fixture> [--url <url>] [--new-id] [--set key=value]');
+  }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  }
+
+  const event = loadFixture(fixture);
+  const postOptions = {};
+
+  for (let i = 0; i < options.length; i++) {
+    if (options[i] === '--url') {
+      postOptions.url = options[++i];
+    } else if (options[i] === '--new-id') {
+      event.id = `evt_test_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    } else if (options[i] === '--set') {
+      const [fieldPath, ...value] = options[++i].split('=');
+      setField(event, fieldPath, value.join('='));
+    }
+  }
+
+  console.log(`Posting ${event.type} event ${event.id}...`);
+  const response = await postWebhookEvent(event, postOptions);
+  console.log(`Response ${response.status}: ${response.body}`);
+  return response;
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  postWebhookFixture()
+    .then(response => process.exit(response.status < 300 ? 0 : 1))
+    .catch(error => {
+      console.error('Script failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = postWebhookFixture;
+module.exports.postWebhookEvent = postWebhookEvent;
@@ -6,6 +6,7 @@ dotenv.config();
 
 // Import the Event model
 const Event = require('../models/event');
+const feeService = require('../services/fee-service');
 
 // Sample data for generating realistic events
 const sampleData = {
@@ -218,9 +219,9 @@ const generateEventData = (index) => {
   const isFree = priceAmount === 0;
   const capacity = generateRandomCapacity();
   
-  // Calculate platform fee based on duration
-  const durationHours = (endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60);
-  const platformFee = durationHours <= 24 ? 350 : 675;
+  // Calculate platform fee based on duration with the built-in fee plan
+  const feePlan = feeService.snapshot(feeService.getBuiltInPlan());
+  const platformFee = feeService.calculateListingFee(feePlan, startDate, endDate).amount;
   
   // Generate random speakers (1-3 speakers)
   const numSpeakers = Math.floor(Math.random() * 3) + 1;
@@ -304,6 +305,7 @@ const generateEventData = (index) => {
       currency: 'CHF',
       platformFee
     },
+    feePlan,
     
     tags: selectedTags,
     isPublic: true,
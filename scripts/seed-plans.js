@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const FeePlan = require('../models/fee-plan');
+const SubscriptionPlan = require('../models/subscription-plan');
+
+// Organizer subscription plans with the fee plan each one is charged
+const PLANS = [
+  {
+    key: 'free',
+    name: 'Free',
+    description: 'Get started with small events',
+    price: { amount: 0, currency: 'CHF', interval: 'month' },
+    limits: { eventsPerMonth: 2, maxCapacity: 100, teamMembers: 0 },
+    rank: 0,
+    isFree: true,
+    feePlan: {
+      name: 'Free plan',
+      ticketFee: { percentage: 10, fixed: 0 },
+      listingFees: [{ maxDurationHours: 24, amount: 350 }, { maxDurationHours: null, amount: 675 }]
+    }
+  },
+  {
+    key: 'pro',
+    name: 'Pro',
+    description: 'For organizers running events every month',
+    price: { amount: 29, currency: 'CHF', interval: 'month' },
+    limits: { eventsPerMonth: 10, maxCapacity: 1000, teamMembers: 5 },
+    rank: 1,
+    feePlan: {
+      name: 'Pro plan',
+      ticketFee: { percentage: 7, fixed: 0 },
+      listingFees: [{ maxDurationHours: 24, amount: 250 }, { maxDurationHours: null, amount: 500 }]
+    }
+  },
+  {
+    key: 'business',
+    name: 'Business',
+    description: 'Unlimited events for large teams',
+    price: { amount: 99, currency: 'CHF', interval: 'month' },
+    limits: { eventsPerMonth: null, maxCapacity: 10000, teamMembers: 25 },
+    rank: 2,
+    feePlan: {
+      name: 'Business plan',
+      ticketFee: { percentage: 5, fixed: 0 },
+      listingFees: [{ maxDurationHours: 24, amount: 150 }, { maxDurationHours: null, amount: 300 }]
+    }
+  }
+];
+
+/**
+ * Find or create the Stripe product and monthly price of a paid plan
+ * Prices are found again by their lookup key, so running the script twice reuses them
+ * @param {Object} plan - Plan definition
+ * @returns {Promise<Object>} Stripe product and price IDs
+ */
+async function ensureStripePrice(plan) {
+  const lookupKey = `zafo_plan_${plan.key}_${plan.price.interval}ly`;
+  const unitAmount = Math.round(plan.price.amount * 100); // Convert to cents
+
+  const existing = await stripe.prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 });
+  const current = existing.data[0];
+  if (current && current.unit_amount === unitAmount && current.currency === plan.price.currency.toLowerCase()) {
+    return { stripeProductId: current.product, stripePriceId: current.id };
+  }
+
+  const productId = current
+    ? current.product
+    : (await stripe.products.create({ name: `Zafo ${plan.name}`, description: plan.description, metadata: { planKey: plan.key } })).id;
+
+  // A changed price replaces the old one, existing subscriptions keep their price
+  const price = await stripe.prices.create({
+    product: productId,
+    unit_amount: unitAmount,
+    currency: plan.price.currency.toLowerCase(),
+    recurring: { interval: plan.price.interval },
+    lookup_key: lookupKey,
+    transfer_lookup_key: true,
+    metadata: { planKey: plan.key }
+  });
+
+  return { stripeProductId: productId, stripePriceId: price.id };
+}
+
+/**
+ * Script to create the organizer subscription plans
+ * This script will:
+ * 1. Create or update the fee plan of each subscription plan
+ * 2. Create the Stripe product and monthly price of the paid plans
+ * 3. Create or update the subscription plans with their limits
+ * Running it again updates the plans in place
+ */
+
+async function seedPlans() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    for (const definition of PLANS) {
+      const { feePlan: feePlanData, ...planData } = definition;
+
+      const feePlan = await FeePlan.findOneAndUpdate(
+        { name: feePlanData.name },
+        { $set: { ...feePlanData, isActive: true } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      const stripeIds = planData.isFree ? {} : await ensureStripePrice(planData);
+
+      const plan = await SubscriptionPlan.findOneAndUpdate(
+        { key: planData.key },
+        { $set: { ...planData, ...stripeIds, feePlan: feePlan._id, isActive: true } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      console.log(`${plan.name}: ${plan.price.amount} ${plan.price.currency}/${plan.price.interval}, ${feePlan.ticketFee.percentage}% per ticket${plan.stripePriceId ? `, price ${plan.stripePriceId}` : ''}`);
+    }
+
+    console.log(`Seeded ${PLANS.length} subscription plans`);
+  } catch (error) {
+    console.error('Error seeding plans:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  seedPlans();
+}
+
+module.exports = seedPlans;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Ticket = require('../models/ticket');
+const ledgerService = require('../services/ledger-service');
 require('dotenv').config();
 
 /**
@@ -19,7 +20,8 @@ async function transferToOrganizers(isManualTransfer = false) {
     // Find all paid tickets for completed events that haven't been transferred yet
     const pendingTransfers = await Ticket.find({
       paymentStatus: { $in: ['paid', 'partially_refunded'] },
-      organizerTransferStatus: 'pending'
+      organizerTransferStatus: 'pending',
+      settlementMode: { $ne: 'destination' } // Paid out with the payment
     }).populate('eventId').populate('organizer');
     
     console.log(`Found ${pendingTransfers.length} pending transfers`);
@@ -40,11 +42,15 @@ async function transferToOrganizers(isManualTransfer = false) {
     }
     
     const transferResults = [];
+    // What each organizer owes the platform (lost disputes after a payout), kept back from their payouts
+    const organizerDebts = new Map();
     
     for (const ticket of eligibleEvents) {
       // Initialize variables outside try block so they're accessible in catch block
       let transferAmount = ticket.organizerPayment;
       let ticketQuantity = ticket.quantity;
+      let debtKey = null;
+      let debtRecovered = 0;
       
       try {
         console.log(`Processing transfer for ticket ${ticket._id}`);
@@ -57,6 +63,10 @@ async function transferToOrganizers(isManualTransfer = false) {
             transferAmount = activeTickets.length * organizerPaymentPerTicket;
             ticketQuantity = activeTickets.length;
             console.log(`Partially refunded ticket: ${activeTickets.length} active tickets out of ${ticket.quantity} total`);
+          } else if (ticket.organizerPayment > 0) {
+            // All tickets were refunded, the organizer keeps the part the refund rules did not pay back
+            ticketQuantity = 0;
+            console.log(`Ticket ${ticket._id} has no active tickets, transferring the non-refundable part`);
           } else {
             console.log(`Ticket ${ticket._id} has no active tickets - skipping`);
             transferResults.push({
@@ -68,6 +78,17 @@ async function transferToOrganizers(isManualTransfer = false) {
           }
         }
         
+        // Canceled events are refunded to the attendees, the organizer is not paid
+        if (ticket.eventId.status === 'canceled') {
+          console.log(`Event ${ticket.eventId._id} was canceled - skipping ticket ${ticket._id}`);
+          transferResults.push({
+            ticketId: ticket._id,
+            status: 'skipped',
+            reason: 'Event was canceled'
+          });
+          continue;
+        }
+        
         // Check if organizer has Stripe account
         if (!ticket.organizer.stripeCustomerId) {
           console.log(`Organizer ${ticket.organizer._id} has no Stripe account - skipping`);
@@ -90,6 +111,34 @@ async function transferToOrganizers(isManualTransfer = false) {
           continue;
         }
         
+        // Keep back what the organizer owes from this payout
+        debtKey = `${ticket.organizer._id}:${ticket.currency}`;
+        if (!organizerDebts.has(debtKey)) {
+          organizerDebts.set(debtKey, await ledgerService.getOrganizerDebt(ticket.organizer._id, ticket.currency));
+        }
+        const debt = organizerDebts.get(debtKey);
+        if (debt > 0) {
+          debtRecovered = Math.min(debt, transferAmount);
+          transferAmount = Math.round((transferAmount - debtRecovered) * 100) / 100;
+          organizerDebts.set(debtKey, Math.round((debt - debtRecovered) * 100) / 100);
+          console.log(`Keeping back ${debtRecovered} ${ticket.currency} owed by organizer ${ticket.organizer._id}`);
+        }
+        
+        // The whole payout covers the debt, there is nothing left to transfer
+        if (transferAmount <= 0) {
+          ticket.organizerTransferStatus = 'canceled';
+          ticket.organizerTransferDate = new Date();
+          await ticket.save();
+          transferResults.push({
+            ticketId: ticket._id,
+            organizerId: ticket.organizer._id,
+            status: 'skipped',
+            reason: 'Payout kept back to cover what the organizer owes',
+            debtRecovered
+          });
+          continue;
+        }
+        
         console.log(`Creating transfer for ${transferAmount} CHF (${ticketQuantity} tickets)`);
         
         // Create transfer to organizer
@@ -101,7 +150,8 @@ async function transferToOrganizers(isManualTransfer = false) {
             ticketId: ticket._id.toString(),
             eventId: ticket.eventId._id.toString(),
             organizerId: ticket.organizer._id.toString(),
-            activeTickets: ticketQuantity.toString()
+            activeTickets: ticketQuantity.toString(),
+            debtRecovered: debtRecovered.toString()
           }
         });
         
@@ -111,19 +161,33 @@ async function transferToOrganizers(isManualTransfer = false) {
         ticket.organizerTransferDate = new Date();
         await ticket.save();
         
+        // Record the payout in the ledger, the transfer is made so a ledger error must not fail it
+        try {
+          await ledgerService.recordTransfer(ticket, { transferId: transfer.id, amount: transferAmount });
+        } catch (ledgerError) {
+          console.error(`Failed to record transfer ${transfer.id} in the ledger:`, ledgerError);
+        }
+        
         console.log(`Transfer completed for ticket ${ticket._id}: ${transfer.id}`);
         
         transferResults.push({
           ticketId: ticket._id,
+          organizerId: ticket.organizer._id,
           status: 'completed',
           transferId: transfer.id,
           amount: transferAmount,
-          activeTickets: ticketQuantity
+          activeTickets: ticketQuantity,
+          debtRecovered
         });
         
       } catch (transferError) {
         console.error(`Transfer failed for ticket ${ticket._id}:`, transferError);
         
+        // The debt was not recovered, keep it back from the next payout
+        if (debtRecovered > 0) {
+          organizerDebts.set(debtKey, Math.round((organizerDebts.get(debtKey) + debtRecovered) * 100) / 100);
+        }
+        
         let errorMessage = transferError.message;
         let errorCode = 'TRANSFER_FAILED';
         
@@ -154,6 +218,7 @@ async function transferToOrganizers(isManualTransfer = false) {
         
         transferResults.push({
           ticketId: ticket._id,
+          organizerId: ticket.organizer._id,
           status: 'failed',
           error: errorMessage,
           code: errorCode,
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Script to mark accounts created before email verification as verified
+ * This script will:
+ * 1. Find users without the isEmailVerified field
+ * 2. Mark them as verified so the verification policy does not lock them out
+ */
+
+async function verifyExistingUsers() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Update the raw documents, loaded users get isEmailVerified: false from the schema default
+    const collection = mongoose.connection.db.collection('users');
+    const result = await collection.updateMany(
+      { isEmailVerified: { $exists: false } },
+      { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  } catch (error) {
+    console.error('Error verifying existing users:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  verifyExistingUsers();
+}
+
+module.exports = verifyExistingUsers;
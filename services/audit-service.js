@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/audit-log');
+const User = require('../models/user');
+
+// Entries are kept for a year by default (AUDIT_LOG_RETENTION_DAYS=0 keeps them forever)
+const DEFAULT_RETENTION_DAYS = 365;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+// Values of these fields are never written to the log
+const SENSITIVE_FIELD_PATTERN = /password|token|secret/i;
+
+/**
+ * Normalize a value for storage (ObjectIds and dates as strings, documents as plain objects)
+ * @param {*} value - Value
+ * @returns {*} Plain value
+ */
+const toPlainValue = (value) => {
+  if (value === undefined || value === null) {
+    return value === undefined ? null : value;
+  }
+  if (value && typeof value.toObject === 'function') {
+    value = value.toObject();
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Audit Service
+ * Records security- and money-relevant actions and queries the audit log
+ */
+class AuditService {
+  /**
+   * Get the retention period of audit log entries
+   * @returns {number} Days entries are kept (0 means forever)
+   */
+  getRetentionDays() {
+    const days = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  /**
+   * Take a snapshot of some fields of a record for a before/after diff
+   * @param {Object} doc - Document or plain object
+   * @param {Array} fields - Fields to include (dot paths allowed)
+   * @returns {Object} Snapshot
+   */
+  snapshot(doc, fields) {
+    const snapshot = {};
+    fields.forEach(field => {
+      const value = typeof doc.get === 'function'
+        ? doc.get(field)
+        : field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+      snapshot[field] = toPlainValue(value);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Compute the changed fields between two states of a record
+   * @param {Object} before - State before the action
+   * @param {Object} after - State after the action
+   * @returns {Array} Changes ({ field, before, after })
+   */
+  diff(before, after) {
+    const previous = toPlainValue(before) || {};
+    const next = toPlainValue(after) || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    const changes = [];
+
+    fields.forEach(field => {
+      if (['_id', '__v', 'createdAt', 'updatedAt'].includes(field)) {
+        return;
+      }
+      if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) {
+        return;
+      }
+
+      const redacted = SENSITIVE_FIELD_PATTERN.test(field);
+      changes.push({
+        field,
+        before: redacted ? '[REDACTED]' : (previous[field] === undefined ? null : previous[field]),
+        after: redacted ? '[REDACTED]' : (next[field] === undefined ? null : next[field])
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record an action in the audit log
+   * Failures are logged and never break the request that is audited
+   * @param {Object} req - Express request object (null for system actions)
+   * @param {Object} entry - Action, actor, entity, details, before/after state and metadata
+   * @returns {Promise<Object|null>} Audit log entry
+   */
+  async record(req, { action, actor, entity = {}, details = '', before, after, metadata = {} }) {
+    try {
+      const user = actor !== undefined ? actor : (req && req.user) || null;
+
+      return await AuditLog.create({
+        actor: user ? user._id : null,
+        actorEmail: user ? user.email : null,
+        actorRole: user ? user.role : null,
+        action,
+        details,
+        entityType: entity.type || null,
+        entityId: entity.id || null,
+        entityLabel: entity.label || null,
+        changes: before !== undefined || after !== undefined ? this.diff(before, after) : [],
+        metadata: toPlainValue(metadata) || {},
+        ipAddress: req ? req.ip || null : null,
+        userAgent: req && req.headers ? req.headers['user-agent'] || null : null
+      });
+    } catch (error) {
+      console.error(`Failed to record audit log entry (${action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the query filter of an audit log search
+   * @param {Object} query - actor (ID or email), action (comma separated), entityType, entityId, from, to
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  async buildFilter({ actor, action, entityType, entityId, from, to } = {}) {
+    const filter = {};
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        filter.actor = actor;
+      } else {
+        const pattern = new RegExp(actor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const users = await User.find({ email: pattern }).select('_id');
+        filter.$or = [
+          { actorEmail: pattern },
+          { actor: { $in: users.map(user => user._id) } }
+        ];
+      }
+    }
+
+    if (action) {
+      const actions = action.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+      filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+
+    if (entityType) {
+      filter.entityType = entityType;
+    }
+
+    if (entityId) {
+      if (!mongoose.Types.ObjectId.isValid(entityId)) {
+        const error = new Error('Invalid entity ID');
+        error.statusCode = 400;
+        throw error;
+      }
+      filter.entityId = entityId;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        // A date without time includes the whole day
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+          end.setUTCHours(23, 59, 59, 999);
+        }
+        filter.createdAt.$lte = end;
+      }
+
+      if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+        const error = new Error('Invalid date range');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    return filter;
+  }
+
+  /**
+   * Search the audit log
+   * @param {Object} query - Filters and pagination
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  async list(query = {}) {
+    const filter = await this.buildFilter(query);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [activities, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      activities: activities.map(entry => this.format(entry)),
+      total,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      },
+      retentionDays: this.getRetentionDays()
+    };
+  }
+
+  /**
+   * Export audit log entries as CSV
+   * @param {Object} query - Filters
+   * @returns {Promise<string>} CSV content
+   */
+  async exportCsv(query = {}) {
+    const filter = await this.buildFilter(query);
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const header = [
+      'Date', 'Action', 'Actor ID', 'Actor Email', 'Actor Role', 'Entity Type', 'Entity ID',
+      'Entity', 'Details', 'Changes', 'IP Address', 'User Agent'
+    ];
+
+    const rows = entries.map(entry => [
+      new Date(entry.createdAt).toISOString(),
+      entry.action,
+      entry.actor,
+      entry.actorEmail,
+      entry.actorRole,
+      entry.entityType,
+      entry.entityId,
+      entry.entityLabel,
+      entry.details,
+      (entry.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+        .join('; '),
+      entry.ipAddress,
+      entry.userAgent
+    ]);
+
+    return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n');
+  }
+
+  /**
+   * Delete entries older than the retention period
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async purgeExpired() {
+    const retentionDays = this.getRetentionDays();
+    if (retentionDays === 0) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Format an audit log entry for responses
+   * @param {Object} entry - Audit log entry
+   * @returns {Object} Entry data
+   */
+  format(entry) {
+    const actor = entry.actor && entry.actor._id ? entry.actor : null;
+
+    return {
+      _id: entry._id,
+      action: entry.action,
+      details: entry.details,
+      userId: actor ? actor._id : entry.actor,
+      user: actor
+        ? { firstName: actor.firstName, lastName: actor.lastName, email: actor.email, role: actor.role }
+        : (entry.actorEmail ? { email: entry.actorEmail, role: entry.actorRole } : null),
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      entityLabel: entry.entityLabel,
+      changes: entry.changes,
+      metadata: entry.metadata,
+      ip: entry.ipAddress,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
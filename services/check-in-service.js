@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const CheckIn = require('../models/check-in');
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+const teamService = require('./team-service');
+const { verifyTicketPayload } = require('../utils/ticket-signature');
+
+// Response message for each scan result
+const SCAN_MESSAGES = {
+  admitted: 'Ticket is valid, attendee admitted',
+  duplicate: 'Ticket has already been scanned',
+  refunded: 'Ticket has been refunded',
+  canceled: 'Registration has been canceled',
+  not_paid: 'Ticket has not been paid',
+  wrong_event: 'Ticket is for a different event',
+  invalid: 'Ticket is not valid'
+};
+
+// Payment statuses of purchases and free registrations whose tickets can be used
+const VALID_PAYMENT_STATUSES = Ticket.ATTENDING_STATUSES;
+
+/**
+ * Check-In Service
+ * Validates scanned tickets at the door and keeps attendance counts
+ * A ticket is admitted by an atomic update so two gates cannot admit the same ticket
+ */
+class CheckInService {
+  /**
+   * Check whether a user can check in attendees for an event
+   * Admins, the organizer and team members with check-in access (door staff, editors) can scan
+   * @param {Object} event - Event document
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether the user can scan tickets
+   */
+  canCheckIn(event, user) {
+    return teamService.can(user, event, 'check_in');
+  }
+
+  /**
+   * Read the ticket data of a scan
+   * @param {Object} scan - Scan with a signed QR payload or a manually entered ticket number
+   * @returns {Object|null} Ticket data or null if the payload is invalid
+   */
+  readScan(scan) {
+    if (scan.payload) {
+      return verifyTicketPayload(scan.payload);
+    }
+    if (scan.ticketNumber) {
+      return { ticketNumber: scan.ticketNumber, eventId: null, attendee: null };
+    }
+    return null;
+  }
+
+  /**
+   * Get the result for a ticket that could not be admitted
+   * @param {Object} ticket - Ticket document
+   * @param {Object} detail - Ticket detail
+   * @returns {string} Scan result
+   */
+  getRejection(ticket, detail) {
+    if (ticket.paymentStatus === 'canceled') {
+      return 'canceled';
+    }
+    if (!VALID_PAYMENT_STATUSES.includes(ticket.paymentStatus)) {
+      return 'not_paid';
+    }
+    if (detail.refundStatus === 'completed') {
+      return 'refunded';
+    }
+    return 'duplicate';
+  }
+
+  /**
+   * Validate a scan and admit the ticket if it can be used
+   * @param {Object} event - Event document
+   * @param {Object} scan - Scan data
+   * @param {Object} scanner - User scanning the ticket
+   * @returns {Promise<Object>} Result with the ticket and ticket detail when found
+   */
+  async evaluate(event, scan, scanner) {
+    const data = this.readScan(scan);
+    if (!data) {
+      return { result: 'invalid' };
+    }
+
+    if (data.eventId && data.eventId !== event._id.toString()) {
+      return { result: 'wrong_event', ticketNumber: data.ticketNumber };
+    }
+
+    const ticket = await Ticket.findOne({ eventId: event._id, 'ticketDetails.ticketNumber': data.ticketNumber });
+    const detail = ticket && ticket.ticketDetails.find(item => item.ticketNumber === data.ticketNumber);
+
+    // The signed attendee must still be the ticket holder
+    if (!detail || (data.attendee && detail.attendeeEmail !== data.attendee)) {
+      return { result: 'invalid', ticketNumber: data.ticketNumber };
+    }
+
+    if (!VALID_PAYMENT_STATUSES.includes(ticket.paymentStatus) || detail.refundStatus === 'completed' || detail.checkedInAt) {
+      return { result: this.getRejection(ticket, detail), ticket, detail };
+    }
+
+    const admittedTicket = await Ticket.findOneAndUpdate(
+      {
+        _id: ticket._id,
+        paymentStatus: { $in: VALID_PAYMENT_STATUSES },
+        ticketDetails: {
+          $elemMatch: {
+            ticketNumber: data.ticketNumber,
+            refundStatus: { $ne: 'completed' },
+            checkedInAt: null
+          }
+        }
+      },
+      {
+        $set: {
+          'ticketDetails.$.checkedInAt': scan.scannedAt,
+          'ticketDetails.$.checkedInBy': scanner._id,
+          'ticketDetails.$.checkInGate': scan.gate
+        }
+      },
+      { new: true }
+    );
+
+    if (admittedTicket) {
+      return {
+        result: 'admitted',
+        ticket: admittedTicket,
+        detail: admittedTicket.ticketDetails.find(item => item.ticketNumber === data.ticketNumber)
+      };
+    }
+
+    // Another scan or a refund got there first
+    const currentTicket = await Ticket.findById(ticket._id);
+    const currentDetail = currentTicket.ticketDetails.find(item => item.ticketNumber === data.ticketNumber);
+    return { result: this.getRejection(currentTicket, currentDetail), ticket: currentTicket, detail: currentDetail };
+  }
+
+  /**
+   * Scan a ticket and record the scan
+   * @param {Object} event - Event document
+   * @param {Object} scan - Scan data
+   * @param {string} scan.payload - Signed QR payload
+   * @param {string} scan.ticketNumber - Ticket number entered manually (when no payload is given)
+   * @param {string} scan.gate - Gate the ticket was scanned at
+   * @param {Date} scan.scannedAt - Time of the scan (offline scans)
+   * @param {string} scan.source - 'online' or 'offline'
+   * @param {string} scan.deviceId - Scanning device
+   * @param {string} scan.clientScanId - Scan ID assigned by the device
+   * @param {boolean} scan.admittedOffline - Whether the device admitted the attendee while offline
+   * @param {Object} scanner - User scanning the ticket
+   * @returns {Promise<Object>} Scan result
+   */
+  async scan(event, scan, scanner) {
+    const now = new Date();
+    const scannedAt = scan.scannedAt && !isNaN(new Date(scan.scannedAt)) && new Date(scan.scannedAt) < now
+      ? new Date(scan.scannedAt)
+      : now;
+    const gate = (scan.gate && scan.gate.toString().trim()) || 'main';
+    const source = scan.source || 'online';
+
+    const evaluation = await this.evaluate(event, { ...scan, scannedAt, gate }, scanner);
+    const { result, ticket, detail } = evaluation;
+
+    const checkIn = await CheckIn.create({
+      eventId: event._id,
+      ticketId: ticket ? ticket._id : null,
+      ticketNumber: detail ? detail.ticketNumber : evaluation.ticketNumber,
+      attendeeName: detail ? detail.attendeeName : undefined,
+      result,
+      conflict: source === 'offline' && !!scan.admittedOffline && result !== 'admitted',
+      gate,
+      scannedBy: scanner._id,
+      scannedAt,
+      source,
+      deviceId: scan.deviceId,
+      clientScanId: scan.clientScanId,
+      syncedAt: source === 'offline' ? now : undefined
+    });
+
+    return this.formatScan(checkIn, ticket, detail);
+  }
+
+  /**
+   * Format a recorded scan for the response
+   * @param {Object} checkIn - Check-in document
+   * @param {Object} ticket - Ticket document (optional)
+   * @param {Object} detail - Ticket detail (optional)
+   * @returns {Object} Scan result
+   */
+  formatScan(checkIn, ticket = null, detail = null) {
+    const formatted = {
+      checkInId: checkIn._id,
+      clientScanId: checkIn.clientScanId,
+      result: checkIn.result,
+      admitted: checkIn.result === 'admitted',
+      conflict: checkIn.conflict,
+      message: SCAN_MESSAGES[checkIn.result],
+      ticketNumber: checkIn.ticketNumber,
+      attendeeName: checkIn.attendeeName,
+      gate: checkIn.gate,
+      scannedAt: checkIn.scannedAt
+    };
+
+    if (ticket) {
+      formatted.ticketType = (ticket.ticketType && ticket.ticketType.name) || 'Standard';
+    }
+
+    // Tell the door when and where the ticket was first admitted
+    if (checkIn.result === 'duplicate' && detail && detail.checkedInAt) {
+      formatted.firstCheckIn = {
+        checkedInAt: detail.checkedInAt,
+        gate: detail.checkInGate
+      };
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Sync a batch of scans collected offline
+   * Scans are applied in the order they were made, so the earliest scan of a ticket in the batch wins.
+   * Scans of tickets that were already admitted are recorded as duplicates (flagged as conflicts if the device admitted them)
+   * @param {Object} user - User syncing the scans
+   * @param {string} deviceId - Scanning device
+   * @param {Array} scans - Offline scans (eventId, payload or ticketNumber, gate, scannedAt, clientScanId, admittedOffline)
+   * @returns {Promise<Object>} Result per scan and attendance per event
+   */
+  async sync(user, deviceId, scans) {
+    const orderedScans = [...scans].sort((a, b) => new Date(a.scannedAt || 0) - new Date(b.scannedAt || 0));
+    const events = new Map();
+    const results = [];
+
+    for (const scan of orderedScans) {
+      const eventId = scan.eventId && scan.eventId.toString();
+
+      if (!eventId || !mongoose.Types.ObjectId.isValid(eventId)) {
+        results.push({ clientScanId: scan.clientScanId, result: 'error', message: 'Valid event ID is required' });
+        continue;
+      }
+
+      if (!events.has(eventId)) {
+        events.set(eventId, await Event.findById(eventId));
+      }
+      const event = events.get(eventId);
+
+      if (!event) {
+        results.push({ clientScanId: scan.clientScanId, result: 'error', message: 'Event not found' });
+        continue;
+      }
+
+      if (!(await this.canCheckIn(event, user))) {
+        results.push({ clientScanId: scan.clientScanId, result: 'error', message: 'You are not allowed to check in attendees for this event' });
+        continue;
+      }
+
+      // The same scan was already synced (e.g. the device retried after a timeout)
+      if (scan.clientScanId) {
+        const existing = await CheckIn.findOne({ deviceId, clientScanId: scan.clientScanId });
+        if (existing) {
+          results.push({ ...this.formatScan(existing), alreadySynced: true });
+          continue;
+        }
+      }
+
+      try {
+        results.push(await this.scan(event, { ...scan, source: 'offline', deviceId }, user));
+      } catch (error) {
+        if (error.code === 11000) {
+          const existing = await CheckIn.findOne({ deviceId, clientScanId: scan.clientScanId });
+          results.push({ ...this.formatScan(existing), alreadySynced: true });
+          continue;
+        }
+        console.error(`Failed to sync scan ${scan.clientScanId}:`, error);
+        results.push({ clientScanId: scan.clientScanId, result: 'error', message: 'Failed to sync scan' });
+      }
+    }
+
+    const attendance = [];
+    for (const [eventId, event] of events) {
+      if (event && await this.canCheckIn(event, user)) {
+        attendance.push(await this.getAttendance(eventId));
+      }
+    }
+
+    return { results, attendance };
+  }
+
+  /**
+   * Get live attendance counts of an event
+   * @param {Object} eventId - Event ID
+   * @returns {Promise<Object>} Attendance counts overall, per ticket type and per gate
+   */
+  async getAttendance(eventId) {
+    const eventObjectId = new mongoose.Types.ObjectId(eventId.toString());
+
+    const byTicketType = await Ticket.aggregate([
+      {
+        $match: {
+          eventId: eventObjectId,
+          paymentStatus: { $in: VALID_PAYMENT_STATUSES }
+        }
+      },
+      { $unwind: '$ticketDetails' },
+      { $match: { 'ticketDetails.refundStatus': { $ne: 'completed' } } },
+      {
+        $group: {
+          _id: { $ifNull: ['$ticketType.name', 'Standard'] },
+          totalTickets: { $sum: 1 },
+          checkedIn: {
+            $sum: { $cond: [{ $gt: ['$ticketDetails.checkedInAt', null] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const byGate = await CheckIn.aggregate([
+      { $match: { eventId: eventObjectId, result: 'admitted' } },
+      { $group: { _id: '$gate', admitted: { $sum: 1 }, lastScanAt: { $max: '$scannedAt' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const totalTickets = byTicketType.reduce((sum, type) => sum + type.totalTickets, 0);
+    const checkedIn = byTicketType.reduce((sum, type) => sum + type.checkedIn, 0);
+
+    return {
+      eventId,
+      totalTickets,
+      checkedIn,
+      notCheckedIn: totalTickets - checkedIn,
+      byTicketType: byTicketType.map(type => ({
+        name: type._id,
+        totalTickets: type.totalTickets,
+        checkedIn: type.checkedIn
+      })),
+      byGate: byGate.map(gate => ({
+        gate: gate._id,
+        admitted: gate.admitted,
+        lastScanAt: gate.lastScanAt
+      })),
+      updatedAt: new Date()
+    };
+  }
+}
+
+// Create singleton instance
+const checkInService = new CheckInService();
+
+module.exports = checkInService;
@@ -0,0 +1,454 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
+const Dispute = require('../models/dispute');
+const { DISPUTE_STATUSES, OPEN_DISPUTE_STATUSES } = require('../models/dispute');
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+const User = require('../models/user');
+const CheckIn = require('../models/check-in');
+const emailService = require('../utils/email');
+const ledgerService = require('./ledger-service');
+const reservationService = require('./reservation-service');
+const waitlistService = require('./waitlist-service');
+const { disputeNotifications: disputeNotificationsTemplate } = require('../utils/email-templates');
+
+// Organizer transfer statuses a dispute puts on hold, completed payouts are debited if the dispute is lost
+const HOLDABLE_TRANSFER_STATUSES = ['pending', 'failed'];
+
+// Reason set on the tickets taken back by a lost dispute
+const DISPUTE_LOST_REASON = 'Payment dispute lost';
+
+// Email subject wording by dispute stage
+const STAGE_TITLES = {
+  opened: 'Opened',
+  won: 'Won',
+  lost: 'Lost'
+};
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createDisputeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * ID of a Stripe reference that may be expanded
+ * @param {string|Object} value - ID or expanded object
+ * @returns {string|null} ID
+ */
+const stripeIdOf = value => (value && typeof value === 'object' ? value.id : value || null);
+
+/**
+ * Value left on a purchase in the ledger
+ * @param {Object} balances - Ledger balances of the ticket
+ * @returns {number} Organizer earnings and platform fees in cents
+ */
+const getRemainingCents = balances => Math.round((balances.organizerEarnings + balances.platformFees) * 100);
+
+/**
+ * Dispute Service
+ * Follows Stripe chargebacks of ticket payments: holds the organizer payout while a
+ * dispute is open, takes a lost payment back from the organizer and the platform fee
+ * in the ledger, notifies the organizer and admins and gathers the evidence for a response
+ */
+class DisputeService {
+  /**
+   * Find the ticket of a disputed payment, additional purchases belong to an existing ticket
+   * @param {string} paymentIntentId - Disputed payment intent
+   * @returns {Promise<Object|null>} Ticket
+   */
+  async findTicket(paymentIntentId) {
+    if (!paymentIntentId) {
+      return null;
+    }
+
+    const ticket = await Ticket.findOne({ stripePaymentIntentId: paymentIntentId });
+    if (ticket) {
+      return ticket;
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const existingTicketId = paymentIntent.metadata && paymentIntent.metadata.existingTicketId;
+    if (mongoose.Types.ObjectId.isValid(existingTicketId)) {
+      return Ticket.findById(existingTicketId);
+    }
+    return null;
+  }
+
+  /**
+   * Handle a charge.dispute.* webhook event
+   * @param {string} eventType - Stripe event type
+   * @param {Object} stripeDispute - Stripe dispute
+   * @returns {Promise<Object>} Dispute record
+   */
+  async handleDispute(eventType, stripeDispute) {
+    const paymentIntentId = stripeIdOf(stripeDispute.payment_intent);
+    let dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+    let ticket = null;
+
+    if (dispute) {
+      ticket = dispute.ticket ? await Ticket.findById(dispute.ticket) : null;
+    } else {
+      ticket = await this.findTicket(paymentIntentId);
+      dispute = new Dispute({
+        stripeDisputeId: stripeDispute.id,
+        stripeChargeId: stripeIdOf(stripeDispute.charge),
+        stripePaymentIntentId: paymentIntentId,
+        ticket: ticket ? ticket._id : null,
+        event: ticket ? ticket.eventId : null,
+        organizer: ticket ? ticket.organizer : null,
+        attendee: ticket ? ticket.attendee : null
+      });
+    }
+
+    dispute.amount = stripeDispute.amount / 100;
+    dispute.currency = (stripeDispute.currency || (ticket && ticket.currency) || '').toUpperCase();
+    dispute.reason = stripeDispute.reason || null;
+    dispute.isChargeRefundable = !!stripeDispute.is_charge_refundable;
+    dispute.evidenceDueBy = stripeDispute.evidence_details && stripeDispute.evidence_details.due_by
+      ? new Date(stripeDispute.evidence_details.due_by * 1000)
+      : null;
+    if (DISPUTE_STATUSES.includes(stripeDispute.status) && dispute.status !== stripeDispute.status) {
+      dispute.status = stripeDispute.status;
+      dispute.history.push({ status: stripeDispute.status, eventType });
+    }
+
+    if (!ticket) {
+      // Disputed payments without a ticket (e.g. listing fees) are only recorded
+      if (!dispute.isOpen() && !dispute.outcome) {
+        dispute.outcome = dispute.status === 'lost' ? 'lost' : 'won';
+        dispute.closedAt = new Date();
+      }
+      await dispute.save();
+      await this.notify(dispute, null, dispute.outcome || 'opened');
+      console.log(`Dispute ${stripeDispute.id} recorded without a ticket`);
+      return dispute;
+    }
+
+    // Events can arrive out of order, the payout is held by whichever comes first
+    if (dispute.transferStatusAtOpen === null) {
+      dispute.transferStatusAtOpen = ticket.organizerTransferStatus;
+      if (dispute.isOpen() && HOLDABLE_TRANSFER_STATUSES.includes(ticket.organizerTransferStatus)) {
+        ticket.organizerTransferStatus = 'on_hold';
+        await ticket.save();
+        dispute.transferHeld = true;
+      }
+    }
+
+    if (!dispute.isOpen() && !dispute.outcome) {
+      if (dispute.status === 'lost') {
+        await this.applyLoss(dispute, ticket);
+      } else {
+        // Closed inquiries (warning_closed) leave the payment with the organizer like won disputes
+        dispute.outcome = 'won';
+        dispute.closedAt = new Date();
+        await this.releaseTransfer(dispute, ticket);
+      }
+    }
+
+    await dispute.save();
+
+    if (dispute.isOpen()) {
+      await this.notify(dispute, ticket, 'opened');
+    } else if (dispute.outcome) {
+      await this.notify(dispute, ticket, dispute.outcome);
+    }
+
+    console.log(`Dispute ${stripeDispute.id} is ${dispute.status} for ticket ${ticket._id}`);
+    return dispute;
+  }
+
+  /**
+   * Give the payout of a purchase back the status it had before the dispute, unless
+   * another dispute of the purchase is still open
+   * @param {Object} dispute - Dispute document
+   * @param {Object} ticket - Ticket document
+   */
+  async releaseTransfer(dispute, ticket) {
+    if (!dispute.transferHeld || ticket.organizerTransferStatus !== 'on_hold') {
+      return;
+    }
+
+    const otherOpenDispute = await Dispute.exists({
+      _id: { $ne: dispute._id },
+      ticket: ticket._id,
+      status: { $in: OPEN_DISPUTE_STATUSES }
+    });
+    if (otherOpenDispute) {
+      return;
+    }
+
+    ticket.organizerTransferStatus = dispute.transferStatusAtOpen || 'pending';
+    await ticket.save();
+  }
+
+  /**
+   * Take the payment of a lost dispute back: book the loss in the ledger, mark the
+   * disputed tickets as refunded and free their seats. The payout of a fully lost
+   * purchase is canceled, an organizer who was paid already is debited in the ledger and
+   * the debit is kept back from their next payouts
+   * @param {Object} dispute - Dispute document
+   * @param {Object} ticket - Ticket document
+   */
+  async applyLoss(dispute, ticket) {
+    const transaction = await ledgerService.recordDisputeLoss(ticket, {
+      disputeId: dispute.stripeDisputeId,
+      paymentIntentId: dispute.stripePaymentIntentId,
+      amount: dispute.amount,
+      reason: dispute.reason
+    });
+    const balances = await ledgerService.getTicketBalances(ticket._id);
+    const isFullyLost = getRemainingCents(balances) <= 0;
+    const seatsBefore = ticket.getSoldSeatCount();
+    const now = new Date();
+
+    let disputedTickets = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed');
+    if (!isFullyLost) {
+      // Additional purchases are added at the end of the ticket details
+      const ticketCount = transaction && transaction.metadata ? transaction.metadata.ticketCount : null;
+      const alreadyTaken = ticket.ticketDetails.filter(detail => detail.refundReason === DISPUTE_LOST_REASON).length;
+      const remaining = Math.max(0, (ticketCount || 0) - alreadyTaken);
+      disputedTickets = remaining > 0 ? disputedTickets.slice(-remaining) : [];
+    }
+    disputedTickets.forEach(detail => {
+      detail.refundStatus = 'completed';
+      detail.refundReason = DISPUTE_LOST_REASON;
+      detail.refundedAt = now;
+    });
+
+    dispute.wasPaidOut = ticket.organizerTransferStatus === 'completed';
+    if (isFullyLost) {
+      ticket.paymentStatus = 'refunded';
+      ticket.platformFee = 0;
+      ticket.organizerPayment = 0;
+      if (!dispute.wasPaidOut) {
+        ticket.organizerTransferStatus = 'canceled';
+      }
+    } else {
+      ticket.paymentStatus = 'partially_refunded';
+      await ledgerService.applyBalancesToTicket(ticket);
+    }
+    ticket.refundReason = DISPUTE_LOST_REASON;
+    ticket.refundedAt = now;
+    await ticket.save();
+
+    if (!isFullyLost) {
+      // The organizer is still paid for the tickets that were not disputed
+      await this.releaseTransfer(dispute, ticket);
+    }
+
+    const freedSeats = seatsBefore - ticket.getSoldSeatCount();
+    await reservationService.releaseSoldSeats(ticket, freedSeats);
+    if (freedSeats > 0) {
+      await waitlistService.offerFreedSeats(ticket.eventId);
+    }
+
+    dispute.outcome = 'lost';
+    dispute.closedAt = now;
+    dispute.ledgerTransaction = transaction ? transaction._id : null;
+  }
+
+  /**
+   * Email the organizer and the admins about a dispute stage once
+   * @param {Object} dispute - Dispute document
+   * @param {Object|null} ticket - Ticket document
+   * @param {string} stage - opened, won or lost
+   */
+  async notify(dispute, ticket, stage) {
+    if (!STAGE_TITLES[stage] || dispute.wasNotified(stage)) {
+      return;
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const wasPaidOut = stage === 'lost' ? dispute.wasPaidOut : dispute.transferStatusAtOpen === 'completed';
+
+    try {
+      const [event, organizer, attendee, admins] = await Promise.all([
+        dispute.event ? Event.findById(dispute.event).select('title') : null,
+        dispute.organizer ? User.findById(dispute.organizer) : null,
+        dispute.attendee ? User.findById(dispute.attendee).select('email') : null,
+        User.find({ role: 'admin', isActive: true }).select('email')
+      ]);
+      const eventTitle = event ? event.title : 'Unknown event';
+
+      if (organizer) {
+        const organizerData = {
+          userName: organizer.firstName,
+          stage,
+          eventTitle,
+          amount: dispute.amount,
+          currency: dispute.currency,
+          reason: dispute.reason,
+          ticketNumbers: ticket ? ticket.ticketDetails.map(detail => detail.ticketNumber) : [],
+          wasPaidOut,
+          dashboardUrl: `${frontendUrl}/organizer/dashboard`
+        };
+
+        await emailService.sendEmail({
+          to: organizer.email,
+          subject: `Ticket Payment Dispute ${STAGE_TITLES[stage]} - Zafo`,
+          html: disputeNotificationsTemplate.generateOrganizerDisputeEmail(organizerData),
+          text: disputeNotificationsTemplate.generateOrganizerDisputeText(organizerData)
+        });
+      }
+
+      const adminData = {
+        stage,
+        eventTitle,
+        organizerName: organizer ? organizer.getFullName() : 'Unknown organizer',
+        attendeeEmail: attendee ? attendee.email : null,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        reason: dispute.reason,
+        stripeDisputeId: dispute.stripeDisputeId,
+        evidenceDueBy: dispute.evidenceDueBy,
+        transferStatus: ticket ? ticket.organizerTransferStatus : null,
+        disputeUrl: `${frontendUrl}/admin/disputes/${dispute._id}`
+      };
+
+      await Promise.all(admins.map(admin => emailService.sendEmail({
+        to: admin.email,
+        subject: `Payment Dispute ${STAGE_TITLES[stage]}: ${eventTitle} - Zafo`,
+        html: disputeNotificationsTemplate.generateAdminDisputeEmail(adminData),
+        text: disputeNotificationsTemplate.generateAdminDisputeText(adminData)
+      })));
+    } catch (emailError) {
+      console.error('Failed to send dispute notification:', emailError);
+      // Don't fail dispute processing if email fails
+    }
+
+    // Stripe sends several updates per stage, the notification is not repeated on retries
+    await Dispute.updateOne({ _id: dispute._id }, { $push: { notifications: { stage } } });
+    dispute.notifications.push({ stage });
+  }
+
+  /**
+   * List disputes
+   * @param {Object} query - Status filter and pagination
+   * @returns {Promise<Object>} Disputes and pagination
+   */
+  async listDisputes({ status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status === 'open') {
+      filter.status = { $in: OPEN_DISPUTE_STATUSES };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(filter)
+        .select('-history')
+        .populate('event', 'title startDate')
+        .populate('organizer', 'firstName lastName email')
+        .populate('attendee', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Dispute.countDocuments(filter)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get a dispute with the evidence for responding to it: the purchase, the event,
+   * the check-in records and the emails of the attendee and ticket holders
+   * @param {string} id - Dispute ID
+   * @returns {Promise<Object>} Dispute and evidence
+   */
+  async getDispute(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createDisputeError('Invalid dispute ID');
+    }
+
+    const dispute = await Dispute.findById(id)
+      .populate('organizer', 'firstName lastName email')
+      .populate('attendee', 'firstName lastName email createdAt');
+    if (!dispute) {
+      throw createDisputeError('Dispute not found', 404);
+    }
+
+    if (!dispute.ticket) {
+      return { dispute, evidence: null };
+    }
+
+    const [ticket, event, checkIns] = await Promise.all([
+      Ticket.findById(dispute.ticket),
+      dispute.event ? Event.findById(dispute.event).select('title startDate endDate location refundPolicy refundRules slug') : null,
+      CheckIn.find({ ticketId: dispute.ticket })
+        .populate('scannedBy', 'firstName lastName')
+        .sort({ scannedAt: 1 })
+    ]);
+
+    const evidence = {
+      purchase: ticket ? {
+        ticketId: ticket._id,
+        purchasedAt: ticket.purchasedAt,
+        paymentStatus: ticket.paymentStatus,
+        quantity: ticket.quantity,
+        ticketType: ticket.ticketType ? ticket.ticketType.name : null,
+        ticketPrice: ticket.ticketPrice,
+        currency: ticket.currency,
+        promoCode: ticket.promoCode && ticket.promoCode.code ? ticket.promoCode.code : null,
+        stripePaymentIntentId: ticket.stripePaymentIntentId,
+        organizerTransferStatus: ticket.organizerTransferStatus,
+        refundAmount: ticket.refundAmount,
+        refundedAt: ticket.refundedAt || null
+      } : null,
+      event: event ? {
+        id: event._id,
+        title: event.title,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        location: event.location,
+        refundPolicy: event.refundPolicy,
+        refundRules: event.refundRules
+      } : null,
+      attendee: dispute.attendee ? {
+        name: dispute.attendee.getFullName(),
+        email: dispute.attendee.email,
+        registeredAt: dispute.attendee.createdAt
+      } : null,
+      tickets: ticket ? ticket.ticketDetails.map(detail => ({
+        ticketNumber: detail.ticketNumber,
+        attendeeName: detail.attendeeName,
+        attendeeEmail: detail.attendeeEmail,
+        refundStatus: detail.refundStatus,
+        checkedInAt: detail.checkedInAt,
+        checkInGate: detail.checkInGate || null
+      })) : [],
+      checkIns: checkIns.map(checkIn => ({
+        ticketNumber: checkIn.ticketNumber,
+        result: checkIn.result,
+        gate: checkIn.gate,
+        scannedAt: checkIn.scannedAt,
+        scannedBy: checkIn.scannedBy ? checkIn.scannedBy.getFullName() : null,
+        source: checkIn.source
+      }))
+    };
+
+    return { dispute, evidence };
+  }
+}
+
+// Create singleton instance
+const disputeService = new DisputeService();
+
+module.exports = disputeService;
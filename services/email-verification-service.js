@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const emailService = require('../utils/email');
+const { emailVerification: emailVerificationTemplate } = require('../utils/email-templates');
+
+// Verification links are valid for 24 hours by default
+const TOKEN_EXPIRY_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS, 10) || 24;
+
+// Resends are limited to one per minute and 5 per day
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const MAX_SENDS_PER_DAY = parseInt(process.env.EMAIL_VERIFICATION_MAX_SENDS_PER_DAY, 10) || 5;
+
+// Actions unverified accounts cannot perform
+const VERIFIED_ACTIONS = ['ticket_purchase', 'event_creation', 'stripe_onboarding'];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createVerificationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Email Verification Service
+ * Issues verification tokens, sends verification emails and applies the verification policy
+ */
+class EmailVerificationService {
+  /**
+   * Get the actions that require a verified email
+   * Configured with EMAIL_VERIFICATION_REQUIRED_FOR (comma separated, "none" to disable), all actions by default
+   * @returns {Array} Actions requiring a verified email
+   */
+  getRequiredActions() {
+    const setting = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    if (setting === undefined || setting.trim() === '') {
+      return VERIFIED_ACTIONS;
+    }
+
+    return setting
+      .split(',')
+      .map(action => action.trim())
+      .filter(action => VERIFIED_ACTIONS.includes(action));
+  }
+
+  /**
+   * Check whether a user may perform an action under the verification policy
+   * @param {Object} user - User document
+   * @param {string} action - Action (ticket_purchase, event_creation, stripe_onboarding)
+   * @returns {boolean} Whether the action is allowed
+   */
+  isAllowed(user, action) {
+    if (user.isEmailVerified || user.role === 'admin') {
+      return true;
+    }
+    return !this.getRequiredActions().includes(action);
+  }
+
+  /**
+   * Create a new verification token for a user (replaces any previous token)
+   * @param {Object} user - User document
+   * @returns {string} Verification token
+   */
+  issueToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.emailVerificationToken = token;
+    user.emailVerificationExpires = new Date(Date.now() + TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
+    return token;
+  }
+
+  /**
+   * Make sure a user has not requested too many verification emails
+   * @param {Object} user - User document
+   * @param {Date} now - Reference date
+   */
+  checkRateLimit(user, now = new Date()) {
+    if (user.emailVerificationSentAt) {
+      const secondsSinceLastSend = (now - user.emailVerificationSentAt) / 1000;
+      if (secondsSinceLastSend < RESEND_COOLDOWN_SECONDS) {
+        const error = createVerificationError(
+          `Please wait ${Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLastSend)} seconds before requesting another verification email`,
+          429
+        );
+        error.retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLastSend);
+        throw error;
+      }
+    }
+
+    const windowStart = user.emailVerificationWindowStart;
+    const windowOpen = windowStart && now - windowStart < 24 * 60 * 60 * 1000;
+    if (windowOpen && user.emailVerificationSendCount >= MAX_SENDS_PER_DAY) {
+      const error = createVerificationError('Too many verification emails requested. Please try again tomorrow.', 429);
+      error.retryAfter = Math.ceil((windowStart.getTime() + 24 * 60 * 60 * 1000 - now.getTime()) / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a sent verification email for rate limiting
+   * @param {Object} user - User document
+   * @param {Date} now - Reference date
+   */
+  recordSend(user, now = new Date()) {
+    const windowStart = user.emailVerificationWindowStart;
+    if (!windowStart || now - windowStart >= 24 * 60 * 60 * 1000) {
+      user.emailVerificationWindowStart = now;
+      user.emailVerificationSendCount = 0;
+    }
+    user.emailVerificationSendCount += 1;
+    user.emailVerificationSentAt = now;
+  }
+
+  /**
+   * Issue a token and email the verification link to a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} User document
+   */
+  async sendVerificationEmail(user) {
+    const token = this.issueToken(user);
+    this.recordSend(user);
+    await user.save();
+
+    const emailData = {
+      userName: user.firstName,
+      verificationUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`,
+      expiryTime: `${TOKEN_EXPIRY_HOURS} hours`
+    };
+
+    await emailService.sendEmail({
+      to: user.email,
+      subject: 'Verify Your Email - Zafo',
+      html: emailVerificationTemplate.generateEmailVerificationEmail(emailData),
+      text: emailVerificationTemplate.generateEmailVerificationText(emailData)
+    });
+
+    return user;
+  }
+
+  /**
+   * Resend the verification email (rate limited)
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} User document
+   */
+  async resendVerificationEmail(user) {
+    if (user.isEmailVerified) {
+      throw createVerificationError('Email is already verified');
+    }
+
+    this.checkRateLimit(user);
+    return this.sendVerificationEmail(user);
+  }
+
+  /**
+   * Verify the email of the user a token was issued to
+   * @param {string} token - Verification token
+   * @returns {Promise<Object>} Verified user
+   */
+  async verify(token) {
+    if (!token || typeof token !== 'string') {
+      throw createVerificationError('Verification token is required');
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: token,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      throw createVerificationError('Invalid or expired verification token');
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    return user;
+  }
+}
+
+// Create singleton instance
+const emailVerificationService = new EmailVerificationService();
+
+module.exports = emailVerificationService;
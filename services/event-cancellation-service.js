@@ -0,0 +1,435 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const RefundJob = require('../models/refund-job');
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+const User = require('../models/user');
+const Reservation = require('../models/reservation');
+const WaitlistEntry = require('../models/waitlist-entry');
+const emailService = require('../utils/email');
+const reservationService = require('./reservation-service');
+const ledgerService = require('./ledger-service');
+const settlementService = require('./settlement-service');
+const { userNotifications: userNotificationsTemplate } = require('../utils/email-templates');
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createCancellationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Event Cancellation Service
+ * Refunds every ticket of a canceled event in full (no cancellation fee) through a tracked refund job
+ * Refunds already made by a job are looked up in Stripe before refunding, so retrying a job never refunds twice
+ */
+class EventCancellationService {
+  constructor() {
+    // Jobs currently being processed by this instance
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Create the refund job for a canceled event and start processing it in the background
+   * @param {Object} event - Canceled event document
+   * @param {Object} user - User who canceled the event
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Refund job
+   */
+  async startCancellationRefunds(event, user, reason = 'Event canceled') {
+    const existingJob = await RefundJob.findOne({ eventId: event._id });
+    if (existingJob) {
+      return existingJob;
+    }
+
+    await this.stopSales(event);
+    await this.cancelRegistrations(event, reason);
+
+    const tickets = await Ticket.find({
+      eventId: event._id,
+      paymentStatus: { $in: ['paid', 'partially_refunded'] }
+    });
+
+    const job = await RefundJob.create({
+      eventId: event._id,
+      organizer: event.organizer,
+      initiatedBy: user._id,
+      reason,
+      items: tickets.map(ticket => ({
+        ticketId: ticket._id,
+        attendee: ticket.attendee,
+        currency: ticket.currency,
+        transferAlreadyCompleted: ticket.organizerTransferStatus === 'completed'
+      }))
+    });
+
+    console.log(`Refund job ${job._id} created for canceled event ${event._id} (${tickets.length} purchases)`);
+
+    this.runInBackground(job._id);
+
+    return job;
+  }
+
+  /**
+   * Stop seat holds, waitlist offers and open payments of a canceled event
+   * @param {Object} event - Canceled event document
+   */
+  async stopSales(event) {
+    await WaitlistEntry.updateMany(
+      { eventId: event._id, status: 'waiting' },
+      { status: 'expired' }
+    );
+
+    const heldReservations = await Reservation.find({ eventId: event._id, status: 'held' });
+    for (const reservation of heldReservations) {
+      await reservationService.release({ _id: reservation._id }, 'released', 'event_canceled');
+    }
+
+    // Purchases still waiting for payment can no longer be paid
+    const pendingTickets = await Ticket.find({ eventId: event._id, paymentStatus: 'pending' });
+    for (const ticket of pendingTickets) {
+      try {
+        await stripe.paymentIntents.cancel(ticket.stripePaymentIntentId);
+        ticket.paymentStatus = 'failed';
+        await ticket.save();
+      } catch (error) {
+        // Already succeeded or canceled, a paid purchase is picked up by the refund job retry
+        console.error(`Failed to cancel payment intent ${ticket.stripePaymentIntentId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Cancel the free registrations of a canceled event and notify their attendees
+   * Free registrations have no payment, so they are not part of the refund job
+   * @param {Object} event - Canceled event document
+   * @param {string} reason - Cancellation reason
+   */
+  async cancelRegistrations(event, reason) {
+    const registrations = await Ticket.find({ eventId: event._id, paymentStatus: 'free' });
+
+    for (const ticket of registrations) {
+      ticket.paymentStatus = 'canceled';
+      ticket.canceledAt = new Date();
+      await ticket.save();
+
+      await this.sendCancellationEmails(event, ticket, ticket.ticketDetails, undefined, reason);
+    }
+
+    if (registrations.length > 0) {
+      console.log(`Canceled ${registrations.length} free registrations of canceled event ${event._id}`);
+    }
+  }
+
+  /**
+   * Process a job without blocking the caller
+   * @param {Object} jobId - Refund job ID
+   */
+  runInBackground(jobId) {
+    setImmediate(() => {
+      this.runJob(jobId).catch(error => {
+        console.error(`Refund job ${jobId} failed:`, error);
+      });
+    });
+  }
+
+  /**
+   * Process all pending items of a refund job
+   * @param {Object} jobId - Refund job ID
+   * @returns {Promise<Object|null>} Refund job or null if it is already running
+   */
+  async runJob(jobId) {
+    const key = jobId.toString();
+    if (this.runningJobs.has(key)) {
+      return null;
+    }
+    this.runningJobs.add(key);
+
+    try {
+      const job = await RefundJob.findById(jobId);
+      if (!job) {
+        return null;
+      }
+
+      const event = await Event.findById(job.eventId);
+
+      job.status = 'running';
+      job.startedAt = job.startedAt || new Date();
+      job.attempts += 1;
+      await job.save();
+
+      for (const item of job.items) {
+        if (item.status !== 'pending') {
+          continue;
+        }
+
+        await this.processItem(job, item, event);
+        await job.save(); // Save progress after every purchase
+      }
+
+      const progress = job.getProgress();
+      job.status = progress.failed > 0 ? 'completed_with_errors' : 'completed';
+      job.completedAt = new Date();
+      await job.save();
+
+      console.log(`Refund job ${job._id} finished: ${progress.refunded} refunded, ${progress.failed} failed, ${progress.skipped} skipped`);
+
+      return job;
+    } finally {
+      this.runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Refund a single purchase of a job
+   * @param {Object} job - Refund job document
+   * @param {Object} item - Job item
+   * @param {Object} event - Event document
+   */
+  async processItem(job, item, event) {
+    item.attempts += 1;
+
+    try {
+      const ticket = await Ticket.findById(item.ticketId);
+
+      if (!ticket || !['paid', 'partially_refunded'].includes(ticket.paymentStatus)) {
+        item.status = 'skipped';
+        item.error = ticket ? `Ticket is ${ticket.paymentStatus}` : 'Ticket not found';
+        item.processedAt = new Date();
+        return;
+      }
+
+      const activeDetails = ticket.ticketDetails.filter(detail => detail.refundStatus !== 'completed');
+      const seatsBeforeRefund = ticket.getSoldSeatCount();
+
+      // A previous attempt may have refunded in Stripe but failed before the ticket was updated
+      const existingRefunds = await stripe.refunds.list({ payment_intent: ticket.stripePaymentIntentId, limit: 100 });
+      let refund = existingRefunds.data.find(existing =>
+        existing.metadata && existing.metadata.refundJobId === job._id.toString() && existing.status !== 'failed'
+      ) || null;
+
+      // Refund the price of the remaining tickets, capped at what is still refundable on the charge
+      let amountCents = refund ? refund.amount : 0;
+      if (!refund) {
+        const paymentIntent = await stripe.paymentIntents.retrieve(ticket.stripePaymentIntentId, {
+          expand: ['latest_charge']
+        });
+        const charge = paymentIntent.latest_charge;
+        const refundableCents = charge ? charge.amount - charge.amount_refunded : 0;
+        amountCents = Math.min(Math.round(ticket.getActiveTicketsValue() * 100), refundableCents);
+      }
+
+      if (!refund && amountCents > 0) {
+        refund = await stripe.refunds.create({
+          payment_intent: ticket.stripePaymentIntentId,
+          amount: amountCents,
+          metadata: {
+            ticketId: ticket._id.toString(),
+            refundJobId: job._id.toString(),
+            refundType: 'event_cancellation',
+            cancellationFee: '0',
+            refundedTickets: JSON.stringify(activeDetails.map(detail => detail.ticketNumber))
+          }
+        }, {
+          idempotencyKey: `event-cancellation-${job._id}-${ticket._id}`
+        });
+      }
+
+      const amount = amountCents / 100;
+
+      // Take the remaining tickets back from the organizer and the platform fee
+      if (refund) {
+        await ledgerService.recordRefund(ticket, {
+          refundId: refund.id,
+          ticketCount: activeDetails.length,
+          refundAmount: amount,
+          organizerShare: ticket.organizerPayment / ticket.quantity * activeDetails.length,
+          platformFeeShare: ticket.platformFee / ticket.quantity * activeDetails.length,
+          reason: 'event canceled'
+        });
+        await settlementService.reverseTransfer(ticket, {
+          refundId: refund.id,
+          amount: ticket.organizerPayment / ticket.quantity * activeDetails.length
+        });
+      }
+
+      const perTicketAmount = activeDetails.length > 0 ? Math.round((amount / activeDetails.length) * 100) / 100 : 0;
+      const now = new Date();
+
+      activeDetails.forEach(detail => {
+        detail.refundStatus = 'completed';
+        detail.refundAmount = perTicketAmount;
+        detail.refundReason = job.reason;
+        detail.refundedAt = now;
+      });
+
+      ticket.paymentStatus = 'refunded';
+      ticket.refundStatus = 'completed';
+      ticket.refundAmount = (ticket.refundAmount || 0) + amount;
+      ticket.cancellationFee = 0;
+      ticket.refundReason = job.reason;
+      ticket.refundedAt = now;
+      await ticket.save();
+
+      await reservationService.releaseSoldSeats(ticket, seatsBeforeRefund - ticket.getSoldSeatCount());
+
+      item.status = 'refunded';
+      item.amount = amount;
+      item.ticketCount = activeDetails.length;
+      item.stripeRefundId = refund ? refund.id : undefined;
+      item.error = undefined;
+      item.processedAt = now;
+
+      if (!item.emailSent && event) {
+        item.emailSent = await this.sendCancellationEmails(event, ticket, activeDetails, amount, job.reason);
+      }
+    } catch (error) {
+      console.error(`Refund failed for ticket ${item.ticketId} in job ${job._id}:`, error);
+      item.status = 'failed';
+      item.error = error.message;
+      item.processedAt = new Date();
+    }
+  }
+
+  /**
+   * Email the buyer (with the refund) and every other ticket holder of a purchase or free registration
+   * @param {Object} event - Event document
+   * @param {Object} ticket - Ticket document
+   * @param {Array} details - Refunded ticket details
+   * @param {number} amount - Refunded amount (undefined for free registrations)
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<boolean>} Whether the buyer email was sent
+   */
+  async sendCancellationEmails(event, ticket, details, amount, reason) {
+    let sent = false;
+
+    try {
+      const buyer = await User.findById(ticket.attendee);
+
+      if (buyer) {
+        const emailData = {
+          userName: buyer.firstName,
+          eventTitle: event.title,
+          eventDate: event.startDate,
+          reason,
+          ticketNumbers: details.map(detail => detail.ticketNumber),
+          refundAmount: amount,
+          currency: ticket.currency,
+          isFree: ticket.isRsvp()
+        };
+
+        await emailService.sendEmail({
+          to: buyer.email,
+          subject: `Event Canceled: ${event.title} - Zafo`,
+          html: userNotificationsTemplate.generateEventCancellationEmail(emailData),
+          text: userNotificationsTemplate.generateEventCancellationText(emailData)
+        });
+        sent = true;
+      }
+
+      // Ticket holders the buyer bought tickets for
+      const holders = new Map();
+      details.forEach(detail => {
+        const email = detail.attendeeEmail.toLowerCase();
+        if (buyer && email === buyer.email.toLowerCase()) {
+          return;
+        }
+        if (!holders.has(email)) {
+          holders.set(email, { name: detail.attendeeName, ticketNumbers: [] });
+        }
+        holders.get(email).ticketNumbers.push(detail.ticketNumber);
+      });
+
+      for (const [email, holder] of holders) {
+        const emailData = {
+          userName: holder.name,
+          eventTitle: event.title,
+          eventDate: event.startDate,
+          reason,
+          ticketNumbers: holder.ticketNumbers,
+          isFree: ticket.isRsvp()
+        };
+
+        await emailService.sendEmail({
+          to: email,
+          subject: `Event Canceled: ${event.title} - Zafo`,
+          html: userNotificationsTemplate.generateEventCancellationEmail(emailData),
+          text: userNotificationsTemplate.generateEventCancellationText(emailData)
+        });
+      }
+    } catch (emailError) {
+      console.error('Failed to send event cancellation email:', emailError);
+      // Don't fail the refund if email fails
+    }
+
+    return sent;
+  }
+
+  /**
+   * Retry the failed items of a refund job
+   * Purchases paid after the job was created are added as well
+   * @param {Object} jobId - Refund job ID
+   * @returns {Promise<Object>} Refund job
+   */
+  async retryJob(jobId) {
+    const job = await RefundJob.findById(jobId);
+    if (!job) {
+      throw createCancellationError('Refund job not found', 404);
+    }
+
+    if (job.status === 'running' || job.status === 'pending') {
+      throw createCancellationError('Refund job is still running', 409);
+    }
+
+    job.items.forEach(item => {
+      if (item.status === 'failed') {
+        item.status = 'pending';
+      }
+    });
+
+    // Payments that completed after the event was canceled
+    const knownTicketIds = new Set(job.items.map(item => item.ticketId.toString()));
+    const newTickets = await Ticket.find({
+      eventId: job.eventId,
+      paymentStatus: { $in: ['paid', 'partially_refunded'] }
+    });
+    newTickets
+      .filter(ticket => !knownTicketIds.has(ticket._id.toString()))
+      .forEach(ticket => {
+        job.items.push({
+          ticketId: ticket._id,
+          attendee: ticket.attendee,
+          currency: ticket.currency,
+          transferAlreadyCompleted: ticket.organizerTransferStatus === 'completed'
+        });
+      });
+
+    job.status = 'pending';
+    job.completedAt = undefined;
+    await job.save();
+
+    this.runInBackground(job._id);
+
+    return job;
+  }
+
+  /**
+   * Continue jobs that were interrupted (e.g. by a server restart)
+   * @returns {Promise<number>} Number of resumed jobs
+   */
+  async resumeInterruptedJobs() {
+    const jobs = await RefundJob.find({ status: { $in: ['pending', 'running'] } }).select('_id');
+    jobs.forEach(job => this.runInBackground(job._id));
+    return jobs.length;
+  }
+}
+
+// Create singleton instance
+const eventCancellationService = new EventCancellationService();
+
+module.exports = eventCancellationService;
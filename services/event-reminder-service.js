@@ -0,0 +1,247 @@
+const Event = require('../models/event');
+const Ticket = require('../models/ticket');
+const EventReminder = require('../models/event-reminder');
+const emailService = require('../utils/email');
+const { eventReminders: eventRemindersTemplate } = require('../utils/email-templates');
+
+// Failed reminders are tried again on the next runs while they are still due
+const MAX_ATTEMPTS = 3;
+
+// Payment statuses of purchases and free registrations whose attendees are reminded
+const ACTIVE_PAYMENT_STATUSES = Ticket.ATTENDING_STATUSES;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Format the time until an event starts for the reminder text
+ * @param {Date} startDate - Event start date
+ * @param {Date} now - Reference date
+ * @returns {string} Time until the start (e.g. "in 7 days")
+ */
+const formatTimeUntil = (startDate, now) => {
+  const hours = Math.round((startDate - now) / HOUR_MS);
+  if (hours >= 48) {
+    return `in ${Math.round(hours / 24)} days`;
+  }
+  if (hours >= 2) {
+    return `in ${hours} hours`;
+  }
+  const minutes = Math.max(1, Math.round((startDate - now) / 60000));
+  return minutes >= 60 ? 'in 1 hour' : `in ${minutes} minutes`;
+};
+
+/**
+ * Format the address of an event venue
+ * @param {Object} location - Event location
+ * @returns {string} Address
+ */
+const formatAddress = (location) => {
+  const { street, postalCode, city, country } = location.address || {};
+  return [street, [postalCode, city].filter(Boolean).join(' '), country].filter(Boolean).join(', ');
+};
+
+/**
+ * Event Reminder Service
+ * Emails attendees before their events at the offsets each event has enabled
+ * Every reminder is recorded before it is sent, so it goes out at most once
+ */
+class EventReminderService {
+  /**
+   * Get the reminder of an event that is due now
+   * Only the closest due reminder is sent, e.g. tickets bought a day before the
+   * event get the 24h reminder but not the 7 day one
+   * @param {Object} event - Event document
+   * @param {Date} now - Reference date
+   * @returns {number|null} Hours before the start of the due reminder
+   */
+  getDueOffset(event, now = new Date()) {
+    if (event.startDate <= now) {
+      return null;
+    }
+
+    const offsets = [...new Set(event.reminderOffsets || [])].sort((a, b) => a - b);
+    return offsets.find(hours => event.startDate.getTime() - hours * HOUR_MS <= now.getTime()) || null;
+  }
+
+  /**
+   * Get the attendees of an event with their ticket numbers (refunded tickets left out)
+   * @param {Object} eventId - Event ID
+   * @returns {Promise<Array>} Attendees grouped by email
+   */
+  async getRecipients(eventId) {
+    const tickets = await Ticket.find({ eventId, paymentStatus: { $in: ACTIVE_PAYMENT_STATUSES } })
+      .select('ticketDetails');
+
+    const recipients = new Map();
+    tickets.forEach(ticket => {
+      ticket.ticketDetails
+        .filter(detail => detail.refundStatus !== 'completed')
+        .forEach(detail => {
+          const email = detail.attendeeEmail.trim().toLowerCase();
+          if (!recipients.has(email)) {
+            recipients.set(email, { attendeeName: detail.attendeeName, attendeeEmail: email, ticketNumbers: [] });
+          }
+          recipients.get(email).ticketNumbers.push(detail.ticketNumber);
+        });
+    });
+
+    return Array.from(recipients.values());
+  }
+
+  /**
+   * Record a reminder before it is sent
+   * @param {Object} event - Event document
+   * @param {number} offsetHours - Hours before the start
+   * @param {Object} recipient - Attendee
+   * @returns {Promise<Object|null>} Reminder to send or null if it was sent (or is being sent) already
+   */
+  async claim(event, offsetHours, recipient) {
+    try {
+      return await EventReminder.create({
+        eventId: event._id,
+        offsetHours,
+        attendeeEmail: recipient.attendeeEmail,
+        ticketNumbers: recipient.ticketNumbers
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    // Already recorded, only failed reminders are tried again
+    return EventReminder.findOneAndUpdate(
+      {
+        eventId: event._id,
+        offsetHours,
+        attendeeEmail: recipient.attendeeEmail,
+        status: 'failed',
+        attempts: { $lt: MAX_ATTEMPTS }
+      },
+      {
+        $set: { status: 'sending', ticketNumbers: recipient.ticketNumbers },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Send a reminder to an attendee unless it was sent already
+   * @param {Object} event - Event document
+   * @param {number} offsetHours - Hours before the start
+   * @param {Object} recipient - Attendee
+   * @param {Date} now - Reference date
+   * @returns {Promise<string>} sent, failed or skipped
+   */
+  async sendReminder(event, offsetHours, recipient, now = new Date()) {
+    const reminder = await this.claim(event, offsetHours, recipient);
+    if (!reminder) {
+      return 'skipped';
+    }
+
+    const isOnline = !!(event.location && event.location.online);
+    const emailData = {
+      attendeeName: recipient.attendeeName,
+      eventTitle: event.title,
+      eventDate: event.startDate,
+      startsIn: formatTimeUntil(event.startDate, now),
+      isOnline,
+      meetingLink: isOnline ? event.location.meetingLink : null,
+      venueName: event.location ? event.location.name : null,
+      venueAddress: event.location ? formatAddress(event.location) : null,
+      arriveBy: event.arriveBy || null,
+      ticketNumbers: recipient.ticketNumbers,
+      eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug || event._id}`
+    };
+
+    try {
+      await emailService.sendEmail({
+        to: recipient.attendeeEmail,
+        subject: `Reminder: ${event.title} starts ${emailData.startsIn} - Zafo`,
+        html: eventRemindersTemplate.generateEventReminderEmail(emailData),
+        text: eventRemindersTemplate.generateEventReminderText(emailData)
+      });
+
+      reminder.status = 'sent';
+      reminder.sentAt = new Date();
+      reminder.error = null;
+      await reminder.save();
+      return 'sent';
+    } catch (emailError) {
+      console.error(`Failed to send reminder email for event ${event._id} to ${recipient.attendeeEmail}:`, emailError);
+      reminder.status = 'failed';
+      reminder.error = emailError.message;
+      await reminder.save();
+      return 'failed';
+    }
+  }
+
+  /**
+   * Send all reminders that are due
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object>} Counts of events and sent, failed and skipped reminders
+   */
+  async sendDueReminders(now = new Date()) {
+    const results = { events: 0, sent: 0, failed: 0, skipped: 0 };
+    if (Event.REMINDER_OFFSETS.length === 0) {
+      return results;
+    }
+
+    const maxOffsetHours = Math.max(...Event.REMINDER_OFFSETS);
+    const events = await Event.find({
+      status: 'published',
+      startDate: { $gt: now, $lte: new Date(now.getTime() + maxOffsetHours * HOUR_MS) }
+    });
+
+    for (const event of events) {
+      const offsetHours = this.getDueOffset(event, now);
+      if (!offsetHours) {
+        continue;
+      }
+
+      results.events++;
+      const recipients = await this.getRecipients(event._id);
+      for (const recipient of recipients) {
+        try {
+          results[await this.sendReminder(event, offsetHours, recipient, now)]++;
+        } catch (error) {
+          console.error(`Failed to process reminder for event ${event._id}:`, error);
+          results.failed++;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the reminder settings of an event with how many reminders went out
+   * @param {Object} event - Event document
+   * @returns {Promise<Array>} One entry per available reminder
+   */
+  async getEventReminders(event) {
+    const counts = await EventReminder.aggregate([
+      { $match: { eventId: event._id } },
+      { $group: { _id: { offsetHours: '$offsetHours', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const countFor = (offsetHours, status) => {
+      const entry = counts.find(item => item._id.offsetHours === offsetHours && item._id.status === status);
+      return entry ? entry.count : 0;
+    };
+
+    return Event.REMINDER_OFFSETS.map(offsetHours => ({
+      offsetHours,
+      isActive: (event.reminderOffsets || []).includes(offsetHours),
+      sendAt: new Date(event.startDate.getTime() - offsetHours * HOUR_MS),
+      sent: countFor(offsetHours, 'sent'),
+      failed: countFor(offsetHours, 'failed')
+    }));
+  }
+}
+
+// Create singleton instance
+const eventReminderService = new EventReminderService();
+
+module.exports = eventReminderService;
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const FeePlan = require('../models/fee-plan');
+const SubscriptionPlan = require('../models/subscription-plan');
+const User = require('../models/user');
+
+// Fields admins can set on a fee plan
+const EDITABLE_FIELDS = [
+  'name', 'description', 'ticketFee', 'passThrough', 'listingFees', 'listingFeeCurrency', 'isDefault', 'isActive'
+];
+
+// Plan charged when no default plan is stored: 10% per ticket and the listing fee by event duration
+const BUILT_IN_PLAN = {
+  _id: null,
+  name: 'Standard',
+  ticketFee: {
+    percentage: 10,
+    fixed: 0,
+    minPerTicket: null,
+    maxPerTicket: null
+  },
+  passThrough: false,
+  listingFees: [
+    { maxDurationHours: 24, amount: 350 },
+    { maxDurationHours: null, amount: 675 }
+  ],
+  listingFeeCurrency: 'CHF'
+};
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createFeeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Fee Service
+ * Resolves the fee plan of an organizer and computes the platform fees of ticket
+ * purchases and event listings from it
+ */
+class FeeService {
+  /**
+   * Plan charged when no default plan is stored
+   * @returns {Object} Built-in plan
+   */
+  getBuiltInPlan() {
+    return BUILT_IN_PLAN;
+  }
+
+  /**
+   * Get the plan charged to organizers without a plan
+   * @returns {Promise<Object>} Default plan
+   */
+  async getDefaultPlan() {
+    const plan = await FeePlan.findOne({ isDefault: true, isActive: true });
+    return plan || BUILT_IN_PLAN;
+  }
+
+  /**
+   * Get the plan charged to an organizer: the plan an admin assigned, else the fee plan
+   * of their subscription plan, else the default plan. Inactive plans are no longer charged
+   * @param {Object|string} organizer - Organizer user document or ID
+   * @returns {Promise<Object>} Fee plan
+   */
+  async getPlanForOrganizer(organizer) {
+    if (!organizer) {
+      return this.getDefaultPlan();
+    }
+
+    if (organizer.feePlan === undefined) {
+      organizer = await User.findById(organizer._id || organizer).select('feePlan subscription');
+      if (!organizer) {
+        return this.getDefaultPlan();
+      }
+    }
+
+    const subscriptionPlan = organizer.feePlan ? null : await SubscriptionPlan.findForOrganizer(organizer);
+    const feePlanId = organizer.feePlan || (subscriptionPlan && subscriptionPlan.feePlan);
+
+    if (feePlanId) {
+      const plan = await FeePlan.findById(feePlanId._id || feePlanId);
+      if (plan && plan.isActive) {
+        return plan;
+      }
+    }
+
+    return this.getDefaultPlan();
+  }
+
+  /**
+   * Copy of a plan to keep on an event
+   * @param {Object} plan - Fee plan
+   * @returns {Object} Event fee plan snapshot
+   */
+  snapshot(plan) {
+    const ticketFee = plan.ticketFee || {};
+
+    return {
+      plan: plan._id || null,
+      name: plan.name,
+      ticketFee: {
+        percentage: ticketFee.percentage || 0,
+        fixed: ticketFee.fixed || 0,
+        minPerTicket: ticketFee.minPerTicket != null ? ticketFee.minPerTicket : null,
+        maxPerTicket: ticketFee.maxPerTicket != null ? ticketFee.maxPerTicket : null
+      },
+      passThrough: !!plan.passThrough,
+      listingFees: (plan.listingFees || []).map(tier => ({
+        maxDurationHours: tier.maxDurationHours != null ? tier.maxDurationHours : null,
+        amount: tier.amount
+      })),
+      listingFeeCurrency: plan.listingFeeCurrency || BUILT_IN_PLAN.listingFeeCurrency,
+      snapshotAt: new Date()
+    };
+  }
+
+  /**
+   * Get the fee plan ticket fees of an event are computed with
+   * Events created before fee plans use the current plan of their organizer
+   * @param {Object} event - Event document (organizer may be populated)
+   * @returns {Promise<Object>} Fee plan or event fee plan snapshot
+   */
+  async getEventFeePlan(event) {
+    if (event.feePlan && event.feePlan.snapshotAt) {
+      return event.feePlan;
+    }
+    return this.getPlanForOrganizer(event.organizer);
+  }
+
+  /**
+   * Get the fee plan of an existing purchase, so tickets added to it are charged alike
+   * Purchases made before fee plans were charged the built-in plan
+   * @param {Object} ticket - Ticket document
+   * @returns {Object} Fee plan
+   */
+  getTicketFeePlan(ticket) {
+    if (!ticket.feePlan || ticket.feePlan.feePerTicket == null) {
+      return BUILT_IN_PLAN;
+    }
+
+    return {
+      _id: ticket.feePlan.plan,
+      name: ticket.feePlan.name,
+      ticketFee: {
+        percentage: ticket.feePlan.percentage,
+        fixed: ticket.feePlan.fixed,
+        minPerTicket: ticket.feePlan.minPerTicket,
+        maxPerTicket: ticket.feePlan.maxPerTicket
+      },
+      passThrough: !!ticket.feePlan.passThrough
+    };
+  }
+
+  /**
+   * Calculate the platform fee of one ticket
+   * Free tickets have no fee, and a fee taken from the organizer never exceeds the price
+   * @param {Object} feePlan - Fee plan or snapshot
+   * @param {number} price - Ticket price after discounts
+   * @returns {number} Fee per ticket
+   */
+  calculateFeePerTicket(feePlan, price) {
+    if (!price || price <= 0) {
+      return 0;
+    }
+
+    const ticketFee = feePlan.ticketFee || {};
+    let fee = price * (ticketFee.percentage || 0) / 100 + (ticketFee.fixed || 0);
+
+    if (ticketFee.minPerTicket != null) {
+      fee = Math.max(fee, ticketFee.minPerTicket);
+    }
+    if (ticketFee.maxPerTicket != null) {
+      fee = Math.min(fee, ticketFee.maxPerTicket);
+    }
+    if (!feePlan.passThrough) {
+      fee = Math.min(fee, price);
+    }
+
+    return roundAmount(fee);
+  }
+
+  /**
+   * Calculate the amounts of a ticket purchase
+   * With pass-through the fee is added to the price the buyer pays and the organizer
+   * receives the full ticket price, otherwise the fee is taken from the ticket price
+   * @param {Object} feePlan - Fee plan or snapshot
+   * @param {number} price - Ticket price after discounts
+   * @param {number} quantity - Number of tickets
+   * @returns {Object} Amounts per ticket and for the purchase
+   */
+  calculateTicketFees(feePlan, price, quantity) {
+    const feePerTicket = this.calculateFeePerTicket(feePlan, price);
+    const buyerFeePerTicket = feePlan.passThrough ? feePerTicket : 0;
+    const pricePerTicket = roundAmount(price + buyerFeePerTicket);
+    const totalTicketPrice = roundAmount(pricePerTicket * quantity);
+    const platformFee = roundAmount(feePerTicket * quantity);
+
+    return {
+      feePerTicket,
+      pricePerTicket, // Price the buyer pays per ticket
+      buyerFee: roundAmount(buyerFeePerTicket * quantity),
+      totalTicketPrice,
+      platformFee,
+      organizerPayment: roundAmount(totalTicketPrice - platformFee),
+      totalAmount: totalTicketPrice // Total amount is the ticket price (platform fee included)
+    };
+  }
+
+  /**
+   * Copy of the fee rules to keep on a purchase
+   * @param {Object} feePlan - Fee plan or snapshot
+   * @param {number} feePerTicket - Fee charged per ticket
+   * @returns {Object} Ticket fee plan snapshot
+   */
+  ticketSnapshot(feePlan, feePerTicket) {
+    const ticketFee = feePlan.ticketFee || {};
+
+    return {
+      plan: feePlan.plan || feePlan._id || null,
+      name: feePlan.name,
+      percentage: ticketFee.percentage || 0,
+      fixed: ticketFee.fixed || 0,
+      minPerTicket: ticketFee.minPerTicket != null ? ticketFee.minPerTicket : null,
+      maxPerTicket: ticketFee.maxPerTicket != null ? ticketFee.maxPerTicket : null,
+      passThrough: !!feePlan.passThrough,
+      feePerTicket
+    };
+  }
+
+  /**
+   * Calculate the listing fee of an event from its duration
+   * @param {Object} feePlan - Fee plan or snapshot
+   * @param {Date} startDate - Event start
+   * @param {Date} endDate - Event end
+   * @returns {Object} Listing fee amount, currency and the duration it was based on
+   */
+  calculateListingFee(feePlan, startDate, endDate) {
+    const durationMs = new Date(endDate) - new Date(startDate);
+    const durationHours = durationMs > 0 ? Math.ceil(durationMs / (60 * 60 * 1000)) : 0;
+
+    // Shortest tier first, the tier without a duration applies to any event
+    const tiers = [...(feePlan.listingFees || [])].sort((a, b) => {
+      if (a.maxDurationHours == null) return 1;
+      if (b.maxDurationHours == null) return -1;
+      return a.maxDurationHours - b.maxDurationHours;
+    });
+    const tier = tiers.find(t => t.maxDurationHours == null || durationHours <= t.maxDurationHours);
+
+    return {
+      amount: tier ? tier.amount : 0,
+      currency: feePlan.listingFeeCurrency || BUILT_IN_PLAN.listingFeeCurrency,
+      durationHours
+    };
+  }
+
+  /**
+   * List fee plans with the number of organizers on each
+   * @returns {Promise<Array>} Fee plans
+   */
+  async listPlans() {
+    const plans = await FeePlan.find().sort({ isDefault: -1, name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $match: { feePlan: { $in: plans.map(plan => plan._id) } } },
+      { $group: { _id: '$feePlan', count: { $sum: 1 } } }
+    ]);
+    const countByPlan = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    return plans.map(plan => ({
+      ...plan,
+      organizerCount: countByPlan.get(plan._id.toString()) || 0
+    }));
+  }
+
+  /**
+   * Get a fee plan
+   * @param {string} planId - Fee plan ID
+   * @returns {Promise<Object>} Fee plan
+   */
+  async getPlan(planId) {
+    if (!mongoose.Types.ObjectId.isValid(planId)) {
+      throw createFeeError('Fee plan not found', 404);
+    }
+
+    const plan = await FeePlan.findById(planId);
+    if (!plan) {
+      throw createFeeError('Fee plan not found', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * Create a fee plan
+   * @param {Object} data - Plan fields
+   * @param {Object} admin - Admin creating the plan
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(data, admin) {
+    const plan = new FeePlan({ createdBy: admin._id });
+    return this.savePlan(plan, data);
+  }
+
+  /**
+   * Update a fee plan. Events and purchases keep the copy of the plan they were made with
+   * @param {string} planId - Fee plan ID
+   * @param {Object} data - Plan fields to change
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(planId, data) {
+    const plan = await this.getPlan(planId);
+    return this.savePlan(plan, data);
+  }
+
+  /**
+   * Apply editable fields to a plan and save it, keeping a single default plan
+   * @param {Object} plan - Fee plan document
+   * @param {Object} data - Plan fields
+   * @returns {Promise<Object>} Saved plan
+   */
+  async savePlan(plan, data) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        plan.set(field, data[field]);
+      }
+    });
+
+    if (plan.isDefault && !plan.isActive) {
+      throw createFeeError('The default fee plan must be active');
+    }
+
+    try {
+      await plan.validate();
+    } catch (validationError) {
+      const messages = Object.values(validationError.errors || {}).map(err => err.message);
+      throw createFeeError(messages.join(', ') || validationError.message);
+    }
+
+    const existing = await FeePlan.findOne({ name: plan.name, _id: { $ne: plan._id } });
+    if (existing) {
+      throw createFeeError('A fee plan with this name already exists', 409);
+    }
+
+    if (plan.isDefault) {
+      await FeePlan.updateMany({ _id: { $ne: plan._id }, isDefault: true }, { isDefault: false });
+    }
+
+    await plan.save();
+    return plan;
+  }
+
+  /**
+   * Assign a fee plan to an organizer, applied to the events they create from now on
+   * @param {Object} organizer - Organizer user document
+   * @param {string|null} planId - Fee plan ID, null for the default plan
+   * @returns {Promise<Object|null>} Assigned plan
+   */
+  async assignPlan(organizer, planId) {
+    let plan = null;
+    if (planId) {
+      plan = await this.getPlan(planId);
+      if (!plan.isActive) {
+        throw createFeeError('Inactive fee plans cannot be assigned');
+      }
+    }
+
+    organizer.feePlan = plan ? plan._id : null;
+    await organizer.save();
+    return plan;
+  }
+}
+
+// Create singleton instance
+const feeService = new FeeService();
+
+module.exports = feeService;
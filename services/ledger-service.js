@@ -0,0 +1,748 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/ledger-transaction');
+const Ticket = require('../models/ticket');
+
+// Transactions that make up what an organizer earned (everything except payouts)
+const EARNING_TYPES = ['charge', 'platform_fee', 'refund', 'dispute_loss', 'opening_balance'];
+
+// Transactions that record the payment of a purchase
+const PAYMENT_TYPES = ['charge', 'opening_balance'];
+
+// Ticket statuses of purchases that were paid
+const CHARGED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Issues returned in a consistency report (the counts cover all of them)
+const MAX_REPORTED_ISSUES = 500;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createLedgerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Convert an amount to cents
+ * @param {number} amount - Amount in the currency unit
+ * @returns {number} Amount in cents
+ */
+const toCents = amount => Math.round((amount || 0) * 100);
+
+/**
+ * Convert cents to an amount in the currency unit
+ * @param {number} cents - Amount in cents
+ * @returns {number} Amount
+ */
+const fromCents = cents => Math.round(cents) / 100;
+
+/**
+ * ID of a reference that may be populated
+ * @param {*} value - ObjectId or populated document
+ * @returns {*} ObjectId
+ */
+const idOf = value => (value && value._id ? value._id : value);
+
+/**
+ * Ledger Service
+ * Records every money movement of the ticket sales as immutable, balanced
+ * double-entry transactions. Organizer balances and payment summaries are
+ * derived from the ledger and a consistency check compares it with the tickets
+ */
+class LedgerService {
+  /**
+   * Post a transaction, posting the same idempotency key again returns the recorded transaction
+   * @param {Object} transaction - Transaction data, entries amounts in cents
+   * @returns {Promise<Object|null>} Transaction or null when there is nothing to book
+   */
+  async post(transaction) {
+    const entries = transaction.entries.filter(entry => entry.amount !== 0);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    try {
+      return await LedgerTransaction.create({ ...transaction, entries });
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerTransaction.findOne({ idempotencyKey: transaction.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Records of a ticket purchase a transaction belongs to
+   * @param {Object} ticket - Ticket document
+   * @returns {Object} Ticket, event, organizer, attendee and currency
+   */
+  getTicketReferences(ticket) {
+    return {
+      ticket: ticket._id,
+      event: idOf(ticket.eventId),
+      organizer: idOf(ticket.organizer),
+      attendee: idOf(ticket.attendee),
+      currency: ticket.currency
+    };
+  }
+
+  /**
+   * Record the payment of a ticket purchase and the platform fee taken from it
+   * @param {Object} ticket - Ticket the payment is for
+   * @param {Object} paymentIntent - Succeeded Stripe payment intent (first or additional purchase)
+   * @returns {Promise<Object>} Charge transaction
+   */
+  async recordCharge(ticket, paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    const references = this.getTicketReferences(ticket);
+    const amount = paymentIntent.amount_received || paymentIntent.amount;
+    const platformFee = toCents(parseFloat(metadata.additionalPlatformFee || metadata.platformFee));
+    const ticketCount = parseInt(metadata.additionalQuantity || metadata.quantity, 10) || null;
+
+    const charge = await this.post({
+      ...references,
+      type: 'charge',
+      reference: paymentIntent.id,
+      idempotencyKey: `charge:${paymentIntent.id}`,
+      description: ticketCount ? `Payment for ${ticketCount} ticket(s)` : 'Ticket payment',
+      metadata: { ticketCount, additionalPurchase: metadata.isAdditionalPurchase === 'true' },
+      entries: [
+        { account: 'attendee', party: references.attendee, amount: -amount },
+        { account: 'organizer', party: references.organizer, amount }
+      ]
+    });
+
+    await this.post({
+      ...references,
+      type: 'platform_fee',
+      reference: paymentIntent.id,
+      idempotencyKey: `platform_fee:${paymentIntent.id}`,
+      description: 'Platform fee',
+      metadata: { ticketCount },
+      entries: [
+        { account: 'organizer', party: references.organizer, amount: -platformFee },
+        { account: 'platform_fees', amount: platformFee }
+      ]
+    });
+
+    return charge;
+  }
+
+  /**
+   * Record a refund of tickets. What the attendee gets back plus the cancellation fee is
+   * taken back from the organizer payment and platform fee of the refunded tickets in
+   * their proportion, the cancellation fee goes to the platform. The part the refund
+   * rules of the event do not pay back stays with the organizer (and its platform fee)
+   * @param {Object} ticket - Ticket the refund is for
+   * @param {Object} refund - Refund details
+   * @param {string} refund.refundId - Stripe refund ID
+   * @param {number} refund.ticketCount - Refunded tickets
+   * @param {number} refund.refundAmount - Amount paid back to the attendee
+   * @param {number} refund.organizerShare - Organizer payment of the refunded tickets
+   * @param {number} refund.platformFeeShare - Platform fee of the refunded tickets
+   * @param {number} refund.cancellationFee - Cancellation fee charged
+   * @param {string} refund.reason - Reason of the refund
+   * @returns {Promise<Object>} Refund transaction, its metadata has the amount taken from the organizer
+   */
+  async recordRefund(ticket, { refundId, ticketCount, refundAmount, organizerShare, platformFeeShare, cancellationFee = 0, reason = '' }) {
+    const references = this.getTicketReferences(ticket);
+    const organizerCents = toCents(organizerShare);
+    const platformFeeCents = toCents(platformFeeShare);
+    const refundCents = toCents(refundAmount);
+    const ticketsCents = organizerCents + platformFeeCents;
+    // A refund above the value of the tickets is paid by the platform
+    const extraCents = Math.max(0, refundCents - ticketsCents);
+    // Value of the tickets given up: the refund and the cancellation fee, at most the tickets
+    const returnedCents = Math.min(ticketsCents, refundCents + toCents(cancellationFee));
+    const organizerReturnedCents = ticketsCents > 0
+      ? Math.round(returnedCents * organizerCents / ticketsCents)
+      : 0;
+    // Part of the returned value the attendee did not get back
+    const cancellationFeeCents = returnedCents + extraCents - refundCents;
+
+    const refundTransaction = await this.post({
+      ...references,
+      type: 'refund',
+      reference: refundId,
+      idempotencyKey: `refund:${refundId}`,
+      description: `Refund of ${ticketCount} ticket(s)${reason ? ` (${reason})` : ''}`,
+      metadata: {
+        ticketCount,
+        refundAmount,
+        organizerAmount: fromCents(organizerReturnedCents),
+        nonRefundable: fromCents(ticketsCents - returnedCents)
+      },
+      entries: [
+        { account: 'attendee', party: references.attendee, amount: returnedCents + extraCents },
+        { account: 'organizer', party: references.organizer, amount: -organizerReturnedCents },
+        { account: 'platform_fees', amount: -(returnedCents - organizerReturnedCents + extraCents) }
+      ]
+    });
+
+    if (cancellationFeeCents > 0) {
+      await this.post({
+        ...references,
+        type: 'cancellation_fee',
+        reference: refundId,
+        idempotencyKey: `cancellation_fee:${refundId}`,
+        description: 'Cancellation fee kept by the platform',
+        metadata: { ticketCount, cancellationFee: fromCents(cancellationFeeCents) },
+        entries: [
+          { account: 'attendee', party: references.attendee, amount: -cancellationFeeCents },
+          { account: 'platform_cancellation_fees', amount: cancellationFeeCents }
+        ]
+      });
+    }
+
+    return refundTransaction;
+  }
+
+  /**
+   * Record a payout to the organizer of a ticket purchase
+   * @param {Object} ticket - Ticket the payout is for
+   * @param {Object} transfer - Transfer ID and amount
+   * @returns {Promise<Object>} Transfer transaction
+   */
+  async recordTransfer(ticket, { transferId, amount }) {
+    const references = this.getTicketReferences(ticket);
+    const amountCents = toCents(amount);
+
+    return this.post({
+      ...references,
+      type: 'transfer',
+      reference: transferId,
+      idempotencyKey: `transfer:${transferId}`,
+      description: 'Payout to organizer',
+      entries: [
+        { account: 'organizer', party: references.organizer, amount: -amountCents },
+        { account: 'organizer_payouts', party: references.organizer, amount: amountCents }
+      ]
+    });
+  }
+
+  /**
+   * Reverse the payout of a failed transfer, the amount is owed to the organizer again
+   * @param {string} transferId - Stripe transfer ID
+   * @returns {Promise<Object|null>} Reversal or null when the transfer was never recorded
+   */
+  async recordFailedTransfer(transferId) {
+    const transfer = await LedgerTransaction.findOne({ idempotencyKey: `transfer:${transferId}` });
+    if (!transfer) {
+      return null;
+    }
+
+    return this.post({
+      type: 'transfer_failed',
+      ticket: transfer.ticket,
+      event: transfer.event,
+      organizer: transfer.organizer,
+      attendee: transfer.attendee,
+      currency: transfer.currency,
+      reference: transferId,
+      idempotencyKey: `transfer_failed:${transferId}`,
+      description: 'Failed payout to organizer',
+      entries: transfer.entries.map(entry => ({
+        account: entry.account,
+        party: entry.party,
+        amount: -entry.amount
+      }))
+    });
+  }
+
+  /**
+   * Record a transfer reversal that took part of a payout back from the organizer
+   * @param {Object} ticket - Ticket the reversed payout is for
+   * @param {Object} reversal - Reversal details
+   * @param {string} reversal.reversalId - Stripe transfer reversal ID
+   * @param {string} reversal.transferId - Reversed Stripe transfer ID
+   * @param {string} reversal.refundId - Refund the reversal was made for
+   * @param {number} reversal.amount - Reversed amount
+   * @returns {Promise<Object>} Reversal transaction
+   */
+  async recordTransferReversal(ticket, { reversalId, transferId, refundId = null, amount }) {
+    const references = this.getTicketReferences(ticket);
+    const amountCents = toCents(amount);
+
+    return this.post({
+      ...references,
+      type: 'transfer_reversal',
+      reference: reversalId,
+      idempotencyKey: `transfer_reversal:${reversalId}`,
+      description: 'Payout taken back from organizer',
+      metadata: { transferId, refundId },
+      entries: [
+        { account: 'organizer', party: references.organizer, amount: amountCents },
+        { account: 'organizer_payouts', party: references.organizer, amount: -amountCents }
+      ]
+    });
+  }
+
+  /**
+   * Payouts of a ticket purchase with the part of each that was not reversed yet
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Array>} Transfer ID and remaining amount, oldest first
+   */
+  async getTicketTransfers(ticketId) {
+    const transactions = await LedgerTransaction.find({
+      ticket: ticketId,
+      type: { $in: ['transfer', 'transfer_failed', 'transfer_reversal'] }
+    }).sort({ occurredAt: 1, _id: 1 }).lean();
+
+    const remaining = new Map();
+    transactions.forEach(transaction => {
+      const payout = transaction.entries.find(entry => entry.account === 'organizer_payouts');
+      const transferId = transaction.type === 'transfer_reversal' ? transaction.metadata.transferId : transaction.reference;
+      if (!payout || !transferId) {
+        return;
+      }
+      remaining.set(transferId, (remaining.get(transferId) || 0) + payout.amount);
+    });
+
+    return Array.from(remaining, ([transferId, cents]) => ({ transferId, amount: fromCents(cents) }))
+      .filter(transfer => transfer.amount > 0);
+  }
+
+  /**
+   * Amount reversed from organizer payouts for a refund
+   * @param {string} refundId - Stripe refund ID
+   * @returns {Promise<number>} Reversed amount
+   */
+  async getReversedAmount(refundId) {
+    const reversals = await LedgerTransaction.find({ type: 'transfer_reversal', 'metadata.refundId': refundId }).lean();
+    return reversals.reduce((total, reversal) => total + this.getTransactionAmount(reversal), 0);
+  }
+
+  /**
+   * Record a lost dispute. The disputed amount is taken back from the organizer and the
+   * platform fee in the proportion of the disputed payment, an organizer who was paid out
+   * already is left with a negative balance that the transfer script keeps back from their
+   * next payouts (see getOrganizerDebt)
+   * @param {Object} ticket - Ticket the disputed payment is for
+   * @param {Object} dispute - Dispute details
+   * @param {string} dispute.disputeId - Stripe dispute ID
+   * @param {string} dispute.paymentIntentId - Disputed payment intent
+   * @param {number} dispute.amount - Amount returned to the card holder
+   * @param {string} dispute.reason - Reason of the dispute
+   * @returns {Promise<Object>} Dispute loss transaction
+   */
+  async recordDisputeLoss(ticket, { disputeId, paymentIntentId, amount, reason = '' }) {
+    const references = this.getTicketReferences(ticket);
+    const amountCents = toCents(amount);
+
+    // Split of the disputed payment, the ticket amounts for purchases without a charge in the ledger
+    const [charge, platformFee] = await Promise.all([
+      this.getTransaction(`charge:${paymentIntentId}`),
+      this.getTransaction(`platform_fee:${paymentIntentId}`)
+    ]);
+    const paidCents = charge ? toCents(this.getTransactionAmount(charge)) : toCents(ticket.organizerPayment + ticket.platformFee);
+    const feeCents = platformFee ? toCents(this.getTransactionAmount(platformFee)) : toCents(ticket.platformFee);
+    const platformFeeCents = paidCents > 0
+      ? Math.round(Math.min(amountCents, paidCents) * feeCents / paidCents)
+      : 0;
+    // A dispute above the disputed payment is paid by the platform
+    const organizerCents = Math.min(amountCents, paidCents) - platformFeeCents;
+
+    return this.post({
+      ...references,
+      type: 'dispute_loss',
+      reference: disputeId,
+      idempotencyKey: `dispute_loss:${disputeId}`,
+      description: `Lost dispute${reason ? ` (${reason})` : ''}`,
+      metadata: { paymentIntentId, amount, ticketCount: charge && charge.metadata ? charge.metadata.ticketCount : null },
+      entries: [
+        { account: 'attendee', party: references.attendee, amount: amountCents },
+        { account: 'organizer', party: references.organizer, amount: -organizerCents },
+        { account: 'platform_fees', amount: -(amountCents - organizerCents) }
+      ]
+    });
+  }
+
+  /**
+   * Record the state of a purchase made before the ledger existed
+   * @param {Object} ticket - Ticket document
+   * @param {Object} balances - Organizer payment, platform fee and payout of the purchase
+   * @returns {Promise<Array>} Posted transactions
+   */
+  async recordOpeningBalance(ticket, { organizerPayment, platformFee, transferredAmount = 0 }) {
+    const references = this.getTicketReferences(ticket);
+    const organizerCents = toCents(organizerPayment);
+    const platformFeeCents = toCents(platformFee);
+    const transferredCents = toCents(transferredAmount);
+    const opening = [];
+
+    opening.push(await this.post({
+      ...references,
+      type: 'opening_balance',
+      reference: ticket.stripePaymentIntentId || null,
+      idempotencyKey: `opening:${ticket._id}`,
+      description: 'Opening balance of purchase',
+      entries: [
+        { account: 'attendee', party: references.attendee, amount: -(organizerCents + platformFeeCents) },
+        { account: 'organizer', party: references.organizer, amount: organizerCents },
+        { account: 'platform_fees', amount: platformFeeCents }
+      ]
+    }));
+
+    if (transferredCents > 0) {
+      opening.push(await this.post({
+        ...references,
+        type: 'opening_balance',
+        reference: ticket.stripeTransferId || null,
+        idempotencyKey: `opening_transfer:${ticket._id}`,
+        description: 'Opening balance of payout',
+        entries: [
+          { account: 'organizer', party: references.organizer, amount: -transferredCents },
+          { account: 'organizer_payouts', party: references.organizer, amount: transferredCents }
+        ]
+      }));
+    }
+
+    return opening.filter(Boolean);
+  }
+
+  /**
+   * Get a transaction by its idempotency key
+   * @param {string} idempotencyKey - Key of the transaction, e.g. charge:<payment intent>
+   * @returns {Promise<Object|null>} Transaction
+   */
+  async getTransaction(idempotencyKey) {
+    return LedgerTransaction.findOne({ idempotencyKey }).lean();
+  }
+
+  /**
+   * Amount a transaction moved (the total of its positive entries)
+   * @param {Object} transaction - Transaction
+   * @returns {number} Amount in the currency unit
+   */
+  getTransactionAmount(transaction) {
+    return fromCents(transaction.entries
+      .filter(entry => entry.amount > 0)
+      .reduce((total, entry) => total + entry.amount, 0));
+  }
+
+  /**
+   * Turn entry totals by account and transaction type into balances
+   * @param {Array} rows - Totals in cents with account and type
+   * @returns {Object} Balances in the currency unit
+   */
+  buildBalances(rows) {
+    const sum = (account, types) => rows
+      .filter(row => row.account === account && (!types || types.includes(row.type)))
+      .reduce((total, row) => total + row.amount, 0);
+
+    return {
+      hasPayment: rows.some(row => PAYMENT_TYPES.includes(row.type)),
+      charged: fromCents(-sum('attendee', PAYMENT_TYPES)),
+      refunded: fromCents(sum('attendee', ['refund', 'cancellation_fee', 'dispute_loss'])),
+      platformFees: fromCents(sum('platform_fees')),
+      cancellationFees: fromCents(sum('platform_cancellation_fees')),
+      organizerEarnings: fromCents(sum('organizer', EARNING_TYPES)),
+      transferred: fromCents(sum('organizer_payouts')),
+      organizerBalance: fromCents(sum('organizer'))
+    };
+  }
+
+  /**
+   * Balances of the transactions matching a filter
+   * @param {Object} match - Transaction filter
+   * @returns {Promise<Object>} Balances
+   */
+  async getBalances(match) {
+    const rows = await LedgerTransaction.aggregate([
+      { $match: match },
+      { $unwind: '$entries' },
+      {
+        $group: {
+          _id: { account: '$entries.account', type: '$type' },
+          amount: { $sum: '$entries.amount' }
+        }
+      }
+    ]);
+
+    return this.buildBalances(rows.map(row => ({ ...row._id, amount: row.amount })));
+  }
+
+  /**
+   * Balances of a ticket purchase
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Object>} Balances
+   */
+  async getTicketBalances(ticketId) {
+    return this.getBalances({ ticket: new mongoose.Types.ObjectId(ticketId.toString()) });
+  }
+
+  /**
+   * Balances of an organizer: earnings, fees, refunds, payouts and the balance still owed
+   * @param {string} organizerId - Organizer ID
+   * @returns {Promise<Object>} Balances
+   */
+  async getOrganizerBalances(organizerId) {
+    if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+      throw createLedgerError('Invalid organizer ID');
+    }
+    return this.getBalances({ organizer: new mongoose.Types.ObjectId(organizerId.toString()) });
+  }
+
+  /**
+   * Amount an organizer owes the platform, e.g. for a lost dispute on tickets that were
+   * paid out already. Purchases that are settled (paid out or not to be paid out) leave a
+   * negative balance when money was taken back after the payout, what a later purchase
+   * kept back to cover it adds up against that
+   * @param {string} organizerId - Organizer ID
+   * @param {string} currency - Currency of the debt
+   * @returns {Promise<number>} Debt (0 when the organizer owes nothing)
+   */
+  async getOrganizerDebt(organizerId, currency) {
+    const organizer = new mongoose.Types.ObjectId(idOf(organizerId).toString());
+    const settledTickets = await Ticket.find({
+      organizer,
+      organizerTransferStatus: { $in: ['completed', 'canceled'] }
+    }).distinct('_id');
+
+    const [row] = await LedgerTransaction.aggregate([
+      { $match: { organizer, currency, ticket: { $in: settledTickets } } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': 'organizer' } },
+      { $group: { _id: null, amount: { $sum: '$entries.amount' } } }
+    ]);
+
+    return row && row.amount < 0 ? fromCents(-row.amount) : 0;
+  }
+
+  /**
+   * Totals of every account of the platform
+   * @returns {Promise<Array>} Balance per account and currency
+   */
+  async getAccountTotals() {
+    const rows = await LedgerTransaction.aggregate([
+      { $unwind: '$entries' },
+      {
+        $group: {
+          _id: { account: '$entries.account', currency: '$currency' },
+          amount: { $sum: '$entries.amount' },
+          transactions: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.account': 1, '_id.currency': 1 } }
+    ]);
+
+    return rows.map(row => ({
+      account: row._id.account,
+      currency: row._id.currency,
+      balance: fromCents(row.amount),
+      entries: row.transactions
+    }));
+  }
+
+  /**
+   * Set the platform fee and organizer payment of a ticket from its ledger
+   * @param {Object} ticket - Ticket document (not saved)
+   * @returns {Promise<boolean>} Whether the ledger has the payment of the ticket
+   */
+  async applyBalancesToTicket(ticket) {
+    const balances = await this.getTicketBalances(ticket._id);
+    if (!balances.hasPayment) {
+      return false;
+    }
+
+    ticket.platformFee = Math.max(0, balances.platformFees);
+    ticket.organizerPayment = Math.max(0, balances.organizerEarnings);
+    return true;
+  }
+
+  /**
+   * List ledger transactions
+   * @param {Object} query - Filters and pagination
+   * @returns {Promise<Object>} Transactions and pagination
+   */
+  async listTransactions({ type, organizerId, ticketId, eventId, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (type) {
+      filter.type = type;
+    }
+    [['organizer', organizerId], ['ticket', ticketId], ['event', eventId]].forEach(([field, id]) => {
+      if (!id) {
+        return;
+      }
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createLedgerError(`Invalid ${field} ID`);
+      }
+      filter[field] = id;
+    });
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [transactions, total] = await Promise.all([
+      LedgerTransaction.find(filter)
+        .populate('organizer', 'firstName lastName email')
+        .populate('event', 'title')
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LedgerTransaction.countDocuments(filter)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Compare a ticket with its ledger balances
+   * @param {Object} ticket - Ticket document
+   * @param {Object} balances - Ledger balances of the ticket
+   * @returns {Array} Issues found
+   */
+  compareTicket(ticket, balances) {
+    const issues = [];
+    const addIssue = (code, message, ticketValue, ledgerValue) => issues.push({
+      code,
+      message,
+      ticketId: ticket._id,
+      organizerId: ticket.organizer,
+      paymentStatus: ticket.paymentStatus,
+      ticketValue,
+      ledgerValue
+    });
+    const isCharged = CHARGED_STATUSES.includes(ticket.paymentStatus);
+    const hasActiveTickets = ['paid', 'partially_refunded'].includes(ticket.paymentStatus);
+
+    if (!balances.hasPayment) {
+      // Fully refunded purchases from before the ledger have nothing left to compare
+      if (hasActiveTickets) {
+        addIssue('missing_payment', `Ticket is ${ticket.paymentStatus} but the ledger has no payment for it`, ticket.ticketPrice, 0);
+      }
+      return issues;
+    }
+
+    if (!isCharged) {
+      addIssue('unexpected_payment', `Ticket is ${ticket.paymentStatus} but the ledger has a payment for it`, 0, balances.charged);
+    }
+
+    if (hasActiveTickets) {
+      // The ticket holds the amounts of the tickets that were not refunded
+      if (toCents(ticket.platformFee) !== toCents(balances.platformFees)) {
+        addIssue('platform_fee_mismatch', 'Platform fee differs from the ledger', ticket.platformFee, balances.platformFees);
+      }
+      if (toCents(ticket.organizerPayment) !== toCents(balances.organizerEarnings)) {
+        addIssue('organizer_payment_mismatch', 'Organizer payment differs from the ledger', ticket.organizerPayment, balances.organizerEarnings);
+      }
+    } else if (ticket.paymentStatus === 'refunded' && (balances.platformFees !== 0 || balances.organizerEarnings !== 0)) {
+      addIssue('refund_missing', 'Ticket is refunded but the ledger still has earnings on it', 0, balances.organizerEarnings + balances.platformFees);
+    }
+
+    const isTransferred = toCents(balances.transferred) > 0;
+    // Refunds of destination charges reverse the payout, a fully refunded purchase has none left
+    const isPayoutReversed = ticket.settlementMode === 'destination' && !hasActiveTickets;
+    if (ticket.organizerTransferStatus === 'completed' && !isTransferred && !isPayoutReversed) {
+      addIssue('payout_missing', 'Transfer is completed but the ledger has no payout', ticket.organizerTransferStatus, balances.transferred);
+    } else if (ticket.organizerTransferStatus !== 'completed' && isTransferred) {
+      addIssue('unexpected_payout', `Transfer is ${ticket.organizerTransferStatus} but the ledger has a payout`, ticket.organizerTransferStatus, balances.transferred);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check the ledger against the tickets and report the tickets whose payment
+   * fields disagree with it and transactions that do not balance
+   * @param {Object} options - Organizer to limit the check to
+   * @returns {Promise<Object>} Consistency report
+   */
+  async checkConsistency({ organizerId } = {}) {
+    const match = {};
+    if (organizerId) {
+      if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+        throw createLedgerError('Invalid organizer ID');
+      }
+      match.organizer = new mongoose.Types.ObjectId(organizerId.toString());
+    }
+
+    const issues = [];
+
+    // Transactions written around the validation (e.g. directly in the database)
+    const unbalanced = await LedgerTransaction.aggregate([
+      { $match: match },
+      { $project: { type: 1, ticket: 1, idempotencyKey: 1, total: { $sum: '$entries.amount' } } },
+      { $match: { total: { $ne: 0 } } }
+    ]);
+    unbalanced.forEach(transaction => issues.push({
+      code: 'unbalanced_transaction',
+      message: `Transaction ${transaction.idempotencyKey} does not balance`,
+      transactionId: transaction._id,
+      ticketId: transaction.ticket,
+      ledgerValue: fromCents(transaction.total)
+    }));
+
+    // Totals per ticket, account and transaction type
+    const rows = await LedgerTransaction.aggregate([
+      { $match: { ...match, ticket: { $ne: null } } },
+      { $unwind: '$entries' },
+      {
+        $group: {
+          _id: { ticket: '$ticket', account: '$entries.account', type: '$type' },
+          amount: { $sum: '$entries.amount' }
+        }
+      }
+    ]);
+    const rowsByTicket = new Map();
+    rows.forEach(row => {
+      const ticketId = row._id.ticket.toString();
+      if (!rowsByTicket.has(ticketId)) {
+        rowsByTicket.set(ticketId, []);
+      }
+      rowsByTicket.get(ticketId).push({ account: row._id.account, type: row._id.type, amount: row.amount });
+    });
+
+    let checkedTickets = 0;
+    const tickets = Ticket.find(organizerId ? { organizer: organizerId } : {})
+      .select('organizer paymentStatus ticketPrice platformFee organizerPayment organizerTransferStatus settlementMode')
+      .lean()
+      .cursor();
+
+    for await (const ticket of tickets) {
+      checkedTickets++;
+      const ticketId = ticket._id.toString();
+      issues.push(...this.compareTicket(ticket, this.buildBalances(rowsByTicket.get(ticketId) || [])));
+      rowsByTicket.delete(ticketId);
+    }
+
+    // Ledger entries left for tickets that no longer exist
+    rowsByTicket.forEach((ticketRows, ticketId) => issues.push({
+      code: 'unknown_ticket',
+      message: 'Ledger has transactions for a ticket that does not exist',
+      ticketId,
+      ledgerValue: this.buildBalances(ticketRows).charged
+    }));
+
+    const counts = issues.reduce((totals, issue) => {
+      totals[issue.code] = (totals[issue.code] || 0) + 1;
+      return totals;
+    }, {});
+
+    return {
+      checkedAt: new Date(),
+      organizerId: organizerId || null,
+      checkedTickets,
+      issueCount: issues.length,
+      counts,
+      issues: issues.slice(0, MAX_REPORTED_ISSUES)
+    };
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = ledgerService;
@@ -0,0 +1,360 @@
+const LoginAttempt = require('../models/login-attempt');
+const emailService = require('../utils/email');
+const { securityNotifications: securityNotificationsTemplate } = require('../utils/email-templates');
+
+// First lockout lasts 15 minutes by default, each further lockout twice as long (at most a day)
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 60;
+
+// Counters are kept for two days after the last attempt
+const RECORD_TTL_HOURS = 48;
+
+// Attempts allowed before delays start and before a lockout, per scope and action.
+// Anyone can send wrong passwords for an email, so the account itself is only slowed down
+// and the lockout applies to the account on the IP address the failures come from
+const POLICIES = {
+  login: {
+    account: { freeAttempts: 3, maxAttempts: null, windowMinutes: 15 },
+    account_ip: {
+      freeAttempts: 3,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10,
+      windowMinutes: 15
+    },
+    ip: {
+      freeAttempts: 10,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 50,
+      windowMinutes: 60
+    }
+  },
+  forgot_password: {
+    account: { freeAttempts: 1, maxAttempts: null, windowMinutes: 60 },
+    account_ip: { freeAttempts: 1, maxAttempts: 5, windowMinutes: 60 },
+    ip: { freeAttempts: 5, maxAttempts: 20, windowMinutes: 60 }
+  },
+  // Second factor codes only have a million combinations and the password is known
+  // already, lock the whole account quickly
+  two_factor: {
+    account: { freeAttempts: 3, maxAttempts: 5, windowMinutes: 15 },
+    ip: { freeAttempts: 10, maxAttempts: 30, windowMinutes: 60 }
+  }
+};
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createProtectionError = (message, statusCode = 429) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Format a wait time for messages
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} Wait time
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Login Protection Service
+ * Counts failed attempts per account, per account and IP address and per IP address,
+ * slows down repeated failures and locks them temporarily
+ */
+class LoginProtectionService {
+  /**
+   * Normalize the key of a counter
+   * @param {string} scope - account or ip
+   * @param {string} value - Email or IP address
+   * @returns {string} Key
+   */
+  normalizeKey(scope, value) {
+    const key = typeof value === 'string' ? value.trim() : '';
+    return scope === 'account' ? key.toLowerCase() : key || 'unknown';
+  }
+
+  /**
+   * Get the counter keys of an attempt for every scope of an action
+   * @param {string} action - login, forgot_password or two_factor
+   * @param {string} email - Email the attempt is made for
+   * @param {string} ip - IP address of the request
+   * @returns {Object} Key by scope
+   */
+  getKeys(action, email, ip) {
+    const account = this.normalizeKey('account', email);
+    const address = this.normalizeKey('ip', ip);
+    const keys = { account, account_ip: `${account}|${address}`, ip: address };
+
+    return Object.keys(POLICIES[action]).reduce((scoped, scope) => ({ ...scoped, [scope]: keys[scope] }), {});
+  }
+
+  /**
+   * Filter matching the counters of an account, including those per IP address
+   * @param {string} email - Email of the account
+   * @returns {Object} Login attempt filter
+   */
+  getAccountFilter(email) {
+    const key = this.normalizeKey('account', email);
+    return {
+      $or: [
+        { scope: 'account', key },
+        { scope: 'account_ip', key: new RegExp(`^${escapeRegExp(key)}\\|`) }
+      ]
+    };
+  }
+
+  /**
+   * Get the seconds someone has to wait before the next attempt
+   * @param {Object} attempt - Login attempt document
+   * @param {Object} policy - Policy of the scope and action
+   * @param {Date} now - Reference date
+   * @returns {Object} Seconds to wait and whether the counter is locked
+   */
+  getWait(attempt, policy, now = new Date()) {
+    if (!attempt) {
+      return { retryAfter: 0, locked: false };
+    }
+
+    if (attempt.isLocked(now)) {
+      return { retryAfter: Math.ceil((attempt.lockedUntil - now) / 1000), locked: true };
+    }
+
+    const windowOpen = now - attempt.windowStart < policy.windowMinutes * 60 * 1000;
+    const extraFailures = attempt.failures - policy.freeAttempts;
+    if (!windowOpen || extraFailures < 0 || !attempt.lastFailureAt) {
+      return { retryAfter: 0, locked: false };
+    }
+
+    // Progressive delay: 1s, 2s, 4s, ... after the free attempts are used
+    const delaySeconds = Math.min(2 ** extraFailures, MAX_DELAY_SECONDS);
+    const waitMs = attempt.lastFailureAt.getTime() + delaySeconds * 1000 - now.getTime();
+    return { retryAfter: waitMs > 0 ? Math.ceil(waitMs / 1000) : 0, locked: false };
+  }
+
+  /**
+   * Make sure an attempt is allowed for an account and IP address
+   * @param {string} action - login, forgot_password or two_factor
+   * @param {string} email - Email the attempt is made for
+   * @param {string} ip - IP address of the request
+   */
+  async check(action, email, ip) {
+    const now = new Date();
+    const keys = this.getKeys(action, email, ip);
+    const waits = {};
+    await Promise.all(Object.entries(keys).map(async ([scope, key]) => {
+      const attempt = await LoginAttempt.findOne({ scope, key, action });
+      waits[scope] = this.getWait(attempt, POLICIES[action][scope], now);
+    }));
+
+    const accountWait = [waits.account, waits.account_ip].find(wait => wait && wait.locked);
+    const ipWait = waits.ip;
+
+    let error = null;
+    if (accountWait) {
+      error = createProtectionError(`Too many failed attempts. This account is temporarily locked, please try again in ${formatWait(accountWait.retryAfter)}.`);
+      error.code = 'ACCOUNT_LOCKED';
+      error.retryAfter = accountWait.retryAfter;
+    } else if (ipWait.locked) {
+      error = createProtectionError(`Too many failed attempts from your network. Please try again in ${formatWait(ipWait.retryAfter)}.`);
+      error.code = 'IP_BLOCKED';
+      error.retryAfter = ipWait.retryAfter;
+    } else if (Object.values(waits).some(wait => wait.retryAfter > 0)) {
+      const retryAfter = Math.max(...Object.values(waits).map(wait => wait.retryAfter));
+      error = createProtectionError(`Too many attempts. Please wait ${formatWait(retryAfter)} before trying again.`);
+      error.code = 'TOO_MANY_ATTEMPTS';
+      error.retryAfter = retryAfter;
+    }
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed attempt on one counter and lock it once the limit is reached
+   * @param {string} scope - account, account_ip or ip
+   * @param {string} key - Normalized email or IP address
+   * @param {string} action - login, forgot_password or two_factor
+   * @param {boolean} retried - Whether this is the retry after a concurrent insert
+   * @returns {Promise<Object>} Login attempt document and whether it was locked now
+   */
+  async increment(scope, key, action, retried = false) {
+    const policy = POLICIES[action][scope];
+    const now = new Date();
+
+    let attempt;
+    try {
+      attempt = await LoginAttempt.findOneAndUpdate(
+        { scope, key, action },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + RECORD_TTL_HOURS * 60 * 60 * 1000) },
+          $setOnInsert: { windowStart: now }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two first failures at the same time, the other request created the counter
+      if (error.code === 11000 && !retried) {
+        return this.increment(scope, key, action, true);
+      }
+      throw error;
+    }
+
+    // A new window starts when the last one ended without a lockout
+    if (now - attempt.windowStart >= policy.windowMinutes * 60 * 1000 && !attempt.isLocked(now)) {
+      attempt = await LoginAttempt.findOneAndUpdate(
+        { _id: attempt._id, windowStart: attempt.windowStart },
+        { $set: { failures: 1, windowStart: now } },
+        { new: true }
+      ) || await LoginAttempt.findById(attempt._id);
+    }
+
+    // Counters without a limit are only slowed down
+    if (!policy.maxAttempts || attempt.failures < policy.maxAttempts || attempt.isLocked(now)) {
+      return { attempt, lockedNow: false };
+    }
+
+    const lockMinutes = Math.min(LOCKOUT_MINUTES * 2 ** attempt.lockCount, MAX_LOCKOUT_MINUTES);
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { _id: attempt._id, failures: { $gte: policy.maxAttempts } },
+      {
+        $set: {
+          failures: 0,
+          windowStart: now,
+          lockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000)
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+
+    return { attempt: locked || attempt, lockedNow: !!locked };
+  }
+
+  /**
+   * Record a failed attempt for an account and IP address
+   * @param {string} action - login, forgot_password or two_factor
+   * @param {string} email - Email the attempt was made for
+   * @param {string} ip - IP address of the request
+   * @returns {Promise<Object>} Whether the account or IP address got locked by this attempt
+   */
+  async recordFailure(action, email, ip) {
+    const results = {};
+    await Promise.all(Object.entries(this.getKeys(action, email, ip)).map(async ([scope, key]) => {
+      results[scope] = await this.increment(scope, key, action);
+    }));
+
+    const accountResult = [results.account, results.account_ip].find(result => result && result.lockedNow);
+    return {
+      accountLocked: !!accountResult,
+      ipLocked: results.ip.lockedNow,
+      lockedUntil: accountResult ? accountResult.attempt.lockedUntil : null
+    };
+  }
+
+  /**
+   * Reset the failed attempts of an account after a successful login
+   * The login IP counter is kept so one valid account cannot be used to reset it, a passed
+   * second factor resets the two factor counter of the IP address as well
+   * @param {string} email - Email of the account
+   * @param {string} action - login or two_factor
+   * @param {string} ip - IP address of the login, resets the counters of that address
+   */
+  async recordSuccess(email, action = 'login', ip = null) {
+    const keys = this.getKeys(action, email, ip);
+    const counters = [{ scope: 'account', key: keys.account }];
+    if (ip && keys.account_ip) {
+      counters.push({ scope: 'account_ip', key: keys.account_ip });
+    }
+    if (ip && action === 'two_factor') {
+      counters.push({ scope: 'ip', key: keys.ip });
+    }
+    await LoginAttempt.deleteMany({ action, $or: counters });
+  }
+
+  /**
+   * Get the lockout status of an account
+   * @param {string} email - Email of the account
+   * @returns {Promise<Object>} Failed attempts and lockout date
+   */
+  async getAccountStatus(email) {
+    const now = new Date();
+    const attempts = await LoginAttempt.find({ ...this.getAccountFilter(email), action: 'login' });
+    const attempt = attempts.find(counter => counter.scope === 'account');
+    // Locked on the IP addresses the failures came from
+    const locks = attempts.filter(counter => counter.scope === 'account_ip' && counter.isLocked(now));
+    const lockedUntil = locks.length > 0 ? new Date(Math.max(...locks.map(lock => lock.lockedUntil.getTime()))) : null;
+
+    return {
+      isLocked: locks.length > 0,
+      lockedUntil,
+      lockedAddresses: locks.map(lock => lock.key.slice(lock.key.lastIndexOf('|') + 1)),
+      failedAttempts: attempt ? attempt.failures : 0,
+      lastFailureAt: attempt ? attempt.lastFailureAt : null
+    };
+  }
+
+  /**
+   * Unlock an account (login and password reset counters)
+   * @param {string} email - Email of the account
+   * @returns {Promise<boolean>} Whether the account was locked
+   */
+  async unlockAccount(email) {
+    const filter = this.getAccountFilter(email);
+    const wasLocked = await LoginAttempt.exists({ ...filter, lockedUntil: { $gt: new Date() } });
+    await LoginAttempt.deleteMany(filter);
+    return !!wasLocked;
+  }
+
+  /**
+   * Email a user about a login from a device they have not used before
+   * @param {Object} user - User document
+   * @param {Object} device - Device information of the login
+   */
+  async sendNewDeviceAlert(user, device) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const emailData = {
+      userName: user.firstName,
+      browser: device.browser,
+      os: device.os,
+      deviceType: device.deviceType,
+      ipAddress: device.ipAddress || 'Unknown',
+      loginTime: new Date().toLocaleString('en-GB', { timeZone: 'Europe/Zurich' }),
+      sessionsUrl: `${frontendUrl}/account/security`,
+      resetPasswordUrl: `${frontendUrl}/forgot-password`
+    };
+
+    try {
+      await emailService.sendEmail({
+        to: user.email,
+        subject: 'New Login to Your Account - Zafo',
+        html: securityNotificationsTemplate.generateNewLoginEmail(emailData),
+        text: securityNotificationsTemplate.generateNewLoginText(emailData)
+      });
+    } catch (emailError) {
+      console.error('Failed to send new login email:', emailError);
+    }
+  }
+}
+
+// Create singleton instance
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = loginProtectionService;
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const OrganizerApplication = require('../models/organizer-application');
+const User = require('../models/user');
+const emailService = require('../utils/email');
+const { organizerApplications: organizerApplicationsTemplate } = require('../utils/email-templates');
+
+// Organization fields applicants can set
+const ORGANIZATION_FIELDS = [
+  'name', 'type', 'registrationNumber', 'vatNumber', 'website', 'phone', 'description', 'address'
+];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createApplicationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Organizer Application Service
+ * Handles requests of users to become organizers and their review by admins
+ */
+class OrganizerApplicationService {
+  /**
+   * Pick the application fields from request data
+   * @param {Object} data - Request body
+   * @returns {Object} Organization details and documents
+   */
+  pickFields(data = {}) {
+    const organization = {};
+    const source = data.organization || {};
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        organization[field] = source[field];
+      }
+    });
+
+    const documents = Array.isArray(data.documents)
+      ? data.documents.map(doc => ({ type: doc.type, name: doc.name, url: doc.url }))
+      : undefined;
+
+    return { organization, documents };
+  }
+
+  /**
+   * Submit an organizer application
+   * @param {Object} user - Applicant
+   * @param {Object} data - Organization details and documents
+   * @returns {Promise<Object>} Application document
+   */
+  async submit(user, data) {
+    if (user.role !== 'user') {
+      throw createApplicationError('Your account already has organizer access');
+    }
+
+    const pending = await OrganizerApplication.exists({ applicant: user._id, status: 'pending' });
+    if (pending) {
+      throw createApplicationError('You already have an application under review', 409);
+    }
+
+    const { organization, documents } = this.pickFields(data);
+    const application = new OrganizerApplication({
+      applicant: user._id,
+      organization,
+      documents: documents || [],
+      history: [{ action: 'submitted', actor: user._id }]
+    });
+    await this.save(application);
+
+    await this.notifyApplicant(application, user, 'received');
+    return application;
+  }
+
+  /**
+   * Update the details of an application that is still under review
+   * @param {Object} user - Applicant
+   * @param {Object} data - Organization details and documents
+   * @returns {Promise<Object>} Application document
+   */
+  async update(user, data) {
+    const application = await OrganizerApplication.findOne({ applicant: user._id, status: 'pending' });
+    if (!application) {
+      throw createApplicationError('No application under review', 404);
+    }
+
+    const { organization, documents } = this.pickFields(data);
+    Object.keys(organization).forEach(field => {
+      application.organization[field] = organization[field];
+    });
+    if (documents) {
+      application.documents = documents;
+    }
+    application.history.push({ action: 'updated', actor: user._id });
+
+    return this.save(application);
+  }
+
+  /**
+   * Save an application, reporting validation errors with a status code
+   * @param {Object} application - Application document
+   * @returns {Promise<Object>} Application document
+   */
+  async save(application) {
+    try {
+      return await application.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createApplicationError('You already have an application under review', 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw createApplicationError(Object.values(error.errors).map(item => item.message).join(', '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest application of a user
+   * @param {Object} userId - User ID
+   * @returns {Promise<Object|null>} Application document
+   */
+  getMyApplication(userId) {
+    return OrganizerApplication.findOne({ applicant: userId })
+      .sort({ createdAt: -1 })
+      .populate('reviewedBy', 'firstName lastName');
+  }
+
+  /**
+   * List applications for the admin review queue
+   * @param {Object} options - Filters and pagination
+   * @returns {Promise<Object>} Applications and pagination
+   */
+  async list({ status = 'pending', search, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const applicants = await User.find({
+        $or: [{ email: pattern }, { firstName: pattern }, { lastName: pattern }]
+      }).select('_id');
+      filter.$or = [
+        { 'organization.name': pattern },
+        { applicant: { $in: applicants.map(applicant => applicant._id) } }
+      ];
+    }
+
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    // Oldest applications first so the queue is handled in order
+    const [applications, total] = await Promise.all([
+      OrganizerApplication.find(filter)
+        .populate('applicant', 'firstName lastName email role createdAt')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      OrganizerApplication.countDocuments(filter)
+    ]);
+
+    return {
+      applications,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get an application by ID
+   * @param {string} id - Application ID
+   * @returns {Promise<Object>} Application document
+   */
+  async getById(id) {
+    const application = mongoose.Types.ObjectId.isValid(id)
+      ? await OrganizerApplication.findById(id)
+        .populate('applicant', 'firstName lastName email phone role isEmailVerified createdAt')
+        .populate('reviewedBy', 'firstName lastName email')
+        .populate('history.actor', 'firstName lastName email')
+      : null;
+
+    if (!application) {
+      throw createApplicationError('Application not found', 404);
+    }
+    return application;
+  }
+
+  /**
+   * Load a pending application and its applicant for a review
+   * @param {string} id - Application ID
+   * @returns {Promise<Object>} Application and applicant
+   */
+  async getForReview(id) {
+    const application = mongoose.Types.ObjectId.isValid(id) ? await OrganizerApplication.findById(id) : null;
+    if (!application) {
+      throw createApplicationError('Application not found', 404);
+    }
+    if (application.status !== 'pending') {
+      throw createApplicationError(`Application has already been ${application.status}`);
+    }
+
+    const applicant = await User.findById(application.applicant);
+    if (!applicant) {
+      throw createApplicationError('Applicant account no longer exists', 404);
+    }
+
+    return { application, applicant };
+  }
+
+  /**
+   * Approve an application and give the applicant the organizer role
+   * @param {string} id - Application ID
+   * @param {Object} admin - Reviewing admin
+   * @param {string} note - Optional message to the applicant
+   * @returns {Promise<Object>} Application document
+   */
+  async approve(id, admin, note) {
+    const { application, applicant } = await this.getForReview(id);
+
+    application.status = 'approved';
+    application.reviewedBy = admin._id;
+    application.reviewedAt = new Date();
+    application.history.push({ action: 'approved', actor: admin._id, note: note || undefined });
+    await this.save(application);
+
+    // Admins keep their role
+    if (applicant.role === 'user') {
+      applicant.role = 'organizer';
+      await applicant.save();
+    }
+
+    await this.notifyApplicant(application, applicant, 'approved', { note });
+    return application;
+  }
+
+  /**
+   * Reject an application
+   * @param {string} id - Application ID
+   * @param {Object} admin - Reviewing admin
+   * @param {string} reason - Rejection reason shown to the applicant
+   * @returns {Promise<Object>} Application document
+   */
+  async reject(id, admin, reason) {
+    if (!reason || !reason.trim()) {
+      throw createApplicationError('A rejection reason is required');
+    }
+
+    const { application, applicant } = await this.getForReview(id);
+
+    application.status = 'rejected';
+    application.reviewedBy = admin._id;
+    application.reviewedAt = new Date();
+    application.rejectionReason = reason.trim();
+    application.history.push({ action: 'rejected', actor: admin._id, note: application.rejectionReason });
+    await this.save(application);
+
+    await this.notifyApplicant(application, applicant, 'rejected', { reason: application.rejectionReason });
+    return application;
+  }
+
+  /**
+   * Email the applicant about a step of the review and record it in the history
+   * @param {Object} application - Application document
+   * @param {Object} applicant - Applicant user document
+   * @param {string} step - received, approved or rejected
+   * @param {Object} extra - Note or rejection reason
+   */
+  async notifyApplicant(application, applicant, step, extra = {}) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const emailData = {
+      userName: applicant.firstName,
+      organizationName: application.organization.name,
+      submittedAt: application.createdAt,
+      dashboardUrl: `${frontendUrl}/organizer/dashboard`,
+      applicationUrl: `${frontendUrl}/become-organizer`,
+      ...extra
+    };
+
+    const emails = {
+      received: {
+        subject: 'Organizer Application Received - Zafo',
+        html: organizerApplicationsTemplate.generateApplicationReceivedEmail,
+        text: organizerApplicationsTemplate.generateApplicationReceivedText
+      },
+      approved: {
+        subject: 'Your Organizer Application Was Approved - Zafo',
+        html: organizerApplicationsTemplate.generateApplicationApprovedEmail,
+        text: organizerApplicationsTemplate.generateApplicationApprovedText
+      },
+      rejected: {
+        subject: 'Update on Your Organizer Application - Zafo',
+        html: organizerApplicationsTemplate.generateApplicationRejectedEmail,
+        text: organizerApplicationsTemplate.generateApplicationRejectedText
+      }
+    };
+
+    try {
+      await emailService.sendEmail({
+        to: applicant.email,
+        subject: emails[step].subject,
+        html: emails[step].html(emailData),
+        text: emails[step].text(emailData)
+      });
+
+      // Record the delivery on the history entry of this step
+      const entry = application.history[application.history.length - 1];
+      entry.emailSent = true;
+      await application.save();
+    } catch (emailError) {
+      console.error(`Failed to send organizer application ${step} email:`, emailError);
+    }
+  }
+}
+
+// Create singleton instance
+const organizerApplicationService = new OrganizerApplicationService();
+
+module.exports = organizerApplicationService;
@@ -0,0 +1,213 @@
+const Ticket = require('../models/ticket');
+const Reservation = require('../models/reservation');
+const feeService = require('./fee-service');
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createPricingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pricing Service
+ * Computes ticket prices and fees on the server from the event's ticket types
+ */
+class PricingService {
+  /**
+   * Get the ticket types of an event
+   * Events without ticket types get a single default tier built from price and capacity
+   * @param {Object} event - Event document
+   * @returns {Array} Ticket types
+   */
+  getTicketTypes(event) {
+    if (event.ticketTypes && event.ticketTypes.length > 0) {
+      return event.ticketTypes;
+    }
+
+    return [{
+      _id: null,
+      name: 'Standard',
+      price: event.price && !event.price.isFree ? event.price.amount : 0,
+      currency: event.price && event.price.currency,
+      capacity: event.capacity,
+      maxPerOrder: null,
+      isActive: true
+    }];
+  }
+
+  /**
+   * Find a ticket type of an event
+   * @param {Object} event - Event document
+   * @param {string} ticketTypeId - Ticket type ID (optional for events without ticket types)
+   * @returns {Object|null} Ticket type or null if not found
+   */
+  resolveTicketType(event, ticketTypeId) {
+    const ticketTypes = this.getTicketTypes(event);
+
+    // Events without ticket types only have the default tier
+    if (ticketTypes[0]._id === null) {
+      return ticketTypes[0];
+    }
+
+    if (!ticketTypeId) {
+      // Allow omitting the type when the event has a single tier
+      return ticketTypes.length === 1 ? ticketTypes[0] : null;
+    }
+
+    return ticketTypes.find(type => type._id.toString() === ticketTypeId.toString()) || null;
+  }
+
+  /**
+   * Get the key used for sold counts of a ticket type
+   * @param {Object} ticketType - Ticket type
+   * @returns {string} Ticket type key
+   */
+  getTicketTypeKey(ticketType) {
+    return ticketType._id ? ticketType._id.toString() : 'default';
+  }
+
+  /**
+   * Get the sold count of a ticket type from the sold counts map
+   * Tickets bought before the event had ticket types count towards its first tier
+   * @param {Object} soldCounts - Sold counts keyed by ticket type
+   * @param {Object} event - Event document
+   * @param {Object} ticketType - Ticket type
+   * @returns {number} Sold tickets
+   */
+  getSoldCount(soldCounts, event, ticketType) {
+    let sold = soldCounts[this.getTicketTypeKey(ticketType)] || 0;
+
+    const ticketTypes = this.getTicketTypes(event);
+    if (ticketType._id && ticketTypes[0]._id && ticketTypes[0]._id.toString() === ticketType._id.toString()) {
+      sold += soldCounts.default || 0;
+    }
+
+    return sold;
+  }
+
+  /**
+   * Get the currency of a ticket type
+   * @param {Object} event - Event document
+   * @param {Object} ticketType - Ticket type
+   * @returns {string} Currency code
+   */
+  getCurrency(event, ticketType) {
+    return ticketType.currency || (event.price && event.price.currency) || 'CHF';
+  }
+
+  /**
+   * Check whether a ticket type is currently on sale
+   * @param {Object} ticketType - Ticket type
+   * @param {Date} now - Reference date
+   * @returns {boolean} Whether the ticket type is on sale
+   */
+  isOnSale(ticketType, now = new Date()) {
+    if (ticketType.isActive === false) {
+      return false;
+    }
+    if (ticketType.salesStart && now < new Date(ticketType.salesStart)) {
+      return false;
+    }
+    if (ticketType.salesEnd && now > new Date(ticketType.salesEnd)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Quote a ticket purchase from the stored ticket type
+   * Capacity is not checked here, seats are held by the reservation service
+   * @param {Object} event - Event document
+   * @param {string} ticketTypeId - Ticket type ID
+   * @param {number} quantity - Number of tickets
+   * @param {Object} options - Quote options
+   * @param {number} options.existingQuantity - Tickets already in the order (for additional purchases)
+   * @param {Object} options.promoCode - Promo code to apply (already validated)
+   * @param {number} options.discountPerTicket - Discount per ticket of an existing order (for additional purchases)
+   * @param {Object} options.feePlan - Fee plan to charge (the built-in plan when not set)
+   * @returns {Object} Quote with ticket type, list price, discount, unit price, currency and amounts
+   */
+  quote(event, ticketTypeId, quantity, options = {}) {
+    const { existingQuantity = 0, promoCode = null, feePlan = feeService.getBuiltInPlan() } = options;
+
+    const ticketType = this.resolveTicketType(event, ticketTypeId);
+    if (!ticketType) {
+      throw createPricingError(ticketTypeId ? 'Ticket type not found' : 'Ticket type is required', ticketTypeId ? 404 : 400);
+    }
+
+    if (!this.isOnSale(ticketType)) {
+      throw createPricingError(`Ticket type "${ticketType.name}" is not on sale`);
+    }
+
+    if (ticketType.maxPerOrder && existingQuantity + quantity > ticketType.maxPerOrder) {
+      throw createPricingError(`A maximum of ${ticketType.maxPerOrder} "${ticketType.name}" tickets can be purchased per order`);
+    }
+
+    // Fees are calculated on the discounted price
+    const listPrice = ticketType.price;
+    const discountPerTicket = promoCode
+      ? promoCode.getDiscountPerTicket(listPrice)
+      : Math.min(options.discountPerTicket || 0, listPrice);
+    const discountedPrice = Math.round((listPrice - discountPerTicket) * 100) / 100;
+    const { pricePerTicket, ...amounts } = feeService.calculateTicketFees(feePlan, discountedPrice, quantity);
+
+    return {
+      ticketType,
+      listPrice,
+      discountPerTicket,
+      discountAmount: Math.round(discountPerTicket * quantity * 100) / 100,
+      unitPrice: pricePerTicket, // Price paid per ticket, a passed through fee included
+      currency: this.getCurrency(event, ticketType),
+      feePlan: feeService.ticketSnapshot(feePlan, amounts.feePerTicket),
+      ...amounts
+    };
+  }
+
+  /**
+   * Get sold, held and remaining tickets per ticket type
+   * @param {Object} event - Event document
+   * @param {Object} feePlan - Fee plan of the event, for the fee added to the price of buyers
+   * @returns {Promise<Array>} Ticket type statistics
+   */
+  async getTicketTypeStats(event, feePlan = feeService.getBuiltInPlan()) {
+    const soldCounts = await Ticket.getSoldCountsByType(event._id);
+    const heldCounts = await Reservation.getHeldCountsByType(event._id);
+    const ticketTypes = this.getTicketTypes(event);
+    const now = new Date();
+
+    return ticketTypes.map(type => {
+      const sold = this.getSoldCount(soldCounts, event, type);
+      const held = heldCounts[this.getTicketTypeKey(type)] || 0;
+      const remaining = type.capacity ? Math.max(0, type.capacity - sold - held) : null;
+
+      return {
+        ticketTypeId: type._id,
+        name: type.name,
+        description: type.description,
+        price: type.price,
+        buyerFee: feePlan.passThrough ? feeService.calculateFeePerTicket(feePlan, type.price) : 0,
+        currency: this.getCurrency(event, type),
+        capacity: type.capacity || null,
+        sold,
+        held,
+        remaining,
+        isSoldOut: remaining === 0,
+        isOnSale: this.isOnSale(type, now),
+        salesStart: type.salesStart,
+        salesEnd: type.salesEnd,
+        maxPerOrder: type.maxPerOrder
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const pricingService = new PricingService();
+
+module.exports = pricingService;
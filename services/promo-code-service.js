@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/promo-code');
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+
+// Fields organizers can set on a promo code
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'eventId', 'ticketTypeIds',
+  'maxUses', 'maxUsesPerUser', 'validFrom', 'validUntil', 'isActive'
+];
+
+// Purchases that count as a use of a code (pending checkouts hold their use until the payment fails)
+const USED_PAYMENT_STATUSES = ['pending', 'paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createPromoCodeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Promo Code Service
+ * Manages organizer promo codes and validates them for ticket purchases
+ */
+class PromoCodeService {
+  /**
+   * Normalize a code as entered by a buyer
+   * @param {string} code - Promo code
+   * @returns {string} Normalized code
+   */
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  /**
+   * Count the uses of a promo code
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} userId - User to count uses for (optional)
+   * @returns {Promise<number>} Number of purchases using the code
+   */
+  countUses(promoCode, userId = null) {
+    const query = {
+      'promoCode.codeId': promoCode._id,
+      paymentStatus: { $in: USED_PAYMENT_STATUSES }
+    };
+    if (userId) {
+      query.attendee = userId;
+    }
+    return Ticket.countDocuments(query);
+  }
+
+  /**
+   * Validate a promo code for a purchase
+   * @param {Object} event - Event document
+   * @param {string} code - Promo code entered by the buyer
+   * @param {Object} ticketType - Ticket type being purchased
+   * @param {Object} userId - Buyer ID
+   * @returns {Promise<Object>} Promo code document
+   */
+  async validate(event, code, ticketType, userId) {
+    const normalizedCode = this.normalizeCode(code);
+    if (!normalizedCode) {
+      throw createPromoCodeError('Promo code is required');
+    }
+
+    const organizerId = event.organizer._id || event.organizer;
+    const promoCode = await PromoCode.findOne({ organizer: organizerId, code: normalizedCode });
+
+    if (!promoCode) {
+      throw createPromoCodeError('Promo code not found', 404);
+    }
+
+    if (!promoCode.isActive) {
+      throw createPromoCodeError('Promo code is no longer active');
+    }
+
+    const now = new Date();
+    if (promoCode.validFrom && now < promoCode.validFrom) {
+      throw createPromoCodeError('Promo code is not valid yet');
+    }
+    if (!promoCode.isWithinValidity(now)) {
+      throw createPromoCodeError('Promo code has expired');
+    }
+
+    if (promoCode.eventId && promoCode.eventId.toString() !== event._id.toString()) {
+      throw createPromoCodeError('Promo code is not valid for this event');
+    }
+    if (!promoCode.appliesTo(event._id, ticketType._id)) {
+      throw createPromoCodeError(`Promo code is not valid for "${ticketType.name}" tickets`);
+    }
+
+    if (promoCode.maxUses && await this.countUses(promoCode) >= promoCode.maxUses) {
+      throw createPromoCodeError('Promo code has reached its usage limit');
+    }
+    if (promoCode.maxUsesPerUser && await this.countUses(promoCode, userId) >= promoCode.maxUsesPerUser) {
+      throw createPromoCodeError('You have already used this promo code the maximum number of times');
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * Reserve a use of a promo code for a checkout
+   * The limits are checked and the use taken in one update so concurrent checkouts
+   * cannot go over them, reserving again for the same seat hold is a no-op
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} userId - Buyer ID
+   * @param {Object} reservationId - Seat hold of the checkout
+   * @returns {Promise<Object>} Promo code document
+   */
+  async reserveUse(promoCode, userId, reservationId) {
+    const redemptions = { $ifNull: ['$redemptions', []] };
+    const userRedemptions = { $filter: { input: redemptions, cond: { $eq: ['$$this.user', userId] } } };
+
+    const reserved = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        'redemptions.reservationId': { $ne: reservationId },
+        $expr: {
+          $and: [
+            { $or: [{ $not: ['$maxUses'] }, { $lt: [{ $size: redemptions }, '$maxUses'] }] },
+            { $or: [{ $not: ['$maxUsesPerUser'] }, { $lt: [{ $size: userRedemptions }, '$maxUsesPerUser'] }] }
+          ]
+        }
+      },
+      { $push: { redemptions: { user: userId, reservationId, reservedAt: new Date() } } },
+      { new: true }
+    );
+    if (reserved) {
+      return reserved;
+    }
+
+    const current = await PromoCode.findById(promoCode._id);
+    if (!current) {
+      throw createPromoCodeError('Promo code not found', 404);
+    }
+    if (current.redemptions.some(redemption => redemption.reservationId.toString() === reservationId.toString())) {
+      return current;
+    }
+    if (current.maxUsesPerUser && current.redemptions.filter(redemption => redemption.user.toString() === userId.toString()).length >= current.maxUsesPerUser) {
+      throw createPromoCodeError('You have already used this promo code the maximum number of times');
+    }
+    throw createPromoCodeError('Promo code has reached its usage limit');
+  }
+
+  /**
+   * Give back the promo code use of a released seat hold
+   * @param {Object} reservationId - Released seat hold
+   */
+  async releaseUse(reservationId) {
+    await PromoCode.updateOne(
+      { 'redemptions.reservationId': reservationId },
+      { $pull: { redemptions: { reservationId } } }
+    );
+  }
+
+  /**
+   * Pick the editable fields of a request body
+   * @param {Object} data - Request body
+   * @returns {Object} Promo code fields
+   */
+  pickFields(data) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Make sure a code limited to one event belongs to the organizer and only names its ticket types
+   * @param {Object} promoCode - Promo code document
+   */
+  async checkScope(promoCode) {
+    if (!promoCode.eventId) {
+      return;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(promoCode.eventId)) {
+      throw createPromoCodeError('Event not found', 404);
+    }
+
+    const event = await Event.findById(promoCode.eventId).select('organizer ticketTypes');
+    if (!event || event.organizer.toString() !== promoCode.organizer.toString()) {
+      throw createPromoCodeError('Event not found', 404);
+    }
+
+    const ticketTypeIds = (event.ticketTypes || []).map(type => type._id.toString());
+    const unknownType = (promoCode.ticketTypeIds || []).find(id => !ticketTypeIds.includes(id.toString()));
+    if (unknownType) {
+      throw createPromoCodeError('Ticket type not found', 404);
+    }
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} organizerId - Organizer ID
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} Promo code document
+   */
+  async create(organizerId, data) {
+    const promoCode = new PromoCode({ ...this.pickFields(data), organizer: organizerId });
+    await this.checkScope(promoCode);
+    return this.save(promoCode);
+  }
+
+  /**
+   * Update a promo code
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} Promo code document
+   */
+  async update(promoCode, data) {
+    const fields = this.pickFields(data);
+
+    // The discount of a code that was used stays as buyers got it
+    if ((fields.discountType !== undefined || fields.discountValue !== undefined) && await this.countUses(promoCode) > 0) {
+      throw createPromoCodeError('The discount of a promo code that has been used cannot be changed');
+    }
+
+    promoCode.set(fields);
+    await this.checkScope(promoCode);
+    return this.save(promoCode);
+  }
+
+  /**
+   * Save a promo code, reporting duplicate codes as a validation error
+   * @param {Object} promoCode - Promo code document
+   * @returns {Promise<Object>} Promo code document
+   */
+  async save(promoCode) {
+    try {
+      return await promoCode.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createPromoCodeError('You already have a promo code with this code', 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw createPromoCodeError(Object.values(error.errors).map(item => item.message).join(', '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a promo code that was never used
+   * @param {Object} promoCode - Promo code document
+   */
+  async remove(promoCode) {
+    if (await this.countUses(promoCode) > 0) {
+      throw createPromoCodeError('Promo codes that have been used cannot be deleted, deactivate them instead');
+    }
+    await promoCode.deleteOne();
+  }
+
+  /**
+   * Get usage statistics of promo codes
+   * @param {Array} promoCodeIds - Promo code IDs
+   * @returns {Promise<Object>} Statistics keyed by promo code ID (uses, tickets, revenue, discount)
+   */
+  async getUsageStats(promoCodeIds) {
+    const results = await Ticket.aggregate([
+      {
+        $match: {
+          'promoCode.codeId': { $in: promoCodeIds },
+          paymentStatus: { $in: USED_PAYMENT_STATUSES }
+        }
+      },
+      {
+        $group: {
+          _id: '$promoCode.codeId',
+          uses: { $sum: 1 },
+          paidUses: { $sum: { $cond: [{ $in: ['$paymentStatus', ['paid', 'partially_refunded']] }, 1, 0] } },
+          tickets: { $sum: { $cond: [{ $in: ['$paymentStatus', ['paid', 'partially_refunded']] }, '$quantity', 0] } },
+          revenue: { $sum: { $cond: [{ $in: ['$paymentStatus', ['paid', 'partially_refunded']] }, '$ticketPrice', 0] } },
+          discountAmount: {
+            $sum: {
+              $cond: [
+                { $in: ['$paymentStatus', ['paid', 'partially_refunded']] },
+                { $multiply: ['$promoCode.discountPerTicket', '$quantity'] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    return results.reduce((stats, result) => {
+      stats[result._id.toString()] = {
+        uses: result.uses,
+        paidUses: result.paidUses,
+        tickets: result.tickets,
+        revenue: Math.round(result.revenue * 100) / 100,
+        discountAmount: Math.round(result.discountAmount * 100) / 100
+      };
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Get the promo codes of an organizer with their usage
+   * @param {Object} organizerId - Organizer ID
+   * @param {Object} filters - Filters (eventId, isActive)
+   * @returns {Promise<Array>} Promo codes with usage statistics
+   */
+  async listForOrganizer(organizerId, filters = {}) {
+    const query = { organizer: organizerId };
+    if (filters.eventId) {
+      // Codes for the event and codes for all events
+      query.eventId = { $in: [filters.eventId, null] };
+    }
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive;
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('eventId', 'title slug startDate')
+      .sort({ createdAt: -1 });
+    const stats = await this.getUsageStats(promoCodes.map(promoCode => promoCode._id));
+
+    return promoCodes.map(promoCode => this.format(promoCode, stats[promoCode._id.toString()]));
+  }
+
+  /**
+   * Format a promo code for responses
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} usage - Usage statistics
+   * @returns {Object} Promo code data
+   */
+  format(promoCode, usage = null) {
+    const data = promoCode.toObject();
+    data.usage = usage || { uses: 0, paidUses: 0, tickets: 0, revenue: 0, discountAmount: 0 };
+    data.remainingUses = promoCode.maxUses ? Math.max(0, promoCode.maxUses - data.usage.uses) : null;
+    data.isCurrentlyValid = promoCode.isActive && promoCode.isWithinValidity() && data.remainingUses !== 0;
+    return data;
+  }
+}
+
+// Create singleton instance
+const promoCodeService = new PromoCodeService();
+
+module.exports = promoCodeService;
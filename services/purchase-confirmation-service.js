@@ -0,0 +1,80 @@
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+const User = require('../models/user');
+const emailService = require('../utils/email');
+const ticketPdfService = require('./ticket-pdf-service');
+const { userNotifications: userNotificationsTemplate } = require('../utils/email-templates');
+
+/**
+ * Purchase Confirmation Service
+ * Sends the purchase confirmation email with the PDF tickets once per paid ticket,
+ * whether the payment is confirmed by the client or by the Stripe webhook first
+ */
+class PurchaseConfirmationService {
+  /**
+   * Send the purchase confirmation of a paid ticket unless it was sent already
+   * @param {Object} ticket - Paid ticket document
+   * @returns {Promise<boolean>} Whether the confirmation was sent now
+   */
+  async sendOnce(ticket) {
+    // Claim the confirmation so the webhook and the client confirmation never both send it
+    const claimed = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, paymentStatus: 'paid', confirmationSentAt: null },
+      { $set: { confirmationSentAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      const attendee = await User.findById(claimed.attendee);
+      const event = await Event.findById(claimed.eventId);
+      if (!attendee || !event) {
+        return false;
+      }
+
+      // Generate the PDF tickets and attach them to the email
+      let attachments = [];
+      try {
+        attachments = await ticketPdfService.generateForTicket(claimed, event);
+      } catch (pdfError) {
+        console.error('Failed to generate ticket PDFs:', pdfError);
+      }
+
+      const emailData = {
+        userName: attendee.firstName,
+        eventTitle: event.title,
+        eventDate: event.startDate,
+        eventLocation: event.location.name,
+        quantity: claimed.quantity,
+        totalAmount: claimed.ticketPrice,
+        currency: claimed.currency,
+        ticketDetails: claimed.ticketDetails,
+        eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug}`
+      };
+
+      await emailService.sendEmail({
+        to: attendee.email,
+        subject: 'Ticket Purchase Confirmation - Zafo',
+        html: userNotificationsTemplate.generateTicketPurchaseEmail(emailData),
+        text: userNotificationsTemplate.generateTicketPurchaseText(emailData),
+        attachments
+      });
+
+      ticket.confirmationSentAt = claimed.confirmationSentAt;
+      console.log(`Ticket purchase confirmation email sent to ${attendee.email}`);
+      return true;
+    } catch (error) {
+      // Give the claim back so the next confirmation of the payment sends it
+      await Ticket.updateOne({ _id: claimed._id }, { $set: { confirmationSentAt: null } });
+      console.error('Failed to send ticket purchase confirmation email:', error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const purchaseConfirmationService = new PurchaseConfirmationService();
+
+module.exports = purchaseConfirmationService;
@@ -0,0 +1,969 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
+const Ticket = require('../models/ticket');
+const Event = require('../models/event');
+const ReconciliationReport = require('../models/reconciliation-report');
+const ledgerService = require('./ledger-service');
+const reservationService = require('./reservation-service');
+const waitlistService = require('./waitlist-service');
+const webhookService = require('./webhook-service');
+const settlementService = require('./settlement-service');
+
+// Days covered by a scheduled run, runs overlap so nothing created around midnight is missed
+const RECONCILIATION_WINDOW_DAYS = 2;
+
+// Longest range a run can cover
+const MAX_RANGE_DAYS = 92;
+
+// Discrepancies stored in a report (the counts cover all of them)
+const MAX_DISCREPANCIES = 1000;
+
+// Ticket statuses of purchases that were paid
+const CHARGED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Payment intent statuses of payments that will not succeed anymore
+const UNPAID_INTENT_STATUSES = ['canceled', 'requires_payment_method'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createReconciliationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Format an amount in cents for a message
+ * @param {number} cents - Amount in cents
+ * @param {string} currency - Currency
+ * @returns {string} Amount with currency
+ */
+const formatAmount = (cents, currency) => `${(currency || '').toUpperCase()} ${(cents / 100).toFixed(2)}`;
+
+/**
+ * Whether a Stripe error means the object does not exist
+ * @param {Error} error - Stripe error
+ * @returns {boolean} Whether the object is missing
+ */
+const isMissingInStripe = error => error.code === 'resource_missing' || error.statusCode === 404;
+
+/**
+ * Reconciliation Service
+ * Compares the payment intents, refunds, transfers and listing fee checkout sessions
+ * in Stripe with the tickets, events and the ledger, and reports the discrepancies
+ * with fixes an admin can apply
+ */
+class ReconciliationService {
+  constructor() {
+    // Fixes by action, every fix checks Stripe again before it changes anything
+    this.fixes = {
+      mark_ticket_paid: discrepancy => this.markTicketPaid(discrepancy),
+      mark_ticket_failed: discrepancy => this.markTicketFailed(discrepancy),
+      mark_ticket_refunded: discrepancy => this.markTicketRefunded(discrepancy),
+      record_charge: discrepancy => this.recordCharge(discrepancy),
+      record_refund: discrepancy => this.recordRefund(discrepancy),
+      mark_transfer_completed: discrepancy => this.markTransferCompleted(discrepancy),
+      mark_transfer_failed: discrepancy => this.markTransferFailed(discrepancy),
+      mark_event_paid: discrepancy => this.markEventPaid(discrepancy),
+      refund_payment: discrepancy => this.refundPayment(discrepancy)
+    };
+  }
+
+  /**
+   * Validate the date range of a run, scheduled runs cover the last days
+   * @param {Object} range - Start and end of the range
+   * @returns {Object} Range as dates
+   */
+  getRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - RECONCILIATION_WINDOW_DAYS * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw createReconciliationError('Invalid date range');
+    }
+    if (start >= end) {
+      throw createReconciliationError('The start of the range must be before its end');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw createReconciliationError(`A reconciliation can cover at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Compare Stripe with the database for a date range
+   * @param {Object} options - Range, trigger and admin who started the run
+   * @returns {Promise<Object>} Reconciliation report
+   */
+  async run({ from, to, trigger = 'schedule', triggeredBy = null } = {}) {
+    const range = this.getRange({ from, to });
+    const report = await ReconciliationReport.create({ trigger, triggeredBy, ...range });
+    const context = {
+      report,
+      range,
+      created: {
+        gte: Math.floor(range.from.getTime() / 1000),
+        lte: Math.floor(range.to.getTime() / 1000)
+      },
+      // Stripe objects compared, records pointing at other objects are looked up one by one
+      seenPaymentIntents: new Set(),
+      seenTransfers: new Set(),
+      seenCheckoutSessions: new Set()
+    };
+
+    let failure = null;
+    try {
+      await this.checkPaymentIntents(context);
+      await this.checkRefunds(context);
+      await this.checkTransfers(context);
+      await this.checkCheckoutSessions(context);
+      await this.checkTickets(context);
+      await this.checkEvents(context);
+      report.status = 'completed';
+    } catch (error) {
+      console.error(`Reconciliation ${report._id} failed:`, error);
+      report.status = 'failed';
+      report.error = error.message;
+      failure = error;
+    } finally {
+      report.completedAt = new Date();
+      await report.save();
+    }
+
+    if (failure) {
+      throw failure;
+    }
+    return report;
+  }
+
+  /**
+   * Add a discrepancy to a report
+   * @param {Object} report - Report document
+   * @param {Object} discrepancy - Discrepancy with its suggested fix (action and description)
+   */
+  addDiscrepancy(report, { fix, ...discrepancy }) {
+    report.discrepancyCount += 1;
+    report.counts = { ...report.counts, [discrepancy.type]: (report.counts[discrepancy.type] || 0) + 1 };
+
+    if (report.discrepancies.length < MAX_DISCREPANCIES) {
+      report.discrepancies.push({
+        ...discrepancy,
+        fix: fix ? { ...fix, status: 'available' } : undefined
+      });
+    }
+  }
+
+  /**
+   * Compare the ticket payment intents created in the range with their tickets
+   * @param {Object} context - Run context
+   */
+  async checkPaymentIntents(context) {
+    const paymentIntents = stripe.paymentIntents.list({
+      created: context.created,
+      limit: 100,
+      expand: ['data.latest_charge']
+    });
+
+    for await (const paymentIntent of paymentIntents) {
+      const metadata = paymentIntent.metadata || {};
+      // Listing fees are paid through checkout sessions and compared with those
+      if (!metadata.eventId || !metadata.attendeeId) {
+        continue;
+      }
+
+      context.report.checked.paymentIntents += 1;
+      context.seenPaymentIntents.add(paymentIntent.id);
+      await this.checkPaymentIntent(context.report, paymentIntent);
+    }
+  }
+
+  /**
+   * Compare a ticket payment intent with its ticket and the ledger
+   * @param {Object} report - Report document
+   * @param {Object} paymentIntent - Stripe payment intent with its latest charge
+   */
+  async checkPaymentIntent(report, paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    const isAdditionalPurchase = metadata.isAdditionalPurchase === 'true';
+    const isSucceeded = paymentIntent.status === 'succeeded';
+    const amountCents = paymentIntent.amount_received || paymentIntent.amount;
+    const amount = formatAmount(amountCents, paymentIntent.currency);
+
+    let ticket = null;
+    if (!isAdditionalPurchase) {
+      ticket = await Ticket.findOne({ stripePaymentIntentId: paymentIntent.id });
+    } else if (mongoose.Types.ObjectId.isValid(metadata.existingTicketId)) {
+      ticket = await Ticket.findById(metadata.existingTicketId);
+    }
+
+    if (!ticket) {
+      if (isSucceeded) {
+        this.addDiscrepancy(report, {
+          type: 'orphaned_payment',
+          severity: 'high',
+          message: `Payment of ${amount} succeeded but there is no ticket for it`,
+          stripeObjectId: paymentIntent.id,
+          event: mongoose.Types.ObjectId.isValid(metadata.eventId) ? metadata.eventId : null,
+          stripeValue: { status: paymentIntent.status, amount: amountCents / 100 },
+          fix: { action: 'refund_payment', description: 'Refund the payment to the attendee' }
+        });
+      }
+      return;
+    }
+
+    const references = { stripeObjectId: paymentIntent.id, ticket: ticket._id, event: ticket.eventId };
+
+    if (!isAdditionalPurchase) {
+      if (isSucceeded && ['pending', 'failed'].includes(ticket.paymentStatus)) {
+        this.addDiscrepancy(report, {
+          ...references,
+          type: 'payment_status_mismatch',
+          severity: 'high',
+          message: `Payment of ${amount} succeeded but the ticket is ${ticket.paymentStatus}`,
+          stripeValue: paymentIntent.status,
+          databaseValue: ticket.paymentStatus,
+          fix: { action: 'mark_ticket_paid', description: 'Mark the ticket as paid and count its seats as sold' }
+        });
+        return;
+      }
+
+      if (UNPAID_INTENT_STATUSES.includes(paymentIntent.status) && CHARGED_STATUSES.includes(ticket.paymentStatus)) {
+        this.addDiscrepancy(report, {
+          ...references,
+          type: 'payment_status_mismatch',
+          severity: 'high',
+          message: `Ticket is ${ticket.paymentStatus} but the payment is ${paymentIntent.status}`,
+          stripeValue: paymentIntent.status,
+          databaseValue: ticket.paymentStatus,
+          fix: { action: 'mark_ticket_failed', description: 'Mark the ticket payment as failed and free its seats' }
+        });
+        return;
+      }
+    } else if (isSucceeded && !ticket.additionalPaymentIntentIds.includes(paymentIntent.id)) {
+      this.addDiscrepancy(report, {
+        ...references,
+        type: 'additional_purchase_not_merged',
+        severity: 'high',
+        message: `Additional purchase of ${metadata.additionalQuantity || 'unknown'} ticket(s) for ${amount} succeeded but the tickets were not added to the ticket`,
+        stripeValue: { status: paymentIntent.status, quantity: parseInt(metadata.additionalQuantity, 10) || null },
+        databaseValue: ticket.quantity
+      });
+    }
+
+    if (!isSucceeded) {
+      return;
+    }
+
+    const charge = await ledgerService.getTransaction(`charge:${paymentIntent.id}`);
+    if (!charge) {
+      // Purchases made before the ledger existed are recorded as opening balances
+      const opening = !isAdditionalPurchase && await ledgerService.getTransaction(`opening:${ticket._id}`);
+      if (!opening) {
+        this.addDiscrepancy(report, {
+          ...references,
+          type: 'charge_missing_in_ledger',
+          severity: 'medium',
+          message: `Payment of ${amount} is not recorded in the ledger`,
+          stripeValue: amountCents / 100,
+          fix: { action: 'record_charge', description: 'Record the payment and its platform fee in the ledger' }
+        });
+      }
+    } else if (Math.round(ledgerService.getTransactionAmount(charge) * 100) !== amountCents) {
+      this.addDiscrepancy(report, {
+        ...references,
+        type: 'amount_mismatch',
+        severity: 'medium',
+        message: `Payment is ${amount} in Stripe but ${formatAmount(Math.round(ledgerService.getTransactionAmount(charge) * 100), charge.currency)} in the ledger`,
+        stripeValue: amountCents / 100,
+        databaseValue: ledgerService.getTransactionAmount(charge)
+      });
+    }
+
+    const latestCharge = paymentIntent.latest_charge;
+    if (!isAdditionalPurchase && latestCharge && latestCharge.refunded && ['paid', 'partially_refunded'].includes(ticket.paymentStatus)) {
+      this.addDiscrepancy(report, {
+        ...references,
+        type: 'refund_status_mismatch',
+        severity: 'high',
+        message: `Payment is fully refunded in Stripe but the ticket is ${ticket.paymentStatus}`,
+        stripeValue: latestCharge.amount_refunded / 100,
+        databaseValue: ticket.paymentStatus,
+        fix: { action: 'mark_ticket_refunded', description: 'Mark all tickets of the purchase as refunded and free their seats' }
+      });
+    }
+  }
+
+  /**
+   * Compare the refunds created in the range with the ledger
+   * @param {Object} context - Run context
+   */
+  async checkRefunds(context) {
+    const refunds = stripe.refunds.list({ created: context.created, limit: 100 });
+
+    for await (const refund of refunds) {
+      if (refund.status !== 'succeeded' || !refund.payment_intent) {
+        continue;
+      }
+
+      const ticketId = refund.metadata && refund.metadata.ticketId;
+      const ticket = mongoose.Types.ObjectId.isValid(ticketId)
+        ? await Ticket.findById(ticketId)
+        : await Ticket.findOne({ stripePaymentIntentId: refund.payment_intent });
+      // Refunds of other payments, payments without a ticket are reported with their payment intent
+      if (!ticket) {
+        continue;
+      }
+
+      context.report.checked.refunds += 1;
+      if (await ledgerService.getTransaction(`refund:${refund.id}`)) {
+        continue;
+      }
+
+      // Refunds made before the purchase was recorded as an opening balance are part of it
+      const opening = await ledgerService.getTransaction(`opening:${ticket._id}`);
+      if (opening && new Date(refund.created * 1000) < opening.createdAt) {
+        continue;
+      }
+
+      this.addDiscrepancy(context.report, {
+        type: 'refund_not_recorded',
+        severity: 'medium',
+        message: `Refund of ${formatAmount(refund.amount, refund.currency)} is not recorded in the ledger`,
+        stripeObjectId: refund.id,
+        ticket: ticket._id,
+        event: ticket.eventId,
+        stripeValue: refund.amount / 100,
+        fix: { action: 'record_refund', description: 'Record the refund in the ledger' }
+      });
+    }
+  }
+
+  /**
+   * Compare the organizer transfers created in the range with their tickets and the ledger
+   * @param {Object} context - Run context
+   */
+  async checkTransfers(context) {
+    const transfers = stripe.transfers.list({ created: context.created, limit: 100 });
+
+    for await (const transfer of transfers) {
+      const ticketId = transfer.metadata && transfer.metadata.ticketId;
+      if (!ticketId) {
+        continue;
+      }
+
+      context.report.checked.transfers += 1;
+      context.seenTransfers.add(transfer.id);
+
+      const amount = formatAmount(transfer.amount, transfer.currency);
+      const ticket = mongoose.Types.ObjectId.isValid(ticketId) ? await Ticket.findById(ticketId) : null;
+      if (!ticket) {
+        this.addDiscrepancy(context.report, {
+          type: 'orphaned_transfer',
+          severity: 'high',
+          message: `Transfer of ${amount} was made for ticket ${ticketId} which does not exist`,
+          stripeObjectId: transfer.id,
+          stripeValue: transfer.amount / 100
+        });
+        continue;
+      }
+
+      this.checkTransfer(context.report, ticket, transfer);
+
+      const ledgerTransfer = await ledgerService.getTransaction(`transfer:${transfer.id}`);
+      if (ledgerTransfer && Math.round(ledgerService.getTransactionAmount(ledgerTransfer) * 100) !== transfer.amount) {
+        this.addDiscrepancy(context.report, {
+          type: 'amount_mismatch',
+          severity: 'medium',
+          message: `Transfer is ${amount} in Stripe but ${formatAmount(Math.round(ledgerService.getTransactionAmount(ledgerTransfer) * 100), transfer.currency)} in the ledger`,
+          stripeObjectId: transfer.id,
+          ticket: ticket._id,
+          event: ticket.eventId,
+          stripeValue: transfer.amount / 100,
+          databaseValue: ledgerService.getTransactionAmount(ledgerTransfer)
+        });
+      }
+    }
+  }
+
+  /**
+   * Compare a transfer with the transfer status of its ticket
+   * @param {Object} report - Report document
+   * @param {Object} ticket - Ticket document
+   * @param {Object} transfer - Stripe transfer
+   */
+  checkTransfer(report, ticket, transfer) {
+    const references = { stripeObjectId: transfer.id, ticket: ticket._id, event: ticket.eventId };
+    const amount = formatAmount(transfer.amount, transfer.currency);
+    const isRecorded = ticket.organizerTransferStatus === 'completed' && ticket.stripeTransferId === transfer.id;
+
+    if (transfer.reversed) {
+      // Refunds of destination charges reverse their transfer
+      if (isRecorded && ticket.settlementMode !== 'destination') {
+        this.addDiscrepancy(report, {
+          ...references,
+          type: 'transfer_reversed',
+          severity: 'high',
+          message: `Transfer of ${amount} was reversed but the ticket is marked as paid out`,
+          stripeValue: 'reversed',
+          databaseValue: ticket.organizerTransferStatus,
+          fix: { action: 'mark_transfer_failed', description: 'Mark the transfer as failed so the organizer is paid again' }
+        });
+      }
+      return;
+    }
+
+    if (isRecorded) {
+      return;
+    }
+
+    if (ticket.organizerTransferStatus === 'completed' && ticket.stripeTransferId) {
+      // Two transfers for the same purchase, the organizer may have been paid twice
+      this.addDiscrepancy(report, {
+        ...references,
+        type: 'transfer_not_recorded',
+        severity: 'high',
+        message: `Transfer of ${amount} was made but the ticket was paid out with transfer ${ticket.stripeTransferId}`,
+        stripeValue: transfer.id,
+        databaseValue: ticket.stripeTransferId
+      });
+      return;
+    }
+
+    this.addDiscrepancy(report, {
+      ...references,
+      type: 'transfer_not_recorded',
+      severity: 'high',
+      message: `Transfer of ${amount} was made but the ticket transfer is ${ticket.organizerTransferStatus}`,
+      stripeValue: transfer.id,
+      databaseValue: ticket.organizerTransferStatus,
+      fix: { action: 'mark_transfer_completed', description: 'Mark the ticket as paid out with this transfer' }
+    });
+  }
+
+  /**
+   * Compare the paid listing fee checkout sessions created in the range with their events
+   * @param {Object} context - Run context
+   */
+  async checkCheckoutSessions(context) {
+    const sessions = stripe.checkout.sessions.list({ created: context.created, limit: 100 });
+
+    for await (const session of sessions) {
+      const eventId = session.metadata && session.metadata.eventId;
+      if (!eventId || session.payment_status !== 'paid') {
+        continue;
+      }
+
+      context.report.checked.checkoutSessions += 1;
+      context.seenCheckoutSessions.add(session.id);
+
+      const amount = formatAmount(session.amount_total, session.currency);
+      const event = mongoose.Types.ObjectId.isValid(eventId) ? await Event.findById(eventId) : null;
+      const references = { stripeObjectId: session.id, event: event ? event._id : null };
+
+      if (!event) {
+        this.addDiscrepancy(context.report, {
+          ...references,
+          type: 'event_payment_not_recorded',
+          severity: 'high',
+          message: `Listing fee of ${amount} was paid for event ${eventId} which does not exist`,
+          stripeValue: session.amount_total / 100
+        });
+      } else if (!event.isPaid) {
+        this.addDiscrepancy(context.report, {
+          ...references,
+          type: 'event_payment_not_recorded',
+          severity: 'high',
+          message: `Listing fee of ${amount} was paid but the event is not marked as paid`,
+          stripeValue: session.payment_status,
+          databaseValue: false,
+          fix: { action: 'mark_event_paid', description: 'Mark the event as paid and publish it if it waits for the payment' }
+        });
+      } else if (event.paymentId && event.paymentId !== session.id) {
+        this.addDiscrepancy(context.report, {
+          ...references,
+          type: 'event_payment_not_recorded',
+          severity: 'medium',
+          message: `Listing fee of ${amount} was paid again, the event was paid with ${event.paymentId}`,
+          stripeValue: session.id,
+          databaseValue: event.paymentId
+        });
+      }
+    }
+  }
+
+  /**
+   * Check the tickets paid, refunded or paid out in the range against Stripe
+   * @param {Object} context - Run context
+   */
+  async checkTickets(context) {
+    const { range, report } = context;
+    const tickets = Ticket.find({
+      paymentStatus: { $in: CHARGED_STATUSES },
+      stripePaymentIntentId: { $nin: [null, ''] },
+      $or: [
+        { createdAt: { $gte: range.from, $lte: range.to } },
+        { refundedAt: { $gte: range.from, $lte: range.to } },
+        { organizerTransferDate: { $gte: range.from, $lte: range.to } }
+      ]
+    }).cursor();
+
+    for await (const ticket of tickets) {
+      report.checked.tickets += 1;
+      const references = { ticket: ticket._id, event: ticket.eventId };
+      const isNewPurchase = ticket.createdAt >= range.from && ticket.createdAt <= range.to;
+      const isRefunded = ['refunded', 'partially_refunded'].includes(ticket.paymentStatus) &&
+        ticket.refundedAt >= range.from && ticket.refundedAt <= range.to;
+
+      // Payment intents listed in the range were compared already
+      if ((isNewPurchase && !context.seenPaymentIntents.has(ticket.stripePaymentIntentId)) || isRefunded) {
+        let paymentIntent = null;
+        try {
+          paymentIntent = await stripe.paymentIntents.retrieve(ticket.stripePaymentIntentId, { expand: ['latest_charge'] });
+        } catch (error) {
+          if (!isMissingInStripe(error)) {
+            throw error;
+          }
+          this.addDiscrepancy(report, {
+            ...references,
+            type: 'payment_missing_in_stripe',
+            severity: 'high',
+            message: `Ticket is ${ticket.paymentStatus} but its payment does not exist in Stripe`,
+            stripeObjectId: ticket.stripePaymentIntentId,
+            databaseValue: ticket.paymentStatus
+          });
+        }
+
+        if (paymentIntent && isNewPurchase && !context.seenPaymentIntents.has(paymentIntent.id)) {
+          context.seenPaymentIntents.add(paymentIntent.id);
+          await this.checkPaymentIntent(report, paymentIntent);
+        }
+
+        const charge = paymentIntent && paymentIntent.latest_charge;
+        // Tickets of a lost dispute are refunded without a Stripe refund
+        if (isRefunded && charge && !charge.amount_refunded && !charge.disputed) {
+          this.addDiscrepancy(report, {
+            ...references,
+            type: 'refund_missing_in_stripe',
+            severity: 'high',
+            message: `Ticket is ${ticket.paymentStatus} but its payment was not refunded in Stripe`,
+            stripeObjectId: paymentIntent.id,
+            stripeValue: 0,
+            databaseValue: ticket.refundAmount
+          });
+        }
+      }
+
+      const isPaidOut = ticket.organizerTransferStatus === 'completed' && ticket.stripeTransferId &&
+        ticket.organizerTransferDate >= range.from && ticket.organizerTransferDate <= range.to;
+      if (isPaidOut && !context.seenTransfers.has(ticket.stripeTransferId)) {
+        await this.checkTicketTransfer(context, ticket);
+      }
+    }
+  }
+
+  /**
+   * Check the transfer of a ticket that was not listed in the range
+   * @param {Object} context - Run context
+   * @param {Object} ticket - Ticket document
+   */
+  async checkTicketTransfer(context, ticket) {
+    let transfer;
+    try {
+      transfer = await stripe.transfers.retrieve(ticket.stripeTransferId);
+    } catch (error) {
+      if (!isMissingInStripe(error)) {
+        throw error;
+      }
+      this.addDiscrepancy(context.report, {
+        type: 'transfer_missing_in_stripe',
+        severity: 'high',
+        message: 'Ticket is marked as paid out but its transfer does not exist in Stripe',
+        stripeObjectId: ticket.stripeTransferId,
+        ticket: ticket._id,
+        event: ticket.eventId,
+        databaseValue: ticket.organizerTransferStatus
+      });
+      return;
+    }
+
+    context.seenTransfers.add(transfer.id);
+    this.checkTransfer(context.report, ticket, transfer);
+  }
+
+  /**
+   * Check the events marked as paid in the range against their checkout sessions
+   * @param {Object} context - Run context
+   */
+  async checkEvents(context) {
+    const { range, report } = context;
+    const events = Event.find({
+      isPaid: true,
+      paymentId: { $nin: [null, ''] },
+      paidAt: { $gte: range.from, $lte: range.to }
+    }).select('title isPaid paymentId paidAt').cursor();
+
+    for await (const event of events) {
+      report.checked.events += 1;
+      if (context.seenCheckoutSessions.has(event.paymentId)) {
+        continue;
+      }
+
+      let session = null;
+      try {
+        session = await stripe.checkout.sessions.retrieve(event.paymentId);
+      } catch (error) {
+        if (!isMissingInStripe(error)) {
+          throw error;
+        }
+      }
+
+      if (!session || session.payment_status !== 'paid') {
+        this.addDiscrepancy(report, {
+          type: 'event_payment_missing_in_stripe',
+          severity: 'high',
+          message: session
+            ? `Event is marked as paid but its checkout session is ${session.payment_status}`
+            : 'Event is marked as paid but its checkout session does not exist in Stripe',
+          stripeObjectId: event.paymentId,
+          event: event._id,
+          stripeValue: session ? session.payment_status : null,
+          databaseValue: true
+        });
+      }
+    }
+  }
+
+  /**
+   * List reports without their discrepancies
+   * @param {Object} query - Filters and pagination
+   * @returns {Promise<Object>} Reports and pagination
+   */
+  async listReports({ status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(filter)
+        .select('-discrepancies')
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ReconciliationReport.countDocuments(filter)
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get a report with its discrepancies
+   * @param {string} id - Report ID
+   * @returns {Promise<Object>} Report
+   */
+  async getReport(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createReconciliationError('Invalid report ID');
+    }
+
+    const report = await ReconciliationReport.findById(id)
+      .populate('triggeredBy', 'firstName lastName email')
+      .populate('discrepancies.fix.appliedBy', 'firstName lastName email');
+    if (!report) {
+      throw createReconciliationError('Reconciliation report not found', 404);
+    }
+    return report;
+  }
+
+  /**
+   * Apply the suggested fix of a discrepancy
+   * @param {string} reportId - Report ID
+   * @param {string} discrepancyId - Discrepancy ID
+   * @param {Object} user - Admin applying the fix
+   * @returns {Promise<Object>} Report, discrepancy and outcome of the fix
+   */
+  async applyFix(reportId, discrepancyId, user) {
+    const report = await this.getReport(reportId);
+    const discrepancy = report.discrepancies.id(discrepancyId);
+    if (!discrepancy) {
+      throw createReconciliationError('Discrepancy not found', 404);
+    }
+    if (!discrepancy.fix || !discrepancy.fix.action) {
+      throw createReconciliationError('This discrepancy has no fix and needs to be resolved manually');
+    }
+    if (discrepancy.fix.status === 'applied') {
+      throw createReconciliationError('The fix was already applied', 409);
+    }
+
+    let outcome;
+    try {
+      outcome = await this.fixes[discrepancy.fix.action](discrepancy);
+      discrepancy.fix.status = 'applied';
+      discrepancy.fix.appliedBy = user._id;
+      discrepancy.fix.appliedAt = new Date();
+      discrepancy.fix.error = null;
+    } catch (error) {
+      discrepancy.fix.status = 'failed';
+      discrepancy.fix.error = error.message;
+      await report.save();
+      throw error;
+    }
+
+    await report.save();
+    return { report, discrepancy, outcome };
+  }
+
+  /**
+   * Get the ticket of a discrepancy
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<Object>} Ticket document
+   */
+  async getDiscrepancyTicket(discrepancy) {
+    const ticket = discrepancy.ticket ? await Ticket.findById(discrepancy.ticket) : null;
+    if (!ticket) {
+      throw createReconciliationError('Ticket not found', 404);
+    }
+    return ticket;
+  }
+
+  /**
+   * Get a succeeded payment intent of a discrepancy
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<Object>} Stripe payment intent with its latest charge
+   */
+  async getSucceededPaymentIntent(discrepancy) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(discrepancy.stripeObjectId, { expand: ['latest_charge'] });
+    if (paymentIntent.status !== 'succeeded') {
+      throw createReconciliationError(`The payment is ${paymentIntent.status} in Stripe now`, 409);
+    }
+    return paymentIntent;
+  }
+
+  /**
+   * Mark the ticket of a succeeded payment as paid
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markTicketPaid(discrepancy) {
+    const paymentIntent = await this.getSucceededPaymentIntent(discrepancy);
+    await webhookService.handlePaymentIntentSucceeded(paymentIntent);
+    return 'Ticket marked as paid';
+  }
+
+  /**
+   * Mark the ticket of a payment that did not succeed as failed
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markTicketFailed(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const paymentIntent = await stripe.paymentIntents.retrieve(discrepancy.stripeObjectId);
+    if (!UNPAID_INTENT_STATUSES.includes(paymentIntent.status)) {
+      throw createReconciliationError(`The payment is ${paymentIntent.status} in Stripe now`, 409);
+    }
+
+    const seatsBefore = ticket.getSoldSeatCount();
+    ticket.paymentStatus = 'failed';
+    await ticket.save();
+    await reservationService.releaseSoldSeats(ticket, seatsBefore - ticket.getSoldSeatCount());
+
+    return 'Ticket payment marked as failed';
+  }
+
+  /**
+   * Mark all tickets of a fully refunded payment as refunded
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markTicketRefunded(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const paymentIntent = await this.getSucceededPaymentIntent(discrepancy);
+    const charge = paymentIntent.latest_charge;
+    if (!charge || !charge.refunded) {
+      throw createReconciliationError('The payment is not fully refunded in Stripe', 409);
+    }
+
+    const seatsBefore = ticket.getSoldSeatCount();
+    const now = new Date();
+    ticket.paymentStatus = 'refunded';
+    ticket.refundStatus = 'completed';
+    ticket.refundAmount = charge.amount_refunded / 100;
+    ticket.refundedAt = ticket.refundedAt || now;
+    ticket.ticketDetails.forEach(detail => {
+      if (detail.refundStatus !== 'completed') {
+        detail.refundStatus = 'completed';
+        detail.refundedAt = now;
+      }
+    });
+    await ticket.save();
+
+    const freedSeats = seatsBefore - ticket.getSoldSeatCount();
+    await reservationService.releaseSoldSeats(ticket, freedSeats);
+    if (freedSeats > 0) {
+      await waitlistService.offerFreedSeats(ticket.eventId);
+    }
+
+    return 'Ticket marked as refunded';
+  }
+
+  /**
+   * Record a succeeded payment in the ledger
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async recordCharge(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const paymentIntent = await this.getSucceededPaymentIntent(discrepancy);
+    await ledgerService.recordCharge(ticket, paymentIntent);
+    return 'Payment recorded in the ledger';
+  }
+
+  /**
+   * Record a Stripe refund in the ledger
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async recordRefund(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const refund = await stripe.refunds.retrieve(discrepancy.stripeObjectId);
+    if (refund.status !== 'succeeded') {
+      throw createReconciliationError(`The refund is ${refund.status} in Stripe now`, 409);
+    }
+
+    // The refund is split between the organizer and the platform fee like the purchase
+    const refundAmount = refund.amount / 100;
+    const purchaseValue = ticket.organizerPayment + ticket.platformFee;
+    const platformFeeShare = purchaseValue > 0 ? refundAmount * ticket.platformFee / purchaseValue : 0;
+    let ticketCount = 0;
+    try {
+      ticketCount = JSON.parse((refund.metadata && refund.metadata.refundedTickets) || '[]').length;
+    } catch (parseError) {
+      ticketCount = 0;
+    }
+
+    await ledgerService.recordRefund(ticket, {
+      refundId: refund.id,
+      ticketCount,
+      refundAmount,
+      organizerShare: refundAmount - platformFeeShare,
+      platformFeeShare,
+      reason: 'reconciliation'
+    });
+
+    return 'Refund recorded in the ledger';
+  }
+
+  /**
+   * Mark the ticket of a transfer as paid out
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markTransferCompleted(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const transfer = await stripe.transfers.retrieve(discrepancy.stripeObjectId);
+    if (transfer.reversed) {
+      throw createReconciliationError('The transfer was reversed in Stripe', 409);
+    }
+    if (ticket.organizerTransferStatus === 'completed' && ticket.stripeTransferId && ticket.stripeTransferId !== transfer.id) {
+      throw createReconciliationError(`The ticket was paid out with transfer ${ticket.stripeTransferId}`, 409);
+    }
+
+    ticket.organizerTransferStatus = 'completed';
+    ticket.stripeTransferId = transfer.id;
+    ticket.organizerTransferDate = ticket.organizerTransferDate || new Date(transfer.created * 1000);
+    await ticket.save();
+    await ledgerService.recordTransfer(ticket, { transferId: transfer.id, amount: transfer.amount / 100 });
+
+    return 'Ticket marked as paid out';
+  }
+
+  /**
+   * Mark the ticket of a reversed transfer as not paid out
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markTransferFailed(discrepancy) {
+    const ticket = await this.getDiscrepancyTicket(discrepancy);
+    const transfer = await stripe.transfers.retrieve(discrepancy.stripeObjectId);
+    if (!transfer.reversed) {
+      throw createReconciliationError('The transfer is not reversed in Stripe', 409);
+    }
+
+    ticket.organizerTransferStatus = 'failed';
+    await ticket.save();
+    await ledgerService.recordFailedTransfer(transfer.id);
+
+    return 'Ticket transfer marked as failed';
+  }
+
+  /**
+   * Mark the event of a paid listing fee as paid
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async markEventPaid(discrepancy) {
+    const session = await stripe.checkout.sessions.retrieve(discrepancy.stripeObjectId);
+    if (session.payment_status !== 'paid') {
+      throw createReconciliationError(`The checkout session is ${session.payment_status} in Stripe now`, 409);
+    }
+
+    await webhookService.handleCheckoutSessionCompleted(session);
+    return 'Event marked as paid';
+  }
+
+  /**
+   * Refund a payment that has no ticket
+   * @param {Object} discrepancy - Discrepancy
+   * @returns {Promise<string>} Outcome
+   */
+  async refundPayment(discrepancy) {
+    const paymentIntent = await this.getSucceededPaymentIntent(discrepancy);
+    if (await Ticket.exists({ stripePaymentIntentId: paymentIntent.id })) {
+      throw createReconciliationError('A ticket exists for the payment now', 409);
+    }
+
+    const charge = paymentIntent.latest_charge;
+    const refundableCents = charge ? charge.amount - charge.amount_refunded : 0;
+    if (refundableCents <= 0) {
+      throw createReconciliationError('Nothing is left to refund on the payment', 409);
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent.id,
+      amount: refundableCents,
+      ...settlementService.getOrphanRefundParams(paymentIntent),
+      metadata: {
+        refundType: 'reconciliation',
+        eventId: (paymentIntent.metadata && paymentIntent.metadata.eventId) || ''
+      }
+    }, {
+      idempotencyKey: `reconciliation-refund-${paymentIntent.id}`
+    });
+
+    return `Refunded ${formatAmount(refund.amount, refund.currency)}`;
+  }
+}
+
+// Create singleton instance
+const reconciliationService = new ReconciliationService();
+
+module.exports = reconciliationService;
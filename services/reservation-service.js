@@ -0,0 +1,392 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Reservation = require('../models/reservation');
+const SeatInventory = require('../models/seat-inventory');
+const Ticket = require('../models/ticket');
+const WaitlistEntry = require('../models/waitlist-entry');
+const pricingService = require('./pricing-service');
+const promoCodeService = require('./promo-code-service');
+
+// How long seats are held while the buyer completes the payment
+const SEAT_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES) || 15;
+
+// Inventory scope covering the whole event capacity
+const EVENT_SCOPE = 'event';
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createReservationError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Reservation Service
+ * Holds seats while a ticket payment is in progress and converts them to sold seats
+ * Seat counters are only changed with conditional atomic updates so concurrent buyers cannot oversell
+ */
+class ReservationService {
+  /**
+   * Get the inventory scopes a reservation counts against
+   * @param {Object} reservation - Reservation document
+   * @returns {Array<string>} Inventory scopes
+   */
+  getScopes(reservation) {
+    const scopes = [EVENT_SCOPE];
+    if (reservation.hasTicketTypeCapacity && reservation.ticketTypeId) {
+      scopes.push(reservation.ticketTypeId.toString());
+    }
+    return scopes;
+  }
+
+  /**
+   * Make sure the seat counter for an event scope exists and has the current capacity
+   * Counters are created lazily and start from the tickets sold so far
+   * @param {Object} event - Event document
+   * @param {string} scope - Inventory scope ('event' or ticket type ID)
+   * @param {number} capacity - Capacity of the scope
+   * @param {Object} ticketType - Ticket type (for ticket type scopes)
+   * @returns {Promise<Object>} Seat inventory document
+   */
+  async ensureInventory(event, scope, capacity, ticketType = null) {
+    const existing = await SeatInventory.findOneAndUpdate(
+      { eventId: event._id, scope },
+      { $set: { capacity } },
+      { new: true }
+    );
+
+    if (existing) {
+      return existing;
+    }
+
+    // Count seats already sold before the counter existed
+    const soldCounts = await Ticket.getSoldCountsByType(event._id);
+    const sold = scope === EVENT_SCOPE
+      ? Object.values(soldCounts).reduce((sum, count) => sum + count, 0)
+      : pricingService.getSoldCount(soldCounts, event, ticketType);
+
+    try {
+      return await SeatInventory.create({ eventId: event._id, scope, capacity, sold });
+    } catch (error) {
+      // Another request created the counter at the same time
+      if (error.code === 11000) {
+        return SeatInventory.findOne({ eventId: event._id, scope });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the number of seats that can still be held for a ticket type
+   * @param {Object} event - Event document
+   * @param {Object} ticketType - Ticket type
+   * @returns {Promise<number>} Available seats
+   */
+  async getAvailableSeats(event, ticketType = null) {
+    const eventInventory = await this.ensureInventory(event, EVENT_SCOPE, event.capacity);
+    let available = eventInventory.available;
+
+    if (ticketType && ticketType._id && ticketType.capacity) {
+      const typeInventory = await this.ensureInventory(event, ticketType._id.toString(), ticketType.capacity, ticketType);
+      available = Math.min(available, typeInventory.available);
+    }
+
+    return available;
+  }
+
+  /**
+   * Atomically hold seats in a scope if enough capacity remains
+   * @param {Object} eventId - Event ID
+   * @param {string} scope - Inventory scope
+   * @param {number} quantity - Number of seats
+   * @returns {Promise<Object|null>} Updated inventory or null if not enough seats
+   */
+  async holdSeats(eventId, scope, quantity) {
+    return SeatInventory.findOneAndUpdate(
+      {
+        eventId,
+        scope,
+        $expr: { $lte: [{ $add: ['$held', '$sold', quantity] }, '$capacity'] }
+      },
+      { $inc: { held: quantity } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Adjust the counters of all scopes of a reservation
+   * @param {Object} reservation - Reservation document
+   * @param {Object} increments - Counter increments (held, sold)
+   */
+  async adjustCounters(reservation, increments) {
+    await Promise.all(this.getScopes(reservation).map(scope =>
+      SeatInventory.updateOne({ eventId: reservation.eventId, scope }, { $inc: increments })
+    ));
+  }
+
+  /**
+   * Hold seats for a ticket purchase
+   * @param {Object} options - Reservation options
+   * @param {Object} options.event - Event document
+   * @param {Object} options.ticketType - Ticket type the seats are held for
+   * @param {number} options.quantity - Number of seats
+   * @param {Object} options.attendeeId - Buyer ID
+   * @param {Object} options.existingTicketId - Existing purchase when adding tickets
+   * @param {string} options.source - Where the hold comes from ('checkout', 'waitlist' or 'rsvp')
+   * @param {Object} options.waitlistEntryId - Waitlist entry the hold is offered to
+   * @param {Date} options.expiresAt - Custom expiry (defaults to the seat hold time)
+   * @returns {Promise<Object>} Reservation document
+   */
+  async reserve({ event, ticketType, quantity, attendeeId, existingTicketId = null, source = 'checkout', waitlistEntryId = null, expiresAt = null }) {
+    const hasTicketTypeCapacity = !!(ticketType && ticketType._id && ticketType.capacity);
+
+    await this.ensureInventory(event, EVENT_SCOPE, event.capacity);
+    if (hasTicketTypeCapacity) {
+      await this.ensureInventory(event, ticketType._id.toString(), ticketType.capacity, ticketType);
+    }
+
+    // Hold against the event capacity first, then against the ticket type capacity
+    const eventInventory = await this.holdSeats(event._id, EVENT_SCOPE, quantity);
+    if (!eventInventory) {
+      throw createReservationError('Not enough seats available for this event');
+    }
+
+    if (hasTicketTypeCapacity) {
+      const typeInventory = await this.holdSeats(event._id, ticketType._id.toString(), quantity);
+      if (!typeInventory) {
+        // Give the event seats back
+        await SeatInventory.updateOne({ eventId: event._id, scope: EVENT_SCOPE }, { $inc: { held: -quantity } });
+        throw createReservationError(`Not enough "${ticketType.name}" tickets remaining`);
+      }
+    }
+
+    try {
+      return await Reservation.create({
+        eventId: event._id,
+        attendee: attendeeId,
+        ticketTypeId: ticketType ? ticketType._id : null,
+        hasTicketTypeCapacity,
+        quantity,
+        existingTicketId,
+        source,
+        waitlistEntryId,
+        expiresAt: expiresAt || new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000)
+      });
+    } catch (error) {
+      // Give the seats back if the hold could not be recorded
+      await this.adjustCounters({ eventId: event._id, ticketTypeId: ticketType && ticketType._id, hasTicketTypeCapacity }, { held: -quantity });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active waitlist offer hold of a user for an event
+   * @param {Object} eventId - Event ID
+   * @param {Object} attendeeId - User ID
+   * @returns {Promise<Object|null>} Reservation or null if the user has no active offer
+   */
+  async findWaitlistHold(eventId, attendeeId) {
+    return Reservation.findOne({
+      eventId,
+      attendee: attendeeId,
+      source: 'waitlist',
+      status: 'held',
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Link a reservation to its ticket and payment intent
+   * The hold is kept for at least the seat hold time so the buyer can finish paying
+   * @param {Object} reservationId - Reservation ID
+   * @param {Object} links - Ticket ID and Stripe payment intent ID
+   * @returns {Promise<Object>} Updated reservation
+   */
+  async attachPayment(reservationId, { ticketId, stripePaymentIntentId }) {
+    const update = {
+      $max: { expiresAt: new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000) }
+    };
+    if (ticketId) update.ticketId = ticketId;
+    if (stripePaymentIntentId) update.stripePaymentIntentId = stripePaymentIntentId;
+
+    return Reservation.findByIdAndUpdate(reservationId, update, { new: true });
+  }
+
+  /**
+   * Update the waitlist entry an offer hold belongs to
+   * @param {Object} reservation - Reservation document
+   * @param {Object} update - Waitlist entry update
+   */
+  async updateWaitlistEntry(reservation, update) {
+    if (reservation.source !== 'waitlist' || !reservation.waitlistEntryId) {
+      return;
+    }
+
+    await WaitlistEntry.updateOne({ _id: reservation.waitlistEntryId, status: 'offered' }, update);
+  }
+
+  /**
+   * Convert held seats to sold seats after a successful payment
+   * Safe to call more than once (confirm endpoint and webhook)
+   * @param {Object} query - Reservation query (e.g. _id or stripePaymentIntentId)
+   * @returns {Promise<Object|null>} Converted reservation or null if nothing was converted
+   */
+  async convert(query) {
+    const update = { status: 'converted', convertedAt: new Date() };
+
+    const heldReservation = await Reservation.findOneAndUpdate({ ...query, status: 'held' }, update);
+    if (heldReservation) {
+      await this.adjustCounters(heldReservation, { held: -heldReservation.quantity, sold: heldReservation.quantity });
+      await this.updateWaitlistEntry(heldReservation, { status: 'purchased', purchasedAt: new Date() });
+      return heldReservation;
+    }
+
+    // The hold was already released but the payment went through, the seats are sold anyway
+    const releasedReservation = await Reservation.findOneAndUpdate(
+      { ...query, status: { $in: ['released', 'expired'] } },
+      update
+    );
+    if (releasedReservation) {
+      console.warn(`Reservation ${releasedReservation._id} was paid after its hold was released`);
+      await this.adjustCounters(releasedReservation, { sold: releasedReservation.quantity });
+      await this.updateWaitlistEntry(releasedReservation, { status: 'purchased', purchasedAt: new Date() });
+      return releasedReservation;
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark the seats of a reservation as issued so they are only added to a purchase once
+   * @param {Object} query - Reservation query (e.g. _id or stripePaymentIntentId)
+   * @returns {Promise<Object|null>} Reservation or null if it was already fulfilled
+   */
+  async markFulfilled(query) {
+    return Reservation.findOneAndUpdate(
+      { ...query, fulfilledAt: null },
+      { fulfilledAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Release held seats
+   * @param {Object} query - Reservation query (e.g. _id or stripePaymentIntentId)
+   * @param {string} status - Final status ('released' or 'expired')
+   * @param {string} reason - Release reason
+   * @returns {Promise<Object|null>} Released reservation or null if nothing was held
+   */
+  async release(query, status = 'released', reason = null) {
+    const reservation = await Reservation.findOneAndUpdate(
+      { ...query, status: 'held' },
+      { status, releasedAt: new Date(), releaseReason: reason }
+    );
+
+    if (reservation) {
+      await this.adjustCounters(reservation, { held: -reservation.quantity });
+      // An offer whose seats were given back cannot be used anymore
+      await this.updateWaitlistEntry(reservation, { status: 'expired' });
+      // The checkout did not go through, its promo code use is free again
+      await promoCodeService.releaseUse(reservation._id);
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Give sold seats back after tickets were refunded
+   * @param {Object} ticket - Ticket document
+   * @param {number} count - Number of seats freed
+   */
+  async releaseSoldSeats(ticket, count) {
+    if (!count || count <= 0) {
+      return;
+    }
+
+    const eventId = ticket.eventId._id || ticket.eventId;
+    const scopes = [EVENT_SCOPE];
+    if (ticket.ticketType && ticket.ticketType.typeId) {
+      scopes.push(ticket.ticketType.typeId.toString());
+    }
+
+    await Promise.all(scopes.map(scope =>
+      SeatInventory.updateOne(
+        { eventId, scope },
+        [{ $set: { sold: { $max: [0, { $subtract: ['$sold', count] }] } } }]
+      )
+    ));
+  }
+
+  /**
+   * Release holds whose time ran out
+   * Payments that already succeeded are converted instead, payments in progress get more time
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async releaseExpired() {
+    const expiredReservations = await Reservation.find({
+      status: 'held',
+      expiresAt: { $lte: new Date() }
+    }).limit(100);
+
+    const results = { released: [], converted: 0, extended: 0 };
+
+    for (const reservation of expiredReservations) {
+      try {
+        if (reservation.stripePaymentIntentId) {
+          const paymentIntent = await stripe.paymentIntents.retrieve(reservation.stripePaymentIntentId);
+
+          if (paymentIntent.status === 'succeeded') {
+            await this.convert({ _id: reservation._id });
+            results.converted++;
+            continue;
+          }
+
+          if (paymentIntent.status === 'processing') {
+            reservation.expiresAt = new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000);
+            await reservation.save();
+            results.extended++;
+            continue;
+          }
+
+          // Stop the buyer from paying for seats that are no longer held
+          if (paymentIntent.status !== 'canceled') {
+            try {
+              await stripe.paymentIntents.cancel(reservation.stripePaymentIntentId);
+            } catch (cancelError) {
+              console.error(`Failed to cancel payment intent ${reservation.stripePaymentIntentId}:`, cancelError.message);
+              continue;
+            }
+          }
+        }
+
+        const released = await this.release({ _id: reservation._id }, 'expired', 'hold_expired');
+        if (!released) {
+          continue;
+        }
+
+        // The pending purchase can no longer be paid
+        if (released.ticketId) {
+          await Ticket.updateOne(
+            { _id: released.ticketId, paymentStatus: 'pending' },
+            { paymentStatus: 'failed' }
+          );
+        }
+
+        results.released.push(released);
+      } catch (error) {
+        console.error(`Failed to release reservation ${reservation._id}:`, error);
+      }
+    }
+
+    return results;
+  }
+}
+
+// Create singleton instance
+const reservationService = new ReservationService();
+
+module.exports = reservationService;
@@ -0,0 +1,236 @@
+const Ticket = require('../models/ticket');
+const emailService = require('../utils/email');
+const pricingService = require('./pricing-service');
+const reservationService = require('./reservation-service');
+const waitlistService = require('./waitlist-service');
+const ticketPdfService = require('./ticket-pdf-service');
+const teamService = require('./team-service');
+const feeService = require('./fee-service');
+const { userNotifications: userNotificationsTemplate } = require('../utils/email-templates');
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createRsvpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * RSVP Service
+ * Registers users for free tickets without a Stripe payment
+ * Registrations hold seats like paid purchases and give them back when canceled
+ */
+class RsvpService {
+  /**
+   * Check that an event still accepts registrations
+   * @param {Object} event - Event document
+   */
+  checkRegistrationOpen(event) {
+    if (event.status !== 'published') {
+      throw createRsvpError('Event is not available for registration');
+    }
+
+    const now = new Date();
+    if ((event.registrationDeadline && event.registrationDeadline < now) || event.endDate < now) {
+      throw createRsvpError('Registration for this event has closed');
+    }
+  }
+
+  /**
+   * Check the attendee details of a registration
+   * @param {Array} ticketDetails - Attendee name and email per ticket
+   * @param {number} quantity - Number of tickets
+   */
+  validateTicketDetails(ticketDetails, quantity) {
+    if (!Array.isArray(ticketDetails) || ticketDetails.length !== quantity) {
+      throw createRsvpError('Ticket details must match quantity');
+    }
+
+    ticketDetails.forEach((detail, index) => {
+      if (!detail || !detail.attendeeName || !detail.attendeeEmail) {
+        throw createRsvpError(`Missing attendee name or email for ticket ${index + 1}`);
+      }
+    });
+  }
+
+  /**
+   * Register a user for free tickets of an event
+   * @param {Object} event - Event document with its organizer populated
+   * @param {Object} user - Registering user
+   * @param {Object} options - Registration options
+   * @param {string} options.ticketTypeId - Ticket type (optional for single tier events)
+   * @param {number} options.quantity - Number of tickets
+   * @param {Array} options.ticketDetails - Attendee name and email per ticket
+   * @returns {Promise<Object>} Ticket document
+   */
+  async register(event, user, { ticketTypeId, quantity = 1, ticketDetails }) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createRsvpError('Quantity must be at least 1');
+    }
+    this.validateTicketDetails(ticketDetails, quantity);
+    this.checkRegistrationOpen(event);
+
+    const organizerId = event.organizer._id || event.organizer;
+    if (user._id.toString() === organizerId.toString()) {
+      throw createRsvpError('Organizers cannot register for their own events');
+    }
+
+    // Checks the ticket type is on sale and the order limit
+    const feePlan = await feeService.getEventFeePlan(event);
+    const quote = pricingService.quote(event, ticketTypeId, quantity, { feePlan });
+    if (quote.listPrice > 0 || quote.totalAmount > 0) {
+      throw createRsvpError(`Ticket type "${quote.ticketType.name}" is not free, it has to be purchased`);
+    }
+
+    const existingRegistration = await Ticket.exists({
+      eventId: event._id,
+      attendee: user._id,
+      paymentStatus: 'free'
+    });
+    if (existingRegistration) {
+      throw createRsvpError('You are already registered for this event, cancel your registration to change it', 409);
+    }
+
+    // Take the seats held by a waitlist offer, or hold new ones
+    const reservation = await waitlistService.claimOffer(event, user._id, quote.ticketType, quantity) ||
+      await reservationService.reserve({
+        event,
+        ticketType: quote.ticketType,
+        quantity,
+        attendeeId: user._id,
+        source: 'rsvp'
+      });
+
+    let ticket;
+    try {
+      const ticketNumbers = await Ticket.generateTicketNumbers(event._id, event.title, quantity);
+
+      ticket = await Ticket.create({
+        eventId: event._id,
+        attendee: user._id,
+        organizer: organizerId,
+        ticketType: {
+          typeId: quote.ticketType._id,
+          name: quote.ticketType.name,
+          unitPrice: 0
+        },
+        quantity,
+        ticketDetails: ticketDetails.map((detail, index) => ({
+          attendeeName: detail.attendeeName,
+          attendeeEmail: detail.attendeeEmail,
+          ticketNumber: ticketNumbers[index]
+        })),
+        ticketPrice: 0,
+        currency: quote.currency,
+        feePlan: quote.feePlan,
+        platformFee: 0,
+        organizerPayment: 0,
+        organizerTransferStatus: 'canceled', // Nothing to transfer for a free registration
+        reservationId: reservation._id,
+        paymentStatus: 'free'
+      });
+    } catch (error) {
+      // Waitlist offers keep their seats until the offer expires
+      if (reservation.source !== 'waitlist') {
+        await reservationService.release({ _id: reservation._id }, 'released', 'rsvp_failed');
+      }
+      // Registered twice at the same time
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.attendee) {
+        throw createRsvpError('You are already registered for this event, cancel your registration to change it', 409);
+      }
+      throw error;
+    }
+
+    await reservationService.attachPayment(reservation._id, { ticketId: ticket._id });
+    await reservationService.convert({ _id: reservation._id });
+    await reservationService.markFulfilled({ _id: reservation._id });
+
+    await this.sendConfirmation(ticket, event, user);
+
+    return ticket;
+  }
+
+  /**
+   * Cancel a registration and give its seats back
+   * @param {Object} ticket - Ticket document with its event populated
+   * @param {Object} user - User canceling (the attendee, or an admin or finance member of the event)
+   * @returns {Promise<Object>} Canceled ticket
+   */
+  async cancel(ticket, user) {
+    const isAttendee = (ticket.attendee._id || ticket.attendee).toString() === user._id.toString();
+    if (!isAttendee && !(await teamService.can(user, ticket.eventId, 'refunds.manage'))) {
+      throw createRsvpError('You are not authorized to cancel this registration', 403);
+    }
+
+    if (ticket.paymentStatus !== 'free') {
+      throw createRsvpError(ticket.paymentStatus === 'canceled'
+        ? 'Registration is already canceled'
+        : 'Only free registrations can be canceled, paid tickets are refunded instead');
+    }
+
+    if (isAttendee && ticket.eventId.endDate && ticket.eventId.endDate < new Date()) {
+      throw createRsvpError('Registrations cannot be canceled after the event');
+    }
+
+    const seats = ticket.getSoldSeatCount();
+    ticket.paymentStatus = 'canceled';
+    ticket.canceledAt = new Date();
+    await ticket.save();
+
+    await reservationService.releaseSoldSeats(ticket, seats);
+    await waitlistService.offerFreedSeats(ticket.eventId._id || ticket.eventId);
+
+    return ticket;
+  }
+
+  /**
+   * Send the confirmation email with the PDF tickets of a registration
+   * @param {Object} ticket - Ticket document
+   * @param {Object} event - Event document
+   * @param {Object} user - Registered user
+   */
+  async sendConfirmation(ticket, event, user) {
+    try {
+      // Generate the PDF tickets and attach them to the email
+      let attachments = [];
+      try {
+        attachments = await ticketPdfService.generateForTicket(ticket, event);
+      } catch (pdfError) {
+        console.error('Failed to generate ticket PDFs:', pdfError);
+      }
+
+      const emailData = {
+        userName: user.firstName,
+        eventTitle: event.title,
+        eventDate: event.startDate,
+        eventLocation: event.location.name,
+        quantity: ticket.quantity,
+        totalAmount: 0,
+        currency: ticket.currency,
+        ticketDetails: ticket.ticketDetails,
+        eventUrl: `${process.env.FRONTEND_URL}/events/${event.slug}`
+      };
+
+      await emailService.sendEmail({
+        to: user.email,
+        subject: 'Registration Confirmation - Zafo',
+        html: userNotificationsTemplate.generateTicketPurchaseEmail(emailData),
+        text: userNotificationsTemplate.generateTicketPurchaseText(emailData),
+        attachments
+      });
+    } catch (error) {
+      // The registration stands even if the email could not be sent
+      console.error('Failed to send registration confirmation email:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const rsvpService = new RsvpService();
+
+module.exports = rsvpService;
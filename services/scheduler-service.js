@@ -1,17 +1,239 @@
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const transferToOrganizers = require('../scripts/transfer-to-organizers');
+const reservationService = require('./reservation-service');
+const waitlistService = require('./waitlist-service');
+const eventCancellationService = require('./event-cancellation-service');
+const auditService = require('./audit-service');
+const eventReminderService = require('./event-reminder-service');
+const webhookService = require('./webhook-service');
+const ledgerService = require('./ledger-service');
+const reconciliationService = require('./reconciliation-service');
 const emailService = require('../utils/email');
 const { adminNotifications: adminNotificationsTemplate } = require('../utils/email-templates');
 const User = require('../models/user');
+const ScheduledJob = require('../models/scheduled-job');
+const JobRun = require('../models/job-run');
+
+const TIMEZONE = 'Europe/Zurich'; // Swiss timezone
+
+// How often schedule changes made through another instance are picked up
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createSchedulerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 /**
  * Scheduler Service
  * Handles automated tasks like transferring payments to organizers
+ * Jobs and their schedules are stored in MongoDB, every run is recorded and a lock
+ * per job makes sure only one API instance runs it at a time
  */
 class SchedulerService {
   constructor() {
     this.isRunning = false;
+    // Cron tasks of this instance by job name
     this.jobs = new Map();
+    this.syncTimer = null;
+    // Identifies this instance in job locks and the run history
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.definitions = new Map();
+    this.defineJobs();
+  }
+
+  /**
+   * Register the jobs of the scheduler
+   * Every job gets the run parameters and the run record, and returns a summary
+   * and a result that are stored with the run
+   */
+  defineJobs() {
+    // Transfer to organizers, automated runs only include completed events
+    this.definitions.set('organizerTransfers', {
+      description: 'Transfer ticket revenue to the organizers of completed events',
+      cronExpression: '0 2 * * *', // Daily at 2:00 AM
+      lockMinutes: 30,
+      run: async ({ isManualTransfer = false } = {}) => {
+        const transfers = await transferToOrganizers(isManualTransfer);
+
+        // Send automated transfer notifications
+        if (!isManualTransfer) {
+          await this.sendAutomatedTransferNotifications(this.groupTransfersByOrganizer(transfers));
+        }
+
+        const countOf = status => transfers.filter(transfer => transfer.status === status).length;
+        const totalAmount = transfers
+          .filter(transfer => transfer.status === 'completed')
+          .reduce((sum, transfer) => sum + (transfer.amount || 0), 0);
+        return {
+          summary: `${countOf('completed')} completed, ${countOf('failed')} failed, ${countOf('skipped')} skipped`,
+          result: {
+            isManualTransfer,
+            completed: countOf('completed'),
+            failed: countOf('failed'),
+            skipped: countOf('skipped'),
+            totalAmount: Math.round(totalAmount * 100) / 100,
+            transfers
+          }
+        };
+      }
+    });
+
+    // Release expired seat holds and waitlist offers
+    this.definitions.set('reservationCleanup', {
+      description: 'Release expired seat reservations and offer the seats to the waitlist',
+      cronExpression: '* * * * *', // Every minute
+      lockMinutes: 5,
+      run: async () => {
+        const results = await reservationService.releaseExpired();
+        if (results.released.length > 0 || results.converted > 0) {
+          console.log(`Reservation cleanup: ${results.released.length} released, ${results.converted} converted, ${results.extended} extended`);
+        }
+
+        // Offer the released seats (including expired waitlist offers) to the next people on the waitlist
+        const eventIds = [...new Set(results.released.map(reservation => reservation.eventId.toString()))];
+        for (const eventId of eventIds) {
+          await waitlistService.offerFreedSeats(eventId);
+        }
+
+        return {
+          summary: `${results.released.length} released, ${results.converted} converted, ${results.extended} extended`,
+          result: {
+            released: results.released.length,
+            converted: results.converted,
+            extended: results.extended,
+            events: eventIds.length
+          }
+        };
+      }
+    });
+
+    // Remove audit log entries past their retention period
+    this.definitions.set('auditLogCleanup', {
+      description: 'Remove audit log entries older than the retention period',
+      cronExpression: '0 3 * * *', // Daily at 3:00 AM
+      lockMinutes: 10,
+      run: async () => {
+        const deleted = await auditService.purgeExpired();
+        const retentionDays = auditService.getRetentionDays();
+        if (deleted > 0) {
+          console.log(`Audit log cleanup: ${deleted} entries older than ${retentionDays} days removed`);
+        }
+
+        return {
+          summary: `${deleted} entries removed`,
+          result: { deleted, retentionDays }
+        };
+      }
+    });
+
+    // Email attendees before their events
+    this.definitions.set('eventReminders', {
+      description: 'Send reminder emails to the attendees of upcoming events',
+      cronExpression: '*/10 * * * *', // Every 10 minutes
+      lockMinutes: 10,
+      run: async () => {
+        const results = await eventReminderService.sendDueReminders();
+        if (results.sent > 0 || results.failed > 0) {
+          console.log(`Event reminders: ${results.sent} sent, ${results.failed} failed for ${results.events} event(s)`);
+        }
+
+        return {
+          summary: `${results.sent} sent, ${results.failed} failed, ${results.skipped} skipped for ${results.events} event(s)`,
+          result: results
+        };
+      }
+    });
+
+    // Retry Stripe webhook events whose handler failed
+    this.definitions.set('webhookRetries', {
+      description: 'Retry Stripe webhook events whose processing failed',
+      cronExpression: '* * * * *', // Every minute
+      lockMinutes: 10,
+      run: async () => {
+        const results = await webhookService.retryDue();
+        if (results.processed > 0 || results.failed > 0) {
+          console.log(`Webhook retries: ${results.processed} processed, ${results.failed} failed`);
+        }
+
+        return {
+          summary: `${results.processed} processed, ${results.failed} failed`,
+          result: results
+        };
+      }
+    });
+
+    // Compare the tickets with the ledger, the differences are kept in the run history
+    this.definitions.set('ledgerConsistency', {
+      description: 'Check the payment fields of the tickets against the financial ledger',
+      cronExpression: '0 4 * * *', // Daily at 4:00 AM
+      lockMinutes: 30,
+      run: async () => {
+        const report = await ledgerService.checkConsistency();
+        if (report.issueCount > 0) {
+          console.warn(`Ledger consistency check: ${report.issueCount} issues found`, report.counts);
+        }
+
+        return {
+          summary: `${report.checkedTickets} tickets checked, ${report.issueCount} issues found`,
+          result: report
+        };
+      }
+    });
+
+    // Compare Stripe with the tickets and events, manual runs can pick the date range
+    this.definitions.set('stripeReconciliation', {
+      description: 'Compare the payments, refunds and transfers in Stripe with the database',
+      cronExpression: '0 5 * * *', // Daily at 5:00 AM
+      lockMinutes: 60,
+      run: async ({ from, to } = {}, run) => {
+        const report = await reconciliationService.run({
+          from,
+          to,
+          trigger: run.trigger,
+          triggeredBy: run.triggeredBy
+        });
+        if (report.discrepancyCount > 0) {
+          console.warn(`Stripe reconciliation: ${report.discrepancyCount} discrepancies found`, report.counts);
+        }
+
+        return {
+          summary: `${report.discrepancyCount} discrepancies found`,
+          result: {
+            reportId: report._id,
+            from: report.from,
+            to: report.to,
+            checked: report.checked,
+            discrepancyCount: report.discrepancyCount,
+            counts: report.counts
+          }
+        };
+      }
+    });
+  }
+
+  /**
+   * Get the definition of a job
+   * @param {string} name - Job name
+   * @returns {Object} Job definition
+   */
+  getDefinition(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw createSchedulerError('Job not found', 404);
+    }
+    return definition;
   }
 
   /**
@@ -26,14 +248,25 @@ class SchedulerService {
     console.log('Starting scheduler service...');
     this.isRunning = true;
 
-    // Schedule daily transfer to organizers at 2 AM
-    this.scheduleOrganizerTransfers();
+    // Schedule the jobs with the cron expressions stored in the database
+    this.ensureJobs()
+      .then(() => this.syncJobs())
+      .then(() => console.log('Scheduler service started successfully'))
+      .catch(error => console.error('Failed to schedule jobs:', error));
 
-    // Schedule other automated tasks here
-    // this.scheduleEventReminders();
-    // this.schedulePaymentReminders();
+    // Pick up cron expressions changed and jobs disabled through other instances
+    this.syncTimer = setInterval(() => {
+      this.syncJobs().catch(error => console.error('Failed to sync scheduled jobs:', error));
+    }, SYNC_INTERVAL_MS);
 
-    console.log('Scheduler service started successfully');
+    // Continue refund jobs of canceled events interrupted by a restart
+    eventCancellationService.resumeInterruptedJobs()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Resumed ${count} refund job(s)`);
+        }
+      })
+      .catch(error => console.error('Failed to resume refund jobs:', error));
   }
 
   /**
@@ -46,66 +279,391 @@ class SchedulerService {
     }
 
     console.log('Stopping scheduler service...');
-    
+
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+
     // Stop all cron jobs
     this.jobs.forEach((job, name) => {
-      job.stop();
+      job.task.destroy();
       console.log(`Stopped job: ${name}`);
     });
-    
+
     this.jobs.clear();
     this.isRunning = false;
     console.log('Scheduler service stopped');
   }
 
   /**
-   * Schedule daily transfer to organizers
+   * Create the database records of the jobs
+   * Cron expressions already stored (e.g. changed by an admin) are kept
    */
-  scheduleOrganizerTransfers() {
-    // Run daily at 2:00 AM
-    const job = cron.schedule('0 2 * * *', async () => {
-      console.log('Running scheduled organizer transfer...');
+  async ensureJobs() {
+    for (const [name, definition] of this.definitions) {
       try {
-        // Automated transfer - only completed events
-        const results = await transferToOrganizers(false);
-        console.log('Scheduled transfer completed:', results);
-        
-        // Send automated transfer notifications
-        if (results.organizersWithTransfers) {
-          await this.sendAutomatedTransferNotifications(results.organizersWithTransfers);
+        await ScheduledJob.updateOne(
+          { name },
+          {
+            $set: { description: definition.description, defaultCronExpression: definition.cronExpression },
+            $setOnInsert: { cronExpression: definition.cronExpression, enabled: true }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Created by another instance at the same time
+        if (error.code !== 11000) {
+          throw error;
         }
+      }
+    }
+  }
+
+  /**
+   * Schedule the jobs of this instance as they are stored in the database
+   */
+  async syncJobs() {
+    const jobs = await ScheduledJob.find({ name: { $in: Array.from(this.definitions.keys()) } });
+    jobs.forEach(job => this.applySchedule(job));
+  }
+
+  /**
+   * Schedule, reschedule or unschedule a job on this instance
+   * @param {Object} job - Scheduled job document
+   */
+  applySchedule(job) {
+    const scheduled = this.jobs.get(job.name);
+    if (scheduled && scheduled.cronExpression === job.cronExpression && job.enabled && this.isRunning) {
+      return;
+    }
+
+    if (scheduled) {
+      scheduled.task.destroy();
+      this.jobs.delete(job.name);
+    }
+
+    if (!job.enabled || !this.isRunning) {
+      if (scheduled) {
+        console.log(`Unscheduled job: ${job.name}`);
+      }
+      return;
+    }
+
+    const task = cron.schedule(job.cronExpression, async (context) => {
+      try {
+        await this.runJob(job.name, { trigger: 'schedule', scheduledFor: context.date });
       } catch (error) {
-        console.error('Scheduled transfer failed:', error);
+        console.error(`Scheduled job ${job.name} failed:`, error);
       }
     }, {
-      scheduled: true,
-      timezone: 'Europe/Zurich' // Swiss timezone
+      name: job.name,
+      timezone: TIMEZONE
+    });
+
+    this.jobs.set(job.name, { task, cronExpression: job.cronExpression });
+    console.log(`Scheduled ${job.name} (${job.cronExpression})`);
+  }
+
+  /**
+   * Take the lock of a job
+   * Scheduled runs also claim their tick, so a tick runs once even if the instances
+   * fire it one after the other, and are skipped when the schedule was changed or the
+   * job disabled through another instance
+   * @param {string} name - Job name
+   * @param {Object} options - Trigger and scheduled time of the run
+   * @returns {Promise<Object|null>} Job or null if the lock is held by a run
+   */
+  async acquireLock(name, { trigger, scheduledFor }) {
+    const now = new Date();
+    const filter = {
+      name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    const updates = {
+      lockedBy: this.instanceId,
+      lockedUntil: new Date(now.getTime() + this.getDefinition(name).lockMinutes * MINUTE_MS)
+    };
+
+    if (trigger === 'schedule') {
+      const scheduled = this.jobs.get(name);
+      const tick = new Date(Math.floor(new Date(scheduledFor || now).getTime() / MINUTE_MS) * MINUTE_MS);
+      Object.assign(filter, {
+        enabled: true,
+        cronExpression: scheduled ? scheduled.cronExpression : null,
+        lastScheduledFor: { $ne: tick }
+      });
+      updates.lastScheduledFor = tick;
+    }
+
+    return ScheduledJob.findOneAndUpdate(filter, { $set: updates }, { new: true });
+  }
+
+  /**
+   * Extend the lock of a job while it is running
+   * @param {string} name - Job name
+   */
+  async renewLock(name) {
+    await ScheduledJob.updateOne(
+      { name, lockedBy: this.instanceId },
+      { $set: { lockedUntil: new Date(Date.now() + this.getDefinition(name).lockMinutes * MINUTE_MS) } }
+    );
+  }
+
+  /**
+   * Run a job and record the run
+   * @param {string} name - Job name
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - schedule or manual
+   * @param {Object} options.triggeredBy - Admin who started a manual run
+   * @param {Date} options.scheduledFor - Scheduled time of the tick
+   * @param {Object} options.params - Parameters passed to the job
+   * @returns {Promise<Object|null>} Job run or null if a scheduled run was skipped
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy = null, scheduledFor = null, params = {} } = {}) {
+    const definition = this.getDefinition(name);
+    if (trigger === 'manual') {
+      // The job records may not exist yet if the scheduler was never started
+      await this.ensureJobs();
+    }
+
+    const job = await this.acquireLock(name, { trigger, scheduledFor });
+    if (!job) {
+      if (trigger === 'schedule') {
+        return null;
+      }
+      throw createSchedulerError('Job is already running', 409);
+    }
+
+    // Runs still marked as running lost their lock, the instance running them stopped
+    const startedAt = new Date();
+    await JobRun.updateMany(
+      { jobName: name, status: 'running' },
+      { $set: { status: 'interrupted', finishedAt: startedAt, error: 'The instance running the job stopped before it finished' } }
+    );
+
+    const run = await JobRun.create({
+      jobName: name,
+      trigger,
+      triggeredBy: triggeredBy ? triggeredBy._id : null,
+      instanceId: this.instanceId,
+      startedAt
     });
+    await ScheduledJob.updateOne({ name }, { $set: { lastRunAt: startedAt, lastRunStatus: 'running', lastRunSummary: null } });
+
+    const renewTimer = setInterval(() => {
+      this.renewLock(name).catch(error => console.error(`Failed to renew lock of job ${name}:`, error));
+    }, definition.lockMinutes * MINUTE_MS / 2);
+
+    try {
+      const { summary = null, result = null } = (await definition.run(params, run)) || {};
+      run.status = 'succeeded';
+      run.summary = summary;
+      run.result = result;
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      clearInterval(renewTimer);
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
 
-    this.jobs.set('organizerTransfers', job);
-    console.log('Scheduled organizer transfers (daily at 2:00 AM)');
+      await ScheduledJob.updateOne(
+        { name },
+        { $set: { lastRunStatus: run.status, lastRunSummary: run.summary || run.error } }
+      );
+      await ScheduledJob.updateOne(
+        { name, lockedBy: this.instanceId },
+        { $set: { lockedBy: null, lockedUntil: null } }
+      );
+    }
+
+    return run;
   }
 
   /**
    * Run transfer immediately (for testing or manual execution)
    * @param {boolean} isManualTransfer - If true, transfer for published/completed events. If false, only completed events.
+   * @param {Object} triggeredBy - Admin who started the transfer
+   * @returns {Promise<Array>} Transfer results
    */
-  async runTransferNow(isManualTransfer = false) {
+  async runTransferNow(isManualTransfer = false, triggeredBy = null) {
     console.log(`Running transfer immediately (${isManualTransfer ? 'manual' : 'automated'})...`);
-    try {
-      const results = await transferToOrganizers(isManualTransfer);
-      console.log('Immediate transfer completed:', results);
-      
-      // Send automated transfer notifications if not manual
-      if (!isManualTransfer && results.organizersWithTransfers) {
-        await this.sendAutomatedTransferNotifications(results.organizersWithTransfers);
-      }
-      
-      return results;
-    } catch (error) {
-      console.error('Immediate transfer failed:', error);
-      throw error;
+    const run = await this.runJob('organizerTransfers', {
+      trigger: 'manual',
+      triggeredBy,
+      params: { isManualTransfer }
+    });
+
+    if (run.status === 'failed') {
+      throw new Error(run.error);
+    }
+
+    console.log(`Immediate transfer completed: ${run.summary}`);
+    return run.result.transfers;
+  }
+
+  /**
+   * Get the jobs with their schedule, lock and last run
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs() {
+    const jobs = await ScheduledJob.find({ name: { $in: Array.from(this.definitions.keys()) } });
+    return Array.from(this.definitions.keys()).map(name => this.format(name, jobs.find(job => job.name === name)));
+  }
+
+  /**
+   * Get a job
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(name) {
+    this.getDefinition(name);
+    return this.format(name, await ScheduledJob.findOne({ name }));
+  }
+
+  /**
+   * Get the past runs of a job
+   * @param {string} name - Job name
+   * @param {Object} query - Filters and pagination
+   * @returns {Promise<Object>} Runs and pagination
+   */
+  async getJobRuns(name, { status, page = 1, limit = 20 } = {}) {
+    this.getDefinition(name);
+
+    const filter = { jobName: name };
+    if (status) {
+      filter.status = status;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      JobRun.countDocuments(filter)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Change the cron expression of a job or enable/disable it
+   * @param {string} name - Job name
+   * @param {Object} updates - cronExpression and/or enabled
+   * @param {Object} user - Admin making the change
+   * @returns {Promise<Object>} Job before and after the change
+   */
+  async updateJob(name, { cronExpression, enabled }, user) {
+    this.getDefinition(name);
+
+    const updates = {};
+    if (cronExpression !== undefined) {
+      if (typeof cronExpression !== 'string' || !cron.validate(cronExpression.trim())) {
+        throw createSchedulerError('Invalid cron expression');
+      }
+      updates.cronExpression = cronExpression.trim();
+    }
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        throw createSchedulerError('Enabled must be true or false');
+      }
+      updates.enabled = enabled;
+    }
+    if (Object.keys(updates).length === 0) {
+      throw createSchedulerError('Cron expression or enabled is required');
+    }
+
+    await this.ensureJobs();
+    const before = await this.getJob(name);
+    const job = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { ...updates, updatedBy: user ? user._id : null } },
+      { new: true, runValidators: true }
+    );
+
+    // Other instances pick up the change on their next sync
+    this.applySchedule(job);
+
+    return { before, job: this.format(name, job) };
+  }
+
+  /**
+   * Get the next scheduled run of a job on this instance
+   * @param {string} name - Job name
+   * @returns {Date|null} Next run or null if the job is not scheduled
+   */
+  getNextRun(name) {
+    const scheduled = this.jobs.get(name);
+    return scheduled ? scheduled.task.getNextRun() : null;
+  }
+
+  /**
+   * Format a job for responses
+   * @param {string} name - Job name
+   * @param {Object} job - Scheduled job document (missing until the scheduler first started)
+   * @returns {Object} Job data
+   */
+  format(name, job) {
+    const definition = this.getDefinition(name);
+    const isLocked = !!(job && job.lockedUntil && job.lockedUntil > new Date());
+
+    return {
+      name,
+      description: definition.description,
+      cronExpression: job ? job.cronExpression : definition.cronExpression,
+      defaultCronExpression: definition.cronExpression,
+      timezone: TIMEZONE,
+      enabled: job ? job.enabled : true,
+      isScheduled: this.jobs.has(name),
+      nextRunAt: this.getNextRun(name),
+      isLocked,
+      lockedBy: isLocked ? job.lockedBy : null,
+      lockedUntil: isLocked ? job.lockedUntil : null,
+      lastRunAt: job ? job.lastRunAt : null,
+      lastRunStatus: job ? job.lastRunStatus : null,
+      lastRunSummary: job ? job.lastRunSummary : null,
+      updatedBy: job ? job.updatedBy : null,
+      updatedAt: job ? job.updatedAt : null
+    };
+  }
+
+  /**
+   * Group transfer results by organizer for the transfer notifications
+   * Only organizers with at least one completed transfer are included
+   * @param {Array} transfers - Results of the transfer script
+   * @returns {Array} Organizer ID, total amount, success and failure count per organizer
+   */
+  groupTransfersByOrganizer(transfers) {
+    const byOrganizer = new Map();
+    for (const transfer of transfers) {
+      if (!transfer.organizerId || !['completed', 'failed'].includes(transfer.status)) continue;
+
+      const key = transfer.organizerId.toString();
+      if (!byOrganizer.has(key)) {
+        byOrganizer.set(key, { organizerId: transfer.organizerId, totalAmount: 0, successCount: 0, failureCount: 0 });
+      }
+      const organizerData = byOrganizer.get(key);
+      if (transfer.status === 'completed') {
+        organizerData.successCount += 1;
+        organizerData.totalAmount = Math.round((organizerData.totalAmount + (transfer.amount || 0)) * 100) / 100;
+      } else {
+        organizerData.failureCount += 1;
+      }
     }
+
+    return [...byOrganizer.values()].filter(organizerData => organizerData.successCount > 0);
   }
 
   /**
@@ -153,28 +711,14 @@ class SchedulerService {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      instanceId: this.instanceId,
       activeJobs: Array.from(this.jobs.keys()),
-      nextTransfer: this.getNextTransferTime()
+      nextTransfer: this.getNextRun('organizerTransfers')
     };
   }
-
-  /**
-   * Get next transfer time
-   */
-  getNextTransferTime() {
-    const now = new Date();
-    const next = new Date();
-    next.setHours(2, 0, 0, 0); // 2:00 AM
-    
-    if (next <= now) {
-      next.setDate(next.getDate() + 1); // Tomorrow
-    }
-    
-    return next;
-  }
 }
 
 // Create singleton instance
 const schedulerService = new SchedulerService();
 
-module.exports = schedulerService; 
\ No newline at end of file
+module.exports = schedulerService;
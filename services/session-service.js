@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const Session = require('../models/session');
+const { generateToken } = require('../utils/token');
+
+// Sessions stay alive for 30 days without activity by default
+const SESSION_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+const ROTATION_GRACE_SECONDS = 10;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createSessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hash a refresh token secret
+ * @param {string} secret - Refresh token secret
+ * @returns {string} SHA-256 hash
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Session Service
+ * Issues access tokens and rotating refresh tokens and keeps track of user sessions
+ * Refresh tokens have the form "<sessionId>.<secret>", only the hash of the secret is stored
+ */
+class SessionService {
+  /**
+   * Get device information of a request
+   * @param {Object} req - Express request object
+   * @returns {Object} User agent, browser, OS, device type and IP address
+   */
+  getDeviceInfo(req) {
+    const userAgent = (req.headers && req.headers['user-agent']) || '';
+
+    let browser = 'Unknown';
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+
+    let os = 'Unknown';
+    if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/Android/.test(userAgent)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+    else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    let deviceType = 'unknown';
+    if (/iPad|Tablet/.test(userAgent)) deviceType = 'tablet';
+    else if (/Mobi|Android|iPhone/.test(userAgent)) deviceType = 'mobile';
+    else if (userAgent) deviceType = 'desktop';
+
+    return {
+      userAgent: userAgent || null,
+      browser,
+      os,
+      deviceType,
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Create a refresh token secret and its hash
+   * @returns {Object} Secret and hash
+   */
+  createSecret() {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return { secret, hash: hashSecret(secret) };
+  }
+
+  /**
+   * Issue the tokens of a session
+   * @param {Object} session - Session document
+   * @param {string} secret - Refresh token secret
+   * @returns {Object} Access token, refresh token and session expiry
+   */
+  issueTokens(session, secret) {
+    return {
+      session,
+      accessToken: generateToken({ id: session.user, sid: session._id }),
+      refreshToken: `${session._id}.${secret}`,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Check whether a user logs in from a device none of their sessions used
+   * Users without any session (e.g. accounts from before sessions existed) have no known devices
+   * and are not considered on an unfamiliar device
+   * @param {Object} userId - User ID
+   * @param {Object} device - Device information from getDeviceInfo
+   * @returns {Promise<boolean>} Whether the device is unfamiliar
+   */
+  async isUnfamiliarDevice(userId, device) {
+    const hasSessions = await Session.exists({ user: userId });
+    if (!hasSessions) {
+      return false;
+    }
+
+    const knownDevice = await Session.exists({
+      user: userId,
+      browser: device.browser,
+      os: device.os,
+      deviceType: device.deviceType
+    });
+    return !knownDevice;
+  }
+
+  /**
+   * Start a session for a user who logged in
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Session, access token and refresh token
+   */
+  async createSession(user, req) {
+    const { secret, hash } = this.createSecret();
+    const device = this.getDeviceInfo(req);
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hash,
+      ...device,
+      lastIpAddress: device.ipAddress,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return this.issueTokens(session, secret);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens (the refresh token is rotated)
+   * Reusing a rotated refresh token revokes the session
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} Session, access token and refresh token
+   */
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      throw createSessionError('Invalid refresh token');
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+    if (!session || !session.isValid()) {
+      throw createSessionError('Session has expired. Please log in again.');
+    }
+
+    const hash = hashSecret(secret);
+    if (hash !== session.refreshTokenHash) {
+      // Parallel refreshes (e.g. two tabs) can present the old token right after a rotation
+      const justRotated = session.rotatedAt && Date.now() - session.rotatedAt < ROTATION_GRACE_SECONDS * 1000;
+      if (hash === session.previousRefreshTokenHash && !justRotated) {
+        // A rotated token was used again, someone else holds a copy of it
+        await this.revoke(session, 'token_reuse');
+        console.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+      }
+      throw createSessionError('Invalid refresh token');
+    }
+
+    const { secret: newSecret, hash: newHash } = this.createSecret();
+    const device = this.getDeviceInfo(req);
+
+    // Only rotate if nobody rotated the token in the meantime
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        refreshTokenHash: newHash,
+        previousRefreshTokenHash: hash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        lastIpAddress: device.ipAddress,
+        expiresAt: new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000)
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      throw createSessionError('Invalid refresh token');
+    }
+
+    return this.issueTokens(rotated, newSecret);
+  }
+
+  /**
+   * Revoke the session of a refresh token (logout)
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} Revoked session or null if the token is invalid
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      return null;
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || session.refreshTokenHash !== hashSecret(secret)) {
+      return null;
+    }
+
+    return this.revoke(session, 'logout');
+  }
+
+  /**
+   * Check that the session of an access token is still active
+   * @param {Object} sessionId - Session ID from the access token
+   * @param {Object} userId - User ID from the access token
+   * @returns {Promise<Object|null>} Session or null if revoked or expired
+   */
+  async getActiveSession(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+    return session && session.isValid() ? session : null;
+  }
+
+  /**
+   * Get the active sessions of a user
+   * @param {Object} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke a session
+   * @param {Object} session - Session document
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} Session
+   */
+  async revoke(session, reason) {
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = reason;
+      await session.save();
+    }
+    return session;
+  }
+
+  /**
+   * Revoke a session of a user by ID
+   * @param {Object} userId - User ID
+   * @param {Object} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    const session = /^[a-f0-9]{24}$/.test(String(sessionId))
+      ? await Session.findOne({ _id: sessionId, user: userId, revokedAt: null })
+      : null;
+
+    if (!session) {
+      throw createSessionError('Session not found', 404);
+    }
+
+    return this.revoke(session, reason);
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {Object} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} exceptSessionId - Session to keep (optional)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAll(userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Format a session for responses
+   * @param {Object} session - Session document
+   * @param {Object} currentSessionId - Session of the current request
+   * @returns {Object} Session data
+   */
+  format(session, currentSessionId = null) {
+    return {
+      _id: session._id,
+      browser: session.browser,
+      os: session.os,
+      deviceType: session.deviceType,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastIpAddress: session.lastIpAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      isCurrent: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    };
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,218 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const ledgerService = require('./ledger-service');
+
+// Ways ticket payments reach the organizer
+const SETTLEMENT_MODES = ['transfer', 'destination'];
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createSettlementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * ID of a Stripe reference that may be expanded
+ * @param {string|Object} value - ID or expanded object
+ * @returns {string|null} ID
+ */
+const stripeIdOf = value => (value && typeof value === 'object' ? value.id : value || null);
+
+/**
+ * Settlement Service
+ * Decides how the ticket payments of an organizer are settled. In transfer mode the
+ * platform is charged and pays the organizer after the event, in destination mode the
+ * payment is a destination charge paid to the Stripe account of the organizer with the
+ * platform fee kept as application fee, and refunds reverse part of that transfer
+ */
+class SettlementService {
+  /**
+   * Settlement mode for new purchases of an organizer. Organizers without a Stripe
+   * account or with blocked payments are settled by transfer until that is resolved
+   * @param {Object} organizer - Organizer user document
+   * @returns {string} transfer or destination
+   */
+  getSettlementMode(organizer) {
+    if (organizer.settlementMode === 'destination' && organizer.stripeCustomerId && !organizer.isPaymentBlocked) {
+      return 'destination';
+    }
+    return 'transfer';
+  }
+
+  /**
+   * Change the settlement mode of an organizer. Destination charges need a Stripe
+   * account that can receive transfers, purchases made before keep their mode
+   * @param {Object} organizer - Organizer user document
+   * @param {string} settlementMode - transfer or destination
+   * @returns {Promise<Object>} Updated organizer
+   */
+  async setSettlementMode(organizer, settlementMode) {
+    if (!SETTLEMENT_MODES.includes(settlementMode)) {
+      throw createSettlementError(`Settlement mode must be one of: ${SETTLEMENT_MODES.join(', ')}`);
+    }
+
+    if (settlementMode === 'destination') {
+      if (!organizer.stripeCustomerId) {
+        throw createSettlementError('Organizer does not have a Stripe account set up. They need to complete Stripe Connect onboarding first.');
+      }
+
+      const account = await stripe.accounts.retrieve(organizer.stripeCustomerId);
+      if (!account.capabilities || account.capabilities.transfers !== 'active') {
+        throw createSettlementError('The Stripe account of the organizer cannot receive transfers yet');
+      }
+    }
+
+    organizer.settlementMode = settlementMode;
+    await organizer.save();
+    return organizer;
+  }
+
+  /**
+   * Payment intent parameters that settle a payment in a mode
+   * @param {string} settlementMode - transfer or destination
+   * @param {Object} organizer - Organizer user document
+   * @param {number} platformFee - Platform fee of the payment
+   * @returns {Object} Parameters to add to the payment intent
+   */
+  getPaymentIntentParams(settlementMode, organizer, platformFee) {
+    if (settlementMode !== 'destination') {
+      return {};
+    }
+    if (!organizer.stripeCustomerId || organizer.isPaymentBlocked) {
+      throw createSettlementError('Ticket sales of this organizer cannot be paid out right now');
+    }
+
+    return {
+      application_fee_amount: Math.round(platformFee * 100), // Convert to cents
+      transfer_data: {
+        destination: organizer.stripeCustomerId
+      }
+    };
+  }
+
+  /**
+   * Whether a payment intent is a destination charge
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {boolean} Whether the payment goes to a connected account
+   */
+  isDestinationCharge(paymentIntent) {
+    return !!(paymentIntent.transfer_data && paymentIntent.transfer_data.destination);
+  }
+
+  /**
+   * Mark the organizer of a destination charge as paid with the transfer Stripe made for
+   * it and record the payout in the ledger. Does nothing for other payments
+   * @param {Object} ticket - Ticket the payment is for
+   * @param {Object} paymentIntent - Succeeded Stripe payment intent
+   * @returns {Promise<Object|null>} Transfer transaction
+   */
+  async recordDestinationTransfer(ticket, paymentIntent) {
+    if (!this.isDestinationCharge(paymentIntent)) {
+      return null;
+    }
+
+    let charge = paymentIntent.latest_charge;
+    if (typeof charge === 'string') {
+      charge = await stripe.charges.retrieve(charge);
+    }
+    const transferId = charge && stripeIdOf(charge.transfer);
+    if (!transferId) {
+      console.error(`No transfer found for destination charge ${paymentIntent.id}`);
+      return null;
+    }
+
+    const amountCents = (paymentIntent.amount_received || paymentIntent.amount) - (paymentIntent.application_fee_amount || 0);
+
+    if (ticket.organizerTransferStatus !== 'completed') {
+      ticket.organizerTransferStatus = 'completed';
+      ticket.organizerTransferDate = new Date();
+    }
+    // Additional purchases keep the transfer of the first payment on the ticket
+    if (!ticket.stripeTransferId) {
+      ticket.stripeTransferId = transferId;
+    }
+    await ticket.save();
+
+    return ledgerService.recordTransfer(ticket, { transferId, amount: amountCents / 100 });
+  }
+
+  /**
+   * Reverse the organizer share of a refund from the transfers of a destination charge
+   * purchase, so the organizer pays back the refunded tickets in proportion to what they
+   * were paid for them. Does nothing for purchases settled by transfer
+   * @param {Object} ticket - Refunded ticket
+   * @param {Object} refund - Refund details
+   * @param {string} refund.refundId - Stripe refund ID
+   * @param {number} refund.amount - Organizer share of the refunded tickets
+   * @returns {Promise<Array>} Transfer reversals made
+   */
+  async reverseTransfer(ticket, { refundId, amount }) {
+    if (ticket.settlementMode !== 'destination') {
+      return [];
+    }
+
+    // A retried refund only reverses what was not reversed for it before
+    const alreadyReversed = await ledgerService.getReversedAmount(refundId);
+    let remainingCents = Math.round(amount * 100) - Math.round(alreadyReversed * 100);
+    const transfers = remainingCents > 0 ? await ledgerService.getTicketTransfers(ticket._id) : [];
+    const reversals = [];
+
+    for (const transfer of transfers) {
+      if (remainingCents <= 0) {
+        break;
+      }
+
+      const reversalCents = Math.min(remainingCents, Math.round(transfer.amount * 100));
+      const reversal = await stripe.transfers.createReversal(transfer.transferId, {
+        amount: reversalCents,
+        metadata: {
+          ticketId: ticket._id.toString(),
+          refundId
+        }
+      }, {
+        idempotencyKey: `refund-reversal-${refundId}-${transfer.transferId}`
+      });
+
+      await ledgerService.recordTransferReversal(ticket, {
+        reversalId: reversal.id,
+        transferId: transfer.transferId,
+        refundId,
+        amount: reversal.amount / 100
+      });
+      reversals.push(reversal);
+      remainingCents -= reversal.amount;
+    }
+
+    if (remainingCents > 0) {
+      console.error(`Refund ${refundId} of ticket ${ticket._id} left ${remainingCents / 100} that could not be reversed from the organizer`);
+    }
+
+    return reversals;
+  }
+
+  /**
+   * Refund parameters for a payment that has no ticket: a destination charge is
+   * taken back in full from the organizer together with its application fee
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Object} Parameters to add to the refund
+   */
+  getOrphanRefundParams(paymentIntent) {
+    if (!this.isDestinationCharge(paymentIntent)) {
+      return {};
+    }
+    return {
+      reverse_transfer: true,
+      refund_application_fee: true
+    };
+  }
+}
+
+// Create singleton instance
+const settlementService = new SettlementService();
+
+module.exports = settlementService;
@@ -0,0 +1,366 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const SubscriptionPlan = require('../models/subscription-plan');
+const User = require('../models/user');
+const Event = require('../models/event');
+const TeamMember = require('../models/team-member');
+
+// Subscription statuses of Stripe subscriptions that can no longer be changed
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createSubscriptionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * ID of a Stripe reference that may be expanded
+ * @param {string|Object} value - ID or expanded object
+ * @returns {string|null} ID
+ */
+const stripeIdOf = value => (value && typeof value === 'object' ? value.id : value || null);
+
+/**
+ * Start of the calendar month of a date
+ * @param {Date} date - Date
+ * @returns {Date} First day of the month at midnight
+ */
+const getMonthStart = (date = new Date()) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+/**
+ * Subscription Service
+ * Bills organizer subscription plans through Stripe, keeps the subscription of each
+ * organizer in sync from the webhooks and enforces the limits of their plan
+ */
+class SubscriptionService {
+  /**
+   * List the plans organizers can subscribe to
+   * @returns {Promise<Array>} Plans from the cheapest
+   */
+  listPlans() {
+    return SubscriptionPlan.find({ isActive: true }).sort({ rank: 1 });
+  }
+
+  /**
+   * Get the plan an organizer is on
+   * @param {Object} organizer - Organizer user document
+   * @returns {Promise<Object|null>} Plan or null when no plans are set up
+   */
+  getPlanForOrganizer(organizer) {
+    return SubscriptionPlan.findForOrganizer(organizer);
+  }
+
+  /**
+   * Whether an organizer has a Stripe subscription that can still be changed
+   * @param {Object} organizer - Organizer user document
+   * @returns {boolean} Whether the subscription is live
+   */
+  hasLiveSubscription(organizer) {
+    const subscription = organizer.subscription;
+    return !!(subscription && subscription.stripeSubscriptionId && !ENDED_STATUSES.includes(subscription.status));
+  }
+
+  /**
+   * Get the usage counted against the limits of a plan
+   * @param {Object} organizer - Organizer user document
+   * @returns {Promise<Object>} Events created this month and team members
+   */
+  async getUsage(organizer) {
+    const [eventsThisMonth, teamEmails] = await Promise.all([
+      Event.countDocuments({ organizer: organizer._id, createdAt: { $gte: getMonthStart() } }),
+      TeamMember.distinct('email', { organizer: organizer._id })
+    ]);
+
+    return {
+      eventsThisMonth,
+      teamMembers: teamEmails.length
+    };
+  }
+
+  /**
+   * Check that an organizer can create an event under the limits of their plan
+   * @param {Object} organizer - Organizer user document
+   * @param {Object} eventData - Event to create
+   */
+  async checkEventLimits(organizer, eventData) {
+    const plan = await this.getPlanForOrganizer(organizer);
+    if (!plan) {
+      return;
+    }
+
+    const { eventsPerMonth } = plan.limits;
+    if (eventsPerMonth != null) {
+      const { eventsThisMonth } = await this.getUsage(organizer);
+      if (eventsThisMonth >= eventsPerMonth) {
+        throw createSubscriptionError(`The ${plan.name} plan allows ${eventsPerMonth} events per month. Upgrade your plan to create more events`, 403);
+      }
+    }
+
+    this.checkCapacity(plan, eventData.capacity);
+  }
+
+  /**
+   * Check an event capacity against the limit of a plan
+   * @param {Object} plan - Subscription plan (no limit when null)
+   * @param {number} capacity - Event capacity
+   */
+  checkCapacity(plan, capacity) {
+    if (plan && plan.limits.maxCapacity != null && Number(capacity) > plan.limits.maxCapacity) {
+      throw createSubscriptionError(`The ${plan.name} plan allows events with up to ${plan.limits.maxCapacity} attendees. Upgrade your plan for larger events`, 403);
+    }
+  }
+
+  /**
+   * Check that an organizer can add someone to their team
+   * People already on the team for another event do not count again
+   * @param {Object} organizer - Organizer user document
+   * @param {string} email - Email of the person to invite
+   */
+  async checkTeamLimit(organizer, email) {
+    const plan = await this.getPlanForOrganizer(organizer);
+    if (!plan || plan.limits.teamMembers == null) {
+      return;
+    }
+
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const teamEmails = await TeamMember.distinct('email', { organizer: organizer._id });
+    if (!teamEmails.includes(normalizedEmail) && teamEmails.length >= plan.limits.teamMembers) {
+      throw createSubscriptionError(`The ${plan.name} plan allows ${plan.limits.teamMembers} team members. Upgrade your plan to invite more people`, 403);
+    }
+  }
+
+  /**
+   * Get the subscription of an organizer with their plan, usage and the available plans
+   * @param {Object} organizer - Organizer user document
+   * @returns {Promise<Object>} Subscription summary
+   */
+  async getSummary(organizer) {
+    const [plan, plans, usage] = await Promise.all([
+      this.getPlanForOrganizer(organizer),
+      this.listPlans(),
+      this.getUsage(organizer)
+    ]);
+    const subscription = organizer.subscription || {};
+
+    return {
+      plan,
+      status: subscription.status || null,
+      currentPeriodEnd: subscription.currentPeriodEnd || null,
+      cancelAtPeriodEnd: !!subscription.cancelAtPeriodEnd,
+      usage,
+      plans
+    };
+  }
+
+  /**
+   * Get the Stripe customer billed for an organizer, creating it on the first subscription
+   * @param {Object} organizer - Organizer user document
+   * @returns {Promise<string>} Stripe customer ID
+   */
+  async getBillingCustomer(organizer) {
+    if (organizer.billingCustomerId) {
+      return organizer.billingCustomerId;
+    }
+
+    const customer = await stripe.customers.create({
+      email: organizer.email,
+      name: `${organizer.firstName} ${organizer.lastName}`,
+      metadata: {
+        userId: organizer._id.toString()
+      }
+    }, {
+      idempotencyKey: `billing-customer-${organizer._id}`
+    });
+
+    organizer.billingCustomerId = customer.id;
+    await organizer.save();
+    return customer.id;
+  }
+
+  /**
+   * Move an organizer to another plan. Upgrades apply right away and the difference is
+   * invoiced, downgrades apply right away without a refund and need the current team to
+   * fit the new plan. Moving to the Free plan cancels at the end of the period
+   * @param {Object} organizer - Organizer user document
+   * @param {string} planKey - Key of the plan to move to
+   * @param {string} direction - upgrade or downgrade
+   * @returns {Promise<Object>} Plan, subscription and the client secret of a first payment
+   */
+  async changePlan(organizer, planKey, direction) {
+    const target = planKey ? await SubscriptionPlan.findOne({ key: String(planKey).toLowerCase(), isActive: true }) : null;
+    if (!target) {
+      throw createSubscriptionError('Plan not found', 404);
+    }
+
+    const current = await this.getPlanForOrganizer(organizer);
+    const currentRank = current ? current.rank : 0;
+
+    if (current && current._id.equals(target._id)) {
+      throw createSubscriptionError(`You are already on the ${target.name} plan`);
+    }
+    if (direction === 'upgrade' && target.rank <= currentRank) {
+      throw createSubscriptionError(`The ${target.name} plan is not an upgrade of your current plan`);
+    }
+    if (direction === 'downgrade' && target.rank >= currentRank) {
+      throw createSubscriptionError(`The ${target.name} plan is not a downgrade of your current plan`);
+    }
+
+    if (target.isFree) {
+      const subscription = await this.cancel(organizer);
+      return { plan: target, subscription, clientSecret: null };
+    }
+    if (!target.isBilled()) {
+      throw createSubscriptionError(`The ${target.name} plan is not available yet`);
+    }
+
+    if (direction === 'downgrade' && target.limits.teamMembers != null) {
+      const { teamMembers } = await this.getUsage(organizer);
+      if (teamMembers > target.limits.teamMembers) {
+        throw createSubscriptionError(`The ${target.name} plan allows ${target.limits.teamMembers} team members. Remove ${teamMembers - target.limits.teamMembers} team members before downgrading`, 409);
+      }
+    }
+
+    const metadata = {
+      userId: organizer._id.toString(),
+      planKey: target.key
+    };
+
+    // A first payment that was never completed is replaced by a new subscription
+    if (organizer.subscription && organizer.subscription.status === 'incomplete') {
+      const abandoned = await stripe.subscriptions.cancel(organizer.subscription.stripeSubscriptionId);
+      organizer.subscription.status = abandoned.status;
+    }
+
+    // Change the price of the running subscription
+    if (this.hasLiveSubscription(organizer)) {
+      const existing = await stripe.subscriptions.retrieve(organizer.subscription.stripeSubscriptionId);
+      const subscription = await stripe.subscriptions.update(existing.id, {
+        items: [{ id: existing.items.data[0].id, price: target.stripePriceId }],
+        proration_behavior: direction === 'upgrade' ? 'always_invoice' : 'none',
+        cancel_at_period_end: false,
+        metadata
+      });
+
+      await this.syncSubscription(organizer, subscription);
+      return { plan: target, subscription, clientSecret: null };
+    }
+
+    // First subscription, paid by the organizer with the client secret of its first invoice
+    const customerId = await this.getBillingCustomer(organizer);
+    const subscription = await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{ price: target.stripePriceId }],
+      payment_behavior: 'default_incomplete',
+      payment_settings: {
+        save_default_payment_method: 'on_subscription'
+      },
+      expand: ['latest_invoice.payment_intent'],
+      metadata
+    });
+
+    await this.syncSubscription(organizer, subscription);
+
+    const paymentIntent = subscription.latest_invoice && subscription.latest_invoice.payment_intent;
+    return {
+      plan: target,
+      subscription,
+      clientSecret: paymentIntent && paymentIntent.client_secret ? paymentIntent.client_secret : null
+    };
+  }
+
+  /**
+   * Cancel the subscription of an organizer at the end of the paid period,
+   * they keep their plan until then and move to the Free plan after
+   * @param {Object} organizer - Organizer user document
+   * @returns {Promise<Object>} Stripe subscription
+   */
+  async cancel(organizer) {
+    if (!this.hasLiveSubscription(organizer)) {
+      throw createSubscriptionError('You do not have a subscription to cancel');
+    }
+    if (organizer.subscription.cancelAtPeriodEnd) {
+      throw createSubscriptionError('Your subscription is already canceled at the end of the period');
+    }
+
+    // Nothing was paid for a subscription whose first payment is not completed
+    if (organizer.subscription.status === 'incomplete') {
+      const subscription = await stripe.subscriptions.cancel(organizer.subscription.stripeSubscriptionId);
+      await this.syncSubscription(organizer, subscription);
+      return subscription;
+    }
+
+    const subscription = await stripe.subscriptions.update(organizer.subscription.stripeSubscriptionId, {
+      cancel_at_period_end: true
+    });
+
+    await this.syncSubscription(organizer, subscription);
+    return subscription;
+  }
+
+  /**
+   * Copy a Stripe subscription to the organizer
+   * Ended subscriptions move the organizer back to the Free plan
+   * @param {Object} organizer - Organizer user document
+   * @param {Object} stripeSubscription - Stripe subscription
+   * @returns {Promise<Object>} Updated organizer
+   */
+  async syncSubscription(organizer, stripeSubscription) {
+    const item = stripeSubscription.items && stripeSubscription.items.data[0];
+    const priceId = item && stripeIdOf(item.price);
+    const plan = priceId ? await SubscriptionPlan.findOne({ stripePriceId: priceId }) : null;
+    const hasEnded = ENDED_STATUSES.includes(stripeSubscription.status);
+
+    if (!plan && !hasEnded) {
+      console.error(`No plan found for price ${priceId} of subscription ${stripeSubscription.id}`);
+    }
+
+    organizer.subscription = {
+      plan: hasEnded ? null : (plan ? plan._id : organizer.subscription.plan),
+      stripeSubscriptionId: stripeSubscription.id,
+      status: stripeSubscription.status,
+      currentPeriodEnd: stripeSubscription.current_period_end ? new Date(stripeSubscription.current_period_end * 1000) : null,
+      cancelAtPeriodEnd: !!stripeSubscription.cancel_at_period_end,
+      canceledAt: stripeSubscription.canceled_at ? new Date(stripeSubscription.canceled_at * 1000) : null
+    };
+    await organizer.save();
+    return organizer;
+  }
+
+  /**
+   * Handle a customer.subscription webhook event
+   * Events of a subscription the organizer replaced are ignored
+   * @param {string} eventType - Stripe event type
+   * @param {Object} stripeSubscription - Stripe subscription
+   * @returns {Promise<Object|null>} Updated organizer
+   */
+  async handleSubscriptionEvent(eventType, stripeSubscription) {
+    const userId = stripeSubscription.metadata && stripeSubscription.metadata.userId;
+    let organizer = userId ? await User.findById(userId) : null;
+    if (!organizer) {
+      organizer = await User.findOne({ billingCustomerId: stripeIdOf(stripeSubscription.customer) });
+    }
+    if (!organizer) {
+      console.log(`No organizer found for subscription ${stripeSubscription.id} (${eventType})`);
+      return null;
+    }
+
+    const currentId = organizer.subscription && organizer.subscription.stripeSubscriptionId;
+    if (currentId && currentId !== stripeSubscription.id && this.hasLiveSubscription(organizer)) {
+      console.log(`Ignoring ${eventType} of subscription ${stripeSubscription.id}, organizer ${organizer._id} is on ${currentId}`);
+      return null;
+    }
+
+    return this.syncSubscription(organizer, stripeSubscription);
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+module.exports = subscriptionService;
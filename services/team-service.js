@@ -0,0 +1,456 @@
+const mongoose = require('mongoose');
+const TeamMember = require('../models/team-member');
+const Event = require('../models/event');
+const User = require('../models/user');
+const emailService = require('../utils/email');
+const { teamInvitations: teamInvitationsTemplate } = require('../utils/email-templates');
+
+// What each team role can do
+const ROLES = {
+  editor: {
+    label: 'Editor',
+    description: 'Edit event details, publish events and view ticket sales and attendees.',
+    permissions: ['event.view', 'event.edit', 'event.status', 'tickets.view', 'check_in']
+  },
+  finance: {
+    label: 'Finance',
+    description: 'View ticket sales and payouts and approve or reject refund requests.',
+    permissions: ['event.view', 'tickets.view', 'refunds.manage', 'payouts.view']
+  },
+  door_staff: {
+    label: 'Door Staff',
+    description: 'Scan tickets and check in attendees at the door.',
+    permissions: ['event.view', 'check_in']
+  },
+  viewer: {
+    label: 'Viewer',
+    description: 'View event details, ticket sales and attendees.',
+    permissions: ['event.view', 'tickets.view']
+  }
+};
+
+// The organizer (and admins) can also cancel events (which refunds every ticket), delete
+// events, pay listing fees and manage the team
+const OWNER_PERMISSIONS = [
+  ...new Set(Object.values(ROLES).flatMap(role => role.permissions)),
+  'event.cancel',
+  'event.delete',
+  'event.pay',
+  'team.manage'
+];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createTeamError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the ID of a reference that may be populated
+ * @param {Object} value - ObjectId or populated document
+ * @returns {string} ID
+ */
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Team Service
+ * Team members of organizers and the permissions they have on events, tickets and refunds
+ */
+class TeamService {
+  /**
+   * Get the team roles with their permissions
+   * @returns {Array} Roles
+   */
+  getRoles() {
+    return Object.entries(ROLES).map(([role, { label, description, permissions }]) => ({
+      role,
+      label,
+      description,
+      permissions
+    }));
+  }
+
+  /**
+   * Get the roles that grant a permission
+   * @param {string} permission - Permission
+   * @returns {Array} Roles
+   */
+  getRolesWithPermission(permission) {
+    return Object.keys(ROLES).filter(role => ROLES[role].permissions.includes(permission));
+  }
+
+  /**
+   * Check whether a user owns an event (or is an admin)
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {boolean} Whether the user has every permission on the event
+   */
+  isOwner(user, event) {
+    return user.role === 'admin' || toId(event.organizer) === user._id.toString();
+  }
+
+  /**
+   * Get the permissions of a user on an event
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Array>} Permissions
+   */
+  async getEventPermissions(user, event) {
+    if (!user) {
+      return [];
+    }
+    if (this.isOwner(user, event)) {
+      return OWNER_PERMISSIONS;
+    }
+
+    const memberships = await TeamMember.find({
+      user: user._id,
+      status: 'active',
+      organizer: toId(event.organizer),
+      $or: [{ scope: 'all_events' }, { event: event._id }]
+    });
+
+    return [...new Set(memberships.flatMap(membership => ROLES[membership.role].permissions))];
+  }
+
+  /**
+   * Check whether a user has a permission on an event
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @param {string} permission - Permission
+   * @returns {Promise<boolean>} Whether the user has the permission
+   */
+  async can(user, event, permission) {
+    const permissions = await this.getEventPermissions(user, event);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Build a query filter for the records a user owns or has a permission on as a team member
+   * Admins get their own records too, they see everything through the admin routes
+   * @param {Object} user - User document
+   * @param {string} permission - Permission
+   * @param {Object} fields - Organizer and event fields of the queried model
+   * @returns {Promise<Object>} Query filter
+   */
+  async getAccessFilter(user, permission, { organizerField = 'organizer', eventField = '_id' } = {}) {
+    const memberships = await TeamMember.find({
+      user: user._id,
+      status: 'active',
+      role: { $in: this.getRolesWithPermission(permission) }
+    }).select('organizer scope event');
+
+    const organizerIds = memberships.filter(membership => membership.scope === 'all_events').map(membership => membership.organizer);
+    const eventIds = memberships.filter(membership => membership.scope === 'event').map(membership => membership.event);
+
+    const conditions = [{ [organizerField]: user._id }];
+    if (organizerIds.length > 0) {
+      conditions.push({ [organizerField]: { $in: organizerIds } });
+    }
+    if (eventIds.length > 0) {
+      conditions.push({ [eventField]: { $in: eventIds } });
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  }
+
+  /**
+   * Check whether a user can see the payouts of an organizer
+   * Payouts cover all events, so only finance members of all events can see them
+   * @param {Object} user - User document
+   * @param {Object} organizerId - Organizer ID
+   * @returns {Promise<boolean>} Whether the user can see the payouts
+   */
+  async canViewPayouts(user, organizerId) {
+    if (user.role === 'admin' || user._id.toString() === organizerId.toString()) {
+      return true;
+    }
+
+    const membership = await TeamMember.exists({
+      user: user._id,
+      organizer: organizerId,
+      status: 'active',
+      scope: 'all_events',
+      role: { $in: this.getRolesWithPermission('payouts.view') }
+    });
+    return !!membership;
+  }
+
+  /**
+   * Check whether a user is an active member of any team
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether the user is a team member
+   */
+  async isTeamMember(user) {
+    const membership = await TeamMember.exists({ user: user._id, status: 'active' });
+    return !!membership;
+  }
+
+  /**
+   * Validate the role and scope of a membership
+   * @param {Object} owner - Organizer of the team
+   * @param {Object} data - role, scope and eventId
+   * @returns {Promise<Object>} Validated role, scope and event
+   */
+  async resolveAccess(owner, { role, scope = 'event', eventId }) {
+    if (!ROLES[role]) {
+      throw createTeamError(`Role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+    if (!['event', 'all_events'].includes(scope)) {
+      throw createTeamError('Scope must be event or all_events');
+    }
+    if (scope === 'all_events') {
+      return { role, scope, event: null };
+    }
+
+    if (!eventId || !mongoose.Types.ObjectId.isValid(eventId)) {
+      throw createTeamError('A valid event ID is required for an event team member');
+    }
+    const event = await Event.findOne({ _id: eventId, organizer: owner._id }).select('title organizer');
+    if (!event) {
+      throw createTeamError('Event not found', 404);
+    }
+    return { role, scope, event };
+  }
+
+  /**
+   * Save a membership, reporting duplicates and validation errors with a status code
+   * @param {Object} member - Team member document
+   * @returns {Promise<Object>} Team member document
+   */
+  async save(member) {
+    try {
+      return await member.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createTeamError('This person is already on the team for this event', 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw createTeamError(Object.values(error.errors).map(item => item.message).join(', '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invite someone to the team of an organizer
+   * @param {Object} owner - Organizer inviting the member
+   * @param {Object} data - email, role, scope and eventId
+   * @returns {Promise<Object>} Team member document
+   */
+  async invite(owner, { email, role, scope, eventId }) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!normalizedEmail) {
+      throw createTeamError('Email is required');
+    }
+    if (normalizedEmail === owner.email) {
+      throw createTeamError('You cannot invite yourself to your own team');
+    }
+
+    const access = await this.resolveAccess(owner, { role, scope, eventId });
+    const invitee = await User.findOne({ email: normalizedEmail }).select('firstName email');
+
+    const member = await this.save(new TeamMember({
+      organizer: owner._id,
+      user: invitee ? invitee._id : null,
+      email: normalizedEmail,
+      role: access.role,
+      scope: access.scope,
+      event: access.event ? access.event._id : null,
+      invitedBy: owner._id
+    }));
+
+    await this.sendInvitation(member, owner, access.event, invitee);
+    return member;
+  }
+
+  /**
+   * List the team of an organizer
+   * @param {Object} owner - Organizer
+   * @param {Object} filters - eventId (members with access to that event)
+   * @returns {Promise<Array>} Team members
+   */
+  async listTeam(owner, { eventId } = {}) {
+    const filter = { organizer: owner._id };
+    if (eventId) {
+      filter.$or = [{ scope: 'all_events' }, { event: eventId }];
+    }
+
+    return TeamMember.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('event', 'title startDate')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Find a member of an organizer's team
+   * @param {Object} owner - Organizer
+   * @param {string} memberId - Team member ID
+   * @returns {Promise<Object>} Team member document
+   */
+  async getMember(owner, memberId) {
+    const member = mongoose.Types.ObjectId.isValid(memberId)
+      ? await TeamMember.findOne({ _id: memberId, organizer: owner._id })
+      : null;
+    if (!member) {
+      throw createTeamError('Team member not found', 404);
+    }
+    return member;
+  }
+
+  /**
+   * Change the role or scope of a team member
+   * @param {Object} owner - Organizer
+   * @param {string} memberId - Team member ID
+   * @param {Object} updates - role, scope and eventId
+   * @returns {Promise<Object>} Team member before and after the change
+   */
+  async updateMember(owner, memberId, updates) {
+    const member = await this.getMember(owner, memberId);
+    const before = member.toObject();
+
+    const access = await this.resolveAccess(owner, {
+      role: updates.role || member.role,
+      scope: updates.scope || member.scope,
+      eventId: updates.eventId || member.event
+    });
+
+    member.role = access.role;
+    member.scope = access.scope;
+    member.event = access.event ? access.event._id : null;
+
+    return { before, member: await this.save(member) };
+  }
+
+  /**
+   * Remove a team member or withdraw an invitation
+   * @param {Object} owner - Organizer
+   * @param {string} memberId - Team member ID
+   * @returns {Promise<Object>} Removed team member
+   */
+  async removeMember(owner, memberId) {
+    const member = await this.getMember(owner, memberId);
+    await TeamMember.deleteOne({ _id: member._id });
+    return member;
+  }
+
+  /**
+   * Remove the team members of a deleted event
+   * @param {Object} eventId - Event ID
+   */
+  async removeEventMembers(eventId) {
+    await TeamMember.deleteMany({ scope: 'event', event: eventId });
+  }
+
+  /**
+   * List the pending invitations of a user
+   * @param {Object} user - User document
+   * @returns {Promise<Array>} Invitations
+   */
+  listInvitations(user) {
+    return TeamMember.find({ email: user.email, status: 'pending' })
+      .populate('organizer', 'firstName lastName email')
+      .populate('event', 'title startDate')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * List the teams a user is an active member of
+   * @param {Object} user - User document
+   * @returns {Promise<Array>} Memberships
+   */
+  listMemberships(user) {
+    return TeamMember.find({ user: user._id, status: 'active' })
+      .populate('organizer', 'firstName lastName email')
+      .populate('event', 'title startDate status')
+      .sort({ acceptedAt: -1 });
+  }
+
+  /**
+   * Accept or decline an invitation
+   * @param {Object} user - User document
+   * @param {string} invitationId - Team member ID
+   * @param {boolean} accept - Whether the invitation is accepted
+   * @returns {Promise<Object>} Team member
+   */
+  async respondToInvitation(user, invitationId, accept) {
+    const member = mongoose.Types.ObjectId.isValid(invitationId)
+      ? await TeamMember.findOne({ _id: invitationId, email: user.email, status: 'pending' })
+      : null;
+    if (!member) {
+      throw createTeamError('Invitation not found', 404);
+    }
+
+    if (!accept) {
+      await TeamMember.deleteOne({ _id: member._id });
+      return member;
+    }
+
+    // The invitation was sent to an email address, only its verified owner can accept it
+    if (!user.isEmailVerified) {
+      throw createTeamError('Please verify your email address to accept the invitation', 403);
+    }
+
+    member.user = user._id;
+    member.status = 'active';
+    member.acceptedAt = new Date();
+    return this.save(member);
+  }
+
+  /**
+   * Format a membership for responses
+   * @param {Object} member - Team member document
+   * @returns {Object} Membership with the role details
+   */
+  format(member) {
+    const { label, description, permissions } = ROLES[member.role];
+    return {
+      ...member.toObject(),
+      roleLabel: label,
+      roleDescription: description,
+      permissions
+    };
+  }
+
+  /**
+   * Email an invitation to join a team
+   * @param {Object} member - Team member document
+   * @param {Object} owner - Organizer inviting the member
+   * @param {Object} event - Event of the membership (null for all events)
+   * @param {Object} invitee - Invited user (null if they have no account yet)
+   */
+  async sendInvitation(member, owner, event, invitee) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const emailData = {
+      inviteeName: invitee ? invitee.firstName : null,
+      organizerName: `${owner.firstName} ${owner.lastName}`,
+      roleName: ROLES[member.role].label,
+      roleDescription: ROLES[member.role].description,
+      scopeLabel: event ? event.title : `All events of ${owner.firstName} ${owner.lastName}`,
+      invitationUrl: invitee ? `${frontendUrl}/account/team-invitations` : `${frontendUrl}/register`,
+      hasAccount: !!invitee
+    };
+
+    try {
+      await emailService.sendEmail({
+        to: member.email,
+        subject: `${emailData.organizerName} invited you to their team - Zafo`,
+        html: teamInvitationsTemplate.generateTeamInvitationEmail(emailData),
+        text: teamInvitationsTemplate.generateTeamInvitationText(emailData)
+      });
+    } catch (emailError) {
+      console.error('Failed to send team invitation email:', emailError);
+    }
+  }
+}
+
+// Create singleton instance
+const teamService = new TeamService();
+
+module.exports = teamService;
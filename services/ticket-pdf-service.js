@@ -0,0 +1,182 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ticketStorage = require('../utils/ticket-storage');
+const { signTicketPayload } = require('../utils/ticket-signature');
+
+/**
+ * Ticket PDF Service
+ * Generates one PDF per ticket with a QR code carrying a signed ticket payload
+ */
+class TicketPdfService {
+  /**
+   * Get the signed payload encoded in the QR code of a ticket
+   * @param {Object} ticket - Ticket document
+   * @param {Object} detail - Ticket detail (single ticket of the purchase)
+   * @returns {string} Signed payload
+   */
+  getQrPayload(ticket, detail) {
+    return signTicketPayload({
+      ticketNumber: detail.ticketNumber,
+      eventId: ticket.eventId._id || ticket.eventId,
+      attendee: detail.attendeeEmail
+    });
+  }
+
+  /**
+   * Get the download file name of a ticket PDF
+   * @param {Object} detail - Ticket detail
+   * @returns {string} File name
+   */
+  getFileName(detail) {
+    return `ticket-${detail.ticketNumber}.pdf`;
+  }
+
+  /**
+   * Get the storage key of a ticket PDF
+   * @param {Object} ticket - Ticket document
+   * @param {Object} detail - Ticket detail
+   * @returns {string} Storage key
+   */
+  getStorageKey(ticket, detail) {
+    return `ticket-${ticket._id}-${detail.ticketNumber}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  /**
+   * Render the PDF of a single ticket
+   * @param {Object} event - Event document
+   * @param {Object} ticket - Ticket document
+   * @param {Object} detail - Ticket detail
+   * @returns {Promise<Buffer>} PDF content
+   */
+  async renderPdf(event, ticket, detail) {
+    const qrImage = await QRCode.toBuffer(this.getQrPayload(ticket, detail), {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 400
+    });
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A5', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const location = event.location && event.location.online
+        ? 'Online event'
+        : [event.location.name, event.location.address && event.location.address.city].filter(Boolean).join(', ');
+
+      // Header
+      doc.fontSize(22).fillColor('#4a95eb').text('Zafo', { align: 'center' });
+      doc.moveDown(0.3);
+      doc.fontSize(16).fillColor('#333333').text(event.title, { align: 'center' });
+      doc.moveDown(1);
+
+      // Event and attendee details
+      const details = [
+        ['Date', new Date(event.startDate).toLocaleString('de-CH', { timeZone: 'Europe/Zurich' })],
+        ['Location', location],
+        ['Ticket Type', (ticket.ticketType && ticket.ticketType.name) || 'Standard'],
+        ['Attendee', detail.attendeeName],
+        ['Email', detail.attendeeEmail],
+        ['Ticket #', detail.ticketNumber]
+      ];
+      if (event.arriveBy) {
+        details.splice(2, 0, ['Arrive By', event.arriveBy]);
+      }
+
+      details.forEach(([label, value]) => {
+        doc.fontSize(10).fillColor('#6c757d').text(label.toUpperCase());
+        doc.fontSize(12).fillColor('#333333').text(value || '-');
+        doc.moveDown(0.4);
+      });
+
+      // QR code
+      const qrSize = 180;
+      doc.moveDown(0.5);
+      doc.image(qrImage, (doc.page.width - qrSize) / 2, doc.y, { width: qrSize });
+      doc.y += qrSize + 10;
+
+      doc.fontSize(9).fillColor('#6c757d').text(
+        'Present this QR code at the entrance. Each ticket can only be scanned once.',
+        { align: 'center' }
+      );
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Get the PDF of a single ticket, rendering it again if the stored file is not available
+   * @param {Object} event - Event document
+   * @param {Object} ticket - Ticket document
+   * @param {Object} detail - Ticket detail
+   * @returns {Promise<Buffer>} PDF content
+   */
+  async getTicketPdf(event, ticket, detail) {
+    if (detail.pdf && detail.pdf.key) {
+      try {
+        return await ticketStorage.read(detail.pdf);
+      } catch (error) {
+        console.error(`Failed to read stored PDF for ticket ${detail.ticketNumber}:`, error.message);
+      }
+    }
+
+    return this.renderPdf(event, ticket, detail);
+  }
+
+  /**
+   * Generate and store the PDFs of a purchase
+   * Tickets that already have a stored PDF are not generated again
+   * @param {Object} ticket - Ticket document
+   * @param {Object} event - Event document
+   * @param {Array<string>} ticketNumbers - Only generate these tickets (optional)
+   * @returns {Promise<Array>} Email attachments (filename, content, contentType)
+   */
+  async generateForTicket(ticket, event, ticketNumbers = null) {
+    const details = ticket.ticketDetails.filter(detail =>
+      detail.refundStatus !== 'completed' &&
+      (!ticketNumbers || ticketNumbers.includes(detail.ticketNumber))
+    );
+
+    const attachments = [];
+    let stored = false;
+
+    for (const detail of details) {
+      let content;
+
+      if (detail.pdf && detail.pdf.key) {
+        content = await this.getTicketPdf(event, ticket, detail);
+      } else {
+        content = await this.renderPdf(event, ticket, detail);
+
+        try {
+          const file = await ticketStorage.save(this.getStorageKey(ticket, detail), content);
+          detail.pdf = { ...file, generatedAt: new Date() };
+          stored = true;
+        } catch (storageError) {
+          // The PDF is still attached and can be rendered again on download
+          console.error(`Failed to store PDF for ticket ${detail.ticketNumber}:`, storageError.message);
+        }
+      }
+
+      attachments.push({
+        filename: this.getFileName(detail),
+        content,
+        contentType: 'application/pdf'
+      });
+    }
+
+    if (stored) {
+      await ticket.save();
+    }
+
+    return attachments;
+  }
+}
+
+// Create singleton instance
+const ticketPdfService = new TicketPdfService();
+
+module.exports = ticketPdfService;
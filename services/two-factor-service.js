@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/user');
+const Setting = require('../models/setting');
+const emailService = require('../utils/email');
+const totp = require('../utils/totp');
+const { generateChallengeToken, verifyChallengeToken } = require('../utils/token');
+const { securityNotifications: securityNotificationsTemplate } = require('../utils/email-templates');
+
+// Roles that must use two-factor authentication (changed by admins)
+const POLICY_KEY = 'security.twoFactorRequiredRoles';
+const POLICY_CACHE_SECONDS = 60;
+const ROLES = ['admin', 'organizer', 'user'];
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createTwoFactorError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hash of the normalized code
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Two-Factor Service
+ * TOTP enrolment, second factor verification, recovery codes and the per-role policy
+ */
+class TwoFactorService {
+  constructor() {
+    this.policyCache = null;
+  }
+
+  /**
+   * Get the roles that must use two-factor authentication
+   * @returns {Promise<Array>} Roles
+   */
+  async getRequiredRoles() {
+    if (this.policyCache && this.policyCache.expiresAt > Date.now()) {
+      return this.policyCache.roles;
+    }
+
+    const roles = await Setting.getValue(POLICY_KEY, []);
+    this.policyCache = { roles, expiresAt: Date.now() + POLICY_CACHE_SECONDS * 1000 };
+    return roles;
+  }
+
+  /**
+   * Get the two-factor policy with the roles it can apply to
+   * @returns {Promise<Object>} Required and available roles
+   */
+  async getPolicy() {
+    return {
+      requiredRoles: await this.getRequiredRoles(),
+      availableRoles: ROLES
+    };
+  }
+
+  /**
+   * Set the roles that must use two-factor authentication
+   * @param {Array} roles - Roles
+   * @param {Object} admin - Admin changing the policy
+   * @returns {Promise<Array>} Roles
+   */
+  async setRequiredRoles(roles, admin) {
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      throw createTwoFactorError(`Roles must be a list of: ${ROLES.join(', ')}`);
+    }
+
+    const uniqueRoles = [...new Set(roles)];
+    await Setting.setValue(POLICY_KEY, uniqueRoles, admin._id);
+    this.policyCache = null;
+    return uniqueRoles;
+  }
+
+  /**
+   * Check whether the role of a user must use two-factor authentication
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether two-factor authentication is mandatory
+   */
+  async isRequired(user) {
+    const roles = await this.getRequiredRoles();
+    return roles.includes(user.role);
+  }
+
+  /**
+   * Check whether a user has to set up two-factor authentication before using the API
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether enrolment is outstanding
+   */
+  async mustEnroll(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return false;
+    }
+    return this.isRequired(user);
+  }
+
+  /**
+   * Create a challenge token for the next login step
+   * @param {Object} user - User document
+   * @param {string} purpose - login (enter a code) or setup (enrol before the first login)
+   * @returns {string} Challenge token
+   */
+  createChallenge(user, purpose) {
+    return generateChallengeToken({ id: user._id }, `2fa_${purpose}`, purpose === 'setup' ? '15m' : '5m');
+  }
+
+  /**
+   * Get the user of a challenge token
+   * @param {string} token - Challenge token
+   * @param {string} purpose - login or setup
+   * @returns {Promise<Object>} User document with two-factor secrets
+   */
+  async resolveChallenge(token, purpose) {
+    const decoded = typeof token === 'string' ? verifyChallengeToken(token, `2fa_${purpose}`) : null;
+    if (!decoded) {
+      throw createTwoFactorError('Your login has expired. Please log in again.', 401);
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive) {
+      throw createTwoFactorError('User not found or inactive. Please contact support.', 401);
+    }
+    return user;
+  }
+
+  /**
+   * Load a user with the two-factor secrets
+   * @param {Object} userId - User ID
+   * @returns {Promise<Object>} User document
+   */
+  loadUser(userId) {
+    return User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+  }
+
+  /**
+   * Generate new recovery codes
+   * @returns {Object} Plain codes (shown once) and their hashes
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  /**
+   * Start the enrolment of an authenticator app
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Secret, otpauth URI and QR code image
+   */
+  async startEnrollment(user) {
+    const account = await this.loadUser(user._id);
+    if (account.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    account.twoFactor.pendingSecret = totp.encryptSecret(secret);
+    await account.save();
+
+    const otpauthUrl = totp.getOtpAuthUrl(secret, account.email);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm the enrolment with a code from the authenticator app
+   * @param {Object} user - User document
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array>} Recovery codes (only shown this once)
+   */
+  async enable(user, code) {
+    const account = await this.loadUser(user._id);
+    if (account.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is already enabled');
+    }
+    if (!account.twoFactor.pendingSecret) {
+      throw createTwoFactorError('Start the two-factor setup first');
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(account.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw createTwoFactorError('Invalid authentication code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = null;
+    account.twoFactor.recoveryCodes = hashes;
+    account.twoFactor.lastUsedStep = step;
+    account.twoFactor.enabled = true;
+    account.twoFactor.enabledAt = new Date();
+    await account.save();
+
+    await this.notifyChange(account, 'enabled');
+    return codes;
+  }
+
+  /**
+   * Verify a code from the authenticator app (each code is accepted once)
+   * @param {Object} account - User document with two-factor secrets
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<boolean>} Whether the code is valid
+   */
+  async verifyCode(account, code) {
+    if (!account.twoFactor.enabled || !account.twoFactor.secret) {
+      return false;
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(account.twoFactor.secret), code);
+    if (step === null) {
+      return false;
+    }
+
+    // Claim the time step atomically so the same code cannot be replayed
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: account._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return !!claimed;
+  }
+
+  /**
+   * Use a recovery code (each code works once)
+   * @param {Object} account - User document with two-factor secrets
+   * @param {string} recoveryCode - Recovery code
+   * @returns {Promise<number|null>} Remaining recovery codes or null if the code is invalid
+   */
+  async useRecoveryCode(account, recoveryCode) {
+    if (!account.twoFactor.enabled || typeof recoveryCode !== 'string' || !recoveryCode.trim()) {
+      return null;
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: account._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodes');
+
+    return updated ? updated.twoFactor.recoveryCodes.length : null;
+  }
+
+  /**
+   * Verify the second factor (authenticator code or recovery code)
+   * @param {Object} account - User document with two-factor secrets
+   * @param {Object} factor - code or recoveryCode
+   * @returns {Promise<Object>} Method used and remaining recovery codes
+   */
+  async verifySecondFactor(account, { code, recoveryCode }) {
+    if (code) {
+      if (await this.verifyCode(account, code)) {
+        return { method: 'totp', remainingRecoveryCodes: account.twoFactor.recoveryCodes.length };
+      }
+    } else if (recoveryCode) {
+      const remaining = await this.useRecoveryCode(account, recoveryCode);
+      if (remaining !== null) {
+        return { method: 'recovery_code', remainingRecoveryCodes: remaining };
+      }
+    } else {
+      throw createTwoFactorError('Authentication code or recovery code is required');
+    }
+
+    throw createTwoFactorError('Invalid authentication code', 401);
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {Object} user - User document
+   * @param {string} code - Current code from the authenticator app
+   * @returns {Promise<Array>} New recovery codes
+   */
+  async regenerateRecoveryCodes(user, code) {
+    const account = await this.loadUser(user._id);
+    if (!account.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!(await this.verifyCode(account, code))) {
+      throw createTwoFactorError('Invalid authentication code', 401);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: account._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    return codes;
+  }
+
+  /**
+   * Turn off two-factor authentication (password and second factor required)
+   * @param {Object} user - User document
+   * @param {Object} credentials - password and code or recoveryCode
+   */
+  async disable(user, { password, code, recoveryCode }) {
+    if (await this.isRequired(user)) {
+      throw createTwoFactorError('Two-factor authentication is mandatory for your role', 403);
+    }
+
+    const account = await User.findById(user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+    if (!account.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!password || !(await account.matchPassword(password))) {
+      throw createTwoFactorError('Password is incorrect', 401);
+    }
+    await this.verifySecondFactor(account, { code, recoveryCode });
+
+    await this.clear(account._id);
+    await this.notifyChange(account, 'disabled');
+  }
+
+  /**
+   * Reset two-factor authentication of a user who lost their device (admin)
+   * @param {Object} user - User document
+   * @param {Object} admin - Admin resetting two-factor authentication
+   */
+  async reset(user, admin) {
+    await this.clear(user._id);
+    await this.notifyChange(user, 'reset', admin);
+  }
+
+  /**
+   * Remove the two-factor secrets of a user
+   * @param {Object} userId - User ID
+   */
+  async clear(userId) {
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null,
+        'twoFactor.enabledAt': null
+      }
+    });
+  }
+
+  /**
+   * Get the two-factor status of a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus(user) {
+    const account = await this.loadUser(user._id);
+    return {
+      enabled: account.twoFactor.enabled,
+      enabledAt: account.twoFactor.enabledAt,
+      required: await this.isRequired(account),
+      recoveryCodesRemaining: account.twoFactor.enabled ? account.twoFactor.recoveryCodes.length : 0
+    };
+  }
+
+  /**
+   * Email a user about a change of their two-factor authentication
+   * @param {Object} user - User document
+   * @param {string} change - enabled, disabled or reset
+   * @param {Object} admin - Admin who made the change (reset only)
+   */
+  async notifyChange(user, change, admin = null) {
+    const emailData = {
+      userName: user.firstName,
+      change,
+      adminName: admin ? `${admin.firstName} ${admin.lastName}` : null,
+      changeTime: new Date().toLocaleString('en-GB', { timeZone: 'Europe/Zurich' }),
+      securityUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/security`
+    };
+
+    const subjects = {
+      enabled: 'Two-Factor Authentication Enabled - Zafo',
+      disabled: 'Two-Factor Authentication Disabled - Zafo',
+      reset: 'Two-Factor Authentication Reset - Zafo'
+    };
+
+    try {
+      await emailService.sendEmail({
+        to: user.email,
+        subject: subjects[change],
+        html: securityNotificationsTemplate.generateTwoFactorChangedEmail(emailData),
+        text: securityNotificationsTemplate.generateTwoFactorChangedText(emailData)
+      });
+    } catch (emailError) {
+      console.error('Failed to send two-factor change email:', emailError);
+    }
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
@@ -0,0 +1,303 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const WaitlistEntry = require('../models/waitlist-entry');
+const Event = require('../models/event');
+const Ticket = require('../models/ticket');
+const User = require('../models/user');
+const emailService = require('../utils/email');
+const pricingService = require('./pricing-service');
+const reservationService = require('./reservation-service');
+const { waitlistNotifications: waitlistNotificationsTemplate } = require('../utils/email-templates');
+
+// How long a waitlist offer holds the seats before moving on to the next person
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS) || 24;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createWaitlistError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Waitlist Service
+ * Queues users for sold-out events and offers freed seats in join order
+ * An offer is a waitlist reservation holding the seats until the offer expires
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist of a sold-out event
+   * @param {Object} event - Event document
+   * @param {Object} userId - User ID
+   * @param {Object} options - Waitlist options
+   * @param {number} options.quantity - Number of tickets wanted
+   * @param {string} options.ticketTypeId - Ticket type wanted (optional for single tier events)
+   * @returns {Promise<Object>} Waitlist entry
+   */
+  async join(event, userId, { quantity = 1, ticketTypeId = null } = {}) {
+    if (event.status !== 'published') {
+      throw createWaitlistError('Event is not available for ticket purchase');
+    }
+
+    if (event.organizer.toString() === userId.toString()) {
+      throw createWaitlistError('Organizers cannot join the waitlist for their own events');
+    }
+
+    // Validates the ticket type, sales window and order limit
+    const { ticketType } = pricingService.quote(event, ticketTypeId, quantity);
+
+    const available = await reservationService.getAvailableSeats(event, ticketType);
+    if (available >= quantity) {
+      throw createWaitlistError('Tickets are still available for this event');
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      eventId: event._id,
+      user: userId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existingEntry) {
+      throw createWaitlistError('You are already on the waitlist for this event');
+    }
+
+    try {
+      return await WaitlistEntry.create({
+        eventId: event._id,
+        user: userId,
+        ticketTypeId: ticketType._id,
+        quantity
+      });
+    } catch (error) {
+      // Joined twice at the same time
+      if (error.code === 11000) {
+        throw createWaitlistError('You are already on the waitlist for this event');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Leave the waitlist of an event
+   * A pending offer is given up and passed on to the next person
+   * @param {Object} event - Event document
+   * @param {Object} userId - User ID
+   * @returns {Promise<Object>} Waitlist entry as it was before leaving
+   */
+  async leave(event, userId) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { eventId: event._id, user: userId, status: { $in: ['waiting', 'offered'] } },
+      { status: 'left', leftAt: new Date() }
+    );
+
+    if (!entry) {
+      throw createWaitlistError('You are not on the waitlist for this event', 404);
+    }
+
+    if (entry.status === 'offered' && entry.reservationId) {
+      const released = await reservationService.release({ _id: entry.reservationId }, 'released', 'waitlist_left');
+      if (released) {
+        await this.offerFreedSeats(event._id);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the current waitlist entry of a user for an event
+   * @param {Object} event - Event document
+   * @param {Object} userId - User ID
+   * @returns {Promise<Object|null>} Latest waitlist entry with its position
+   */
+  async getEntry(event, userId) {
+    const entry = await WaitlistEntry.findOne({ eventId: event._id, user: userId }).sort({ joinedAt: -1 });
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      entryId: entry._id,
+      status: entry.status,
+      position: await entry.getPosition(),
+      quantity: entry.quantity,
+      ticketTypeId: entry.ticketTypeId,
+      joinedAt: entry.joinedAt,
+      offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : null
+    };
+  }
+
+  /**
+   * Use the waitlist offer of a user for a ticket purchase
+   * @param {Object} event - Event document
+   * @param {Object} userId - User ID
+   * @param {Object} ticketType - Ticket type being purchased
+   * @param {number} quantity - Number of tickets being purchased
+   * @returns {Promise<Object|null>} Offer reservation or null if the user has no active offer
+   */
+  async claimOffer(event, userId, ticketType, quantity) {
+    const reservation = await reservationService.findWaitlistHold(event._id, userId);
+    if (!reservation) {
+      return null;
+    }
+
+    const offeredTypeId = reservation.ticketTypeId ? reservation.ticketTypeId.toString() : null;
+    const requestedTypeId = ticketType._id ? ticketType._id.toString() : null;
+    if (offeredTypeId !== requestedTypeId || reservation.quantity !== quantity) {
+      throw createWaitlistError(`Your waitlist offer is for ${reservation.quantity} ticket(s) of this type`);
+    }
+
+    // A previous checkout attempt for this offer can no longer be paid
+    if (reservation.stripePaymentIntentId) {
+      try {
+        await stripe.paymentIntents.cancel(reservation.stripePaymentIntentId);
+      } catch (cancelError) {
+        console.error(`Failed to cancel payment intent ${reservation.stripePaymentIntentId}:`, cancelError.message);
+        throw createWaitlistError('A payment for your waitlist offer is already in progress', 409);
+      }
+
+      if (reservation.ticketId) {
+        await Ticket.updateOne(
+          { _id: reservation.ticketId, paymentStatus: 'pending' },
+          { paymentStatus: 'failed' }
+        );
+      }
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Offer freed seats to the waitlist of an event in join order
+   * Stops at the first entry that cannot be served so nobody is skipped
+   * @param {Object} eventId - Event ID
+   * @returns {Promise<number>} Number of offers sent
+   */
+  async processEvent(eventId) {
+    const event = await Event.findById(eventId);
+    if (!event || event.status !== 'published' || event.startDate <= new Date()) {
+      return 0;
+    }
+
+    let offers = 0;
+
+    while (true) {
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { eventId: event._id, status: 'waiting' },
+        { status: 'offered', offeredAt: new Date() },
+        { sort: { joinedAt: 1 }, new: true }
+      );
+
+      if (!entry) {
+        break;
+      }
+
+      const ticketType = pricingService.resolveTicketType(event, entry.ticketTypeId);
+      if (!ticketType || !pricingService.isOnSale(ticketType)) {
+        // The ticket type was removed or is no longer sold
+        entry.status = 'expired';
+        await entry.save();
+        continue;
+      }
+
+      // Offers never run past the start of the event
+      const offerExpiresAt = new Date(Math.min(
+        Date.now() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000,
+        new Date(event.startDate).getTime()
+      ));
+
+      let reservation;
+      try {
+        reservation = await reservationService.reserve({
+          event,
+          ticketType,
+          quantity: entry.quantity,
+          attendeeId: entry.user,
+          source: 'waitlist',
+          waitlistEntryId: entry._id,
+          expiresAt: offerExpiresAt
+        });
+      } catch (error) {
+        // Put the entry back at its place in the queue
+        await WaitlistEntry.updateOne(
+          { _id: entry._id, status: 'offered' },
+          { status: 'waiting', $unset: { offeredAt: 1 } }
+        );
+
+        if (error.statusCode === 409) {
+          break; // Not enough seats for the next person yet
+        }
+        throw error;
+      }
+
+      entry.reservationId = reservation._id;
+      entry.offerExpiresAt = offerExpiresAt;
+      await entry.save();
+
+      await this.sendOfferEmail(entry, event, ticketType);
+      offers++;
+    }
+
+    return offers;
+  }
+
+  /**
+   * Offer freed seats to the waitlist without failing the caller
+   * @param {Object} eventId - Event ID
+   * @returns {Promise<number>} Number of offers sent
+   */
+  async offerFreedSeats(eventId) {
+    try {
+      return await this.processEvent(eventId);
+    } catch (error) {
+      console.error(`Failed to process waitlist for event ${eventId}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Send the purchase offer email to a waitlist entry
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} event - Event document
+   * @param {Object} ticketType - Ticket type offered
+   */
+  async sendOfferEmail(entry, event, ticketType) {
+    try {
+      const user = await User.findById(entry.user);
+      if (!user) {
+        return;
+      }
+
+      const emailData = {
+        userName: user.firstName,
+        eventTitle: event.title,
+        eventDate: event.startDate,
+        eventLocation: event.location.name,
+        quantity: entry.quantity,
+        ticketTypeName: ticketType.name,
+        offerExpiresAt: entry.offerExpiresAt,
+        purchaseUrl: `${process.env.FRONTEND_URL}/payment/event/${event._id}`
+      };
+
+      await emailService.sendEmail({
+        to: user.email,
+        subject: 'Tickets Available - Zafo',
+        html: waitlistNotificationsTemplate.generateWaitlistOfferEmail(emailData),
+        text: waitlistNotificationsTemplate.generateWaitlistOfferText(emailData)
+      });
+
+      console.log(`Waitlist offer email sent to ${user.email}`);
+    } catch (emailError) {
+      console.error('Failed to send waitlist offer email:', emailError);
+      // Don't fail the offer if the email fails
+    }
+  }
+}
+
+// Create singleton instance
+const waitlistService = new WaitlistService();
+
+module.exports = waitlistService;
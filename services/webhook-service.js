@@ -0,0 +1,584 @@
+const Event = require('../models/event');
+const Ticket = require('../models/ticket');
+const User = require('../models/user');
+const WebhookEvent = require('../models/webhook-event');
+const emailService = require('../utils/email');
+const reservationService = require('./reservation-service');
+const waitlistService = require('./waitlist-service');
+const auditService = require('./audit-service');
+const ledgerService = require('./ledger-service');
+const disputeService = require('./dispute-service');
+const settlementService = require('./settlement-service');
+const subscriptionService = require('./subscription-service');
+const purchaseConfirmationService = require('./purchase-confirmation-service');
+const { paymentNotifications: paymentNotificationsTemplate } = require('../utils/email-templates');
+
+// Minutes to wait before retrying a failed event, by attempt (no retry after the last one)
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+// Minutes a handler may run before the event is considered abandoned by its instance
+const PROCESSING_LOCK_MINUTES = 5;
+
+// Events retried per run of the retry job
+const RETRY_BATCH_SIZE = 50;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error
+ */
+const createWebhookError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Webhook Service
+ * Stores the Stripe webhook events, processes every event once and retries
+ * failed handlers with backoff
+ */
+class WebhookService {
+  constructor() {
+    // Handlers by event type, events of other types are stored as ignored
+    this.handlers = {
+      'checkout.session.completed': event => this.handleCheckoutSessionCompleted(event.data.object),
+      'payment_intent.succeeded': event => this.handlePaymentIntentSucceeded(event.data.object),
+      'payment_intent.payment_failed': event => this.handlePaymentIntentFailed(event.data.object),
+      'charge.refunded': event => this.handleChargeRefunded(event.data.object),
+      'transfer.created': event => this.handleTransferCreated(event.data.object),
+      'transfer.failed': event => this.handleTransferFailed(event.data.object),
+      'charge.dispute.created': event => disputeService.handleDispute(event.type, event.data.object),
+      'charge.dispute.updated': event => disputeService.handleDispute(event.type, event.data.object),
+      'charge.dispute.closed': event => disputeService.handleDispute(event.type, event.data.object),
+      'charge.dispute.funds_withdrawn': event => disputeService.handleDispute(event.type, event.data.object),
+      'charge.dispute.funds_reinstated': event => disputeService.handleDispute(event.type, event.data.object),
+      'customer.subscription.created': event => subscriptionService.handleSubscriptionEvent(event.type, event.data.object),
+      'customer.subscription.updated': event => subscriptionService.handleSubscriptionEvent(event.type, event.data.object),
+      'customer.subscription.deleted': event => subscriptionService.handleSubscriptionEvent(event.type, event.data.object),
+      'customer.subscription.paused': event => subscriptionService.handleSubscriptionEvent(event.type, event.data.object),
+      'customer.subscription.resumed': event => subscriptionService.handleSubscriptionEvent(event.type, event.data.object)
+    };
+  }
+
+  /**
+   * Store a verified webhook event
+   * @param {Object} event - Stripe event
+   * @returns {Promise<Object>} Stored event and whether it was received before
+   */
+  async receive(event) {
+    try {
+      const webhookEvent = await WebhookEvent.create({
+        stripeEventId: event.id,
+        type: event.type,
+        livemode: !!event.livemode,
+        apiVersion: event.api_version || null,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : null,
+        payload: event
+      });
+      return { webhookEvent, isDuplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    // Redelivered by Stripe
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      { stripeEventId: event.id },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    return { webhookEvent, isDuplicate: true };
+  }
+
+  /**
+   * Get the delay before the next retry of a failed event
+   * @param {number} attempts - Attempts made so far
+   * @returns {number|null} Delay in milliseconds or null if no retries are left
+   */
+  getRetryDelay(attempts) {
+    const minutes = RETRY_DELAYS_MINUTES[attempts - 1];
+    return minutes ? minutes * MINUTE_MS : null;
+  }
+
+  /**
+   * Process a stored event unless it is processed or being processed already
+   * @param {Object} webhookEvent - Stored event
+   * @param {Object} options - Processing options
+   * @param {boolean} options.force - Also process events that were processed (replay)
+   * @returns {Promise<Object|null>} Event after processing or null if it was not claimed
+   */
+  async process(webhookEvent, { force = false } = {}) {
+    const now = new Date();
+    const claimable = force
+      ? ['pending', 'failed', 'processed', 'ignored']
+      : ['pending', 'failed'];
+
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: webhookEvent._id,
+        $or: [
+          { status: { $in: claimable } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + PROCESSING_LOCK_MINUTES * MINUTE_MS) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const handler = this.handlers[claimed.type];
+    if (!handler) {
+      console.log(`Unhandled event type ${claimed.type}`);
+      claimed.status = 'ignored';
+      claimed.lockedUntil = null;
+      claimed.nextRetryAt = null;
+      await claimed.save();
+      return claimed;
+    }
+
+    try {
+      await handler(claimed.payload);
+      claimed.status = 'processed';
+      claimed.processedAt = new Date();
+      claimed.lastError = null;
+      claimed.nextRetryAt = null;
+    } catch (error) {
+      console.error(`Webhook event ${claimed.stripeEventId} (${claimed.type}) failed:`, error);
+      const retryDelay = this.getRetryDelay(claimed.attempts);
+      claimed.status = 'failed';
+      claimed.lastError = error.message;
+      claimed.nextRetryAt = retryDelay ? new Date(Date.now() + retryDelay) : null;
+    }
+
+    claimed.lockedUntil = null;
+    await claimed.save();
+    return claimed;
+  }
+
+  /**
+   * Retry failed events that are due and events abandoned while processing
+   * @returns {Promise<Object>} Counts of processed and failed events
+   */
+  async retryDue() {
+    const now = new Date();
+    const events = await WebhookEvent.find({
+      $or: [
+        { status: 'failed', nextRetryAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } },
+        // Stored but never processed, e.g. the instance stopped right after receiving it
+        { status: 'pending', createdAt: { $lte: new Date(now.getTime() - PROCESSING_LOCK_MINUTES * MINUTE_MS) } }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(RETRY_BATCH_SIZE);
+
+    const results = { processed: 0, failed: 0 };
+    for (const event of events) {
+      const processed = await this.process(event);
+      if (processed) {
+        results[processed.status === 'failed' ? 'failed' : 'processed']++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Process a stored event again
+   * @param {string} id - Webhook event ID
+   * @param {Object} user - Admin replaying the event
+   * @returns {Promise<Object>} Event after processing
+   */
+  async replay(id, user) {
+    const webhookEvent = await this.getEvent(id);
+    if (webhookEvent.status === 'processing' && webhookEvent.lockedUntil > new Date()) {
+      throw createWebhookError('Event is being processed', 409);
+    }
+
+    webhookEvent.replayCount += 1;
+    webhookEvent.lastReplayedBy = user ? user._id : null;
+    webhookEvent.lastReplayedAt = new Date();
+    await webhookEvent.save();
+
+    const processed = await this.process(webhookEvent, { force: true });
+    if (!processed) {
+      throw createWebhookError('Event is being processed', 409);
+    }
+    return processed;
+  }
+
+  /**
+   * Get a stored event
+   * @param {string} id - Webhook event ID or Stripe event ID
+   * @returns {Promise<Object>} Webhook event
+   */
+  async getEvent(id) {
+    const filter = /^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { stripeEventId: id };
+    const webhookEvent = await WebhookEvent.findOne(filter).populate('lastReplayedBy', 'firstName lastName email');
+    if (!webhookEvent) {
+      throw createWebhookError('Webhook event not found', 404);
+    }
+    return webhookEvent;
+  }
+
+  /**
+   * List stored events
+   * @param {Object} query - Filters (type, status, search by Stripe event ID) and pagination
+   * @returns {Promise<Object>} Events without payload and pagination
+   */
+  async listEvents({ type, status, search, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (type) {
+      filter.type = type;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (search) {
+      filter.stripeEventId = search.trim();
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [events, total, statusCounts] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      events,
+      counts: statusCounts.reduce((counts, item) => ({ ...counts, [item._id]: item.count }), {}),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Mark an event as paid after the listing fee checkout completed
+   * @param {Object} session - Stripe checkout session
+   */
+  async handleCheckoutSessionCompleted(session) {
+    // Extract metadata
+    const { eventId } = session.metadata || {};
+    if (!eventId) {
+      return;
+    }
+
+    // Find the event first to check its current status
+    const eventDoc = await Event.findById(eventId);
+    if (!eventDoc) {
+      console.error(`Event ${eventId} not found`);
+      return;
+    }
+
+    // Update the event to mark as paid
+    const updateData = {
+      isPaid: true,
+      paidAt: new Date(),
+      paymentId: session.id
+    };
+
+    // If event is in pending_payment status, publish it
+    if (eventDoc.status === 'pending_payment') {
+      updateData.status = 'published';
+    }
+
+    await Event.findByIdAndUpdate(eventId, updateData);
+
+    if (updateData.status) {
+      await auditService.record(null, {
+        action: 'CHANGE_EVENT_STATUS',
+        actor: null,
+        entity: { type: 'event', id: eventDoc._id, label: eventDoc.title },
+        details: `Published "${eventDoc.title}" after the listing fee was paid`,
+        before: { status: eventDoc.status },
+        after: { status: updateData.status },
+        metadata: { source: 'stripe_webhook', checkoutSessionId: session.id }
+      });
+    }
+
+    // Send successful payment notification email
+    try {
+      const organizer = await User.findById(eventDoc.organizer);
+      if (organizer) {
+        const emailData = {
+          userName: organizer.firstName,
+          eventTitle: eventDoc.title,
+          amount: session.amount_total / 100, // Convert from cents
+          currency: session.currency.toUpperCase(),
+          paymentId: session.id,
+          eventUrl: `${process.env.FRONTEND_URL}/events/${eventDoc.slug}`
+        };
+
+        await emailService.sendEmail({
+          to: organizer.email,
+          subject: 'Payment Successful - Zafo',
+          html: paymentNotificationsTemplate.generateSuccessfulPaymentEmail(emailData),
+          text: paymentNotificationsTemplate.generateSuccessfulPaymentText(emailData)
+        });
+
+        console.log(`Payment success email sent to ${organizer.email}`);
+      }
+    } catch (emailError) {
+      console.error('Failed to send payment success email:', emailError);
+      // Don't fail payment processing if email fails
+    }
+
+    console.log(`Payment for event ${eventId} completed successfully`);
+  }
+
+  /**
+   * Mark a ticket purchase as paid
+   * @param {Object} paymentIntent - Stripe payment intent
+   */
+  async handlePaymentIntentSucceeded(paymentIntent) {
+    // Check if this is a ticket payment
+    if (!paymentIntent.metadata || !paymentIntent.metadata.eventId || !paymentIntent.metadata.attendeeId) {
+      return;
+    }
+
+    const ticket = await Ticket.findOne({ stripePaymentIntentId: paymentIntent.id });
+    if (ticket && ticket.paymentStatus !== 'paid') {
+      ticket.paymentStatus = 'paid';
+      await ticket.save();
+
+      console.log(`Ticket payment completed for ticket ${ticket._id}`);
+    }
+
+    // Record the payment in the ledger, additional purchases are booked on the ticket they extend
+    const chargedTicket = ticket || (paymentIntent.metadata.existingTicketId ?
+      await Ticket.findById(paymentIntent.metadata.existingTicketId) : null);
+    if (chargedTicket) {
+      await ledgerService.recordCharge(chargedTicket, paymentIntent);
+      // Destination charges pay the organizer with the payment
+      await settlementService.recordDestinationTransfer(chargedTicket, paymentIntent);
+    }
+
+    // Convert the held seats to sold seats (also covers additional ticket purchases)
+    await reservationService.convert({ stripePaymentIntentId: paymentIntent.id });
+
+    // Send the purchase confirmation unless the client confirmation sent it already
+    if (ticket) {
+      await purchaseConfirmationService.sendOnce(ticket);
+    }
+  }
+
+  /**
+   * Mark a ticket purchase as failed and release its seats
+   * @param {Object} paymentIntent - Stripe payment intent
+   */
+  async handlePaymentIntentFailed(paymentIntent) {
+    // Check if this is a ticket payment
+    if (!paymentIntent.metadata || !paymentIntent.metadata.eventId || !paymentIntent.metadata.attendeeId) {
+      return;
+    }
+
+    const ticket = await Ticket.findOne({ stripePaymentIntentId: paymentIntent.id });
+
+    // Release the held seats, waitlist offers keep their seats until the offer expires so the user can retry
+    const releasedReservation = await reservationService.release(
+      { stripePaymentIntentId: paymentIntent.id, source: { $ne: 'waitlist' } },
+      'released',
+      'payment_failed'
+    );
+    if (releasedReservation) {
+      await waitlistService.offerFreedSeats(releasedReservation.eventId);
+    }
+
+    if (!ticket) {
+      return;
+    }
+
+    ticket.paymentStatus = 'failed';
+    await ticket.save();
+
+    // Send failed payment notification email
+    try {
+      const attendee = await User.findById(ticket.attendee);
+      const event = await Event.findById(ticket.eventId);
+
+      if (attendee && event) {
+        const emailData = {
+          userName: attendee.firstName,
+          eventTitle: event.title,
+          amount: ticket.ticketPrice,
+          currency: ticket.currency,
+          errorMessage: paymentIntent.last_payment_error?.message || 'Payment processing failed',
+          retryUrl: `${process.env.FRONTEND_URL}/payment/event/${event._id}`
+        };
+
+        await emailService.sendEmail({
+          to: attendee.email,
+          subject: 'Payment Failed - Zafo',
+          html: paymentNotificationsTemplate.generateFailedPaymentEmail(emailData),
+          text: paymentNotificationsTemplate.generateFailedPaymentText(emailData)
+        });
+
+        console.log(`Payment failure email sent to ${attendee.email}`);
+      }
+    } catch (emailError) {
+      console.error('Failed to send payment failure email:', emailError);
+      // Don't fail payment processing if email fails
+    }
+
+    console.log(`Ticket payment failed for ticket ${ticket._id}`);
+  }
+
+  /**
+   * Record a completed ticket refund and free the refunded seats
+   * @param {Object} refund - Stripe charge with the refund metadata
+   */
+  async handleChargeRefunded(refund) {
+    // Check if this is a ticket refund
+    if (!refund.metadata || !refund.metadata.ticketId) {
+      return;
+    }
+
+    const ticket = await Ticket.findById(refund.metadata.ticketId);
+    if (!ticket) {
+      return;
+    }
+
+    const seatsBeforeRefund = ticket.getSoldSeatCount();
+
+    // Parse refunded tickets from metadata
+    const refundedTickets = refund.metadata.refundedTickets ?
+      JSON.parse(refund.metadata.refundedTickets) : [];
+
+    // Update ticket refund status
+    ticket.refundStatus = 'completed';
+    ticket.refundedAt = new Date();
+    ticket.refundAmount = refund.amount / 100; // Convert from cents
+
+    // Update individual ticket status
+    if (refundedTickets.length > 0) {
+      ticket.ticketDetails.forEach(detail => {
+        if (refundedTickets.includes(detail.ticketNumber)) {
+          detail.refundStatus = 'completed';
+          detail.refundedAt = new Date();
+        }
+      });
+
+      // Update payment status based on refund amount
+      if (ticket.refundAmount >= ticket.ticketPrice) {
+        ticket.paymentStatus = 'refunded';
+      } else {
+        ticket.paymentStatus = 'partially_refunded';
+      }
+    } else {
+      // Full refund
+      ticket.paymentStatus = 'refunded';
+      ticket.ticketDetails.forEach(detail => {
+        detail.refundStatus = 'completed';
+        detail.refundedAt = new Date();
+      });
+    }
+
+    await ticket.save();
+
+    // Free the refunded seats and offer them to the waitlist
+    const freedSeats = seatsBeforeRefund - ticket.getSoldSeatCount();
+    await reservationService.releaseSoldSeats(ticket, freedSeats);
+    if (freedSeats > 0) {
+      await waitlistService.offerFreedSeats(ticket.eventId);
+    }
+
+    // Send refund notification email
+    try {
+      const attendee = await User.findById(ticket.attendee);
+      const event = await Event.findById(ticket.eventId);
+
+      if (attendee && event) {
+        const emailData = {
+          userName: attendee.firstName,
+          eventTitle: event.title,
+          refundAmount: ticket.refundAmount,
+          currency: ticket.currency,
+          refundId: refund.id,
+          reason: refund.metadata?.reason || 'Refund requested'
+        };
+
+        await emailService.sendEmail({
+          to: attendee.email,
+          subject: 'Refund Processed - Zafo',
+          html: paymentNotificationsTemplate.generateRefundEmail(emailData),
+          text: paymentNotificationsTemplate.generateRefundText(emailData)
+        });
+
+        console.log(`Refund email sent to ${attendee.email}`);
+      }
+    } catch (emailError) {
+      console.error('Failed to send refund email:', emailError);
+      // Don't fail refund processing if email fails
+    }
+
+    console.log(`Ticket refund completed for ticket ${ticket._id}`);
+  }
+
+  /**
+   * Mark the organizer transfer of a ticket purchase as completed
+   * @param {Object} transfer - Stripe transfer
+   */
+  async handleTransferCreated(transfer) {
+    // Check if this is an organizer transfer
+    if (!transfer.metadata || !transfer.metadata.ticketId) {
+      return;
+    }
+
+    const ticket = await Ticket.findById(transfer.metadata.ticketId);
+    if (ticket) {
+      ticket.organizerTransferStatus = 'completed';
+      ticket.stripeTransferId = transfer.id;
+      ticket.organizerTransferDate = new Date();
+      await ticket.save();
+      await ledgerService.recordTransfer(ticket, { transferId: transfer.id, amount: transfer.amount / 100 });
+
+      console.log(`Organizer transfer completed for ticket ${ticket._id}`);
+    }
+  }
+
+  /**
+   * Mark the organizer transfer of a ticket purchase as failed
+   * @param {Object} transfer - Stripe transfer
+   */
+  async handleTransferFailed(transfer) {
+    // Check if this is an organizer transfer
+    if (!transfer.metadata || !transfer.metadata.ticketId) {
+      return;
+    }
+
+    const ticket = await Ticket.findById(transfer.metadata.ticketId);
+    if (ticket) {
+      ticket.organizerTransferStatus = 'failed';
+      await ticket.save();
+      // The payout is owed to the organizer again
+      await ledgerService.recordFailedTransfer(transfer.id);
+
+      console.log(`Organizer transfer failed for ticket ${ticket._id}`);
+    }
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
@@ -0,0 +1,476 @@
+/**
+ * Dispute Notification Email Templates
+ * Informs organizers and admins about chargebacks on ticket payments
+ */
+
+/**
+ * Texts of the organizer email by dispute stage
+ * @param {string} stage - opened, won or lost
+ * @param {boolean} wasPaidOut - Whether the organizer was paid for the tickets before the dispute
+ * @returns {Object} Heading, message and notice
+ */
+const getOrganizerTexts = (stage, wasPaidOut) => {
+  if (stage === 'won') {
+    return {
+      heading: 'Dispute Won',
+      message: 'The dispute below was decided in your favor. The payment stays with you.',
+      notice: wasPaidOut
+        ? 'You were already paid for these tickets, nothing changes for you.'
+        : 'The payout for these tickets is released and will be included in the next transfer.'
+    };
+  }
+  if (stage === 'lost') {
+    return {
+      heading: 'Dispute Lost',
+      message: 'The card holder won the dispute below and the payment was returned to them.',
+      notice: wasPaidOut
+        ? 'You were already paid for these tickets, the amount is deducted from your balance and from your next payouts.'
+        : 'You will not be paid for these tickets.'
+    };
+  }
+  return {
+    heading: 'Payment Disputed',
+    message: 'A ticket buyer disputed their payment with their bank. We respond to the dispute with the purchase and check-in records of the tickets.',
+    notice: wasPaidOut
+      ? 'You were already paid for these tickets. If the dispute is lost, the amount is deducted from your balance.'
+      : 'The payout for these tickets is on hold until the dispute is decided.'
+  };
+};
+
+/**
+ * Generate organizer dispute email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - Organizer's first name
+ * @param {string} data.stage - Dispute stage (opened, won or lost)
+ * @param {string} data.eventTitle - Event title
+ * @param {number} data.amount - Disputed amount
+ * @param {string} data.currency - Currency
+ * @param {string} data.reason - Dispute reason given by the bank
+ * @param {Array} data.ticketNumbers - Ticket numbers of the purchase
+ * @param {boolean} data.wasPaidOut - Whether the organizer was paid for the tickets before the dispute
+ * @param {string} data.dashboardUrl - Organizer dashboard URL
+ * @returns {string} - HTML email content
+ */
+const generateOrganizerDisputeEmail = (data) => {
+  const { userName, stage, eventTitle, amount, currency, reason, ticketNumbers, wasPaidOut, dashboardUrl } = data;
+  const { heading, message, notice } = getOrganizerTexts(stage, wasPaidOut);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${heading} - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .ticket-details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .ticket-details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .warning-box {
+          background-color: #fff3cd;
+          border: 1px solid #ffeaa7;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #856404;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .dashboard-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>${heading}</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            ${message}
+          </div>
+
+          <div class="ticket-details">
+            <h3>Dispute Details</h3>
+            <div class="detail-row">
+              <span class="detail-label">Event:</span>
+              <span class="detail-value">${eventTitle}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Amount:</span>
+              <span class="detail-value">${currency} ${Number(amount).toFixed(2)}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Reason:</span>
+              <span class="detail-value">${reason}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Tickets:</span>
+              <span class="detail-value">${ticketNumbers.join(', ')}</span>
+            </div>
+          </div>
+
+          <div class="warning-box">
+            <strong>Payout:</strong> ${notice}
+          </div>
+
+          <div class="button-container">
+            <a href="${dashboardUrl}" class="dashboard-button">
+              Go to Dashboard
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate organizer dispute email text
+ * @param {Object} data - Email data (see generateOrganizerDisputeEmail)
+ * @returns {string} - Text email content
+ */
+const generateOrganizerDisputeText = (data) => {
+  const { userName, stage, eventTitle, amount, currency, reason, ticketNumbers, wasPaidOut, dashboardUrl } = data;
+  const { heading, message, notice } = getOrganizerTexts(stage, wasPaidOut);
+
+  return `
+${heading} - Zafo
+
+Hello ${userName},
+
+${message}
+
+Dispute Details:
+• Event: ${eventTitle}
+• Amount: ${currency} ${Number(amount).toFixed(2)}
+• Reason: ${reason}
+• Tickets: ${ticketNumbers.join(', ')}
+
+Payout: ${notice}
+
+Go to Dashboard: ${dashboardUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+/**
+ * Generate admin dispute alert email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.stage - Dispute stage (opened, won or lost)
+ * @param {string} data.eventTitle - Event title
+ * @param {string} data.organizerName - Organizer name
+ * @param {string} data.attendeeEmail - Email of the buyer
+ * @param {number} data.amount - Disputed amount
+ * @param {string} data.currency - Currency
+ * @param {string} data.reason - Dispute reason given by the bank
+ * @param {string} data.stripeDisputeId - Stripe dispute ID
+ * @param {string} data.evidenceDueBy - Date the evidence has to be submitted by
+ * @param {string} data.transferStatus - Organizer transfer status of the purchase
+ * @param {string} data.disputeUrl - Admin URL of the dispute
+ * @returns {string} - HTML email content
+ */
+const generateAdminDisputeEmail = (data) => {
+  const { stage, eventTitle, organizerName, attendeeEmail, amount, currency, reason, stripeDisputeId, evidenceDueBy, transferStatus, disputeUrl } = data;
+  const heading = stage === 'opened' ? 'New Payment Dispute' : `Dispute ${stage === 'won' ? 'Won' : 'Lost'}`;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${heading} - Zafo Admin</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .ticket-details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .dashboard-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${heading}</h1>
+        </div>
+
+        <div class="content">
+          <div class="ticket-details">
+            <div class="detail-row">
+              <span class="detail-label">Event:</span>
+              <span class="detail-value">${eventTitle}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Organizer:</span>
+              <span class="detail-value">${organizerName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Buyer:</span>
+              <span class="detail-value">${attendeeEmail}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Amount:</span>
+              <span class="detail-value">${currency} ${Number(amount).toFixed(2)}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Reason:</span>
+              <span class="detail-value">${reason}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Stripe Dispute:</span>
+              <span class="detail-value">${stripeDisputeId}</span>
+            </div>
+            ${evidenceDueBy && stage === 'opened' ? `
+            <div class="detail-row">
+              <span class="detail-label">Evidence Due By:</span>
+              <span class="detail-value">${new Date(evidenceDueBy).toLocaleString('en-GB', { timeZone: 'Europe/Zurich' })}</span>
+            </div>
+            ` : ''}
+            <div class="detail-row">
+              <span class="detail-label">Organizer Transfer:</span>
+              <span class="detail-value">${transferStatus}</span>
+            </div>
+          </div>
+
+          <div class="button-container">
+            <a href="${disputeUrl}" class="dashboard-button">
+              View Dispute Evidence
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p>Zafo Admin Notifications</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate admin dispute alert email text
+ * @param {Object} data - Email data (see generateAdminDisputeEmail)
+ * @returns {string} - Text email content
+ */
+const generateAdminDisputeText = (data) => {
+  const { stage, eventTitle, organizerName, attendeeEmail, amount, currency, reason, stripeDisputeId, evidenceDueBy, transferStatus, disputeUrl } = data;
+  const heading = stage === 'opened' ? 'New Payment Dispute' : `Dispute ${stage === 'won' ? 'Won' : 'Lost'}`;
+
+  return `
+${heading} - Zafo Admin
+
+• Event: ${eventTitle}
+• Organizer: ${organizerName}
+• Buyer: ${attendeeEmail}
+• Amount: ${currency} ${Number(amount).toFixed(2)}
+• Reason: ${reason}
+• Stripe Dispute: ${stripeDisputeId}
+${evidenceDueBy && stage === 'opened' ? `• Evidence Due By: ${new Date(evidenceDueBy).toLocaleString('en-GB', { timeZone: 'Europe/Zurich' })}\n` : ''}• Organizer Transfer: ${transferStatus}
+
+View Dispute Evidence: ${disputeUrl}
+  `.trim();
+};
+
+module.exports = {
+  generateOrganizerDisputeEmail,
+  generateOrganizerDisputeText,
+  generateAdminDisputeEmail,
+  generateAdminDisputeText
+};
@@ -0,0 +1,315 @@
+/**
+ * Event Reminder Email Templates
+ * Reminds attendees of upcoming events with the venue or meeting link and their tickets
+ */
+
+/**
+ * Generate event reminder email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.attendeeName - Attendee's name
+ * @param {string} data.eventTitle - Event title
+ * @param {string} data.eventDate - Event start date
+ * @param {string} data.startsIn - Time until the event starts (e.g. "in 2 hours")
+ * @param {boolean} data.isOnline - Whether the event takes place online
+ * @param {string} data.meetingLink - Meeting link of online events
+ * @param {string} data.venueName - Venue name
+ * @param {string} data.venueAddress - Venue address
+ * @param {string} data.arriveBy - When attendees should arrive
+ * @param {Array} data.ticketNumbers - Ticket numbers of the attendee
+ * @param {string} data.eventUrl - Event URL
+ * @returns {string} - HTML email content
+ */
+const generateEventReminderEmail = (data) => {
+  const { attendeeName, eventTitle, eventDate, startsIn, isOnline, meetingLink, venueName, venueAddress, arriveBy, ticketNumbers, eventUrl } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Event Reminder - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .success-box {
+          background-color: #d7efff;
+          border: 1px solid #4a95eb;
+          border-radius: 6px;
+          padding: 20px;
+          margin: 20px 0;
+          color: #1390b6;
+        }
+        .ticket-details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .ticket-details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .ticket-list {
+          background-color: #d7efff;
+          border: 1px solid #4a95eb;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 15px 0;
+        }
+        .ticket-item {
+          padding: 10px;
+          margin: 5px 0;
+          background-color: white;
+          border-radius: 4px;
+          border-left: 4px solid #4a95eb;
+        }
+        .ticket-number {
+          font-family: monospace;
+          font-weight: bold;
+          color: #4a95eb;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .view-event-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+          transition: all 0.3s ease;
+          box-shadow: 0 2px 4px rgba(83, 126, 95, 0.3);
+        }
+        .view-event-button:hover {
+          transform: translateY(-2px);
+          box-shadow: 0 4px 8px rgba(83, 126, 95, 0.4);
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        .info-box {
+          background-color: #e3f2fd;
+          border: 1px solid #bbdefb;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #1976d2;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .header {
+            padding: 20px 15px;
+          }
+          .header h1 {
+            font-size: 24px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>See You Soon!</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${attendeeName},
+          </div>
+
+          <div class="message">
+            This is a friendly reminder that <strong>${eventTitle}</strong> starts ${startsIn}.
+          </div>
+
+          <div class="ticket-details">
+            <h3>Event Details</h3>
+            <div class="detail-row">
+              <span class="detail-label">Event:</span>
+              <span class="detail-value">${eventTitle}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Starts:</span>
+              <span class="detail-value">${new Date(eventDate).toLocaleString('en-GB', { timeZone: 'Europe/Zurich' })}</span>
+            </div>
+            ${isOnline ? `
+            <div class="detail-row">
+              <span class="detail-label">Meeting Link:</span>
+              <span class="detail-value"><a href="${meetingLink}">${meetingLink}</a></span>
+            </div>
+            ` : `
+            <div class="detail-row">
+              <span class="detail-label">Venue:</span>
+              <span class="detail-value">${venueName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Address:</span>
+              <span class="detail-value">${venueAddress}</span>
+            </div>
+            `}
+            ${arriveBy ? `
+            <div class="detail-row">
+              <span class="detail-label">Arrive By:</span>
+              <span class="detail-value">${arriveBy}</span>
+            </div>
+            ` : ''}
+          </div>
+
+          <div class="ticket-list">
+            <h4>Your Ticket${ticketNumbers.length === 1 ? '' : 's'}:</h4>
+            ${ticketNumbers.map(ticketNumber => `
+              <div class="ticket-item">
+                <div class="ticket-number">Ticket #: ${ticketNumber}</div>
+              </div>
+            `).join('')}
+          </div>
+
+          <div class="info-box">
+            <strong>📅 Important:</strong> ${isOnline
+              ? 'Join a few minutes early to check your audio and video.'
+              : 'Please have your ticket QR code or ticket number ready at the entrance.'}
+          </div>
+
+          <div class="button-container">
+            <a href="${eventUrl}" class="view-event-button">
+              View Event Details
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate text versions of all emails
+ */
+const generateEventReminderText = (data) => {
+  const { attendeeName, eventTitle, eventDate, startsIn, isOnline, meetingLink, venueName, venueAddress, arriveBy, ticketNumbers, eventUrl } = data;
+
+  return `
+Event Reminder - Zafo
+
+Hello ${attendeeName},
+
+This is a friendly reminder that ${eventTitle} starts ${startsIn}.
+
+Event Details:
+• Event: ${eventTitle}
+• Starts: ${new Date(eventDate).toLocaleString('en-GB', { timeZone: 'Europe/Zurich' })}
+${isOnline ? `• Meeting Link: ${meetingLink}` : `• Venue: ${venueName}
+• Address: ${venueAddress}`}
+${arriveBy ? `• Arrive By: ${arriveBy}\n` : ''}
+Your Ticket${ticketNumbers.length === 1 ? '' : 's'}:
+${ticketNumbers.map(ticketNumber => `- Ticket #: ${ticketNumber}`).join('\n')}
+
+📅 Important: ${isOnline
+    ? 'Join a few minutes early to check your audio and video.'
+    : 'Please have your ticket QR code or ticket number ready at the entrance.'}
+
+View Event Details: ${eventUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+module.exports = {
+  generateEventReminderEmail,
+  generateEventReminderText
+};
@@ -9,6 +9,12 @@ const emailVerificationTemplate = require('./email-verification');
 const adminNotificationsTemplate = require('./admin-notifications');
 const paymentNotificationsTemplate = require('./payment-notifications');
 const userNotificationsTemplate = require('./user-notifications');
+const waitlistNotificationsTemplate = require('./waitlist-notifications');
+const organizerApplicationsTemplate = require('./organizer-applications');
+const securityNotificationsTemplate = require('./security-notifications');
+const teamInvitationsTemplate = require('./team-invitations');
+const eventRemindersTemplate = require('./event-reminders');
+const disputeNotificationsTemplate = require('./dispute-notifications');
 
 module.exports = {
   forgotPassword: forgotPasswordTemplate,
@@ -16,5 +22,11 @@ module.exports = {
   emailVerification: emailVerificationTemplate,
   adminNotifications: adminNotificationsTemplate,
   paymentNotifications: paymentNotificationsTemplate,
-  userNotifications: userNotificationsTemplate
+  userNotifications: userNotificationsTemplate,
+  waitlistNotifications: waitlistNotificationsTemplate,
+  organizerApplications: organizerApplicationsTemplate,
+  securityNotifications: securityNotificationsTemplate,
+  teamInvitations: teamInvitationsTemplate,
+  eventReminders: eventRemindersTemplate,
+  disputeNotifications: disputeNotificationsTemplate
 }; 
\ No newline at end of file
@@ -0,0 +1,677 @@
+/**
+ * Organizer Application Email Templates
+ * Keeps applicants informed about the review of their organizer application
+ */
+
+/**
+ * Generate application received email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - Applicant's first name
+ * @param {string} data.organizationName - Organization name
+ * @param {string} data.submittedAt - Date the application was submitted
+ * @returns {string} - HTML email content
+ */
+const generateApplicationReceivedEmail = (data) => {
+  const { userName, organizationName, submittedAt } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Application Received - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .info-box {
+          background-color: #e7f3ff;
+          border: 1px solid #b3d9ff;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #0c5460;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>Application Received</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            Thank you for applying to become an organizer on Zafo. We have received your application
+            and our team will review it shortly.
+          </div>
+
+          <div class="details">
+            <h3>Your Application</h3>
+            <div class="detail-row">
+              <span class="detail-label">Organization:</span>
+              <span class="detail-value">${organizationName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Submitted:</span>
+              <span class="detail-value">${new Date(submittedAt).toLocaleDateString()}</span>
+            </div>
+          </div>
+
+          <div class="info-box">
+            <strong>What happens next?</strong> An admin will review your organization details and documents.
+            We will email you as soon as a decision has been made.
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate application approved email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - Applicant's first name
+ * @param {string} data.organizationName - Organization name
+ * @param {string} data.submittedAt - Date the application was submitted
+ * @param {string} data.note - Optional message from the reviewer
+ * @param {string} data.dashboardUrl - Organizer dashboard URL
+ * @returns {string} - HTML email content
+ */
+const generateApplicationApprovedEmail = (data) => {
+  const { userName, organizationName, submittedAt, note, dashboardUrl } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Application Approved - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .success-box {
+          background-color: #d4edda;
+          border: 1px solid #c3e6cb;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #155724;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>Application Approved</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            Congratulations! Your application to become an organizer on Zafo has been approved.
+            You can now create events and set up payouts.
+          </div>
+
+          <div class="details">
+            <h3>Your Application</h3>
+            <div class="detail-row">
+              <span class="detail-label">Organization:</span>
+              <span class="detail-value">${organizationName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Submitted:</span>
+              <span class="detail-value">${new Date(submittedAt).toLocaleDateString()}</span>
+            </div>
+          </div>
+
+          ${note ? `
+          <div class="success-box">
+            <strong>Message from our team:</strong> ${note}
+          </div>
+          ` : ''}
+
+          <div class="button-container">
+            <a href="${dashboardUrl}" class="action-button">
+              Go to Organizer Dashboard
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate application rejected email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - Applicant's first name
+ * @param {string} data.organizationName - Organization name
+ * @param {string} data.submittedAt - Date the application was submitted
+ * @param {string} data.reason - Rejection reason
+ * @param {string} data.applicationUrl - URL to submit a new application
+ * @returns {string} - HTML email content
+ */
+const generateApplicationRejectedEmail = (data) => {
+  const { userName, organizationName, submittedAt, reason, applicationUrl } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Application Not Approved - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #dc3545 0%, #c82333 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .warning-box {
+          background-color: #fff3cd;
+          border: 1px solid #ffeaa7;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #856404;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>Application Not Approved</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            Thank you for your interest in organizing events on Zafo. Unfortunately, we could not approve
+            your organizer application at this time.
+          </div>
+
+          <div class="details">
+            <h3>Your Application</h3>
+            <div class="detail-row">
+              <span class="detail-label">Organization:</span>
+              <span class="detail-value">${organizationName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Submitted:</span>
+              <span class="detail-value">${new Date(submittedAt).toLocaleDateString()}</span>
+            </div>
+          </div>
+
+          <div class="warning-box">
+            <strong>Reason:</strong> ${reason}
+          </div>
+
+          <div class="message">
+            You are welcome to submit a new application once the points above have been addressed.
+          </div>
+
+          <div class="button-container">
+            <a href="${applicationUrl}" class="action-button">
+              Submit a New Application
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate text versions of all emails
+ */
+const generateApplicationReceivedText = (data) => {
+  const { userName, organizationName, submittedAt } = data;
+
+  return `
+Application Received - Zafo
+
+Hello ${userName},
+
+Thank you for applying to become an organizer on Zafo. We have received your application
+and our team will review it shortly.
+
+Your Application:
+• Organization: ${organizationName}
+• Submitted: ${new Date(submittedAt).toLocaleDateString()}
+
+What happens next? An admin will review your organization details and documents.
+We will email you as soon as a decision has been made.
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+const generateApplicationApprovedText = (data) => {
+  const { userName, organizationName, submittedAt, note, dashboardUrl } = data;
+
+  return `
+Application Approved - Zafo
+
+Hello ${userName},
+
+Congratulations! Your application to become an organizer on Zafo has been approved.
+You can now create events and set up payouts.
+
+Your Application:
+• Organization: ${organizationName}
+• Submitted: ${new Date(submittedAt).toLocaleDateString()}
+${note ? `\nMessage from our team: ${note}\n` : ''}
+Go to Organizer Dashboard: ${dashboardUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+const generateApplicationRejectedText = (data) => {
+  const { userName, organizationName, submittedAt, reason, applicationUrl } = data;
+
+  return `
+Application Not Approved - Zafo
+
+Hello ${userName},
+
+Thank you for your interest in organizing events on Zafo. Unfortunately, we could not approve
+your organizer application at this time.
+
+Your Application:
+• Organization: ${organizationName}
+• Submitted: ${new Date(submittedAt).toLocaleDateString()}
+
+Reason: ${reason}
+
+You are welcome to submit a new application once the points above have been addressed.
+
+Submit a New Application: ${applicationUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+module.exports = {
+  generateApplicationReceivedEmail,
+  generateApplicationApprovedEmail,
+  generateApplicationRejectedEmail,
+  generateApplicationReceivedText,
+  generateApplicationApprovedText,
+  generateApplicationRejectedText
+};
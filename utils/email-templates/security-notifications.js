@@ -0,0 +1,493 @@
+/**
+ * Security Notification Email Templates
+ * Alerts users about security-relevant activity on their account
+ */
+
+/**
+ * Generate new login email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - User's first name
+ * @param {string} data.browser - Browser of the login
+ * @param {string} data.os - Operating system of the login
+ * @param {string} data.deviceType - Device type of the login
+ * @param {string} data.ipAddress - IP address of the login
+ * @param {string} data.loginTime - Date and time of the login
+ * @param {string} data.sessionsUrl - URL of the active sessions page
+ * @param {string} data.resetPasswordUrl - URL to reset the password
+ * @returns {string} - HTML email content
+ */
+const generateNewLoginEmail = (data) => {
+  const { userName, browser, os, deviceType, ipAddress, loginTime, sessionsUrl, resetPasswordUrl } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>New Login to Your Account - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .warning-box {
+          background-color: #fff3cd;
+          border: 1px solid #ffeaa7;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #856404;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>New Login Detected</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            Your Zafo account was just accessed from a device we have not seen before.
+            If this was you, there is nothing you need to do.
+          </div>
+
+          <div class="details">
+            <h3>Login Details</h3>
+            <div class="detail-row">
+              <span class="detail-label">Time:</span>
+              <span class="detail-value">${loginTime}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Browser:</span>
+              <span class="detail-value">${browser}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Operating System:</span>
+              <span class="detail-value">${os}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Device:</span>
+              <span class="detail-value">${deviceType}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">IP Address:</span>
+              <span class="detail-value">${ipAddress}</span>
+            </div>
+          </div>
+
+          <div class="warning-box">
+            <strong>Wasn't you?</strong> Sign out the unknown session and reset your password right away.
+            Resetting your password logs out every device.
+          </div>
+
+          <div class="button-container">
+            <a href="${sessionsUrl}" class="action-button">
+              Review Active Sessions
+            </a>
+          </div>
+
+          <div class="message" style="text-align: center;">
+            <a href="${resetPasswordUrl}" style="color: #4a95eb;">Reset your password</a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate two-factor authentication change email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - User's first name
+ * @param {string} data.change - enabled, disabled or reset
+ * @param {string} data.adminName - Admin who reset two-factor authentication (reset only)
+ * @param {string} data.changeTime - Date and time of the change
+ * @param {string} data.securityUrl - URL of the security settings
+ * @returns {string} - HTML email content
+ */
+const generateTwoFactorChangedEmail = (data) => {
+  const { userName, change, adminName, changeTime, securityUrl } = data;
+  const titles = {
+    enabled: 'Two-Factor Authentication Enabled',
+    disabled: 'Two-Factor Authentication Disabled',
+    reset: 'Two-Factor Authentication Reset'
+  };
+  const messages = {
+    enabled: 'Two-factor authentication is now enabled on your Zafo account. From now on you will be asked for a code from your authenticator app when you log in.',
+    disabled: 'Two-factor authentication was turned off for your Zafo account. Your account is now protected by your password only.',
+    reset: `Two-factor authentication on your Zafo account was reset by ${adminName}. All your sessions were ended. You can set up a new authenticator app after logging in.`
+  };
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${titles[change]} - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .warning-box {
+          background-color: #fff3cd;
+          border: 1px solid #ffeaa7;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #856404;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>${titles[change]}</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            ${messages[change]}
+          </div>
+
+          <div class="details">
+            <h3>Change Details</h3>
+            <div class="detail-row">
+              <span class="detail-label">Time:</span>
+              <span class="detail-value">${changeTime}</span>
+            </div>
+          </div>
+
+          <div class="warning-box">
+            <strong>Didn't make this change?</strong> Reset your password immediately and contact our support team.
+          </div>
+
+          <div class="button-container">
+            <a href="${securityUrl}" class="action-button">
+              Review Security Settings
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate text versions of all emails
+ */
+const generateNewLoginText = (data) => {
+  const { userName, browser, os, deviceType, ipAddress, loginTime, sessionsUrl, resetPasswordUrl } = data;
+
+  return `
+New Login Detected - Zafo
+
+Hello ${userName},
+
+Your Zafo account was just accessed from a device we have not seen before.
+If this was you, there is nothing you need to do.
+
+Login Details:
+• Time: ${loginTime}
+• Browser: ${browser}
+• Operating System: ${os}
+• Device: ${deviceType}
+• IP Address: ${ipAddress}
+
+Wasn't you? Sign out the unknown session and reset your password right away.
+Resetting your password logs out every device.
+
+Review Active Sessions: ${sessionsUrl}
+Reset your password: ${resetPasswordUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+const generateTwoFactorChangedText = (data) => {
+  const { userName, change, adminName, changeTime, securityUrl } = data;
+  const titles = {
+    enabled: 'Two-Factor Authentication Enabled',
+    disabled: 'Two-Factor Authentication Disabled',
+    reset: 'Two-Factor Authentication Reset'
+  };
+  const messages = {
+    enabled: 'Two-factor authentication is now enabled on your Zafo account. From now on you will be asked for a code from your authenticator app when you log in.',
+    disabled: 'Two-factor authentication was turned off for your Zafo account. Your account is now protected by your password only.',
+    reset: `Two-factor authentication on your Zafo account was reset by ${adminName}. All your sessions were ended. You can set up a new authenticator app after logging in.`
+  };
+
+  return `
+${titles[change]} - Zafo
+
+Hello ${userName},
+
+${messages[change]}
+
+Time: ${changeTime}
+
+Didn't make this change? Reset your password immediately and contact our support team.
+
+Review Security Settings: ${securityUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+module.exports = {
+  generateNewLoginEmail,
+  generateTwoFactorChangedEmail,
+  generateNewLoginText,
+  generateTwoFactorChangedText
+};
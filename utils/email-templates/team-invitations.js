@@ -0,0 +1,237 @@
+/**
+ * Team Invitation Email Templates
+ * Invitations to join the team of an organizer for one event or all of their events
+ */
+
+/**
+ * Generate team invitation email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.inviteeName - Invitee's first name (null if they have no account yet)
+ * @param {string} data.organizerName - Name of the organizer who sent the invitation
+ * @param {string} data.roleName - Team role
+ * @param {string} data.roleDescription - What the role can do
+ * @param {string} data.scopeLabel - Event title or "All events"
+ * @param {string} data.invitationUrl - URL to accept the invitation
+ * @param {boolean} data.hasAccount - Whether the invitee already has an account
+ * @returns {string} - HTML email content
+ */
+const generateTeamInvitationEmail = (data) => {
+  const { inviteeName, organizerName, roleName, roleDescription, scopeLabel, invitationUrl, hasAccount } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Team Invitation - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .info-box {
+          background-color: #e7f3ff;
+          border: 1px solid #b3d9ff;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #0c5460;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .action-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>You're Invited</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello${inviteeName ? ` ${inviteeName}` : ''},
+          </div>
+
+          <div class="message">
+            ${organizerName} has invited you to join their event team on Zafo.
+          </div>
+
+          <div class="details">
+            <h3>Invitation</h3>
+            <div class="detail-row">
+              <span class="detail-label">Role:</span>
+              <span class="detail-value">${roleName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Access to:</span>
+              <span class="detail-value">${scopeLabel}</span>
+            </div>
+          </div>
+
+          <div class="info-box">
+            <strong>What you can do:</strong> ${roleDescription}
+          </div>
+
+          <div class="button-container">
+            <a href="${invitationUrl}" class="action-button">${hasAccount ? 'View Invitation' : 'Create Account'}</a>
+          </div>
+
+          ${hasAccount ? '' : `
+          <div class="message">
+            Create your Zafo account with this email address, the invitation will be waiting for you after you log in.
+          </div>
+          `}
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            If you did not expect this invitation, you can ignore this email.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate text versions of all emails
+ */
+const generateTeamInvitationText = (data) => {
+  const { inviteeName, organizerName, roleName, roleDescription, scopeLabel, invitationUrl, hasAccount } = data;
+
+  return `
+Team Invitation - Zafo
+
+Hello${inviteeName ? ` ${inviteeName}` : ''},
+
+${organizerName} has invited you to join their event team on Zafo.
+
+Invitation:
+• Role: ${roleName}
+• Access to: ${scopeLabel}
+
+What you can do: ${roleDescription}
+
+${hasAccount ? 'View Invitation' : 'Create Account'}: ${invitationUrl}
+${hasAccount ? '' : '\nCreate your Zafo account with this email address, the invitation will be waiting for you after you log in.\n'}
+Best regards,
+The Zafo Team
+
+---
+If you did not expect this invitation, you can ignore this email.
+  `.trim();
+};
+
+module.exports = {
+  generateTeamInvitationEmail,
+  generateTeamInvitationText
+};
@@ -11,7 +11,7 @@
  * @param {string} data.eventDate - Event date
  * @param {string} data.eventLocation - Event location
  * @param {number} data.quantity - Number of tickets
- * @param {number} data.totalAmount - Total amount paid
+ * @param {number} data.totalAmount - Total amount paid (0 for a free registration)
  * @param {string} data.currency - Currency
  * @param {Array} data.ticketDetails - Ticket details with ticket numbers
  * @param {string} data.eventUrl - Event URL
@@ -228,7 +228,7 @@ const generateTicketPurchaseEmail = (data) => {
             </div>
             <div class="detail-row">
               <span class="detail-label">Total Amount:</span>
-              <span class="detail-value">${currency} ${totalAmount.toFixed(2)}</span>
+              <span class="detail-value">${totalAmount > 0 ? `${currency} ${totalAmount.toFixed(2)}` : 'Free'}</span>
             </div>
           </div>
           
@@ -777,6 +777,197 @@ const generateEventCreationEmail = (data) => {
   `;
 };
 
+/**
+ * Generate event cancellation email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - Recipient's name
+ * @param {string} data.eventTitle - Event title
+ * @param {string} data.eventDate - Event date
+ * @param {string} data.reason - Cancellation reason
+ * @param {Array} data.ticketNumbers - Ticket numbers of the recipient
+ * @param {number} data.refundAmount - Refund amount (only for the buyer)
+ * @param {boolean} data.isFree - Whether the tickets were free registrations (nothing to refund)
+ * @param {string} data.currency - Currency
+ * @returns {string} - HTML email content
+ */
+const generateEventCancellationEmail = (data) => {
+  const { userName, eventTitle, eventDate, reason, ticketNumbers, refundAmount, currency, isFree } = data;
+  const hasRefund = typeof refundAmount === 'number';
+  
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Event Canceled - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #dc3545 0%, #c82333 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .ticket-details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .success-box {
+          background-color: #d4edda;
+          border: 1px solid #c3e6cb;
+          border-radius: 6px;
+          padding: 20px;
+          margin: 20px 0;
+          color: #155724;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>Event Canceled</h1>
+        </div>
+        
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+          
+          <div class="message">
+            We are sorry to let you know that the organizer has canceled the following event. 
+            Your tickets are no longer valid.
+          </div>
+          
+          <div class="ticket-details">
+            <div class="detail-row">
+              <span class="detail-label">Event:</span>
+              <span class="detail-value">${eventTitle}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Date:</span>
+              <span class="detail-value">${new Date(eventDate).toLocaleDateString()}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Reason:</span>
+              <span class="detail-value">${reason}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Tickets:</span>
+              <span class="detail-value">${ticketNumbers.join(', ')}</span>
+            </div>
+          </div>
+          
+          ${isFree ? `
+          <div class="message">
+            Your free registration has been canceled, there is nothing to refund.
+          </div>
+          ` : hasRefund ? `
+          <div class="success-box">
+            <strong>💰 Full Refund:</strong> ${currency} ${refundAmount.toFixed(2)} is being refunded to your original payment method. 
+            No cancellation fee is charged. Refunds usually appear within 5-10 business days.
+          </div>
+          ` : `
+          <div class="message">
+            The person who purchased your ticket receives a full refund.
+          </div>
+          `}
+        </div>
+        
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
 /**
  * Generate text versions of all emails
  */
@@ -798,7 +989,7 @@ Event Details:
 • Date: ${new Date(eventDate).toLocaleDateString()}
 • Location: ${eventLocation}
 • Quantity: ${quantity} ticket(s)
-• Total Amount: ${currency} ${totalAmount.toFixed(2)}
+• Total Amount: ${totalAmount > 0 ? `${currency} ${totalAmount.toFixed(2)}` : 'Free'}
 
 Your Tickets:
 ${ticketDetails.map(ticket => `
@@ -903,11 +1094,43 @@ This is an automated email. Please do not reply to this message.
   `.trim();
 };
 
+const generateEventCancellationText = (data) => {
+  const { userName, eventTitle, eventDate, reason, ticketNumbers, refundAmount, currency, isFree } = data;
+  const hasRefund = typeof refundAmount === 'number';
+  
+  return `
+Event Canceled - Zafo
+
+Hello ${userName},
+
+We are sorry to let you know that the organizer has canceled the following event. 
+Your tickets are no longer valid.
+
+• Event: ${eventTitle}
+• Date: ${new Date(eventDate).toLocaleDateString()}
+• Reason: ${reason}
+• Tickets: ${ticketNumbers.join(', ')}
+
+${isFree ? 'Your free registration has been canceled, there is nothing to refund.' : hasRefund
+  ? `💰 Full Refund: ${currency} ${refundAmount.toFixed(2)} is being refunded to your original payment method. 
+No cancellation fee is charged. Refunds usually appear within 5-10 business days.`
+  : 'The person who purchased your ticket receives a full refund.'}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
 module.exports = {
   generateTicketPurchaseEmail,
   generateTicketPurchaseText,
   generateRefundRequestEmail,
   generateRefundRequestText,
   generateEventCreationEmail,
-  generateEventCreationText
+  generateEventCreationText,
+  generateEventCancellationEmail,
+  generateEventCancellationText
 }; 
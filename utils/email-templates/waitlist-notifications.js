@@ -0,0 +1,253 @@
+/**
+ * Waitlist Notification Email Templates
+ * Sends purchase offers to users on the waitlist of sold-out events
+ */
+
+/**
+ * Generate waitlist purchase offer email HTML
+ * @param {Object} data - Email data
+ * @param {string} data.userName - User's first name
+ * @param {string} data.eventTitle - Event title
+ * @param {string} data.eventDate - Event date
+ * @param {string} data.eventLocation - Event location
+ * @param {number} data.quantity - Number of tickets held for the user
+ * @param {string} data.ticketTypeName - Ticket type name
+ * @param {string} data.offerExpiresAt - Date the offer expires
+ * @param {string} data.purchaseUrl - URL to complete the purchase
+ * @returns {string} - HTML email content
+ */
+const generateWaitlistOfferEmail = (data) => {
+  const { userName, eventTitle, eventDate, eventLocation, quantity, ticketTypeName, offerExpiresAt, purchaseUrl } = data;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Tickets Available - Zafo</title>
+      <style>
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          margin: 0;
+          padding: 0;
+          background-color: #f4f4f4;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          overflow: hidden;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+        .header {
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 30px 20px;
+          text-align: center;
+        }
+        .header h1 {
+          margin: 0;
+          font-size: 28px;
+          font-weight: 600;
+        }
+        .content {
+          padding: 40px 30px;
+        }
+        .greeting {
+          font-size: 18px;
+          margin-bottom: 20px;
+          color: #333;
+        }
+        .message {
+          font-size: 16px;
+          margin-bottom: 30px;
+          color: #666;
+        }
+        .ticket-details {
+          background-color: #f8f9fa;
+          border-radius: 8px;
+          padding: 20px;
+          margin: 20px 0;
+        }
+        .ticket-details h3 {
+          color: #4a95eb;
+          margin-top: 0;
+          margin-bottom: 15px;
+        }
+        .detail-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 8px 0;
+          border-bottom: 1px solid #dee2e6;
+        }
+        .detail-row:last-child {
+          border-bottom: none;
+        }
+        .detail-label {
+          font-weight: 600;
+          color: #495057;
+        }
+        .detail-value {
+          color: #6c757d;
+        }
+        .warning-box {
+          background-color: #fff3cd;
+          border: 1px solid #ffeaa7;
+          border-radius: 6px;
+          padding: 15px;
+          margin: 20px 0;
+          color: #856404;
+        }
+        .button-container {
+          text-align: center;
+          margin: 30px 0;
+        }
+        .purchase-button {
+          display: inline-block;
+          background: linear-gradient(135deg, #4a95eb 0%, #1390b6 100%);
+          color: white;
+          padding: 15px 30px;
+          text-decoration: none;
+          border-radius: 6px;
+          font-size: 16px;
+          font-weight: 600;
+        }
+        .footer {
+          background-color: #f8f9fa;
+          padding: 20px 30px;
+          text-align: center;
+          border-top: 1px solid #e9ecef;
+        }
+        .footer p {
+          margin: 5px 0;
+          color: #6c757d;
+          font-size: 14px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          margin-bottom: 10px;
+        }
+        @media only screen and (max-width: 600px) {
+          .container {
+            margin: 10px;
+            border-radius: 4px;
+          }
+          .content {
+            padding: 20px 15px;
+          }
+          .detail-row {
+            flex-direction: column;
+            gap: 5px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">Zafo</div>
+          <h1>Tickets Are Available</h1>
+        </div>
+
+        <div class="content">
+          <div class="greeting">
+            Hello ${userName},
+          </div>
+
+          <div class="message">
+            Good news! Seats have opened up for an event you are on the waitlist for.
+            We are holding your tickets so you can complete your purchase.
+          </div>
+
+          <div class="ticket-details">
+            <h3>Your Offer</h3>
+            <div class="detail-row">
+              <span class="detail-label">Event:</span>
+              <span class="detail-value">${eventTitle}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Date:</span>
+              <span class="detail-value">${new Date(eventDate).toLocaleDateString()}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Location:</span>
+              <span class="detail-value">${eventLocation}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Ticket Type:</span>
+              <span class="detail-value">${ticketTypeName}</span>
+            </div>
+            <div class="detail-row">
+              <span class="detail-label">Quantity:</span>
+              <span class="detail-value">${quantity} ticket(s)</span>
+            </div>
+          </div>
+
+          <div class="warning-box">
+            <strong>⏰ Offer expires:</strong> ${new Date(offerExpiresAt).toLocaleString()}.
+            If you do not complete your purchase by then, the tickets will be offered to the next person on the waitlist.
+          </div>
+
+          <div class="button-container">
+            <a href="${purchaseUrl}" class="purchase-button">
+              Complete Purchase
+            </a>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p><strong>Best regards,</strong></p>
+          <p>The Zafo Team</p>
+          <p style="margin-top: 20px; font-size: 12px; color: #999;">
+            This is an automated email. Please do not reply to this message.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate text versions of all emails
+ */
+const generateWaitlistOfferText = (data) => {
+  const { userName, eventTitle, eventDate, eventLocation, quantity, ticketTypeName, offerExpiresAt, purchaseUrl } = data;
+
+  return `
+Tickets Are Available - Zafo
+
+Hello ${userName},
+
+Good news! Seats have opened up for an event you are on the waitlist for.
+We are holding your tickets so you can complete your purchase.
+
+Your Offer:
+• Event: ${eventTitle}
+• Date: ${new Date(eventDate).toLocaleDateString()}
+• Location: ${eventLocation}
+• Ticket Type: ${ticketTypeName}
+• Quantity: ${quantity} ticket(s)
+
+⏰ Offer expires: ${new Date(offerExpiresAt).toLocaleString()}.
+If you do not complete your purchase by then, the tickets will be offered to the next person on the waitlist.
+
+Complete Purchase: ${purchaseUrl}
+
+Best regards,
+The Zafo Team
+
+---
+This is an automated email. Please do not reply to this message.
+  `.trim();
+};
+
+module.exports = {
+  generateWaitlistOfferEmail,
+  generateWaitlistOfferText
+};
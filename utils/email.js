@@ -34,6 +34,7 @@ class EmailService {
    * @param {string} options.subject - Email subject
    * @param {string} options.html - HTML content
    * @param {string} options.text - Plain text content (optional)
+   * @param {Array} options.attachments - Attachments (optional, nodemailer format)
    * @returns {Promise<Object>} - Send result
    */
   async sendEmail(options) {
@@ -50,6 +51,10 @@ class EmailService {
         text: options.text || this.stripHtml(options.html)
       };
 
+      if (options.attachments && options.attachments.length > 0) {
+        mailOptions.attachments = options.attachments;
+      }
+
       const result = await this.transporter.sendMail(mailOptions);
       console.log('Email sent successfully:', result.messageId);
       return { success: true, messageId: result.messageId };
@@ -0,0 +1,103 @@
+// Cancellation fee per ticket for events without refund rules
+const DEFAULT_CANCELLATION_FEE = 2.50;
+
+/**
+ * Round an amount to cents
+ * @param {Number} amount - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the refund rules of an event
+ * Events without refund windows can be refunded in full until they end (minus the fee)
+ * @param {Object} event - Event document
+ * @returns {Object} Refund rules (isRefundable, windows sorted from longest to shortest notice, fee)
+ */
+const getRefundRules = (event) => {
+  const rules = event.refundRules || {};
+  const windows = (rules.windows || [])
+    .map(window => ({ hoursBeforeStart: window.hoursBeforeStart, refundPercentage: window.refundPercentage }))
+    .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+
+  return {
+    isRefundable: rules.isRefundable !== false,
+    windows,
+    fee: {
+      type: (rules.fee && rules.fee.type) || 'fixed',
+      amount: rules.fee && rules.fee.amount != null ? rules.fee.amount : DEFAULT_CANCELLATION_FEE
+    }
+  };
+};
+
+/**
+ * Quote a refund under the refund rules of an event
+ * @param {Object} options - Quote options
+ * @param {Object} options.event - Event document
+ * @param {Number} options.unitPrice - Price paid per ticket
+ * @param {Number} options.ticketCount - Number of tickets to refund
+ * @param {Date} options.at - Date the refund is requested (defaults to now)
+ * @returns {Object} Refund quote (isRefundable, message, refundPercentage, amounts per ticket and in total)
+ */
+const quoteRefund = ({ event, unitPrice, ticketCount, at = new Date() }) => {
+  const rules = getRefundRules(event);
+  const hoursBeforeStart = (new Date(event.startDate) - at) / (60 * 60 * 1000);
+
+  const quote = {
+    isRefundable: false,
+    message: null,
+    refundPercentage: 0,
+    hoursBeforeStart: roundAmount(hoursBeforeStart),
+    ticketCount,
+    unitPrice,
+    grossAmount: 0,
+    cancellationFeePerTicket: 0,
+    cancellationFee: 0,
+    refundPerTicket: 0,
+    refundAmount: 0,
+    rules
+  };
+
+  if (!rules.isRefundable) {
+    quote.message = 'Tickets for this event are non-refundable';
+    return quote;
+  }
+
+  if (new Date(event.endDate) <= at) {
+    quote.message = 'Refund is not possible after event end date';
+    return quote;
+  }
+
+  if (rules.windows.length > 0) {
+    // The window with the longest notice the request still meets
+    const window = rules.windows.find(item => hoursBeforeStart >= item.hoursBeforeStart);
+    quote.refundPercentage = window ? window.refundPercentage : 0;
+  } else {
+    quote.refundPercentage = 100;
+  }
+
+  if (quote.refundPercentage === 0) {
+    quote.message = 'The refund period for this event has ended';
+    return quote;
+  }
+
+  const grossPerTicket = roundAmount(unitPrice * quote.refundPercentage / 100);
+  const feePerTicket = rules.fee.type === 'percentage'
+    ? roundAmount(grossPerTicket * rules.fee.amount / 100)
+    : rules.fee.amount;
+
+  quote.isRefundable = true;
+  quote.cancellationFeePerTicket = Math.min(feePerTicket, grossPerTicket);
+  quote.refundPerTicket = roundAmount(grossPerTicket - quote.cancellationFeePerTicket);
+  quote.grossAmount = roundAmount(grossPerTicket * ticketCount);
+  quote.cancellationFee = roundAmount(quote.cancellationFeePerTicket * ticketCount);
+  quote.refundAmount = roundAmount(quote.refundPerTicket * ticketCount);
+
+  return quote;
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_FEE,
+  getRefundRules,
+  quoteRefund
+};
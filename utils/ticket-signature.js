@@ -0,0 +1,48 @@
+const jwt = require('jsonwebtoken');
+
+// Tickets are signed with their own secret so a leaked QR code cannot be used as a login token
+const TICKET_SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key-for-development-only';
+const TICKET_SUBJECT = 'ticket';
+
+/**
+ * Sign the payload encoded in a ticket QR code
+ * @param {Object} data - Ticket data
+ * @param {String} data.ticketNumber - Ticket number
+ * @param {String} data.eventId - Event ID
+ * @param {String} data.attendee - Attendee email
+ * @returns {String} Signed ticket payload
+ */
+const signTicketPayload = ({ ticketNumber, eventId, attendee }) => {
+  return jwt.sign(
+    { ticketNumber, eventId: eventId.toString(), attendee },
+    TICKET_SIGNING_SECRET,
+    { subject: TICKET_SUBJECT, noTimestamp: true }
+  );
+};
+
+/**
+ * Verify a scanned ticket payload
+ * @param {String} payload - Signed ticket payload
+ * @returns {Object|null} Ticket data or null if the payload was tampered with
+ */
+const verifyTicketPayload = (payload) => {
+  try {
+    const decoded = jwt.verify(payload, TICKET_SIGNING_SECRET, {
+      subject: TICKET_SUBJECT,
+      algorithms: ['HS256']
+    });
+
+    return {
+      ticketNumber: decoded.ticketNumber,
+      eventId: decoded.eventId,
+      attendee: decoded.attendee
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signTicketPayload,
+  verifyTicketPayload
+};
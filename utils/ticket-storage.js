@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { uploadPdfBuffer, deletePdf } = require('./cloudinary');
+
+/**
+ * Download a file into a buffer
+ * @param {String} url - File URL
+ * @returns {Promise<Buffer>} File content
+ */
+const download = (url) => {
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Failed to download file (status ${response.statusCode})`));
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+    }).on('error', reject);
+  });
+};
+
+/**
+ * Cloudinary backend
+ * Stores ticket PDFs as raw files in the 'tickets' folder
+ */
+const cloudinaryBackend = {
+  async save(key, buffer) {
+    const result = await uploadPdfBuffer(buffer, key);
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  async read(file) {
+    return download(file.url);
+  },
+
+  async remove(file) {
+    await deletePdf(file.key);
+  }
+};
+
+/**
+ * Local disk backend
+ * Stores ticket PDFs in TICKET_STORAGE_DIR (for development and self-hosting)
+ */
+const localDir = process.env.TICKET_STORAGE_DIR || path.join(__dirname, '../storage/tickets');
+
+const localBackend = {
+  async save(key, buffer) {
+    await fs.promises.mkdir(localDir, { recursive: true });
+    await fs.promises.writeFile(path.join(localDir, `${key}.pdf`), buffer);
+    return { key, url: null };
+  },
+
+  async read(file) {
+    return fs.promises.readFile(path.join(localDir, `${file.key}.pdf`));
+  },
+
+  async remove(file) {
+    await fs.promises.rm(path.join(localDir, `${file.key}.pdf`), { force: true });
+  }
+};
+
+/**
+ * Ticket Storage
+ * Stores generated ticket PDFs through a pluggable backend
+ * The backend is selected with TICKET_STORAGE_PROVIDER ('cloudinary' or 'local')
+ */
+class TicketStorage {
+  constructor() {
+    this.backends = new Map();
+    this.registerBackend('cloudinary', cloudinaryBackend);
+    this.registerBackend('local', localBackend);
+  }
+
+  /**
+   * Register a storage backend
+   * @param {String} name - Backend name
+   * @param {Object} backend - Backend implementing save(key, buffer), read(file) and remove(file)
+   */
+  registerBackend(name, backend) {
+    this.backends.set(name, backend);
+  }
+
+  /**
+   * Get the name of the backend new files are stored with
+   * @returns {String} Backend name
+   */
+  getDefaultProvider() {
+    if (process.env.TICKET_STORAGE_PROVIDER) {
+      return process.env.TICKET_STORAGE_PROVIDER;
+    }
+    return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+  }
+
+  /**
+   * Get a registered backend
+   * @param {String} provider - Backend name
+   * @returns {Object} Storage backend
+   */
+  getBackend(provider) {
+    const backend = this.backends.get(provider);
+    if (!backend) {
+      throw new Error(`Unknown ticket storage provider: ${provider}`);
+    }
+    return backend;
+  }
+
+  /**
+   * Store a PDF
+   * @param {String} key - File key (without extension)
+   * @param {Buffer} buffer - PDF content
+   * @returns {Promise<Object>} Stored file reference (provider, key, url)
+   */
+  async save(key, buffer) {
+    const provider = this.getDefaultProvider();
+    const stored = await this.getBackend(provider).save(key, buffer);
+    return { provider, ...stored };
+  }
+
+  /**
+   * Read a stored PDF
+   * @param {Object} file - Stored file reference
+   * @returns {Promise<Buffer>} PDF content
+   */
+  async read(file) {
+    return this.getBackend(file.provider).read(file);
+  }
+
+  /**
+   * Remove a stored PDF
+   * @param {Object} file - Stored file reference
+   */
+  async remove(file) {
+    await this.getBackend(file.provider).remove(file);
+  }
+}
+
+// Create singleton instance
+const ticketStorage = new TicketStorage();
+
+module.exports = ticketStorage;
@@ -2,11 +2,16 @@ const jwt = require('jsonwebtoken');
 
 // Get JWT secret from environment variables or use a default for development
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-for-development-only';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived, sessions are kept alive with the refresh token
+const JWT_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Refresh token cookie, only sent to the auth routes
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
 
 /**
  * Generate JWT token
- * @param {Object} payload - The data to encode in the token
+ * @param {Object} payload - The data to encode in the token (id and session ID)
  * @returns {String} JWT token
  */
 const generateToken = (payload) => {
@@ -28,6 +33,35 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate a short-lived token for one step of the login (e.g. the second factor)
+ * Challenge tokens have no session and are rejected by the authentication middleware
+ * @param {Object} payload - The data to encode in the token (user id)
+ * @param {String} purpose - What the token can be used for
+ * @param {String} expiresIn - Token lifetime
+ * @returns {String} JWT token
+ */
+const generateChallengeToken = (payload, purpose, expiresIn = '5m') => {
+  return jwt.sign(payload, JWT_SECRET, {
+    subject: `challenge:${purpose}`,
+    expiresIn
+  });
+};
+
+/**
+ * Verify a challenge token
+ * @param {String} token - Challenge token
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, { subject: `challenge:${purpose}` });
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Extract token from request headers
  * @param {Object} req - Express request object
@@ -35,16 +69,73 @@ const verifyToken = (token) => {
  */
 const getTokenFromHeaders = (req) => {
   const authHeader = req.headers.authorization;
-  
+
   if (authHeader && authHeader.startsWith('Bearer ')) {
     return authHeader.split(' ')[1];
   }
-  
+
+  return null;
+};
+
+/**
+ * Get the refresh token cookie options
+ * Cross-site frontends need REFRESH_COOKIE_SAME_SITE=none (the cookie is then always secure)
+ * @param {Date} expiresAt - Cookie expiry date
+ * @returns {Object} Cookie options
+ */
+const getRefreshCookieOptions = (expiresAt) => {
+  const sameSite = process.env.REFRESH_COOKIE_SAME_SITE || 'lax';
+
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    sameSite,
+    path: REFRESH_COOKIE_PATH,
+    expires: expiresAt
+  };
+};
+
+/**
+ * Set the refresh token cookie
+ * @param {Object} res - Express response object
+ * @param {String} refreshToken - Refresh token
+ * @param {Date} expiresAt - Session expiry date
+ */
+const setRefreshTokenCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, getRefreshCookieOptions(expiresAt));
+};
+
+/**
+ * Clear the refresh token cookie
+ * @param {Object} res - Express response object
+ */
+const clearRefreshTokenCookie = (res) => {
+  const { expires, ...options } = getRefreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE_NAME, options);
+};
+
+/**
+ * Extract refresh token from the cookie (or the request body for clients without cookies)
+ * @param {Object} req - Express request object
+ * @returns {String|null} Refresh token or null if not found
+ */
+const getRefreshTokenFromRequest = (req) => {
+  if (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) {
+    return req.cookies[REFRESH_COOKIE_NAME];
+  }
+  if (req.body && typeof req.body.refreshToken === 'string') {
+    return req.body.refreshToken;
+  }
   return null;
 };
 
 module.exports = {
   generateToken,
   verifyToken,
-  getTokenFromHeaders
+  generateChallengeToken,
+  verifyChallengeToken,
+  getTokenFromHeaders,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  getRefreshTokenFromRequest
 };
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by all authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are encrypted at rest with their own key (falls back to the JWT secret)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-for-development-only')
+  .digest();
+
+/**
+ * Encode a buffer as base32 (used for authenticator secrets)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {String} input - Base32 string (case and spaces are ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new authenticator secret
+ * @returns {String} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step of a date
+ * @param {Number} time - Timestamp in milliseconds
+ * @returns {Number} Time step
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code of a time step (RFC 4226 HOTP)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} Code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a code, accepting one time step of clock drift in either direction
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} time - Timestamp in milliseconds
+ * @returns {Number|null} Matching time step or null if the code is invalid
+ */
+const verifyCode = (secret, code, time = Date.now()) => {
+  const normalized = typeof code === 'string' || typeof code === 'number' ? String(code).replace(/\s/g, '') : '';
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth URI scanned by authenticator apps
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Account shown in the app (email)
+ * @param {String} issuer - Issuer shown in the app
+ * @returns {String} otpauth URI
+ */
+const getOtpAuthUrl = (secret, accountName, issuer = 'Zafo') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {String} secret - Base32 secret
+ * @returns {String} iv.tag.ciphertext (hex)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join('.');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {String} stored - Value from encryptSecret
+ * @returns {String} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getTimeStep,
+  getOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode
+};